@@ -1,5 +1,5 @@
 // Building Definitions for Island Kingdom
-// Each building has: name, cost, size, color, category, effects
+// Each building has: name, cost, upkeep (charged monthly), size, color, category, effects
 
 export const BUILDING_CATEGORIES = {
     ZONES: 'zones',
@@ -19,6 +19,7 @@ export const BUILDINGS = {
         description: '3x3 housing zone - grows from houses to apartments to high-rises!',
         category: BUILDING_CATEGORIES.ZONES,
         cost: 500,  // Costs more but it's a 3x3 area
+        upkeep: 0,
         size: 3,    // 3x3 allotment
         color: '#4CAF50',  // Green
         icon: '🏘️',
@@ -35,6 +36,7 @@ export const BUILDINGS = {
         description: '3x3 commercial zone - grows from shops to strip malls to mega malls!',
         category: BUILDING_CATEGORIES.ZONES,
         cost: 400,
+        upkeep: 0,
         size: 3,
         color: '#2196F3',  // Blue
         icon: '🏪',
@@ -51,6 +53,7 @@ export const BUILDINGS = {
         description: '3x3 industrial zone - grows from workshops to factories to industrial complexes!',
         category: BUILDING_CATEGORIES.ZONES,
         cost: 600,
+        upkeep: 0,
         size: 3,
         color: '#FF9800',  // Orange
         icon: '🏭',
@@ -70,6 +73,7 @@ export const BUILDINGS = {
         description: 'The best roads, believe me',
         category: BUILDING_CATEGORIES.INFRASTRUCTURE,
         cost: 10,
+        upkeep: 1,
         size: 1,
         color: '#424242',  // Dark gray
         icon: '🛤️',
@@ -85,6 +89,7 @@ export const BUILDINGS = {
         description: 'Keep the outsiders OUT! (Reduces immigration)',
         category: BUILDING_CATEGORIES.INFRASTRUCTURE,
         cost: 50,
+        upkeep: 1,
         size: 1,
         color: '#795548',  // Brown
         icon: '🧱',
@@ -100,6 +105,7 @@ export const BUILDINGS = {
         description: 'Where boats bring goods (and pay TARIFFS!)',
         category: BUILDING_CATEGORIES.INFRASTRUCTURE,
         cost: 500,
+        upkeep: 25,
         size: 2,
         color: '#00BCD4',  // Cyan
         icon: '⚓',
@@ -117,14 +123,14 @@ export const BUILDINGS = {
         description: 'Brings tourists from around the world! Requires power, road, and fire station.',
         category: BUILDING_CATEGORIES.INFRASTRUCTURE,
         cost: 5000,
+        upkeep: 100,
         size: 4,    // 4x4 building
         color: '#607D8B',  // Blue-gray
         icon: '✈️',
         secondaryIcon: '🛫',
         effects: {
             tourism: 100,
-            jobs: 50,
-            maintenance: -100
+            jobs: 50
         },
         canBuildOn: ['grass', 'dirt'],
         requiresRoadAccess: true,
@@ -140,6 +146,7 @@ export const BUILDINGS = {
         description: 'Beautiful clean coal! The best energy!',
         category: BUILDING_CATEGORIES.POWER,
         cost: 3000,
+        upkeep: 60,
         size: 2,
         color: '#37474F',  // Dark blue-gray
         icon: '🏭',
@@ -157,6 +164,7 @@ export const BUILDINGS = {
         description: 'Tremendous power! Very safe, believe me!',
         category: BUILDING_CATEGORIES.POWER,
         cost: 10000,
+        upkeep: 150,
         size: 2,
         color: '#7B1FA2',  // Purple
         icon: '☢️',
@@ -175,6 +183,7 @@ export const BUILDINGS = {
         description: 'Carries electricity across the kingdom',
         category: BUILDING_CATEGORIES.POWER,
         cost: 5,
+        upkeep: 1,
         size: 1,
         color: '#FFC107',  // Amber
         icon: '⚡',
@@ -192,6 +201,7 @@ export const BUILDINGS = {
         description: 'DRILL BABY DRILL! Black gold!',
         category: BUILDING_CATEGORIES.ENERGY,
         cost: 2000,
+        upkeep: 30,
         size: 2,
         color: '#212121',  // Black
         icon: '🛢️',
@@ -210,6 +220,7 @@ export const BUILDINGS = {
         description: 'Turn that black gold into fuel! MAGA!',
         category: BUILDING_CATEGORIES.ENERGY,
         cost: 5000,
+        upkeep: 80,
         size: 2,
         color: '#BF360C',  // Deep orange
         icon: '🏭',
@@ -229,6 +240,7 @@ export const BUILDINGS = {
         description: 'Fuel for the people! Low prices!',
         category: BUILDING_CATEGORIES.ENERGY,
         cost: 300,
+        upkeep: 10,
         size: 1,
         color: '#E53935',  // Red
         icon: '⛽',
@@ -248,6 +260,7 @@ export const BUILDINGS = {
         description: 'A beautiful, tremendous statue of ME!',
         category: BUILDING_CATEGORIES.SPECIAL,
         cost: 1000,
+        upkeep: 5,
         size: 2,
         color: '#FFD700',  // Gold
         icon: '🗽',
@@ -264,6 +277,7 @@ export const BUILDINGS = {
         description: 'The most luxurious tower in the kingdom!',
         category: BUILDING_CATEGORIES.SPECIAL,
         cost: 2000,
+        upkeep: 20,
         size: 3,
         color: '#FFC107',  // Amber
         icon: '🏰',
@@ -280,13 +294,13 @@ export const BUILDINGS = {
         description: 'Where the king relaxes (very often)',
         category: BUILDING_CATEGORIES.SPECIAL,
         cost: 1500,
+        upkeep: 20,
         size: 2,
         color: '#8BC34A',  // Light green
         icon: '⛳',
         effects: {
             kingEgo: 15,
-            happiness: 3,
-            maintenance: -20
+            happiness: 3
         },
         canBuildOn: ['grass']
     },
@@ -296,6 +310,7 @@ export const BUILDINGS = {
         description: 'A magnificent arch celebrating the King\'s victories!',
         category: BUILDING_CATEGORIES.SPECIAL,
         cost: 2500,
+        upkeep: 15,
         size: 3,
         color: '#D4C4A8',  // Stone color
         icon: '🏛️',
@@ -316,6 +331,7 @@ export const BUILDINGS = {
         description: 'Law and order! Reduces crime!',
         category: BUILDING_CATEGORIES.SERVICES,
         cost: 1500,
+        upkeep: 50,
         size: 3,
         color: '#1565C0',  // Blue
         icon: '🚔',
@@ -333,6 +349,7 @@ export const BUILDINGS = {
         description: 'Brave firefighters ready to serve!',
         category: BUILDING_CATEGORIES.SERVICES,
         cost: 1200,
+        upkeep: 40,
         size: 3,
         color: '#D32F2F',  // Red
         icon: '🚒',
@@ -350,6 +367,7 @@ export const BUILDINGS = {
         description: 'Healthcare for the people!',
         category: BUILDING_CATEGORIES.SERVICES,
         cost: 2500,
+        upkeep: 80,
         size: 3,
         color: '#FFFFFF',  // White
         icon: '🏥',
@@ -367,6 +385,7 @@ export const BUILDINGS = {
         description: 'Education for the future!',
         category: BUILDING_CATEGORIES.SERVICES,
         cost: 1000,
+        upkeep: 40,
         size: 3,
         color: '#FFA000',  // Amber
         icon: '🏫',
@@ -385,6 +404,7 @@ export const BUILDINGS = {
         description: 'Remove buildings (no refunds!)',
         category: BUILDING_CATEGORIES.DEMOLISH,
         cost: 5,
+        upkeep: 0,
         size: 1,
         color: '#F44336',  // Red
         icon: '🚜',
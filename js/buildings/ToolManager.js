@@ -3,9 +3,13 @@
 import { BUILDINGS, getBuilding, canAfford, canBuildOn, BUILDING_CATEGORIES } from './Buildings.js';
 import { TERRAIN } from '../map/TileMap.js';
 
+// Demolishing a building that cost at least this much triggers an autosave first
+const EXPENSIVE_DEMOLITION_COST = 1000;
+
 export class ToolManager {
     constructor(game) {
         this.game = game;
+        this.cosmeticRandom = game.cosmeticRandom;  // King comments
         this.selectedTool = null;
         this.isPlacing = false;
         this.dragBuilding = false;  // For drag-to-build (roads, walls)
@@ -13,6 +17,9 @@ export class ToolManager {
 
         // Tools that can be dragged to place multiple
         this.dragTools = ['road', 'wall', 'bulldozer', 'powerLine'];
+
+        // Placement is a recorded player command (replayed through the same path)
+        this.game.commandLog?.register('place', (data) => this.placeTool(data.tool, data.x, data.y));
     }
 
     // Select a tool
@@ -101,6 +108,11 @@ export class ToolManager {
             }
         }
 
+        // Builders won't work for a kingdom that's been broke for months
+        if (this.game.financeSystem?.constructionHalted && this.selectedTool !== 'bulldozer') {
+            return { valid: false, reason: 'Construction halted - the treasury is empty!' };
+        }
+
         // Check if can afford
         if (!canAfford(this.selectedTool, this.game.treasury)) {
             return { valid: false, reason: 'Not enough funds!' };
@@ -177,8 +189,43 @@ export class ToolManager {
         return false;
     }
 
-    // Place building at tile position
+    // Place the selected tool at tile position (recorded in the command log)
     placeAt(tileX, tileY) {
+        // Warn before the command is logged, so a save taken now has neither
+        // the demolition nor its command
+        this.warnBeforeDemolition(tileX, tileY);
+
+        const log = this.game.commandLog;
+        if (!log) {
+            return this.placeTool(this.selectedTool, tileX, tileY);
+        }
+        return log.execute('place', { tool: this.selectedTool, x: tileX, y: tileY });
+    }
+
+    // Place a specific tool, leaving the player's selection untouched
+    placeTool(toolId, tileX, tileY) {
+        const previousTool = this.selectedTool;
+        this.selectedTool = toolId;
+        try {
+            return this.tryPlace(tileX, tileY);
+        } finally {
+            this.selectedTool = previousTool;
+        }
+    }
+
+    // Let the game autosave before the bulldozer takes down something costly
+    warnBeforeDemolition(tileX, tileY) {
+        if (this.selectedTool !== 'bulldozer' || !this.canPlaceAt(tileX, tileY).valid) return;
+
+        const target = this.game.tileMap.getTile(tileX, tileY).building;
+        const targetBuilding = target && getBuilding(target.type);
+        if (targetBuilding && targetBuilding.cost >= EXPENSIVE_DEMOLITION_COST) {
+            this.game.events.emit('expensiveDemolition', { tileX, tileY, building: targetBuilding });
+        }
+    }
+
+    // Validate and place the selected tool
+    tryPlace(tileX, tileY) {
         // console.log(`[ToolManager] placeAt called at (${tileX}, ${tileY})`);
         let check = this.canPlaceAt(tileX, tileY);
 
@@ -199,6 +246,41 @@ export class ToolManager {
         }
 
         const building = getBuilding(this.selectedTool);
+
+        // Record the edit so it can be undone (bulldozer touches one tile, buildings their footprint)
+        const history = this.game.commandHistory;
+        if (!history) {
+            return this.applyPlacement(tileX, tileY, building);
+        }
+        const size = this.selectedTool === 'bulldozer' ? 1 : building.size;
+        return history.record(this.getEditLabel(building), tileX, tileY, size, size,
+            () => this.applyPlacement(tileX, tileY, building));
+    }
+
+    // Group several placements into one undo step
+    beginEditGroup(label) {
+        if (this.game.commandLog) {
+            this.game.commandLog.execute('beginGroup', { label });
+        } else {
+            this.game.commandHistory?.begin(label);
+        }
+    }
+
+    endEditGroup() {
+        if (this.game.commandLog) {
+            this.game.commandLog.execute('endGroup');
+        } else {
+            this.game.commandHistory?.end();
+        }
+    }
+
+    // Label shown for undo/redo
+    getEditLabel(building) {
+        return building.id === 'bulldozer' ? 'Bulldoze' : `Build ${building.name || building.id}`;
+    }
+
+    // Mutate the map, managers and treasury for an already validated placement
+    applyPlacement(tileX, tileY, building) {
         const tileMap = this.game.tileMap;
 
         // Handle bulldozer
@@ -218,6 +300,7 @@ export class ToolManager {
             }
 
             this.game.treasury -= building.cost;
+            this.game.budgetLedger?.record('construction', building.cost);
 
             if (oldBuilding) {
                 this.game.events.emit('buildingDemolished', {
@@ -272,8 +355,10 @@ export class ToolManager {
             }
         }
 
-        // Deduct cost
-        this.game.treasury -= building.cost;
+        // Deduct cost - imported materials at the port make it cheaper
+        const cost = building.cost - (this.game.portInventory?.useMaterials(building.cost) || 0);
+        this.game.treasury -= cost;
+        this.game.budgetLedger?.record('construction', cost);
 
         // Apply effects
         this.applyBuildingEffects(building);
@@ -290,7 +375,7 @@ export class ToolManager {
         this.game.events.emit('buildingPlaced', {
 //            tileX, tileY,
             building,
-            cost: building.cost
+            cost
         });
 
         // Play build sound
@@ -360,7 +445,7 @@ export class ToolManager {
 
         const buildingComments = comments[building.id];
         if (buildingComments && buildingComments.length > 0) {
-            const comment = buildingComments[Math.floor(Math.random() * buildingComments.length)];
+            const comment = buildingComments[Math.floor(this.cosmeticRandom.next() * buildingComments.length)];
             this.game.kingTweet(comment);
         }
     }
@@ -375,6 +460,14 @@ export class ToolManager {
             return;
         }
 
+        // No building while a replay is playing back
+        if (this.game.commandLog?.isReplaying()) return;
+
+        // Close a drag that never got its pointer-up
+        if (this.dragBuilding) {
+            this.endEditGroup();
+        }
+
         this.isPlacing = true;
         this.pointerDownTime = Date.now();
         this.pointerDownTile = { x: tileX, y: tileY };
@@ -409,6 +502,9 @@ export class ToolManager {
                         if (this.game.treasury >= totalCost) {
                             console.log(`[AutoConnect] Placing ${path.length} tiles of ${this.selectedTool}`);
 
+                            // Whole path is one undo step
+                            this.beginEditGroup(`Auto-connect ${building.name || this.selectedTool}`);
+
                             // Place all tiles in path
                             let placedCount = 0;
                             for (const tile of path) {
@@ -422,6 +518,7 @@ export class ToolManager {
 
                                 this.game.autoConnect.enabled = wasEnabled;
                             }
+                            this.endEditGroup();
 
                             if (placedCount > 0) {
                                 this.game.kingTweet(`Auto-connected ${placedCount} tiles! Tremendous efficiency! 🔌`);
@@ -442,6 +539,9 @@ export class ToolManager {
                 }
             }
 
+
+            // A dragged run is one undo step (closed in onPointerUp)
+            this.beginEditGroup(this.getEditLabel(getBuilding(this.selectedTool)));
         }
         // Normal single-tile placement
         this.placeAt(tileX, tileY);
@@ -482,6 +582,9 @@ export class ToolManager {
 
     // Handle pointer up (end placement)
     onPointerUp() {
+        if (this.dragBuilding) {
+            this.endEditGroup();
+        }
         this.isPlacing = false;
         this.dragBuilding = false;
         this.lastPlacedTile = null;
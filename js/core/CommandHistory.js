@@ -0,0 +1,332 @@
+// CommandHistory.js - Undo/redo stack for construction, zoning and demolition
+//
+// Every player edit runs inside record(), which snapshots the tiles it can
+// touch (and the allotments and development zones on them) before and after
+// the edit. Only what actually changed is kept, so undo puts the "before"
+// state back and redo re-applies the "after" state. Money, ego and the port
+// materials a building used are stored as deltas so income and cargo that
+// arrived since the edit aren't rolled back with it.
+//
+// Several edits can be grouped into one undo step with begin()/end()
+// (a dragged road, an auto-connect path).
+//
+// Steps only last until the end of the month (expire()): after a tick the
+// town has grown, burned and paid upkeep around them, so putting the old
+// tiles back or refunding the cost would no longer be fair.
+
+// Allotment tile types and the manager that owns them
+const ALLOTMENT_MANAGERS = {
+    residential_allotment: 'residentialManager',
+    commercial_allotment: 'commercialManager',
+    industrial_allotment: 'industrialManager'
+};
+
+// Game values restored as deltas
+const TRACKED_VALUES = ['treasury', 'kingEgo', 'maxPopulation'];
+
+const clone = (value) => value == null ? null : JSON.parse(JSON.stringify(value));
+
+export class CommandHistory {
+    constructor(game) {
+        this.game = game;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxSize = 100;  // Oldest steps are dropped beyond this
+
+        // Open group (begin/end)
+        this.current = null;
+        this.depth = 0;
+    }
+
+    /**
+     * Start grouping edits into a single undo step
+     */
+    begin(label) {
+        if (this.depth === 0) {
+            this.current = this.createEntry(label);
+        }
+        this.depth++;
+    }
+
+    /**
+     * Close the group started with begin(). Pushes it if anything changed.
+     */
+    end() {
+        if (this.depth === 0) return;
+        this.depth--;
+        if (this.depth > 0) return;
+
+        const entry = this.current;
+        this.current = null;
+        if (entry && this.hasChanges(entry)) {
+            this.push(entry);
+        }
+    }
+
+    /**
+     * Run an edit that can only touch the given rectangle and remember what it changed.
+     * Returns whatever the edit returns.
+     */
+    record(label, x, y, width, height, edit) {
+        this.begin(label);
+        try {
+            const region = { x, y, width, height };
+            const before = this.snapshot(region);
+            const values = this.readValues();
+
+            const result = edit();
+
+            const after = this.snapshot(region, before);
+            this.merge(this.current, before, after, values);
+            return result;
+        } finally {
+            this.end();
+        }
+    }
+
+    createEntry(label) {
+        return {
+            label: label || 'Edit',
+            tick: this.game.tickCount,
+            tiles: new Map(),        // "x,y" -> { before, after }
+            allotments: new Map(),   // "manager|key" -> { before, after }
+            development: new Map(),  // "x,y" -> { before, after }
+            deltas: {},
+            stock: {}                // Port cargo type -> units gained (negative if used)
+        };
+    }
+
+    readValues() {
+        const values = {};
+        for (const name of TRACKED_VALUES) {
+            values[name] = this.game[name] || 0;
+        }
+        values.stock = { ...this.game.portInventory?.stock };
+        return values;
+    }
+
+    /**
+     * Capture tiles, allotments and development zones in a region.
+     * Passing an earlier snapshot also captures the allotments it referenced,
+     * so removed allotments show up as null.
+     */
+    snapshot(region, previous = null) {
+        const tileMap = this.game.tileMap;
+        const development = this.game.developmentManager?.development;
+        const shot = { tiles: new Map(), allotments: new Map(), development: new Map() };
+
+        for (let dy = 0; dy < region.height; dy++) {
+            for (let dx = 0; dx < region.width; dx++) {
+                const x = region.x + dx;
+                const y = region.y + dy;
+                const tile = tileMap.getTile(x, y);
+                if (!tile) continue;
+
+                const key = `${x},${y}`;
+                shot.tiles.set(key, { terrain: tile.terrain, building: clone(tile.building) });
+                if (development) {
+                    shot.development.set(key, clone(development.get(key)));
+                }
+
+                const managerName = ALLOTMENT_MANAGERS[tile.building?.type];
+                if (managerName && tile.building.allotmentKey) {
+                    shot.allotments.set(`${managerName}|${tile.building.allotmentKey}`, null);
+                }
+            }
+        }
+
+        if (previous) {
+            for (const id of previous.allotments.keys()) {
+                shot.allotments.set(id, null);
+            }
+        }
+
+        for (const id of shot.allotments.keys()) {
+            const [managerName, key] = id.split('|');
+            shot.allotments.set(id, clone(this.game[managerName]?.allotments.get(key)));
+        }
+
+        return shot;
+    }
+
+    // Fold the differences between two snapshots into an entry
+    merge(entry, before, after, values) {
+        const mergeMap = (target, from, to) => {
+            for (const [key, value] of to) {
+                const old = from.has(key) ? from.get(key) : null;
+                if (JSON.stringify(old) === JSON.stringify(value)) continue;
+
+                if (target.has(key)) {
+                    target.get(key).after = value;
+                } else {
+                    target.set(key, { before: old, after: value });
+                }
+            }
+        };
+
+        mergeMap(entry.tiles, before.tiles, after.tiles);
+        mergeMap(entry.allotments, before.allotments, after.allotments);
+        mergeMap(entry.development, before.development, after.development);
+
+        for (const name of TRACKED_VALUES) {
+            const delta = (this.game[name] || 0) - values[name];
+            if (delta !== 0) {
+                entry.deltas[name] = (entry.deltas[name] || 0) + delta;
+            }
+        }
+
+        for (const [type, units] of Object.entries(this.game.portInventory?.stock || {})) {
+            const delta = units - (values.stock[type] || 0);
+            if (delta !== 0) {
+                entry.stock[type] = (entry.stock[type] || 0) + delta;
+            }
+        }
+    }
+
+    hasChanges(entry) {
+        return entry.tiles.size > 0 || entry.allotments.size > 0 ||
+            entry.development.size > 0 || Object.keys(entry.deltas).length > 0 ||
+            Object.keys(entry.stock).length > 0;
+    }
+
+    push(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.maxSize) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notify();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Revert the most recent step. Returns the entry, or null if there was nothing to undo.
+     */
+    undo() {
+        this.closeOpenGroup();
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.apply(entry, 'before', -1);
+        this.redoStack.push(entry);
+        this.notify(entry, 'undo');
+        return entry;
+    }
+
+    /**
+     * Re-apply the most recently undone step
+     */
+    redo() {
+        this.closeOpenGroup();
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.apply(entry, 'after', 1);
+        this.undoStack.push(entry);
+        this.notify(entry, 'redo');
+        return entry;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = null;
+        this.depth = 0;
+        this.notify();
+    }
+
+    /**
+     * Forget every step so far (called on the monthly tick). A drag that is
+     * still open carries on as a new step holding only its later edits.
+     */
+    expire() {
+        if (this.current) {
+            this.current = this.createEntry(this.current.label);
+        }
+        if (this.undoStack.length === 0 && this.redoStack.length === 0) return;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    // An undo in the middle of a drag finishes the drag first
+    closeOpenGroup() {
+        while (this.depth > 0) {
+            this.end();
+        }
+    }
+
+    apply(entry, side, sign) {
+        const game = this.game;
+        const tileMap = game.tileMap;
+
+        for (const [key, change] of entry.tiles) {
+            const [x, y] = key.split(',').map(Number);
+            const tile = tileMap.getTile(x, y);
+            const state = change[side];
+            if (!tile || !state) continue;
+            tile.terrain = state.terrain;
+            tile.building = clone(state.building);
+        }
+
+        for (const [id, change] of entry.allotments) {
+            const [managerName, key] = id.split('|');
+            const manager = game[managerName];
+            if (!manager) continue;
+            const state = change[side];
+            if (state) {
+                manager.allotments.set(key, clone(state));
+            } else {
+                manager.allotments.delete(key);
+            }
+        }
+
+        const development = game.developmentManager?.development;
+        if (development) {
+            for (const [key, change] of entry.development) {
+                const state = change[side];
+                if (state) {
+                    development.set(key, clone(state));
+                } else {
+                    development.delete(key);
+                }
+            }
+        }
+
+        for (const [name, delta] of Object.entries(entry.deltas)) {
+            game[name] = (game[name] || 0) + sign * delta;
+        }
+
+        // Materials go back to the port on undo and are used again on redo
+        // (as far as there are any left - they may have gone into other buildings)
+        const stock = game.portInventory?.stock;
+        if (stock) {
+            for (const [type, delta] of Object.entries(entry.stock || {})) {
+                stock[type] = Math.max(0, (stock[type] || 0) + sign * delta);
+            }
+        }
+
+        // Roads and power lines may have changed
+        if (game.infrastructureManager) {
+            game.infrastructureManager.recalculateNetworks();
+        }
+
+        game.events.emit('treasuryChanged', game.treasury);
+    }
+
+    notify(entry = null, action = null) {
+        this.game.events.emit('historyChanged', {
+            action,
+            label: entry?.label || null,
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo()
+        });
+    }
+}
@@ -0,0 +1,129 @@
+// CommandLog.js - Records every player action so a kingdom can be replayed
+//
+// Player actions go through execute(type, data) instead of changing state
+// directly. Each one is stamped with the simulation step and month tick it
+// happened on. Because the simulation is seeded and runs on a fixed clock,
+// the seed plus this log rebuilds the exact same kingdom:
+//
+//   const sim = new Simulation({ seed: log.seed });
+//   sim.init();
+//   new ToolManager(sim);           // registers the 'place' handler
+//   sim.replay(log);                // runs to the log's endStep
+//
+// Handlers are registered by whoever owns the action (the simulation for
+// taxes and settings, ToolManager for placement).
+
+export const COMMAND_LOG_VERSION = 1;
+
+export class CommandLog {
+    constructor(game) {
+        this.game = game;
+        this.commands = [];
+        this.handlers = new Map();  // type -> function(data)
+
+        // Replay state
+        this.replay = null;  // { commands, index, endStep }
+        this.replaying = false;  // True while a replayed command is running
+    }
+
+    register(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Record a player action and run it. Returns the handler's result.
+     * Live input is ignored while a replay is playing back.
+     */
+    execute(type, data = {}) {
+        if (this.isReplaying() && !this.replaying) {
+            return false;
+        }
+
+        const handler = this.handlers.get(type);
+        if (!handler) {
+            console.warn(`[COMMANDS] No handler for '${type}'`);
+            return false;
+        }
+
+        this.commands.push({
+            step: this.game.stepCount,
+            tick: this.game.tickCount,
+            type,
+            ...JSON.parse(JSON.stringify(data))
+        });
+        return handler(data);
+    }
+
+    isReplaying() {
+        return this.replay !== null;
+    }
+
+    /**
+     * Queue a recorded log to be played back from step 0. The simulation must
+     * be fresh and created with the log's seed.
+     */
+    startReplay(log) {
+        if (log.seed !== this.game.seed) {
+            console.warn(`[COMMANDS] Replay seed ${log.seed} does not match simulation seed ${this.game.seed}`);
+        }
+        this.commands = [];
+        this.replay = {
+            commands: log.commands || [],
+            index: 0,
+            endStep: log.endStep || 0
+        };
+        console.log(`[COMMANDS] Replaying ${this.replay.commands.length} commands over ${this.replay.endStep} steps`);
+    }
+
+    /**
+     * Run replayed commands that are due at the current step.
+     * Called by Simulation.step() before the step is simulated.
+     */
+    runDue() {
+        const replay = this.replay;
+        if (!replay) return;
+
+        const step = this.game.stepCount;
+        while (replay.index < replay.commands.length && replay.commands[replay.index].step <= step) {
+            const { step: _step, tick: _tick, type, ...data } = replay.commands[replay.index++];
+            this.replaying = true;
+            try {
+                this.execute(type, data);
+            } catch (e) {
+                console.error(`[COMMANDS] Replayed '${type}' failed:`, e);
+            } finally {
+                this.replaying = false;
+            }
+        }
+
+        if (replay.index >= replay.commands.length && step >= replay.endStep) {
+            this.replay = null;
+            console.log('[COMMANDS] Replay finished at step', step);
+            this.game.events.emit('replayFinished', { step, tick: this.game.tickCount });
+        }
+    }
+
+    /**
+     * Everything needed to rebuild this kingdom: seed, map size and commands
+     */
+    serialize() {
+        return {
+            version: COMMAND_LOG_VERSION,
+            seed: this.game.seed,
+            mapWidth: this.game.mapWidth,
+            mapHeight: this.game.mapHeight,
+            endStep: this.game.stepCount,
+            endTick: this.game.tickCount,
+            commands: this.commands
+        };
+    }
+
+    // Restore the log of a loaded save so new actions are appended to it
+    deserialize(data) {
+        this.commands = Array.isArray(data?.commands) ? data.commands : [];
+    }
+
+    clear() {
+        this.commands = [];
+    }
+}
@@ -1,87 +1,79 @@
 // Game.js - Main game controller for Island Kingdom
-import { EventEmitter } from './EventEmitter.js';
-import { TileMap } from '../map/TileMap.js';
-import { IslandGenerator } from '../map/IslandGenerator.js';
+import { Simulation, SIMULATION_PROPERTIES, FRAME_MS } from './Simulation.js';
 import { GameCanvas } from '../ui/GameCanvas.js';
 import { Toolbar } from '../ui/Toolbar.js';
 import { ToolManager } from '../buildings/ToolManager.js';
-import { BUILDINGS } from '../buildings/Buildings.js';
-import { TariffSystem } from '../economy/TariffSystem.js';
 import { TariffUI } from '../ui/TariffUI.js';
-import { DevelopmentManager } from '../simulation/Development.js';
-import { ResidentialAllotmentManager } from '../simulation/ResidentialAllotment.js';
-import { CommercialAllotmentManager } from '../simulation/CommercialAllotment.js';
-import { IndustrialAllotmentManager } from '../simulation/IndustrialAllotment.js';
-import { InfrastructureManager } from '../systems/InfrastructureManager.js';
+import { BudgetUI } from '../ui/BudgetUI.js';
+import { TaxUI } from '../ui/TaxUI.js';
+import { MapOverlay } from '../ui/MapOverlay.js';
+import { DemandMeter } from '../ui/DemandMeter.js';
 import { AnimationSystem } from '../systems/AnimationSystem.js';
-import { ImmigrationSystem } from '../systems/ImmigrationSystem.js';
 import { DebugPanel } from '../ui/DebugPanel.js';
 import { AdminSettings } from '../ui/AdminSettings.js';
 import { SaveSystem } from '../systems/SaveSystem.js';
-import { PoliceSystem } from '../systems/PoliceSystem.js';
 import { SoundSystem } from '../systems/SoundSystem.js';
-import { AirportSystem } from '../systems/AirportSystem.js?v=223';
-import { WeatherSystem } from '../systems/WeatherSystem.js';
 import { AutoConnect } from '../systems/AutoConnect.js';
 import { StartMenu } from '../ui/StartMenu.js';
 import { MobileControls } from '../ui/MobileControls.js';
+import { BUILDINGS } from '../buildings/Buildings.js';
+import { TERRAIN } from '../map/TileMap.js';
+import { MAX_LAND_VALUE } from '../simulation/LandValue.js';
+import { SERVICE_COVERAGE } from '../simulation/ServiceCoverage.js';
+import { MAX_CRIME } from '../simulation/Crime.js';
+import { MAX_POLLUTION, MAX_HEALTH } from '../simulation/Pollution.js';
+
+// Game speeds - how many simulation steps run per real frame
+export const GAME_SPEEDS = {
+    normal: { label: '1x', multiplier: 1 },
+    fast: { label: '2x', multiplier: 2 },
+    faster: { label: '4x', multiplier: 4 },
+    ultra: { label: '⚡', multiplier: 16 }
+};
+
+// Never run more than this many steps in one frame (slow devices drop time instead)
+const MAX_STEPS_PER_FRAME = 64;
+
+// Autosaves triggered by events closer together than this are skipped
+const AUTOSAVE_EVENT_GAP_MS = 15000;
+
+// Session key holding a command log to replay after reload (read by main.js)
+export const REPLAY_STORAGE_KEY = 'islandKingdomReplay';
 
 export class Game {
-    constructor() {
-        this.events = new EventEmitter();
+    constructor(options = {}) {
+        // Command log to play back instead of starting a new kingdom
+        this.replayLog = options.replay || null;
+
+        // Headless simulation core - owns the map, managers and economy.
+        // Its state (treasury, population, tileMap, ...) is exposed on the game
+        // object through the accessors defined at the bottom of this file.
+        this.simulation = new Simulation(this.replayLog ? {
+            seed: this.replayLog.seed,
+            width: this.replayLog.mapWidth,
+            height: this.replayLog.mapHeight
+        } : {});
+        this.events = this.simulation.events;
 
-        // Game state
-        this.treasury = 10000;
         this.frameCount = 0;
-        this.population = 0;
-        this.maxPopulation = 0;
-        this.visitors = 0;  // Immigrants who landed but haven't integrated
-        this.tourists = 0;  // Current tourists on the island
-        this.processedImmigrants = 0;  // Immigrants processed by police into residents
-
-        console.log('[GAME] Initial state - Treasury:', this.treasury, 'Visitors:', this.visitors);
-        this.month = 1;
-        this.year = 1;
-        this.kingMood = 50;  // 0-100 numeric for development system
-        this.kingMoodText = 'happy';  // happy, neutral, angry, furious
-        this.kingEgo = 50;  // 0-100
         this.paused = false;
+        this.speed = 'normal';  // Key into GAME_SPEEDS
+        this.gameOver = false;  // Set when the kingdom goes bankrupt
 
-        // Economy
-        this.taxRate = 10;  // percent
-        this.tariffRate = 25;  // percent on imports
-        this.monthlyIncome = 0;
-        this.monthlyExpenses = 0;
-
-        // Map
-        this.tileMap = null;
-        this.mapWidth = 128;
-        this.mapHeight = 128;
+        console.log('[GAME] Initial state - Treasury:', this.treasury, 'Visitors:', this.visitors);
 
         // Components
         this.canvas = null;
         this.toolbar = null;
         this.toolManager = null;
-
-        // Tariff system
-        this.tariffSystem = null;
         this.tariffUI = null;
-
-        // Development system
-        this.developmentManager = null;
-
-        // Residential allotment system (3x3 zones)
-        this.residentialManager = null;
-        this.commercialManager = null;
-        this.industrialManager = null;
-        this.infrastructureManager = null;
+        this.budgetUI = null;
+        this.taxUI = null;
         this.animationSystem = null;
-        this.immigrationSystem = null;
 
-        // Timing
+        // Timing - real time is fed into a fixed-step accumulator
         this.lastUpdate = 0;
-        this.tickInterval = 25000;  // 25 seconds per game tick (1 month)
-        this.lastTick = 0;
+        this.accumulator = 0;
 
         // King's tweets
         this.tweetQueue = [];
@@ -92,67 +84,56 @@ export class Game {
     async init() {
         console.log('🏝️ Initializing Island Kingdom...');
 
-        // Generate island
-        const generator = new IslandGenerator(this.mapWidth, this.mapHeight);
-        this.tileMap = generator.generate();
+        // Generate island and create the simulation managers and systems
+        this.simulation.init();
+
+        // Replays take over before anything (admin settings, saves) can record commands
+        if (this.replayLog) {
+            this.simulation.commandLog.startReplay(this.replayLog);
+        }
 
         // Initialize tool manager (before canvas and toolbar)
         this.toolManager = new ToolManager(this);
-
-        // Initialize development system (before canvas for rendering)
-        this.developmentManager = new DevelopmentManager(this);
-
-        // Initialize residential allotment system (before canvas for rendering)
-        this.residentialManager = new ResidentialAllotmentManager(this);
-        this.commercialManager = new CommercialAllotmentManager(this);
-        this.industrialManager = new IndustrialAllotmentManager(this);
-        this.infrastructureManager = new InfrastructureManager(this);
         this.autoConnect = new AutoConnect(this);
         this.animationSystem = new AnimationSystem(this);
-        this.immigrationSystem = new ImmigrationSystem(this);
-
-        // Initialize police enforcement system
-        this.policeSystem = new PoliceSystem(this);
-
-        // Initialize airport system
-        this.airportSystem = new AirportSystem(this);
-        this.weatherSystem = new WeatherSystem(this);
 
-        // Initialize sound system
+        // Initialize sound system (the simulation plays effects through it)
         this.soundSystem = new SoundSystem(this);
-        // console.log("[INIT] ImmigrationSystem created:", !!this.immigrationSystem);
+        this.simulation.soundSystem = this.soundSystem;
 
         // Initialize canvas (after managers so it can access them for rendering)
         this.canvas = new GameCanvas(this, 'game-canvas');
 
         // Initialize toolbar
         this.toolbar = new Toolbar(this);
+        this.demandMeter = new DemandMeter(this);
 
         // Resize canvas now that toolbar exists
         this.canvas.resize();
         this.canvas.centerMap();
 
-        // Initialize tariff system
-        this.tariffSystem = new TariffSystem(this);
+        // Initialize tariff UI
         this.tariffUI = new TariffUI(this);
+        this.budgetUI = new BudgetUI(this);
+        this.taxUI = new TaxUI(this);
+        this.mapOverlay = new MapOverlay(this);
+        this.setupOverlays();
         this.debugPanel = new DebugPanel(this);
         this.adminSettings = new AdminSettings(this);
         this.mobileControls = new MobileControls(this);
         this.saveSystem = new SaveSystem(this);
+        await this.saveSystem.init();
 
-        // Setup autosave every 60 seconds
-        this.autosaveInterval = setInterval(() => {
-            if (this.saveSystem && !this.paused) {
-                // console.log('[AUTOSAVE] Saving game...');
-                const result = this.saveSystem.saveGame(null, 'Autosave');
-                if (result.success) {
-                    // console.log(`[AUTOSAVE] Saved to slot ${result.slot}`);
-                }
-            }
-        }, 60000);  // 60 seconds
+        this.setupAutosave();
 
-        // Add tariff button to toolbar
+        // Add tariff, tax and budget buttons to toolbar
         this.addTariffButton();
+        this.addToolbarButton('tax-btn-toolbar', '🏛️', 'Taxes', 'Tax Rates', () => this.taxUI.toggle());
+        this.addToolbarButton('budget-btn-toolbar', '💰', 'Budget', 'Budget (B)', () => this.budgetUI.toggle());
+        this.addToolbarButton('overlay-btn-toolbar', '🗺️', 'Overlay', 'Map Overlay (O)', () => this.mapOverlay.cycle());
+
+        // Header speed buttons (pause/1x/2x/4x/ultra)
+        this.setupSpeedControls();
 
         // Create tweet display
         this.createTweetDisplay();
@@ -173,49 +154,71 @@ export class Game {
     }
 
 
-    showStartMenu() {
-        const savedGames = this.saveSystem.getSavedGames();
+    async showStartMenu() {
+        // Replays skip the menu and play back at ultra speed
+        if (this.replayLog) {
+            this.setSpeed('ultra');
+            this.kingTweet(`Watching a REPLAY of kingdom #${this.replayLog.seed}! Hands off the controls! 🎬`);
+            this.start();
+            return;
+        }
+
+        const savedGames = await this.saveSystem.getSavedGames();
         const startMenu = new StartMenu(this);
         
         startMenu.onNewGame = () => {
             // console.log('[GAME] Starting new game...');
+            // A save that failed halfway through restoring leaves a mixed-up island
+            if (this.loadFailedMidway) {
+                location.reload();
+                return;
+            }
             this.start();
         };
         
-        startMenu.onLoadGame = (slot) => {
+        // Resolves to the load result so the menu can explain a failure
+        startMenu.onLoadGame = async (slot) => {
             // console.log('[GAME] Loading game from slot', slot);
-            if (this.saveSystem.loadGame(slot)) {
-                this.start();
-            } else {
-                this.kingTweet("Failed to load! Starting new game... 😢");
+            const result = await this.saveSystem.loadGame(slot);
+            if (result.success) {
                 this.start();
+                this.syncGameOver();
+            } else if (result.reason === 'restore') {
+                this.loadFailedMidway = true;
             }
+            return result;
+        };
+        
+        startMenu.onReplay = (log) => {
+            // A replay needs a fresh kingdom from the log's seed - reload into it
+            sessionStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(log));
+            location.reload();
         };
         
         startMenu.show(savedGames);
     }
 
     setupEvents() {
-        // Building events
-        this.events.on('buildingPlaced', (data) => {
-            // Track zone development
-            const buildingType = data.building?.id || data.building;
-
-            // Residential uses the new 3x3 allotment system
-            if (buildingType === 'residential') {
-                // Allotment is created by ToolManager, just log it
-                // console.log('Residential allotment placed at', data.tileX, data.tileY);
-            } else if (buildingType === 'commercial' || buildingType === 'industrial') {
-                // Commercial and industrial still use old development system
-                this.developmentManager.initZone(data.tileX, data.tileY, buildingType);
+        // Simulation events
+        this.events.on('tick', () => {
+            // Update animations (vehicles, boats, etc.)
+            if (this.animationSystem) {
+                this.animationSystem.update();
             }
             this.updateUI();
+        });
+
+        this.events.on('kingTweet', (message) => {
+            this.kingTweet(message);
+        });
+
+        // Building events (zone tracking is handled by the simulation)
+        this.events.on('buildingPlaced', () => {
+            this.updateUI();
             this.events.emit('treasuryChanged', this.treasury);
         });
 
-        this.events.on('buildingDemolished', (data) => {
-            // Remove zone tracking
-            this.developmentManager.removeZone(data.tileX, data.tileY);
+        this.events.on('buildingDemolished', () => {
             this.updateUI();
             this.events.emit('treasuryChanged', this.treasury);
         });
@@ -223,6 +226,78 @@ export class Game {
         this.events.on('placementFailed', (data) => {
             this.showNotification(data.reason, 'error');
         });
+
+        // Loans, bonds and insolvency
+        this.events.on('financeRefused', (data) => {
+            this.showNotification(data.reason, 'error');
+        });
+
+        this.events.on('creditRatingChanged', (data) => {
+            this.showNotification(`Credit rating ${data.better ? 'upgraded' : 'downgraded'} to ${data.rating}`,
+                data.better ? 'info' : 'error');
+        });
+
+        this.events.on('insolvencyChanged', (data) => {
+            const messages = {
+                warning: '⚠️ The treasury is empty! Borrow or cut costs',
+                constructionHalted: '🚧 Construction halted - no money to pay builders',
+                servicesShutDown: '🚨 Police and airport shut down - no money to pay staff'
+            };
+            if (messages[data.stage]) {
+                this.showNotification(messages[data.stage], 'error');
+            }
+        });
+
+        this.events.on('bankrupt', () => {
+            this.showGameOver();
+        });
+
+        // Trade partners
+        this.events.on('tradeRefused', (data) => {
+            this.showNotification(data.reason, 'error');
+        });
+
+        this.events.on('tradeDealSigned', (data) => {
+            this.showNotification(`🤝 Trade deal signed with the ${data.label} for ${data.months} months`, 'info');
+        });
+
+        this.events.on('tradeDealExpired', (data) => {
+            this.showNotification(`📜 Our trade deal with the ${data.label} has expired`, 'info');
+        });
+
+        this.events.on('tradeRetaliation', (data) => {
+            this.showNotification(`😡 The ${data.label} raised tariffs on our exports by ${data.hike}%`, 'error');
+        });
+
+        this.events.on('tradeEmbargo', (data) => {
+            this.showNotification(`⛔ The ${data.label} has embargoed us for ${data.months} months`, 'error');
+        });
+
+        this.events.on('fireStarted', (data) => {
+            // Spreading flames would flood the screen; only new outbreaks are announced
+            if (data.type === 'forest' || data.cause === 'spread') return;
+            const name = BUILDINGS[data.type.replace('_allotment', '')]?.name || 'A building';
+            this.showNotification(`🔥 ${name} is on fire at (${data.x}, ${data.y})!`, 'error');
+        });
+
+        this.events.on('tradeEmbargoLifted', (data) => {
+            this.showNotification(`🚢 The ${data.label} has lifted its embargo`, 'info');
+        });
+
+        this.events.on('replayFinished', () => {
+            this.setSpeed('normal');
+            this.kingTweet("Replay complete! Exactly how I remember it. PERFECT memory! 🎬");
+        });
+
+        // Undo/redo changes buildings and money without building events
+        this.events.on('historyChanged', (data) => {
+            if (data.action) {
+                this.updateUI();
+            }
+            if (this.mobileControls) {
+                this.mobileControls.updateUndoButtons(data.canUndo, data.canRedo);
+            }
+        });
     }
 
     createTweetDisplay() {
@@ -370,7 +445,7 @@ export class Game {
     start() {
         this.running = true;
         this.lastUpdate = performance.now();
-        this.lastTick = this.lastUpdate;
+        this.accumulator = 0;
 
         // Initialize and start sound system (requires user interaction first)
         if (this.soundSystem) {
@@ -401,41 +476,30 @@ export class Game {
 
     gameLoop() {
         const now = performance.now();
-        const delta = now - this.lastUpdate;
+        const delta = Math.min(now - this.lastUpdate, 250);  // Ignore long stalls (background tabs)
         this.lastUpdate = now;
         this.frameCount++;
 
-        // Game tick (simulation)
-        if (!this.paused && now - this.lastTick >= this.tickInterval) {
-            this.tick();
-            this.lastTick = now;
-        }
-
-        // Update tariff system (boats, etc.)
-        if (this.tariffSystem) {
-            this.tariffSystem.update();
-        }
-
-        // Animate immigration boats and crowds at 60fps
-        if (this.immigrationSystem) {
-            this.immigrationSystem.animate();
+        // Fixed-timestep simulation: boats, crowds, officers, planes, weather
+        // and the monthly tick all advance in whole steps of FRAME_MS
+        this.accumulator += delta * this.getSpeedMultiplier();
+        let steps = 0;
+        while (this.accumulator >= FRAME_MS && steps < MAX_STEPS_PER_FRAME) {
+            this.simulation.step();
+            this.accumulator -= FRAME_MS;
+            steps++;
+
+            // Autosaves asked for during the step are taken once it has finished
+            if (this.pendingAutosave) {
+                this.autosave(this.pendingAutosave);
+                this.pendingAutosave = null;
+            }
         }
-
-        // Animate police officers
-        if (this.policeSystem) {
-            this.policeSystem.animate();
+        if (steps >= MAX_STEPS_PER_FRAME) {
+            this.accumulator = 0;  // Falling behind - drop the backlog
         }
 
-        // Update airport system (planes and tourists) at 60fps
-        if (this.airportSystem) {
-            this.airportSystem.update();
-        }
-
-        // Update weather system
-        if (this.weatherSystem) {
-            this.weatherSystem.update();
-            if (this.mobileControls) this.mobileControls.update();
-        }
+        if (this.mobileControls) this.mobileControls.update();
 
         // Render
         this.canvas.render();
@@ -477,6 +541,52 @@ export class Game {
         requestAnimationFrame(() => this.gameLoop());
     }
 
+    /**
+     * Autosave on a timer, and at moments worth going back to: when a storm
+     * starts, at the turn of the year and before an expensive demolition.
+     */
+    setupAutosave() {
+        this.pendingAutosave = null;
+        this.scheduleAutosave();
+
+        this.events.on('stormStarting', () => {
+            this.pendingAutosave = 'Storm coming';
+        });
+        this.events.on('newYear', (year) => {
+            this.pendingAutosave = `End of year ${year - 1}`;
+        });
+        // Sent between steps and before the bulldoze is logged, so this one can save right away
+        this.events.on('expensiveDemolition', ({ building }) => {
+            this.autosave(`Before demolishing ${building.name}`);
+        });
+    }
+
+    // (Re)start the autosave timer with the current interval
+    scheduleAutosave() {
+        clearInterval(this.autosaveInterval);
+        this.autosaveInterval = setInterval(() => {
+            if (!this.paused) {
+                this.autosave();
+            }
+        }, this.saveSystem.autosaveSettings.interval * 1000);
+    }
+
+    /**
+     * Write an autosave. Event autosaves (with a reason) right after another
+     * autosave are skipped - that one is recent enough to go back to.
+     */
+    autosave(reason = null) {
+        // Never overwrite the autosave ring with a bankrupt kingdom
+        if (!this.running || this.gameOver || !this.saveSystem.storage || this.commandLog.isReplaying()) return;
+        if (reason && Date.now() - this.saveSystem.lastAutosaveTime < AUTOSAVE_EVENT_GAP_MS) return;
+
+        this.saveSystem.autosave(reason).then(result => {
+            if (result.success && reason) {
+                this.showNotification(`💾 ${result.name}`);
+            }
+        });
+    }
+
     renderDevelopmentAnimations() {
         const ctx = this.canvas.ctx;
         const animations = this.developmentManager.getAnimations();
@@ -538,251 +648,153 @@ export class Game {
     }
 
     tick() {
-        // Debug tick
-        // Increment tick counter for time-based mechanics
-        this.tickCount = (this.tickCount || 0) + 1;
-        // if (this.month === 1 && this.year % 2 === 0) console.log("[TICK] Year", this.year);
-        // Advance time
-        this.month++;
-        if (this.month > 12) {
-            this.month = 1;
-            this.year++;
-            this.yearlyUpdate();
-        }
-
-        // Update development system
-        if (this.developmentManager) {
-            const devStats = this.developmentManager.update();
-            // Use development-based population for commercial/industrial
-            let totalPop = devStats.totalPopulation;
-
-            // Add residential allotment population
-            if (this.residentialManager) {
-                const resStats = this.residentialManager.update();
-                if (resStats && resStats.totalPopulation) {
-                    totalPop += resStats.totalPopulation;
-                }
-            }
-            
-            if (this.commercialManager) {
-                const comStats = this.commercialManager.update();
-                // Commercial provides jobs, not population
-            }
-            
-            if (this.industrialManager) {
-                const indStats = this.industrialManager.update();
-                // Industrial provides jobs, not population
-            }
-            
-            // Update infrastructure connectivity
-            if (this.infrastructureManager) {
-                this.infrastructureManager.update();
-            }
-            
-            // Update animations (vehicles, boats, etc.)
-            if (this.animationSystem) {
-                this.animationSystem.update();
-            }
-
-            // Residential development provides base population
-            // Police processing adds immigrants on top of this
-            this.residentialCapacity = totalPop;
+        // Advance the simulation by one month immediately (emits 'tick', which
+        // updates the UI and animations)
+        this.simulation.tick();
+        this.simulation.monthElapsed = 0;
+    }
 
-            // Population = residential capacity + processed immigrants
-            // Residential capacity: people from developed housing phases
-            // Processed immigrants: visitors captured and processed by police
-            this.population = totalPop + (this.processedImmigrants || 0);
+    // Undo the last construction, zoning or demolition step
+    undo() {
+        const entry = this.commandLog.execute('undo');
+        if (entry) {
+            this.showNotification(`Undo: ${entry.label}`);
+        } else {
+            this.showNotification('Nothing to undo', 'error');
         }
+        return entry;
+    }
 
-        // Update immigration system (people boats and crowds) - OUTSIDE developmentManager block
-        // console.log("[DEBUG] About to check immigrationSystem:", !!this.immigrationSystem);
-        if (this.immigrationSystem) {
-            this.immigrationSystem.update();
+    redo() {
+        const entry = this.commandLog.execute('redo');
+        if (entry) {
+            this.showNotification(`Redo: ${entry.label}`);
+        } else {
+            this.showNotification('Nothing to redo', 'error');
         }
+        return entry;
+    }
 
-        // Update police enforcement
-        if (this.policeSystem) {
-            this.policeSystem.update();
-        }
+    /**
+     * Download the seed and command log as a small file that rebuilds this kingdom
+     */
+    exportCommandLog() {
+        const log = this.commandLog.serialize();
+        const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+        this.downloadBlob(blob, `island-replay-${log.seed}-y${this.year}m${this.month}.json`);
+
+        console.log(`[COMMANDS] Exported ${log.commands.length} commands (seed ${log.seed})`);
+        this.showNotification(`Replay exported (${log.commands.length} actions)`);
+        return log;
+    }
 
-        // Update airport system (independent of police system)
-        if (this.airportSystem) {
-            this.airportSystem.update();
+    /**
+     * Download a save as a compressed .island file to share.
+     * Exports the running game when no slot is given.
+     */
+    async exportSave(slot = null) {
+        try {
+            const { bytes, filename, metadata } = await this.saveSystem.exportSave(slot);
+            this.downloadBlob(new Blob([bytes], { type: 'application/octet-stream' }), filename);
+            this.showNotification(`Save exported: ${metadata.name}`);
+            return true;
+        } catch (e) {
+            console.error('[SAVE] Export failed:', e);
+            this.kingTweet(`Export FAILED! ${e.message} Sad! 😢`);
+            return false;
         }
-
-        // Simulate
-        this.simulatePopulation();
-        this.simulateEconomy();
-        this.updateKingMood();
-
-        // Update UI
-        this.updateUI();
     }
 
-    simulatePopulation() {
-        // Count residential zones
-        const residentialCount = this.tileMap.countBuildings('residential');
-        this.maxPopulation = residentialCount * 25;  // Max based on fully developed zones
-
-        // Population comes from two sources:
-        // 1. Residential development (housing phases provide base population)
-        // 2. Police processing (immigrants become residents, added directly to this.population)
-        //
-        // Residential capacity is calculated each tick and represents developed housing.
-        // We sync population to residential capacity as a baseline.
-        // Police processing adds to population incrementally in PoliceSystem.update().
-        //
-        // To avoid double-counting, we track the residential base separately.
-        if (this.residentialCapacity !== undefined) {
-            // Set population to residential capacity as the base
-            // Police-processed immigrants are added on top in PoliceSystem
-            // But we need to preserve police additions, so only set if capacity > current
-            // Actually, residential capacity IS the population from housing development
-            // Police adds processed visitors on top of this
-            // So we should NOT overwrite here - let police handle additions
-            // Just update maxPopulation for reference
+    /**
+     * Import a .island file into a free slot and load it
+     */
+    async importSave(file) {
+        const result = await this.saveSystem.importSave(file);
+        if (!result.success) {
+            this.kingTweet(`Import FAILED! ${result.error} Sad! 😢`);
+            return result;
         }
+        await this.load(result.slot);
+        return result;
+    }
 
-        // Random king comments about population
-        if (Math.random() < 0.05) {
-            if (this.population > 100) {
-                this.kingTweet("Look at all these people! They LOVE me! 👥❤️");
-            } else if (this.population < 20 && residentialCount > 0) {
-                this.kingTweet("We need more people! Where is everyone?! 😤");
-            }
-        }
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
-    simulateEconomy() {
-        // Calculate income
-        const commercialCount = this.tileMap.countBuildings('commercial');
-        const industrialCount = this.tileMap.countBuildings('industrial');
-        const portCount = this.tileMap.countBuildings('port');
-
-        // Tax income from population
-        const taxIncome = Math.floor(this.population * (this.taxRate / 100) * 2);
-
-        // Commercial income (based on development level)
-        let commercialIncome = commercialCount * 5;
-        if (this.developmentManager) {
-            for (const dev of this.developmentManager.development.values()) {
-                if (dev.type === 'commercial') {
-                    commercialIncome += dev.level * 3;
-                }
-            }
-        }
+    // Current number of simulation steps per real frame (0 when paused)
+    getSpeedMultiplier() {
+        if (this.paused || this.gameOver) return 0;
+        return GAME_SPEEDS[this.speed]?.multiplier || 1;
+    }
 
-        // Industrial income
-        let industrialIncome = industrialCount * 3;
-        if (this.developmentManager) {
-            for (const dev of this.developmentManager.development.values()) {
-                if (dev.type === 'industrial') {
-                    industrialIncome += dev.level * 4;
-                }
-            }
+    /**
+     * Change game speed. 'pause' pauses; any key of GAME_SPEEDS resumes at that speed.
+     */
+    setSpeed(speed) {
+        if (speed === 'pause') {
+            this.paused = true;
+        } else if (GAME_SPEEDS[speed]) {
+            this.speed = speed;
+            this.paused = false;
+        } else {
+            return;
         }
 
-        // Tariff income from ports
-        const baseTariffIncome = portCount * 10;
-        const tariffSystemRevenue = this.tariffSystem ? Math.floor(this.tariffSystem.stats.monthlyRevenue / 12) : 0;
-        const tariffIncome = baseTariffIncome + tariffSystemRevenue;
-
-        // Monument income (tourism)
-        const statueCount = this.tileMap.countBuildings('statue');
-        const towerCount = this.tileMap.countBuildings('tower');
-        const tourismIncome = (statueCount * 5) + (towerCount * 50);
-
-        this.monthlyIncome = taxIncome + commercialIncome + industrialIncome + tariffIncome + tourismIncome;
-
-        // Calculate expenses
-        const roadCount = this.tileMap.countBuildings('road');
-        const golfCount = this.tileMap.countBuildings('golfCourse');
-
-        const roadMaintenance = roadCount * 1;
-        const golfMaintenance = golfCount * 20;
-        const generalExpenses = Math.floor(this.population * 0.5);
-        const visitorWelfare = Math.floor(this.visitors * 0.5);  // $0.50 per visitor per month
-
-        this.monthlyExpenses = roadMaintenance + golfMaintenance + generalExpenses + visitorWelfare;
+        this.updateSpeedUI();
+        this.events.emit('speedChanged', { speed: this.speed, paused: this.paused });
+    }
 
-        // Apply to treasury
-        const netIncome = this.monthlyIncome - this.monthlyExpenses;
-        this.treasury += netIncome;
+    togglePause() {
+        this.setSpeed(this.paused ? this.speed : 'pause');
+        this.kingTweet(this.paused ? "PAUSED! Time to think! ⏸️" : "Let's GO! ▶️");
+        return this.paused;
+    }
 
-        // Play income sound if positive income
-        if (netIncome > 0 && this.soundSystem) {
-            this.soundSystem.onIncome();
-        }
+    // Step through the speeds in order (+1 faster, -1 slower)
+    cycleSpeed(direction = 1) {
+        const speeds = Object.keys(GAME_SPEEDS);
+        const index = speeds.indexOf(this.speed) + direction;
+        this.setSpeed(speeds[Math.max(0, Math.min(speeds.length - 1, index))]);
+    }
 
-        // Emit treasury change
-        this.events.emit('treasuryChanged', this.treasury);
+    updateSpeedUI() {
+        document.querySelectorAll('#speed-controls .speed-btn').forEach(btn => {
+            const active = this.paused ? btn.dataset.speed === 'pause' : btn.dataset.speed === this.speed;
+            btn.classList.toggle('active', active);
+        });
 
-        // King comments on money
-        if (Math.random() < 0.03) {
-            if (netIncome > 100) {
-                this.kingTweet("Money money money! We're getting RICH! 💰💰💰");
-            } else if (netIncome < -50) {
-                this.kingTweet("We're losing money! This is a DISASTER! 😱");
-            }
-            if (this.tariffRate > 20 && portCount > 0) {
-                this.kingTweet(`TARIFFS at ${this.tariffRate}%! Those boats will PAY! 🚢💵`);
-            }
+        if (this.mobileControls) {
+            this.mobileControls.updateSpeedButtons();
         }
     }
 
-    updateKingMood() {
-        // King mood based on ego and treasury
-        let moodScore = 50;
+    setupSpeedControls() {
+        const container = document.getElementById('speed-controls');
+        if (!container) return;
 
-        // Ego contribution
-        moodScore += (this.kingEgo - 50) * 0.5;
+        const buttons = [{ speed: 'pause', label: '⏸' }]
+            .concat(Object.entries(GAME_SPEEDS).map(([speed, cfg]) => ({ speed, label: cfg.label })));
 
-        // Treasury contribution
-        if (this.treasury > 20000) moodScore += 20;
-        else if (this.treasury > 10000) moodScore += 10;
-        else if (this.treasury < 1000) moodScore -= 30;
-        else if (this.treasury < 5000) moodScore -= 15;
+        container.innerHTML = buttons.map(b =>
+            `<button class="speed-btn" data-speed="${b.speed}" title="${b.speed === 'pause' ? 'Pause (P)' : 'Speed ' + b.label}">${b.label}</button>`
+        ).join('');
 
-        // Population contribution
-        if (this.population > 200) moodScore += 15;
-        else if (this.population < 50) moodScore -= 10;
-
-        // Store numeric mood for development system
-        this.kingMood = Math.max(0, Math.min(100, moodScore));
-
-        // Determine mood text
-        if (moodScore >= 70) this.kingMoodText = 'happy';
-        else if (moodScore >= 40) this.kingMoodText = 'neutral';
-        else if (moodScore >= 20) this.kingMoodText = 'angry';
-        else this.kingMoodText = 'furious';
-    }
-
-    yearlyUpdate() {
-        // Annual events
-        this.kingTweet(`Year ${this.year}! Another TREMENDOUS year for the kingdom! 🎉`);
-
-        // Decay king ego slightly
-        this.kingEgo = Math.max(0, this.kingEgo - 5);
-
-        // Random events
-        if (Math.random() < 0.2) {
-            this.randomEvent();
-        }
-    }
+        container.querySelectorAll('.speed-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setSpeed(btn.dataset.speed);
+            });
+        });
 
-    randomEvent() {
-        const events = [
-            { msg: "A trade ship arrived with HUGE tariffs! +$500 💰", effect: () => this.treasury += 500 },
-            { msg: "Tourists came to see my beautiful statues! +$300 📸", effect: () => this.treasury += 300 },
-            { msg: "Storm damaged some roads! -$200 🌧️", effect: () => this.treasury -= 200 },
-            { msg: "The people threw a parade for ME! Ego +10 🎊", effect: () => this.kingEgo = Math.min(100, this.kingEgo + 10) },
-            { msg: "New businesses are BOOMING! Commercial growth! 📈", effect: () => {} },
-            { msg: "Factories working overtime! Industrial POWER! 🏭", effect: () => {} },
-        ];
-
-        const event = events[Math.floor(Math.random() * events.length)];
-        event.effect();
-        this.kingTweet(event.msg);
+        this.updateSpeedUI();
     }
 
     updateUI() {
@@ -841,17 +853,20 @@ export class Game {
             furious: '🤬'
         };
         document.getElementById('king-mood').textContent = moodEmojis[this.kingMoodText] || '👑';
+
+        // R/C/I demand
+        this.demandMeter?.update();
     }
 
     // Save game using SaveSystem with multiple slots
-    save(slot = null) {
+    async save(slot = null, saveName = null) {
         // console.log('[SAVE] Save requested, slot:', slot);
         if (this.saveSystem) {
             try {
-                const result = this.saveSystem.saveGame(slot);
+                const result = await this.saveSystem.saveGame(slot, saveName);
                 // console.log('[SAVE] Result:', result);
                 if (result.success) {
-                    this.kingTweet(`Game SAVED to slot ${result.slot}! The best save ever! 💾`);
+                    this.kingTweet(`Game SAVED as "${result.name}"! The best save ever! 💾`);
                 } else {
                     console.error('[SAVE] Save failed:', result.error);
                     this.kingTweet("Save FAILED! Sad! 😢");
@@ -867,14 +882,74 @@ export class Game {
         return { success: false, error: 'No save system' };
     }
 
+    /**
+     * "The kingdom is bankrupt" screen. The simulation stops until a save is
+     * loaded or a new kingdom is started.
+     */
+    showGameOver() {
+        this.gameOver = true;
+        if (document.getElementById('game-over-overlay')) return;
+
+        const finance = this.financeSystem;
+        const overlay = document.createElement('div');
+        overlay.id = 'game-over-overlay';
+        overlay.style.cssText = `
+            position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(0,0,0,0.85); display: flex; justify-content: center;
+            align-items: center; z-index: 9999;
+        `;
+        overlay.innerHTML = `
+            <div style="background: rgba(30,30,50,0.95); border-radius: 15px; padding: 30px;
+                        max-width: 420px; text-align: center; color: white;
+                        border: 2px solid #e94560;">
+                <div style="font-size: 64px;">💸</div>
+                <h2 style="margin: 10px 0; color: #e94560;">THE KINGDOM IS BANKRUPT</h2>
+                <p style="color: #aaa;">
+                    The treasury was empty for ${finance.monthsInsolvent} months in a row.
+                    The creditors have seized the crown.
+                </p>
+                <p style="color: #aaa;">
+                    Year ${this.year}, Month ${this.month} ·
+                    Debts: $${finance.getTotalDebt().toLocaleString()} ·
+                    Treasury: $${this.treasury.toLocaleString()}
+                </p>
+                <div style="display: flex; gap: 10px; justify-content: center; margin-top: 20px;">
+                    <button id="game-over-load" class="tariff-btn">📂 Load Save</button>
+                    <button id="game-over-new" class="tariff-btn danger">👑 New Kingdom</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        overlay.querySelector('#game-over-load').addEventListener('click', () => this.load());
+        overlay.querySelector('#game-over-new').addEventListener('click', () => location.reload());
+    }
+
+    // After a load: clear the game over screen, or show it for a bankrupt save
+    syncGameOver() {
+        if (this.financeSystem?.bankrupt) {
+            this.showGameOver();
+            return;
+        }
+        this.gameOver = false;
+        document.getElementById('game-over-overlay')?.remove();
+    }
+
+    // Ask for a save name, then save to a new slot
+    promptSave() {
+        const name = prompt('Name this save:', `Year ${this.year}, Month ${this.month}`);
+        if (name === null) return;  // Cancelled
+        this.save(null, name.trim() || null);
+    }
+
     // Load game - shows slot selection dialog
-    load(slot = null) {
+    async load(slot = null) {
         if (!this.saveSystem) {
             this.kingTweet("No save system! Sad! 😢");
             return false;
         }
 
-        const savedGames = this.saveSystem.getSavedGames();
+        const savedGames = await this.saveSystem.getSavedGames();
         if (savedGames.length === 0) {
             this.kingTweet("No saves found! Sad! 😢");
             return false;
@@ -882,13 +957,14 @@ export class Game {
 
         // If slot specified, load directly
         if (slot !== null) {
-            const result = this.saveSystem.loadGame(slot);
-            if (result) {
+            const result = await this.saveSystem.loadGame(slot);
+            if (result.success) {
+                this.syncGameOver();
                 this.kingTweet("Game LOADED! We're BACK! 🎮");
             } else {
-                this.kingTweet("Load FAILED! Sad! 😢");
+                this.kingTweet(`Load FAILED! ${result.error} Sad! 😢`);
             }
-            return result;
+            return result.success;
         }
 
         // Otherwise show slot selection dialog
@@ -896,8 +972,12 @@ export class Game {
         return true;
     }
 
-    // Show load dialog for slot selection
-    showLoadDialog(savedGames) {
+    // Show load dialog for slot selection, with save file export/import
+    async showLoadDialog(savedGames = null) {
+        if (!savedGames) {
+            savedGames = await this.saveSystem.getSavedGames();
+        }
+
         // Create modal overlay
         const overlay = document.createElement('div');
         overlay.id = 'load-dialog-overlay';
@@ -917,6 +997,17 @@ export class Game {
         dialog.innerHTML = `
             <h2 style="margin: 0 0 20px 0; text-align: center;">📂 Load Game</h2>
             <div id="load-slot-list" style="display: flex; flex-direction: column; gap: 10px;"></div>
+            <div style="display: flex; gap: 10px; margin-top: 15px;">
+                <button id="load-export-current" style="
+                    flex: 1; padding: 10px; background: #1976D2; color: white;
+                    border: none; border-radius: 5px; cursor: pointer; font-size: 14px;
+                ">📤 Export Current Game</button>
+                <button id="load-import" style="
+                    flex: 1; padding: 10px; background: #7E57C2; color: white;
+                    border: none; border-radius: 5px; cursor: pointer; font-size: 14px;
+                ">📥 Import Save</button>
+            </div>
+            <input type="file" id="load-import-input" accept=".island" style="display: none;">
             <button id="load-cancel" style="
                 margin-top: 15px; padding: 10px 20px; background: #757575;
                 color: white; border: none; border-radius: 5px; cursor: pointer;
@@ -938,16 +1029,38 @@ export class Game {
                 display: flex; justify-content: space-between; align-items: center; cursor: pointer;
             `;
             item.innerHTML = `
-                <div>
-                    <div style="font-weight: bold;">${save.name}</div>
+                ${save.thumbnail ? `
+                <img src="${save.thumbnail}" alt="" style="
+                    width: 64px; height: 64px; margin-right: 12px; border-radius: 6px;
+                    image-rendering: pixelated; flex-shrink: 0;
+                ">
+                ` : ''}
+                <div style="flex: 1;">
+                    <div class="load-slot-name" style="font-weight: bold;">${save.autosave ? `
+                        <span style="margin-left: 6px; padding: 1px 6px; border-radius: 4px; background: #607D8B; font-size: 11px;">AUTO</span>
+                    ` : ''}</div>
+                    ${save.corrupt ? `
+                    <div style="font-size: 14px; color: #ff8a80;">⚠️ This save is damaged and can't be loaded</div>
+                    ` : `
                     <div style="font-size: 14px; opacity: 0.8;">👥 ${save.population} | 💰 $${save.treasury}</div>
                     <div style="font-size: 12px; opacity: 0.5;">Year ${save.year}, Month ${save.month} • ${dateStr}</div>
+                    `}
+                </div>
+                ${save.corrupt ? '' : `
+                <div style="display: flex; gap: 6px;">
+                    <button class="export-btn" data-slot="${save.slot}" title="Export to file" style="
+                        background: #1976D2; color: white; border: none; border-radius: 5px;
+                        padding: 8px 10px; cursor: pointer;
+                    ">📤</button>
+                    <button class="load-btn" data-slot="${save.slot}" style="
+                        background: #4CAF50; color: white; border: none; border-radius: 5px;
+                        padding: 8px 15px; cursor: pointer;
+                    ">▶️ Load</button>
                 </div>
-                <button class="load-btn" data-slot="${save.slot}" style="
-                    background: #4CAF50; color: white; border: none; border-radius: 5px;
-                    padding: 8px 15px; cursor: pointer;
-                ">▶️ Load</button>
+                `}
             `;
+            // Imported saves name themselves: add the name as text so it can't inject markup
+            item.querySelector('.load-slot-name').prepend(save.name);
             list.appendChild(item);
         });
 
@@ -960,6 +1073,28 @@ export class Game {
             });
         });
 
+        list.querySelectorAll('.export-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.exportSave(parseInt(e.target.dataset.slot));
+            });
+        });
+
+        dialog.querySelector('#load-export-current').addEventListener('click', () => {
+            this.exportSave();
+        });
+
+        const importInput = dialog.querySelector('#load-import-input');
+        dialog.querySelector('#load-import').addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            const result = await this.importSave(file);
+            if (result.success) overlay.remove();
+        });
+
         dialog.querySelector('#load-cancel').addEventListener('click', () => {
             overlay.remove();
         });
@@ -1000,7 +1135,7 @@ export class Game {
             if ((e.ctrlKey || e.metaKey) && (e.key === 's' || e.key === 'S')) {
                 e.preventDefault(); // Prevent browser save dialog
                 // console.log('[KEYBOARD] Ctrl+S pressed - saving game');
-                this.save();
+                this.promptSave();
                 return;
             }
 
@@ -1012,18 +1147,115 @@ export class Game {
                 return;
             }
 
+            // B for budget
+            if (e.key === 'b' || e.key === 'B') {
+                if (!e.ctrlKey && !e.metaKey) {
+                    this.budgetUI.toggle();
+                }
+                return;
+            }
+
             // T for tariff UI
             if (e.key === 't' || e.key === 'T') {
                 if (!e.ctrlKey && !e.metaKey) {
                     this.tariffUI.toggle();
                 }
+                return;
+            }
+
+            // O for map overlays
+            if (e.key === 'o' || e.key === 'O') {
+                if (!e.ctrlKey && !e.metaKey) {
+                    this.mapOverlay.cycle();
+                }
+            }
+        });
+    }
+
+    // Map overlays the O key cycles through
+    setupOverlays() {
+        this.mapOverlay.register('landValue', {
+            label: 'Land Value',
+            icon: '💎',
+            low: 'Cheap',
+            high: 'Prime',
+            getValue: (x, y) => {
+                const terrain = this.tileMap.getTerrainAt(x, y);
+                if (terrain === TERRAIN.WATER || terrain === TERRAIN.DEEP_WATER) return null;
+                return this.landValueSystem.getValueAt(x, y) / MAX_LAND_VALUE;
+            },
+            getSummary: () => `Island average: ${this.landValueSystem.getAverageValue()} / ${MAX_LAND_VALUE}`
+        });
+
+        // Drawn as safety so the red spots are the ones that need police
+        this.mapOverlay.register('crime', {
+            label: 'Crime',
+            icon: '🚨',
+            low: 'Dangerous',
+            high: 'Safe',
+            getValue: (x, y) => {
+                const terrain = this.tileMap.getTerrainAt(x, y);
+                if (terrain === TERRAIN.WATER || terrain === TERRAIN.DEEP_WATER) return null;
+                return 1 - this.crimeSystem.getCrimeAt(x, y) / MAX_CRIME;
+            },
+            getSummary: () => {
+                const { lastYear } = this.policeSystem.getStats().crime;
+                const average = `Average crime: ${Math.round(this.crimeSystem.getAverageRate())} / ${MAX_CRIME}`;
+                return lastYear ? `${average} - ${lastYear.year}: ${lastYear.solved}/${lastYear.reported} robberies solved` : average;
             }
         });
+
+        this.mapOverlay.register('pollution', {
+            label: 'Pollution',
+            icon: '🏭',
+            low: 'Smoggy',
+            high: 'Clean',
+            getValue: (x, y) => {
+                const terrain = this.tileMap.getTerrainAt(x, y);
+                if (terrain === TERRAIN.WATER || terrain === TERRAIN.DEEP_WATER) return null;
+                return 1 - this.tileMap.getTile(x, y).pollution / MAX_POLLUTION;
+            },
+            getSummary: () => `Land average: ${Math.round(this.pollutionSystem.getAverageLandPollution())} - residents' health: ${Math.round(this.pollutionSystem.getAverageHealth())} / ${MAX_HEALTH}`
+        });
+
+        for (const [service, { label, icon }] of Object.entries(SERVICE_COVERAGE)) {
+            this.mapOverlay.register(service, {
+                label: `${label} Coverage`,
+                icon,
+                low: 'None',
+                high: 'Full',
+                getValue: (x, y) => {
+                    const terrain = this.tileMap.getTerrainAt(x, y);
+                    if (terrain === TERRAIN.WATER || terrain === TERRAIN.DEEP_WATER) return null;
+                    return this.serviceCoverage.getCoverageAt(service, x, y);
+                },
+                getSummary: () => `${Math.round(this.serviceCoverage.getCoveredShare(service) * 100)}% of developed lots covered`
+            });
+        }
+    }
+
+    // Add a panel button next to the toolbar categories
+    addToolbarButton(className, icon, label, title, onClick) {
+        const toolbar = document.querySelector('#toolbar');
+        if (!toolbar) return;
+
+        const btn = document.createElement('button');
+        btn.className = `toolbar-btn ${className}`;
+        btn.innerHTML = `${icon}<br><small>${label}</small>`;
+        btn.title = title;
+        btn.addEventListener('click', onClick);
+
+        const categoryBtns = toolbar.querySelector('.toolbar-categories');
+        if (categoryBtns) {
+            categoryBtns.appendChild(btn);
+        } else {
+            toolbar.appendChild(btn);
+        }
     }
 
     // Get map reference for tariff system
     get map() {
-        return this.tileMap;
+        return this.simulation.tileMap;
     }
 
     // Debug helper - call from console: game.debugTile(x, y)
@@ -1060,3 +1292,17 @@ export class Game {
         }
     }
 }
+
+// Expose simulation state and systems as game properties so the UI,
+// ToolManager and SaveSystem can keep reading and writing game.treasury etc.
+for (const key of SIMULATION_PROPERTIES) {
+    Object.defineProperty(Game.prototype, key, {
+        get() {
+            return this.simulation[key];
+        },
+        set(value) {
+            this.simulation[key] = value;
+        },
+        configurable: true
+    });
+}
@@ -0,0 +1,687 @@
+// Simulation.js - Headless simulation core for Island Kingdom
+// Owns the map, the zone managers, the economy and the gameplay systems.
+// Everything is published through the EventEmitter - nothing here touches
+// the DOM, so the kingdom can also be run under Node for balancing:
+//
+//   const sim = new Simulation({ seed: 12345 });
+//   sim.init();
+//   sim.events.on('tick', (state) => console.log(state));
+//   sim.advance(120);  // ten years
+//
+// Player actions are sent through sim.commandLog.execute() so they can be
+// recorded and replayed (see CommandLog.js).
+import { EventEmitter } from './EventEmitter.js';
+import { Random } from '../utils/Random.js';
+import { IslandGenerator } from '../map/IslandGenerator.js';
+import { BUILDINGS } from '../buildings/Buildings.js';
+import { TariffSystem } from '../economy/TariffSystem.js';
+import { PortInventory } from '../economy/PortInventory.js';
+import { ExportSystem } from '../economy/ExportSystem.js';
+import { BudgetLedger } from '../economy/BudgetLedger.js';
+import { FinanceSystem } from '../economy/FinanceSystem.js';
+import { MAX_FUNDING, createServiceFunding, createShutDownFunding, calculateUpkeep } from '../economy/Upkeep.js';
+import { TAX_ZONES, MAX_TAX_RATE, BASE_TAX_RATE, createTaxRates } from '../economy/Taxes.js';
+import { DevelopmentManager } from '../simulation/Development.js';
+import { ResidentialAllotmentManager } from '../simulation/ResidentialAllotment.js';
+import { CommercialAllotmentManager } from '../simulation/CommercialAllotment.js';
+import { IndustrialAllotmentManager } from '../simulation/IndustrialAllotment.js';
+import { ServiceCoverageSystem } from '../simulation/ServiceCoverage.js';
+import { CrimeSystem } from '../simulation/Crime.js';
+import { PollutionSystem } from '../simulation/Pollution.js';
+import { LandValueSystem } from '../simulation/LandValue.js';
+import { DemandSystem } from '../simulation/Demand.js';
+import { EmploymentSystem } from '../simulation/Employment.js';
+import { InfrastructureManager } from '../systems/InfrastructureManager.js';
+import { ImmigrationSystem } from '../systems/ImmigrationSystem.js';
+import { PoliceSystem } from '../systems/PoliceSystem.js';
+import { FireSystem } from '../systems/FireSystem.js';
+import { AirportSystem } from '../systems/AirportSystem.js?v=223';
+import { WeatherSystem } from '../systems/WeatherSystem.js';
+import { ResourceSystem } from '../systems/ResourceSystem.js';
+import { CommandHistory } from './CommandHistory.js';
+import { CommandLog } from './CommandLog.js';
+
+// Length of one fixed simulation step - one frame at 60fps
+export const FRAME_MS = 1000 / 60;
+
+export class Simulation {
+    constructor(options = {}) {
+        this.events = options.events || new EventEmitter();
+
+        // Seeded randomness - the same seed and the same player inputs always
+        // give the same kingdom. Gameplay code draws from `random`; purely visual
+        // effects (vehicles, smoke, rain, tweet wording) draw from `cosmeticRandom`
+        // so rendering never shifts the gameplay sequence.
+        this.seed = options.seed ?? Date.now();
+        this.random = new Random(this.seed);
+        this.cosmeticRandom = this.random.derive(1);
+
+        // Kingdom state
+        this.treasury = 10000;
+        this.population = 0;
+        this.maxPopulation = 0;
+        this.residentialCapacity = 0;
+        this.visitors = 0;  // Immigrants who landed but haven't integrated
+        this.tourists = 0;  // Current tourists on the island
+        this.processedImmigrants = 0;  // Immigrants processed by police into residents
+
+        this.month = 1;
+        this.year = 1;
+        this.tickCount = 0;
+        this.kingMood = 50;  // 0-100 numeric for development system
+        this.kingMoodText = 'happy';  // happy, neutral, angry, furious
+        this.kingEgo = 50;  // 0-100
+
+        // Economy
+        this.taxRates = createTaxRates();  // percent, per zone type
+        this.serviceFunding = createServiceFunding();  // percent of upkeep paid, per service building
+        this.tariffRate = 25;  // percent on imports
+        this.monthlyIncome = 0;
+        this.monthlyExpenses = 0;
+
+        // Map
+        this.tileMap = null;
+        this.mapWidth = options.width || 128;
+        this.mapHeight = options.height || 128;
+
+        // Length of one month at 1x speed, used to pace boats between islands
+        this.tickInterval = 25000;
+        this.monthElapsed = 0;  // Simulated ms since the last monthly tick
+        this.stepCount = 0;  // Fixed steps since the kingdom was founded (commands are stamped with it)
+
+        // Systems (created in init)
+        this.developmentManager = null;
+        this.residentialManager = null;
+        this.commercialManager = null;
+        this.industrialManager = null;
+        this.serviceCoverage = null;
+        this.crimeSystem = null;
+        this.pollutionSystem = null;
+        this.landValueSystem = null;
+        this.demandSystem = null;
+        this.employmentSystem = null;
+        this.infrastructureManager = null;
+        this.immigrationSystem = null;
+        this.policeSystem = null;
+        this.fireSystem = null;
+        this.airportSystem = null;
+        this.tariffSystem = null;
+        this.portInventory = null;
+        this.exportSystem = null;
+        this.weatherSystem = null;
+        this.resourceSystem = null;
+        this.budgetLedger = null;
+        this.financeSystem = null;
+        this.commandHistory = null;
+        this.commandLog = new CommandLog(this);
+
+        // Optional hooks supplied by the browser front-end
+        this.soundSystem = null;
+        this.debugShowBoatTargets = false;
+    }
+
+    init() {
+        // Generate island from its own stream of the seed
+        const generator = new IslandGenerator(this.mapWidth, this.mapHeight, this.random.derive(2));
+        this.tileMap = generator.generate();
+        this.tileMap.seed = this.seed;
+
+        // Zone managers
+        this.developmentManager = new DevelopmentManager(this);
+        this.residentialManager = new ResidentialAllotmentManager(this);
+        this.commercialManager = new CommercialAllotmentManager(this);
+        this.industrialManager = new IndustrialAllotmentManager(this);
+        this.infrastructureManager = new InfrastructureManager(this);
+
+        // Gameplay systems
+        this.immigrationSystem = new ImmigrationSystem(this);
+        this.policeSystem = new PoliceSystem(this);
+        this.fireSystem = new FireSystem(this);
+        this.airportSystem = new AirportSystem(this);
+        this.tariffSystem = new TariffSystem(this);
+        this.portInventory = new PortInventory(this);
+        this.exportSystem = new ExportSystem(this);
+        this.weatherSystem = new WeatherSystem(this);
+        this.resourceSystem = new ResourceSystem(this);
+
+        // Month-by-month income and expense lines
+        this.budgetLedger = new BudgetLedger(this);
+
+        // Loans, bonds and what happens when the money runs out
+        this.financeSystem = new FinanceSystem(this);
+
+        // How far police, fire, hospitals and schools reach along the roads
+        this.serviceCoverage = new ServiceCoverageSystem(this);
+        this.serviceCoverage.update();
+
+        // Crime on every tile (before land value, which it drags down)
+        this.crimeSystem = new CrimeSystem(this);
+        this.crimeSystem.calculateRates();
+
+        // Smoke from plants and factories, blown about by the weather
+        this.pollutionSystem = new PollutionSystem(this);
+
+        // What the land is worth - caps how high zones build and sets property tax
+        this.landValueSystem = new LandValueSystem(this);
+        this.landValueSystem.update();
+
+        // Who works where, and how far they drive
+        this.employmentSystem = new EmploymentSystem(this);
+
+        // R/C/I demand - how much each zone type wants to grow
+        this.demandSystem = new DemandSystem(this);
+        this.demandSystem.update();
+
+        // Undo/redo for player edits
+        this.commandHistory = new CommandHistory(this);
+
+        this.setupEvents();
+        this.setupCommands();
+    }
+
+    // Player actions owned by the simulation (placement is registered by ToolManager)
+    setupCommands() {
+        const log = this.commandLog;
+        log.register('undo', () => this.commandHistory.undo());
+        log.register('redo', () => this.commandHistory.redo());
+        log.register('beginGroup', (data) => this.commandHistory.begin(data.label));
+        log.register('endGroup', () => this.commandHistory.end());
+        log.register('setTariff', (data) => this.tariffSystem.setTariffRate(data.cargo, data.rate));
+        log.register('setGlobalTariff', (data) => this.tariffSystem.setGlobalTariff(data.rate));
+        log.register('signTradeDeal', (data) => this.tariffSystem.signTradeDeal(data.partner));
+        log.register('setEmbargo', (data) => this.tariffSystem.setEmbargo(data.partner, data.active));
+        log.register('setTaxRate', (data) => this.setTaxRate(data.rate, data.zone));
+        log.register('setServiceFunding', (data) => this.setServiceFunding(data.service, data.level));
+        log.register('takeLoan', (data) => this.financeSystem.takeLoan(data.amount, data.months));
+        log.register('issueBond', (data) => this.financeSystem.issueBond(data.amount));
+        log.register('repayLoan', (data) => this.financeSystem.repayLoan(data.id));
+        log.register('adminSettings', (data) => this.applySettings(data));
+        log.register('setBalance', (data) => { this.treasury = data.amount; });
+    }
+
+    /**
+     * Set one zone's tax rate, or all of them when no zone is given
+     */
+    setTaxRate(rate, zone = null) {
+        rate = Math.max(0, Math.min(MAX_TAX_RATE, rate));
+        const zones = zone ? [zone] : TAX_ZONES;
+        for (const z of zones) {
+            if (z in this.taxRates) this.taxRates[z] = rate;
+        }
+        this.events.emit('taxRateChanged', { ...this.taxRates });
+
+        if (rate >= 30) {
+            this.kingTweet(`${rate}% ${zone ? `${zone} ` : ''}TAXES! The crown needs the money! 👑💰`);
+        }
+    }
+
+    /**
+     * Set how much of a service's upkeep is paid (0-100%). Underfunded
+     * services work less well - see getServiceEffectiveness().
+     */
+    setServiceFunding(service, level) {
+        if (!(service in this.serviceFunding)) return;
+        level = Math.max(0, Math.min(MAX_FUNDING, level));
+        this.serviceFunding[service] = level;
+        this.events.emit('serviceFundingChanged', { ...this.serviceFunding });
+
+        if (level < 50) {
+            this.kingTweet(`${BUILDINGS[service].name} funding CUT to ${level}%! Who needs it anyway?! ✂️💰`);
+        }
+    }
+
+    /**
+     * How well a service works, 0 to 1: its funding level, or nothing at all
+     * while the kingdom is too broke to pay anyone
+     */
+    getServiceEffectiveness(service) {
+        if (this.financeSystem?.servicesShutDown) return 0;
+        return (this.serviceFunding[service] ?? MAX_FUNDING) / 100;
+    }
+
+    /**
+     * Tuning values from the admin panel (month length and immigration)
+     */
+    applySettings(settings) {
+        if (settings.tickInterval) {
+            this.tickInterval = settings.tickInterval;
+        }
+        if (this.immigrationSystem) {
+            const immigration = this.immigrationSystem;
+            if (settings.spawnInterval !== undefined) immigration.spawnInterval = settings.spawnInterval;
+            if (settings.spawnChance !== undefined) immigration.spawnChance = settings.spawnChance;
+            if (settings.boatTravelMonths !== undefined) immigration.boatTravelMonths = settings.boatTravelMonths;
+            if (settings.crowdSpeed !== undefined) immigration.crowdSpeed = settings.crowdSpeed;
+        }
+    }
+
+    setupEvents() {
+        this.events.on('buildingPlaced', (data) => {
+            const buildingType = data.building?.id || data.building;
+
+            // Residential uses the 3x3 allotment system (created by ToolManager),
+            // commercial and industrial are also tracked by the old development system
+            if (buildingType === 'commercial' || buildingType === 'industrial') {
+                this.developmentManager.initZone(data.tileX, data.tileY, buildingType);
+            }
+        });
+
+        this.events.on('buildingDemolished', (data) => {
+            // Remove zone tracking
+            this.developmentManager.removeZone(data.tileX, data.tileY);
+        });
+    }
+
+    // Get map reference for tariff system
+    get map() {
+        return this.tileMap;
+    }
+
+    // King tweets are published - the front-end decides how to show them
+    kingTweet(message) {
+        this.events.emit('kingTweet', message);
+    }
+
+    // Alias for tariff system compatibility
+    showKingTweet(message) {
+        this.kingTweet(message);
+    }
+
+    /**
+     * Per-frame update: boats, crowds, officers, fires, planes and weather
+     * @param {number} deltaTime - Elapsed time in 60 Hz frames
+     */
+    animate(deltaTime = 1) {
+        // Update tariff system (boats, etc.)
+        if (this.tariffSystem) {
+            this.tariffSystem.update(deltaTime);
+        }
+
+        // Animate immigration boats and crowds
+        if (this.immigrationSystem) {
+            this.immigrationSystem.animate(deltaTime);
+        }
+
+        // Animate police officers
+        if (this.policeSystem) {
+            this.policeSystem.animate(deltaTime);
+        }
+
+        // Burn, spread and douse fires
+        if (this.fireSystem) {
+            this.fireSystem.animate(deltaTime);
+        }
+
+        // Update airport system (planes and tourists)
+        if (this.airportSystem) {
+            this.airportSystem.update(deltaTime);
+        }
+
+        // Update weather (clouds, rain, storms, flooding)
+        if (this.weatherSystem) {
+            this.weatherSystem.update(deltaTime);
+        }
+    }
+
+    /**
+     * One fixed step of the simulation clock. Animates a single frame and
+     * runs the monthly tick once a month's worth of steps has elapsed.
+     * Game speed is applied by taking more or fewer steps, never bigger ones.
+     */
+    step() {
+        // Replayed player actions happen at the step they were recorded on
+        this.commandLog.runDue();
+
+        this.animate(1);
+        this.stepCount++;
+
+        this.monthElapsed += FRAME_MS;
+        if (this.monthElapsed >= this.tickInterval) {
+            this.monthElapsed -= this.tickInterval;
+            this.tick();
+        }
+    }
+
+    /**
+     * Monthly update: zones, economy and king mood. Emits 'tick' with getState()
+     */
+    tick() {
+        // Increment tick counter for time-based mechanics
+        this.tickCount++;
+
+        // Last month's edits can no longer be undone
+        this.commandHistory?.expire();
+
+        // Advance time
+        this.month++;
+        if (this.month > 12) {
+            this.month = 1;
+            this.year++;
+            this.yearlyUpdate();
+        }
+
+        // Update development system
+        if (this.developmentManager) {
+            const devStats = this.developmentManager.update();
+            // Use development-based population for commercial/industrial
+            let totalPop = devStats.totalPopulation;
+
+            // Add residential allotment population
+            if (this.residentialManager) {
+                const resStats = this.residentialManager.update();
+                if (resStats && resStats.totalPopulation) {
+                    totalPop += resStats.totalPopulation;
+                }
+            }
+
+            // Commercial and industrial provide jobs, not population
+            if (this.commercialManager) {
+                this.commercialManager.update();
+            }
+
+            if (this.industrialManager) {
+                this.industrialManager.update();
+            }
+
+            // Update infrastructure connectivity
+            if (this.infrastructureManager) {
+                this.infrastructureManager.update();
+            }
+
+            // Population = residential capacity + processed immigrants
+            // Residential capacity: people from developed housing phases
+            // Processed immigrants: visitors captured and processed by police
+            this.residentialCapacity = totalPop;
+            this.population = totalPop + (this.processedImmigrants || 0);
+        }
+
+        // Update immigration system (people boats and crowds)
+        if (this.immigrationSystem) {
+            this.immigrationSystem.update();
+        }
+
+        // Update police enforcement
+        if (this.policeSystem) {
+            this.policeSystem.update();
+        }
+
+        // Factories and power plants may catch fire
+        if (this.fireSystem) {
+            this.fireSystem.update();
+        }
+
+        // Simulate
+        this.simulatePopulation();
+        this.employmentSystem.update();
+        this.financeSystem.payDebts();
+        this.resourceSystem.update();
+        this.portInventory.update();
+        this.tariffSystem.updatePartners();
+        this.exportSystem.update();
+        this.serviceCoverage.update();
+        this.crimeSystem.update();
+        this.pollutionSystem.update();
+        this.landValueSystem.update();
+        this.demandSystem.update();
+        this.simulateEconomy();
+        this.financeSystem.checkSolvency();
+        this.updateKingMood();
+
+        this.events.emit('tick', this.getState());
+    }
+
+    /**
+     * Run the simulation without a renderer, stepping the same fixed clock
+     * the browser uses until the requested number of months have passed.
+     */
+    advance(months = 12) {
+        const targetTick = this.tickCount + months;
+        while (this.tickCount < targetTick) {
+            this.step();
+        }
+        return this.getState();
+    }
+
+    /**
+     * Rebuild a kingdom from a recorded command log. The simulation must be
+     * freshly created with the log's seed, and placement needs a ToolManager.
+     * Returns the state at the moment the log was exported.
+     */
+    replay(log) {
+        this.commandLog.startReplay(log);
+        while (this.stepCount < (log.endStep || 0)) {
+            this.step();
+        }
+        // Actions taken after the last step
+        this.commandLog.runDue();
+        return this.getState();
+    }
+
+    /**
+     * Seed and generator positions, saved so a loaded game continues the same sequence
+     */
+    serializeRandom() {
+        return {
+            seed: this.seed,
+            gameplay: this.random.getState(),
+            cosmetic: this.cosmeticRandom.getState()
+        };
+    }
+
+    restoreRandom(data) {
+        if (!data) return;
+        this.seed = data.seed;
+        // Restore in place - systems keep references to these generators
+        this.random.setState(data.gameplay);
+        this.cosmeticRandom.setState(data.cosmetic);
+    }
+
+    /**
+     * Plain snapshot of the kingdom for UI and balancing scripts
+     */
+    getState() {
+        return {
+            tickCount: this.tickCount,
+            month: this.month,
+            year: this.year,
+            treasury: this.treasury,
+            population: this.population,
+            maxPopulation: this.maxPopulation,
+            visitors: this.visitors,
+            tourists: this.tourists,
+            processedImmigrants: this.processedImmigrants,
+            monthlyIncome: this.monthlyIncome,
+            monthlyExpenses: this.monthlyExpenses,
+            kingMood: this.kingMood,
+            kingMoodText: this.kingMoodText,
+            kingEgo: this.kingEgo
+        };
+    }
+
+    simulatePopulation() {
+        // Count residential zones
+        const residentialCount = this.tileMap.countBuildings('residential');
+        this.maxPopulation = residentialCount * 25;  // Max based on fully developed zones
+
+        // Population comes from two sources:
+        // 1. Residential development (housing phases provide base population)
+        // 2. Police processing (immigrants become residents, added to processedImmigrants)
+        // Both are combined in tick(), so only maxPopulation is tracked here.
+
+        // Random king comments about population
+        if (this.cosmeticRandom.next() < 0.05) {
+            if (this.population > 100) {
+                this.kingTweet("Look at all these people! They LOVE me! 👥❤️");
+            } else if (this.population < 20 && residentialCount > 0) {
+                this.kingTweet("We need more people! Where is everyone?! 😤");
+            }
+        }
+    }
+
+    simulateEconomy() {
+        // Calculate income
+        const portCount = this.tileMap.countBuildings('port');
+        const rates = this.taxRates;
+
+        // Tax income from population
+        const taxIncome = Math.floor(this.population * (rates.residential / 100) * 2);
+
+        // Commercial tax on shop takings and industrial tax on output
+        const commercialIncome = Math.floor((this.commercialManager?.getTotalTaxIncome() || 0) * rates.commercial / BASE_TAX_RATE);
+        const industrialIncome = Math.floor((this.industrialManager?.getTotalProduction() || 0) * rates.industrial / BASE_TAX_RATE);
+
+        // Property tax on developed lots, by what their land is worth
+        const propertyIncome = this.landValueSystem.getPropertyTaxIncome(rates, BASE_TAX_RATE);
+
+        // Tariff income from ports
+        const baseTariffIncome = portCount * 10;
+        const tariffSystemRevenue = this.tariffSystem ? Math.floor(this.tariffSystem.stats.monthlyRevenue / 12) : 0;
+        const tariffIncome = baseTariffIncome + tariffSystemRevenue;
+
+        // Monument income (tourism)
+        const statueCount = this.tileMap.countBuildings('statue');
+        const towerCount = this.tileMap.countBuildings('tower');
+        const tourismIncome = (statueCount * 5) + (towerCount * 50);
+
+        this.monthlyIncome = taxIncome + commercialIncome + industrialIncome + propertyIncome + tariffIncome + tourismIncome;
+
+        // Calculate expenses - building upkeep from Buildings.js, services at their funding level
+        // (and unpaid while they're shut down)
+        const funding = this.financeSystem?.servicesShutDown ? createShutDownFunding() : this.serviceFunding;
+        const upkeep = calculateUpkeep(this.tileMap.countAllBuildings(), funding);
+        const totalUpkeep = Object.values(upkeep).reduce((sum, amount) => sum + amount, 0);
+
+        const generalExpenses = Math.floor(this.population * 0.5);
+        const visitorWelfare = Math.floor(this.visitors * 0.5);  // $0.50 per visitor per month
+
+        this.monthlyExpenses = totalUpkeep + generalExpenses + visitorWelfare;
+
+        // Apply to treasury
+        const netIncome = this.monthlyIncome - this.monthlyExpenses;
+        this.treasury += netIncome;
+
+        // Itemize the month in the ledger
+        this.budgetLedger.closeMonth({
+            tax: taxIncome,
+            commercial: commercialIncome,
+            industrial: industrialIncome,
+            property: propertyIncome,
+            tariff: tariffIncome,
+            tourism: tourismIncome
+        }, {
+            ...upkeep,
+            general: generalExpenses,
+            visitorWelfare
+        });
+
+        // Play income sound if positive income
+        if (netIncome > 0 && this.soundSystem) {
+            this.soundSystem.onIncome();
+        }
+
+        // Emit treasury change
+        this.events.emit('treasuryChanged', this.treasury);
+
+        // King comments on money
+        if (this.cosmeticRandom.next() < 0.03) {
+            if (netIncome > 100) {
+                this.kingTweet("Money money money! We're getting RICH! 💰💰💰");
+            } else if (netIncome < -50) {
+                this.kingTweet("We're losing money! This is a DISASTER! 😱");
+            }
+            if (this.tariffRate > 20 && portCount > 0) {
+                this.kingTweet(`TARIFFS at ${this.tariffRate}%! Those boats will PAY! 🚢💵`);
+            }
+        }
+    }
+
+    updateKingMood() {
+        // King mood based on ego and treasury
+        let moodScore = 50;
+
+        // Ego contribution
+        moodScore += (this.kingEgo - 50) * 0.5;
+
+        // Treasury contribution
+        if (this.treasury > 20000) moodScore += 20;
+        else if (this.treasury > 10000) moodScore += 10;
+        else if (this.treasury < 1000) moodScore -= 30;
+        else if (this.treasury < 5000) moodScore -= 15;
+
+        // Population contribution
+        if (this.population > 200) moodScore += 15;
+        else if (this.population < 50) moodScore -= 10;
+
+        // Jobless subjects grumble (once there are jobs to be had)
+        const unemployment = this.employmentSystem.getEffectiveUnemployment();
+        if (unemployment > 0.25) moodScore -= 20;
+        else if (unemployment > 0.1) moodScore -= 10;
+
+        // So do subjects who get mugged
+        const crime = this.crimeSystem.getAverageRate();
+        if (crime > 40) moodScore -= 15;
+        else if (crime > 20) moodScore -= 5;
+
+        // Coughing subjects are unhappy subjects
+        const health = this.pollutionSystem.getAverageHealth();
+        if (health < 40) moodScore -= 15;
+        else if (health < 60) moodScore -= 5;
+
+        // Store numeric mood for development system
+        this.kingMood = Math.max(0, Math.min(100, moodScore));
+
+        // Determine mood text
+        if (moodScore >= 70) this.kingMoodText = 'happy';
+        else if (moodScore >= 40) this.kingMoodText = 'neutral';
+        else if (moodScore >= 20) this.kingMoodText = 'angry';
+        else this.kingMoodText = 'furious';
+    }
+
+    yearlyUpdate() {
+        // Annual events
+        this.kingTweet(`Year ${this.year}! Another TREMENDOUS year for the kingdom! 🎉`);
+
+        // Decay king ego slightly
+        this.kingEgo = Math.max(0, this.kingEgo - 5);
+
+        // File last year's crime figures
+        if (this.policeSystem) {
+            this.policeSystem.closeCrimeYear(this.year - 1);
+        }
+
+        // Random events
+        if (this.random.next() < 0.2) {
+            this.randomEvent();
+        }
+
+        this.events.emit('newYear', this.year);
+    }
+
+    randomEvent() {
+        const events = [
+            { msg: "A trade ship arrived with HUGE tariffs! +$500 💰", effect: () => { this.treasury += 500; this.budgetLedger.record('windfalls', 500); } },
+            { msg: "Tourists came to see my beautiful statues! +$300 📸", effect: () => { this.treasury += 300; this.budgetLedger.record('windfalls', 300); } },
+            { msg: "Storm damaged some roads! -$200 🌧️", effect: () => { this.treasury -= 200; this.budgetLedger.record('disasters', 200); } },
+            { msg: "The people threw a parade for ME! Ego +10 🎊", effect: () => this.kingEgo = Math.min(100, this.kingEgo + 10) },
+            { msg: "New businesses are BOOMING! Commercial growth! 📈", effect: () => {} },
+            { msg: "Factories working overtime! Industrial POWER! 🏭", effect: () => {} },
+        ];
+
+        const event = this.random.pick(events);
+        event.effect();
+        this.kingTweet(event.msg);
+    }
+}
+
+// State and systems that the browser Game exposes as its own properties
+export const SIMULATION_PROPERTIES = [
+    'treasury', 'population', 'maxPopulation', 'residentialCapacity',
+    'visitors', 'tourists', 'processedImmigrants',
+    'month', 'year', 'tickCount', 'kingMood', 'kingMoodText', 'kingEgo',
+    'taxRates', 'serviceFunding', 'tariffRate', 'monthlyIncome', 'monthlyExpenses',
+    'seed', 'random', 'cosmeticRandom', 'stepCount', 'monthElapsed',
+    'tileMap', 'mapWidth', 'mapHeight', 'tickInterval', 'debugShowBoatTargets',
+    'developmentManager', 'residentialManager', 'commercialManager', 'industrialManager', 'serviceCoverage', 'crimeSystem', 'pollutionSystem', 'landValueSystem', 'demandSystem', 'employmentSystem',
+    'infrastructureManager', 'immigrationSystem', 'policeSystem', 'fireSystem', 'airportSystem', 'tariffSystem', 'portInventory', 'exportSystem',
+    'weatherSystem', 'resourceSystem', 'budgetLedger', 'financeSystem', 'commandHistory', 'commandLog'
+];
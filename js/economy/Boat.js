@@ -1,9 +1,26 @@
+// Boats sail their open-sea legs (off the map) this much faster
+const OPEN_SEA_SPEEDUP = 3;
+
+// Everything a trading ship can carry. baseValue is per 10 units.
+export const CARGO_TYPES = [
+    { type: 'goods', name: 'Consumer Goods', baseValue: 500, icon: '📦' },
+    { type: 'materials', name: 'Building Materials', baseValue: 300, icon: '🧱' },
+    { type: 'food', name: 'Food & Agriculture', baseValue: 200, icon: '🌾' },
+    { type: 'luxury', name: 'Luxury Items', baseValue: 1000, icon: '💎' },
+    { type: 'tech', name: 'Technology', baseValue: 800, icon: '💻' },
+    { type: 'oil', name: 'Oil & Energy', baseValue: 600, icon: '🛢️' },
+    { type: 'steel', name: 'Steel & Metals', baseValue: 400, icon: '⚙️' },
+    { type: 'cars', name: 'Automobiles', baseValue: 900, icon: '🚗' },
+];
+
 /**
  * Boat - Trading ships that arrive at ports
  */
 export class Boat {
-    constructor(game, startX, startY, targetPort) {
+    constructor(game, startX, startY, targetPort, cargoMix = null) {
         this.game = game;
+        this.random = game.random;
+        this.cosmeticRandom = game.cosmeticRandom;
         this.x = startX;
         this.y = startY;
         this.targetPort = targetPort;
@@ -13,9 +30,13 @@ export class Boat {
         this.maxDockedTime = 180; // frames to stay docked (3 seconds at 60fps)
 
         // Cargo - what the boat is carrying
-        this.cargo = this.generateCargo();
+        this.cargo = this.generateCargo(cargoMix);
         this.cargoValue = this.calculateCargoValue();
 
+        // What we send home with it, and which source island home is
+        this.exports = [];
+        this.homeIsland = null;
+
         // Visual
         this.frame = 0;
         this.direction = 'left'; // left, right, up, down
@@ -25,52 +46,61 @@ export class Boat {
         // Navigation - for avoiding islands
         this.avoidanceAngle = 0;
         this.avoidanceFrames = 0;
-    }
 
-    generateCargo() {
-        const cargoTypes = [
-            { type: 'goods', name: 'Consumer Goods', baseValue: 500, icon: '📦' },
-            { type: 'materials', name: 'Building Materials', baseValue: 300, icon: '🧱' },
-            { type: 'food', name: 'Food & Agriculture', baseValue: 200, icon: '🌾' },
-            { type: 'luxury', name: 'Luxury Items', baseValue: 1000, icon: '💎' },
-            { type: 'tech', name: 'Technology', baseValue: 800, icon: '💻' },
-            { type: 'oil', name: 'Oil & Energy', baseValue: 600, icon: '🛢️' },
-            { type: 'steel', name: 'Steel & Metals', baseValue: 400, icon: '⚙️' },
-            { type: 'cars', name: 'Automobiles', baseValue: 900, icon: '🚗' },
-        ];
+        // Open-sea points to pass on the way in, for boats from the far side
+        this.waypoints = [];
+    }
 
-        // Pick 1-3 random cargo types
-        const numTypes = Math.floor(Math.random() * 3) + 1;
+    /**
+     * Pick 1-3 cargo types - at random, or weighted by the home island's mix
+     */
+    generateCargo(cargoMix = null) {
+        const numTypes = Math.floor(this.random.next() * 3) + 1;
         const cargo = [];
-        const shuffled = [...cargoTypes].sort(() => Math.random() - 0.5);
+        const shuffled = cargoMix ? this.pickWeighted(cargoMix, numTypes) : this.random.shuffle([...CARGO_TYPES]);
 
-        for (let i = 0; i < numTypes; i++) {
-            const item = shuffled[i];
+        for (const item of shuffled.slice(0, numTypes)) {
             cargo.push({
                 ...item,
-                quantity: Math.floor(Math.random() * 50) + 10,
+                quantity: Math.floor(this.random.next() * 50) + 10,
             });
         }
 
         return cargo;
     }
 
+    // Cargo types drawn without replacement, each as likely as its weight
+    pickWeighted(cargoMix, count) {
+        const pool = CARGO_TYPES.filter(item => cargoMix[item.type] > 0);
+        const picked = [];
+        while (picked.length < count && pool.length > 0) {
+            let roll = this.random.next() * pool.reduce((sum, item) => sum + cargoMix[item.type], 0);
+            let index = pool.findIndex(item => (roll -= cargoMix[item.type]) < 0);
+            if (index === -1) index = pool.length - 1;
+            picked.push(pool.splice(index, 1)[0]);
+        }
+        return picked;
+    }
+
     calculateCargoValue() {
         return this.cargo.reduce((sum, item) => {
             return sum + (item.baseValue * item.quantity / 10);
         }, 0);
     }
 
-    update() {
+    /**
+     * Advance the boat. deltaTime is in 60 Hz frames (1 = one fixed simulation step)
+     */
+    update(deltaTime = 1) {
         if (this.state === 'arriving') {
-            this.moveTowardsTarget();
+            this.moveTowardsTarget(deltaTime);
         } else if (this.state === 'docked') {
-            this.dockedTime++;
+            this.dockedTime += deltaTime;
             if (this.dockedTime >= this.maxDockedTime) {
                 this.state = 'leaving';
             }
         } else if (this.state === 'leaving') {
-            this.moveAway();
+            this.moveAway(deltaTime);
         }
 
         this.frame++;
@@ -132,12 +162,14 @@ export class Boat {
         return { dirX: targetDirX, dirY: targetDirY, angle: 0 };
     }
 
-    moveTowardsTarget() {
+    moveTowardsTarget(deltaTime = 1) {
         if (!this.targetPort) {
             this.state = 'leaving';
             return;
         }
 
+        if (this.followWaypoints(deltaTime)) return;
+
         // Find docking position - a water tile adjacent to the port
         // Port is 2x2 built on beach, so find water tile nearby
         const portX = this.targetPort.x;
@@ -221,8 +253,9 @@ export class Boat {
         }
 
         // Move in the chosen direction
-        const nextX = this.x + moveDirX * this.speed;
-        const nextY = this.y + moveDirY * this.speed;
+        const step = this.speed * deltaTime;
+        const nextX = this.x + moveDirX * step;
+        const nextY = this.y + moveDirY * step;
 
         // Final safety check - don't move into land
         if (this.isWater(nextX, nextY)) {
@@ -234,8 +267,8 @@ export class Boat {
             const baseAngle = Math.atan2(moveDirY, moveDirX);
             for (const offset of emergencyAngles) {
                 const angle = baseAngle + (offset * Math.PI / 180);
-                const emergX = this.x + Math.cos(angle) * this.speed;
-                const emergY = this.y + Math.sin(angle) * this.speed;
+                const emergX = this.x + Math.cos(angle) * step;
+                const emergY = this.y + Math.sin(angle) * step;
                 if (this.isWater(emergX, emergY)) {
                     this.x = emergX;
                     this.y = emergY;
@@ -254,9 +287,39 @@ export class Boat {
         }
     }
 
-    moveAway() {
+    /**
+     * Sail straight to the next waypoint. They're all off the map, so there's
+     * no land in the way. Returns false once there are none left.
+     */
+    followWaypoints(deltaTime = 1) {
+        const waypoint = this.waypoints?.[0];
+        if (!waypoint) return false;
+
+        const dx = waypoint.x - this.x;
+        const dy = waypoint.y - this.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const step = this.speed * OPEN_SEA_SPEEDUP * deltaTime;
+
+        if (dist <= step) {
+            this.x = waypoint.x;
+            this.y = waypoint.y;
+            this.waypoints.shift();
+        } else {
+            this.x += dx / dist * step;
+            this.y += dy / dist * step;
+        }
+
+        if (Math.abs(dx) > Math.abs(dy)) {
+            this.direction = dx > 0 ? 'right' : 'left';
+        } else {
+            this.direction = dy > 0 ? 'down' : 'up';
+        }
+        return true;
+    }
+
+    moveAway(deltaTime = 1) {
         // Move back towards the edge we came from, avoiding islands
-        const speed = this.speed * 1.5;
+        const speed = this.speed * 1.5 * deltaTime;
         const mapWidth = this.game.map?.width || this.game.tileMap?.width || 64;
         const mapHeight = this.game.map?.height || this.game.tileMap?.height || 64;
 
@@ -434,7 +497,7 @@ export class Boat {
         // Flag on top
         if (!this.flagColor) {
             const colors = ['#FF4444', '#4444FF', '#44AA44', '#FFAA00', '#FF44FF', '#44FFFF', '#FF8800'];
-            this.flagColor = colors[Math.floor(Math.random() * colors.length)];
+            this.flagColor = colors[Math.floor(this.cosmeticRandom.next() * colors.length)];
         }
         ctx.fillStyle = this.flagColor;
         ctx.fillRect(2, -tileSize * 0.72, 12, 8);
@@ -447,6 +510,12 @@ export class Boat {
             ctx.fillText(this.cargo[0]?.icon || '📦', screenX + tileSize * 0.8, screenY - 5);
         }
 
+        // Exports ride along on the way out
+        if (this.state === 'leaving' && this.exports?.length) {
+            ctx.font = 'bold 20px Arial';
+            ctx.fillText(this.exports.map(item => item.icon).join(''), screenX + tileSize * 0.8, screenY - 5);
+        }
+
         // Draw state indicator for debugging
         if (this.state === 'docked') {
             ctx.fillStyle = '#00FF00';
@@ -0,0 +1,224 @@
+/**
+ * BudgetLedger - Keeps every income and expense line for each month
+ *
+ * The monthly economy reports its line items through closeMonth(); money that
+ * changes hands during the month (construction, docked cargo, airport
+ * tourists, random events) is added with record(). Anything the ledger
+ * wasn't told about shows up as 'other', so the lines always add up to the
+ * real change in the treasury.
+ */
+
+// Months of history kept (and saved)
+export const BUDGET_HISTORY_YEARS = 10;
+
+// Line items in display order. `monthly` lines come from simulateEconomy(),
+// the rest are recorded as the money moves.
+export const BUDGET_LINES = {
+    income: [
+        { key: 'tax', label: 'Residential Tax', icon: '🏠', color: '#4ade80', monthly: true },
+        { key: 'commercial', label: 'Commercial Tax', icon: '🏪', color: '#60a5fa', monthly: true },
+        { key: 'industrial', label: 'Industrial Tax', icon: '🏭', color: '#fbbf24', monthly: true },
+        { key: 'property', label: 'Property Tax', icon: '🏡', color: '#34d399', monthly: true },
+        { key: 'tariff', label: 'Port Tariffs', icon: '⚓', color: '#f472b6', monthly: true },
+        { key: 'tourism', label: 'Monument Tourism', icon: '🗽', color: '#a78bfa', monthly: true },
+        { key: 'customs', label: 'Cargo Duties', icon: '🚢', color: '#e94560' },
+        { key: 'trade', label: 'Port Trade', icon: '📦', color: '#2dd4bf' },
+        { key: 'airport', label: 'Airport Tourists', icon: '✈️', color: '#38bdf8' },
+        { key: 'fuel', label: 'Oil & Fuel Sales', icon: '⛽', color: '#fb923c' },
+        { key: 'exports', label: 'Industrial Exports', icon: '📤', color: '#fde047' },
+        { key: 'oilExports', label: 'Oil Exports', icon: '🛢️', color: '#78716c' },
+        { key: 'windfalls', label: 'Windfalls', icon: '🍀', color: '#bef264' },
+        { key: 'borrowing', label: 'Loans & Bonds', icon: '🏦', color: '#cbd5e1' }
+    ],
+    expenses: [
+        { key: 'infrastructure', label: 'Roads & Ports Upkeep', icon: '🛣️', color: '#9ca3af', monthly: true },
+        { key: 'power', label: 'Power Upkeep', icon: '⚡', color: '#facc15', monthly: true },
+        { key: 'energy', label: 'Oil Industry Upkeep', icon: '🛢️', color: '#a16207', monthly: true },
+        { key: 'monuments', label: 'Monument Upkeep', icon: '⛳', color: '#86efac', monthly: true },
+        { key: 'services', label: 'Public Services', icon: '🚔', color: '#93c5fd', monthly: true },
+        { key: 'general', label: 'General Services', icon: '🏛️', color: '#fca5a5', monthly: true },
+        { key: 'visitorWelfare', label: 'Visitor Welfare', icon: '🧳', color: '#fdba74', monthly: true },
+        { key: 'construction', label: 'Construction', icon: '🏗️', color: '#f97316' },
+        { key: 'disasters', label: 'Disasters', icon: '🌧️', color: '#ef4444' },
+        { key: 'interest', label: 'Debt Interest', icon: '📈', color: '#c084fc' },
+        { key: 'repayment', label: 'Debt Repayment', icon: '🏦', color: '#64748b' }
+    ]
+};
+
+const INCOME_KEYS = BUDGET_LINES.income.map(line => line.key);
+const EXPENSE_KEYS = BUDGET_LINES.expenses.map(line => line.key);
+
+// Lines from before upkeep covered every building, and where they went
+const LEGACY_EXPENSES = { roads: 'infrastructure', golf: 'monuments' };
+
+function emptyLines(keys) {
+    return Object.fromEntries(keys.map(key => [key, 0]));
+}
+
+function migrateExpenses(expenses = {}) {
+    const migrated = { ...expenses };
+    for (const [oldKey, newKey] of Object.entries(LEGACY_EXPENSES)) {
+        if (oldKey in migrated) {
+            migrated[newKey] = (migrated[newKey] || 0) + migrated[oldKey];
+            delete migrated[oldKey];
+        }
+    }
+    return migrated;
+}
+
+function total(lines) {
+    return Object.values(lines).reduce((sum, amount) => sum + amount, 0);
+}
+
+export class BudgetLedger {
+    constructor(game) {
+        this.game = game;
+
+        // Closed months, oldest first
+        this.history = [];
+
+        // The month in progress
+        this.current = this.openMonth(game.treasury);
+    }
+
+    openMonth(treasuryStart) {
+        return {
+            treasuryStart,
+            income: emptyLines(INCOME_KEYS),
+            expenses: emptyLines(EXPENSE_KEYS)
+        };
+    }
+
+    /**
+     * Note money that changed hands outside the monthly economy.
+     * Amounts are positive for both income and expense lines.
+     */
+    record(key, amount) {
+        if (!amount) return;
+        if (key in this.current.income) {
+            this.current.income[key] += amount;
+        } else if (key in this.current.expenses) {
+            this.current.expenses[key] += amount;
+        } else {
+            console.warn(`[BUDGET] Unknown budget line: ${key}`);
+        }
+    }
+
+    /**
+     * Close the month that just ended with the monthly economy's line items,
+     * after they've been applied to the treasury.
+     */
+    closeMonth(income, expenses) {
+        const game = this.game;
+        const entry = this.current;
+        Object.assign(entry.income, income);
+        Object.assign(entry.expenses, expenses);
+
+        // The tick has already moved the calendar on
+        const month = game.month === 1 ? 12 : game.month - 1;
+        const year = game.month === 1 ? game.year - 1 : game.year;
+
+        const net = total(entry.income) - total(entry.expenses);
+        const change = game.treasury - entry.treasuryStart;
+
+        this.history.push({
+            year,
+            month,
+            income: entry.income,
+            expenses: entry.expenses,
+            other: change - net,  // Undo refunds, admin changes, anything unrecorded
+            treasury: game.treasury
+        });
+        if (this.history.length > BUDGET_HISTORY_YEARS * 12) {
+            this.history.shift();
+        }
+
+        this.current = this.openMonth(game.treasury);
+    }
+
+    // The last closed month, or null before the first month ends
+    getLastMonth() {
+        return this.history[this.history.length - 1] || null;
+    }
+
+    /**
+     * Closed months within the last `years` years, oldest first
+     */
+    getHistory(years = BUDGET_HISTORY_YEARS) {
+        return this.history.slice(-years * 12);
+    }
+
+    // Income, expense and net totals of a month entry
+    getTotals(entry) {
+        const income = total(entry.income);
+        const expenses = total(entry.expenses);
+        return { income, expenses, net: income - expenses + (entry.other || 0) };
+    }
+
+    /**
+     * Expected treasury for each of the next `months` months, from the
+     * average net change over the last year (or however much there is).
+     * Borrowed money is a one-off, so it's left out of the trend.
+     */
+    getProjection(months = 12) {
+        const recent = this.history.slice(-12);
+        if (recent.length === 0) return [];
+
+        const averageNet = recent.reduce((sum, entry) =>
+            sum + this.getTotals(entry).net - (entry.income.borrowing || 0), 0) / recent.length;
+        const projection = [];
+        let treasury = this.game.treasury;
+        for (let i = 0; i < months; i++) {
+            treasury += averageNet;
+            projection.push(Math.round(treasury));
+        }
+        return projection;
+    }
+
+    /**
+     * Months until the treasury runs dry at the current rate, or null if it isn't falling
+     */
+    getMonthsUntilBroke() {
+        const projection = this.getProjection(BUDGET_HISTORY_YEARS * 12);
+        if (projection.length === 0 || this.game.treasury < 0) return null;
+        const index = projection.findIndex(treasury => treasury < 0);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Save the ledger history and the month in progress
+     */
+    serialize() {
+        return {
+            history: this.history.map(entry => ({
+                ...entry,
+                income: { ...entry.income },
+                expenses: { ...entry.expenses }
+            })),
+            current: {
+                treasuryStart: this.current.treasuryStart,
+                income: { ...this.current.income },
+                expenses: { ...this.current.expenses }
+            }
+        };
+    }
+
+    restore(data) {
+        if (!data) {
+            // Saves from before the ledger start it fresh from the loaded treasury
+            this.history = [];
+            this.current = this.openMonth(this.game.treasury);
+            return;
+        }
+
+        this.history = (data.history || []).map(entry => ({
+            ...entry,
+            income: { ...emptyLines(INCOME_KEYS), ...entry.income },
+            expenses: { ...emptyLines(EXPENSE_KEYS), ...migrateExpenses(entry.expenses) }
+        }));
+        const current = data.current || {};
+        this.current = this.openMonth(current.treasuryStart ?? this.game.treasury);
+        Object.assign(this.current.income, current.income || {});
+        Object.assign(this.current.expenses, migrateExpenses(current.expenses));
+    }
+}
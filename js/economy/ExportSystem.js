@@ -0,0 +1,118 @@
+/**
+ * ExportSystem - Industrial output shipped out by sea
+ *
+ * Each month, factories whose roads reach a port send their production to the
+ * port warehouse. Departing cargo boats take it home to their source island,
+ * which charges its own tariff on our goods - the higher our tariffs, the
+ * higher theirs.
+ */
+
+// Each port's warehouse holds this many units of industrial goods
+const WAREHOUSE_PER_PORT = 1000;
+
+// What the islands pay per unit, before their tariff
+export const EXPORT_PRICE = 2;
+
+// Units one boat can carry away
+const BOAT_EXPORT_CAPACITY = 150;
+
+function emptyStats() {
+    return {
+        produced: 0,
+        shipped: 0,     // Sent to a port warehouse
+        stranded: 0,    // Made by factories with no road to a port
+        overflow: 0,    // Arrived at a full warehouse
+        exported: 0,
+        exportValue: 0,
+        foreignDuties: 0,
+        revenue: 0
+    };
+}
+
+export class ExportSystem {
+    constructor(game) {
+        this.game = game;
+
+        // Industrial goods waiting at the ports for a boat
+        this.warehouse = 0;
+
+        // Running totals, this month so far, and the last full month
+        this.totals = { exported: 0, revenue: 0, foreignDuties: 0 };
+        this.stats = emptyStats();
+        this.lastMonth = null;
+    }
+
+    getCapacity() {
+        return this.game.tileMap.countBuildings('port') * WAREHOUSE_PER_PORT;
+    }
+
+    /**
+     * Monthly: move the month's production to the ports
+     */
+    update() {
+        const stats = this.stats;
+        const infra = this.game.infrastructureManager;
+
+        for (const allotment of this.game.industrialManager?.allotments.values() || []) {
+            if (!allotment.production) continue;
+            stats.produced += allotment.production;
+            if (infra?.getRoadNetwork(allotment.x, allotment.y)?.hasPort) {
+                stats.shipped += allotment.production;
+            } else {
+                stats.stranded += allotment.production;
+            }
+        }
+
+        const stored = Math.max(0, Math.min(stats.shipped, this.getCapacity() - this.warehouse));
+        this.warehouse += stored;
+        stats.overflow = stats.shipped - stored;
+
+        this.lastMonth = stats;
+        this.stats = emptyStats();
+    }
+
+    /**
+     * A departing boat takes goods home. Its island's tariff comes off the price.
+     */
+    loadExports(boat) {
+        const amount = Math.min(this.warehouse, BOAT_EXPORT_CAPACITY);
+        if (amount <= 0) return 0;
+
+        const value = amount * EXPORT_PRICE;
+        const duty = this.game.tariffSystem?.getForeignDuty(boat.homeIsland, value, 'goods') || 0;
+        const revenue = value - duty;
+
+        this.warehouse -= amount;
+        this.game.treasury += revenue;
+        this.game.budgetLedger?.record('exports', revenue);
+        boat.exports = [...(boat.exports || []), { type: 'goods', icon: '🏭', quantity: amount, value: revenue }];
+
+        // Boats dock between monthly updates, so exports count toward the month in progress
+        this.stats.exported += amount;
+        this.stats.exportValue += value;
+        this.stats.foreignDuties += duty;
+        this.stats.revenue += revenue;
+        this.totals.exported += amount;
+        this.totals.foreignDuties += duty;
+        this.totals.revenue += revenue;
+        return revenue;
+    }
+
+    serialize() {
+        return {
+            warehouse: this.warehouse,
+            totals: { ...this.totals },
+            stats: { ...this.stats },
+            lastMonth: this.lastMonth ? { ...this.lastMonth } : null
+        };
+    }
+
+    restore(data) {
+        // Saves from before exports start with empty warehouses
+        data = data || {};
+        this.warehouse = data.warehouse || 0;
+        this.totals = { exported: 0, revenue: 0, foreignDuties: 0, ...data.totals };
+        this.stats = { ...emptyStats(), ...data.stats };
+        this.lastMonth = data.lastMonth ? { ...emptyStats(), ...data.lastMonth } : null;
+    }
+}
@@ -0,0 +1,327 @@
+/**
+ * FinanceSystem - Loans, bonds, credit rating and bankruptcy
+ *
+ * Loans are repaid in equal monthly instalments. Bonds pay interest every
+ * month and return their principal when they mature. Both are priced by the
+ * kingdom's credit rating, which is recalculated each month from debt,
+ * income and how long the treasury has been in the red.
+ *
+ * A treasury that stays negative gets steadily worse: builders stop work,
+ * then public services close, then the kingdom goes bankrupt.
+ */
+
+// Best to worst. Lending stops at CCC.
+export const CREDIT_RATINGS = ['AAA', 'AA', 'A', 'BBB', 'BB', 'B', 'CCC', 'D'];
+
+// Annual interest (percent) by rating; bonds pay less than loans
+const LOAN_RATES = { AAA: 4, AA: 5, A: 6, BBB: 8, BB: 10, B: 13 };
+const BOND_RATES = { AAA: 3, AA: 3.5, A: 4, BBB: 5, BB: 7, B: 9 };
+
+export const LOAN_AMOUNTS = [5000, 10000, 25000, 50000];
+export const LOAN_TERMS = [24, 60];  // months
+export const BOND_TERM = 120;  // months
+
+// The kingdom can owe this many years of income, and never less than the minimum
+const CREDIT_LIMIT_YEARS = 3;
+const MIN_CREDIT_LIMIT = 10000;
+
+// Months in the red before each consequence
+export const INSOLVENCY_STAGES = {
+    warning: 1,
+    constructionHalted: 3,
+    servicesShutDown: 6,
+    bankrupt: 12
+};
+
+export class FinanceSystem {
+    constructor(game) {
+        this.game = game;
+
+        this.debts = [];  // Loans and bonds
+        this.nextDebtId = 1;
+        this.creditRating = 'AAA';
+        this.monthsInsolvent = 0;
+        this.bankrupt = false;
+    }
+
+    get constructionHalted() {
+        return this.monthsInsolvent >= INSOLVENCY_STAGES.constructionHalted;
+    }
+
+    get servicesShutDown() {
+        return this.monthsInsolvent >= INSOLVENCY_STAGES.servicesShutDown;
+    }
+
+    getTotalDebt() {
+        return this.debts.reduce((sum, debt) => sum + debt.balance, 0);
+    }
+
+    // Interest and principal due next month
+    getMonthlyDebtService() {
+        return this.debts.reduce((sum, debt) => {
+            if (debt.type === 'loan') return sum + Math.min(debt.payment, debt.balance + this.getInterest(debt));
+            return sum + debt.payment + (debt.monthsLeft === 1 ? debt.balance : 0);
+        }, 0);
+    }
+
+    // Income over the last year, without borrowed money
+    getAnnualIncome() {
+        const months = this.game.budgetLedger?.getHistory(1) || [];
+        if (months.length === 0) return (this.game.monthlyIncome || 0) * 12;
+        const income = months.reduce((sum, entry) =>
+            sum + Object.values(entry.income).reduce((a, b) => a + b, 0) - (entry.income.borrowing || 0), 0);
+        return income * 12 / months.length;
+    }
+
+    // Most the kingdom can owe in total
+    getCreditLimit() {
+        return Math.max(MIN_CREDIT_LIMIT, Math.floor(this.getAnnualIncome() * CREDIT_LIMIT_YEARS));
+    }
+
+    getLoanRate() {
+        return LOAN_RATES[this.creditRating] ?? null;
+    }
+
+    getBondRate() {
+        return BOND_RATES[this.creditRating] ?? null;
+    }
+
+    /**
+     * Why the kingdom can't borrow `amount` right now, or null if it can
+     */
+    getBorrowingProblem(amount) {
+        if (this.bankrupt) return 'The kingdom is bankrupt';
+        if (this.getLoanRate() === null) return `Nobody lends to a ${this.creditRating}-rated kingdom`;
+        if (this.getTotalDebt() + amount > this.getCreditLimit()) {
+            return `Credit limit is $${this.getCreditLimit().toLocaleString()}`;
+        }
+        return null;
+    }
+
+    /**
+     * Borrow `amount`, repaid in equal instalments over `months`
+     */
+    takeLoan(amount, months) {
+        const problem = this.getBorrowingProblem(amount);
+        if (problem) {
+            this.game.events.emit('financeRefused', { reason: problem });
+            return null;
+        }
+
+        const rate = this.getLoanRate();
+        const payment = this.getLoanPayment(amount, months, rate);
+        return this.addDebt({ type: 'loan', principal: amount, rate, termMonths: months, payment });
+    }
+
+    // Equal monthly instalment that pays off `amount` over `months`
+    getLoanPayment(amount, months, rate = this.getLoanRate()) {
+        const monthlyRate = rate / 1200;
+        return Math.ceil(amount * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months)));
+    }
+
+    /**
+     * Sell bonds worth `amount`: interest monthly, principal back after BOND_TERM
+     */
+    issueBond(amount) {
+        const problem = this.getBorrowingProblem(amount);
+        if (problem) {
+            this.game.events.emit('financeRefused', { reason: problem });
+            return null;
+        }
+
+        const rate = this.getBondRate();
+        const payment = this.getBondCoupon(amount, rate);
+        return this.addDebt({ type: 'bond', principal: amount, rate, termMonths: BOND_TERM, payment });
+    }
+
+    // Monthly interest on `amount` of bonds
+    getBondCoupon(amount, rate = this.getBondRate()) {
+        return Math.ceil(amount * rate / 1200);
+    }
+
+    addDebt(terms) {
+        const debt = {
+            id: this.nextDebtId++,
+            ...terms,
+            balance: terms.principal,
+            monthsLeft: terms.termMonths,
+            takenYear: this.game.year,
+            takenMonth: this.game.month
+        };
+        this.debts.push(debt);
+
+        this.game.treasury += debt.principal;
+        this.game.budgetLedger?.record('borrowing', debt.principal);
+        this.game.kingTweet(debt.type === 'loan'
+            ? `Borrowed $${debt.principal.toLocaleString()} at ${debt.rate}%! Other people's money is the BEST money! 🏦`
+            : `Royal bonds SOLD! $${debt.principal.toLocaleString()} at ${debt.rate}%! Everyone wants a piece of my kingdom! 📜`);
+        this.game.events.emit('debtChanged', debt);
+        return debt;
+    }
+
+    /**
+     * Pay off a loan early. Bonds can't be bought back.
+     */
+    repayLoan(id) {
+        const debt = this.debts.find(d => d.id === id);
+        if (!debt || debt.type !== 'loan') return false;
+        if (this.game.treasury < debt.balance) {
+            this.game.events.emit('financeRefused', { reason: 'Not enough money to repay the loan' });
+            return false;
+        }
+
+        this.game.treasury -= debt.balance;
+        this.game.budgetLedger?.record('repayment', debt.balance);
+        this.debts = this.debts.filter(d => d !== debt);
+        this.game.kingTweet(`Loan PAID OFF early! Nobody pays debts like me! 💪`);
+        this.game.events.emit('debtChanged', debt);
+        return true;
+    }
+
+    getInterest(debt) {
+        return Math.round(debt.balance * debt.rate / 1200);
+    }
+
+    /**
+     * Monthly payments on every loan and bond. Runs before the month's
+     * books are closed so the payments show up in the budget.
+     */
+    payDebts() {
+        const ledger = this.game.budgetLedger;
+        for (const debt of this.debts) {
+            let interest;
+            let principal;
+            if (debt.type === 'loan') {
+                interest = this.getInterest(debt);
+                principal = debt.monthsLeft <= 1
+                    ? debt.balance
+                    : Math.min(debt.balance, debt.payment - interest);
+            } else {
+                interest = debt.payment;
+                principal = debt.monthsLeft <= 1 ? debt.balance : 0;
+            }
+
+            this.game.treasury -= interest + principal;
+            ledger?.record('interest', interest);
+            ledger?.record('repayment', principal);
+            debt.balance -= principal;
+            debt.monthsLeft--;
+        }
+
+        const repaid = this.debts.filter(debt => debt.balance <= 0 || debt.monthsLeft <= 0);
+        if (repaid.length > 0) {
+            this.debts = this.debts.filter(debt => !repaid.includes(debt));
+            for (const debt of repaid) {
+                this.game.kingTweet(debt.type === 'loan' ? 'Another loan paid off! 💰' : 'Royal bonds repaid in FULL! ✅');
+                this.game.events.emit('debtChanged', debt);
+            }
+        }
+    }
+
+    /**
+     * After the month's economy: count months in the red, apply the
+     * consequences and update the credit rating
+     */
+    checkSolvency() {
+        if (this.bankrupt) return;
+
+        if (this.game.treasury < 0) {
+            this.monthsInsolvent++;
+            this.announceInsolvency();
+        } else if (this.monthsInsolvent > 0) {
+            if (this.constructionHalted) {
+                this.game.kingTweet('We are SOLVENT again! Back to work, everybody! 🏗️');
+            }
+            this.monthsInsolvent = 0;
+            this.game.events.emit('insolvencyChanged', { stage: null, monthsInsolvent: 0 });
+        }
+
+        this.updateCreditRating();
+    }
+
+    announceInsolvency() {
+        const months = this.monthsInsolvent;
+        let stage = null;
+        if (months === INSOLVENCY_STAGES.warning) {
+            stage = 'warning';
+            this.game.kingTweet('The treasury is EMPTY! Somebody find me money! 😱');
+        } else if (months === INSOLVENCY_STAGES.constructionHalted) {
+            stage = 'constructionHalted';
+            this.game.kingTweet('The builders walked off the job! No money, no construction! 🚧');
+        } else if (months === INSOLVENCY_STAGES.servicesShutDown) {
+            stage = 'servicesShutDown';
+            this.game.kingTweet('Police and airport CLOSED! We can\'t pay anyone! 🚨');
+        } else if (months >= INSOLVENCY_STAGES.bankrupt) {
+            stage = 'bankrupt';
+            this.bankrupt = true;
+            this.creditRating = 'D';
+            this.game.kingTweet('BANKRUPT! This is the WORST deal in the history of deals! 💸');
+            this.game.events.emit('bankrupt', { year: this.game.year, month: this.game.month, debt: this.getTotalDebt() });
+        }
+
+        if (stage) {
+            this.game.events.emit('insolvencyChanged', { stage, monthsInsolvent: months });
+        }
+    }
+
+    /**
+     * Rating from debt against a year's income, recent losses and time in the red
+     */
+    updateCreditRating() {
+        if (this.bankrupt) {
+            this.creditRating = 'D';
+            return;
+        }
+
+        // A young kingdom is judged as if it earned enough for the minimum credit limit
+        const income = Math.max(this.getAnnualIncome(), MIN_CREDIT_LIMIT / CREDIT_LIMIT_YEARS);
+        const debtRatio = this.getTotalDebt() / income;
+        let score;
+        if (debtRatio < 0.25) score = 0;
+        else if (debtRatio < 0.5) score = 1;
+        else if (debtRatio < 1) score = 2;
+        else if (debtRatio < 2) score = 3;
+        else if (debtRatio < 3) score = 4;
+        else if (debtRatio < 5) score = 5;
+        else score = 6;
+
+        // Losing money lately, not counting borrowing and paying it back
+        const recent = this.game.budgetLedger?.getHistory(1).slice(-6) || [];
+        if (recent.length > 0) {
+            const ledger = this.game.budgetLedger;
+            const net = recent.reduce((sum, entry) => sum + ledger.getTotals(entry).net
+                - (entry.income.borrowing || 0) + (entry.expenses.repayment || 0), 0);
+            if (net < 0) score++;
+        }
+
+        // In the red
+        if (this.monthsInsolvent > 0) score += 2;
+
+        const rating = CREDIT_RATINGS[Math.min(CREDIT_RATINGS.length - 2, score)];
+        if (rating !== this.creditRating) {
+            const better = CREDIT_RATINGS.indexOf(rating) < CREDIT_RATINGS.indexOf(this.creditRating);
+            this.creditRating = rating;
+            this.game.events.emit('creditRatingChanged', { rating, better });
+        }
+    }
+
+    serialize() {
+        return {
+            debts: this.debts.map(debt => ({ ...debt })),
+            nextDebtId: this.nextDebtId,
+            creditRating: this.creditRating,
+            monthsInsolvent: this.monthsInsolvent,
+            bankrupt: this.bankrupt
+        };
+    }
+
+    restore(data) {
+        // Saves from before loans had no debts
+        data = data || {};
+        this.debts = (data.debts || []).map(debt => ({ ...debt }));
+        this.nextDebtId = data.nextDebtId || this.debts.reduce((max, debt) => Math.max(max, debt.id + 1), 1);
+        this.creditRating = data.creditRating || 'AAA';
+        this.monthsInsolvent = data.monthsInsolvent || 0;
+        this.bankrupt = !!data.bankrupt;
+    }
+}
@@ -0,0 +1,145 @@
+import { CARGO_TYPES } from './Boat.js';
+import { PHASE_JOBS as COMMERCIAL_PHASE_JOBS } from '../simulation/CommercialAllotment.js';
+
+/**
+ * PortInventory - What the boats unloaded, waiting at the ports
+ *
+ * Docked cargo goes into a stockpile per cargo type. Shops draw consumer
+ * cargo from it every month and grow more slowly when the shelves are bare;
+ * new buildings use building materials from it and cost less when there are
+ * some. Oil shares its stock with the kingdom's own surplus (see
+ * ResourceSystem), which boats carry away as exports. High tariffs keep
+ * boats away, so they mean shortages.
+ */
+
+// Cargo the shops sell
+export const CONSUMER_CARGO = ['goods', 'food', 'luxury', 'tech', 'cars'];
+
+// Cargo that goes into new buildings, in the order it's used
+export const CONSTRUCTION_CARGO = ['materials', 'steel'];
+
+// Each port can hold this much of each cargo type
+const STOCK_PER_PORT = 500;
+
+// Units of consumer cargo a commercial allotment sells per job each month
+const GOODS_PER_JOB = 0.5;
+
+// Commercial growth multiplier with empty shelves and with fully stocked ones
+const NO_GOODS_GROWTH = 0.75;
+const FULL_GOODS_GROWTH = 1.15;
+
+// Materials make up this share of a building's cost, one unit per $10 of it
+const MATERIALS_SHARE = 0.1;
+const MATERIAL_UNIT_VALUE = 10;
+
+function emptyStock() {
+    return Object.fromEntries(CARGO_TYPES.map(cargo => [cargo.type, 0]));
+}
+
+export class PortInventory {
+    constructor(game) {
+        this.game = game;
+
+        this.stock = emptyStock();
+
+        // Last month's consumer demand and how much of it the ports could meet
+        this.lastMonth = null;
+    }
+
+    getCapacity() {
+        return this.game.tileMap.countBuildings('port') * STOCK_PER_PORT;
+    }
+
+    /**
+     * Unload a docked boat's cargo. Whatever doesn't fit is lost.
+     */
+    unload(boat) {
+        const capacity = this.getCapacity();
+        for (const item of boat.cargo) {
+            if (!(item.type in this.stock)) continue;
+            this.stock[item.type] = Math.min(capacity, this.stock[item.type] + item.quantity);
+        }
+    }
+
+    /**
+     * Monthly: shops take consumer cargo, spread across whatever's in stock
+     */
+    update() {
+        let demand = 0;
+        for (const allotment of this.game.commercialManager?.allotments.values() || []) {
+            demand += Math.ceil((COMMERCIAL_PHASE_JOBS[allotment.phase] || 0) * GOODS_PER_JOB);
+        }
+
+        let supplied = 0;
+        let remaining = demand;
+        // Take evenly from every type still in stock until demand is met or shelves are empty
+        while (remaining > 0) {
+            const available = CONSUMER_CARGO.filter(type => this.stock[type] > 0);
+            if (available.length === 0) break;
+            const share = Math.max(1, Math.floor(remaining / available.length));
+            for (const type of available) {
+                const taken = Math.min(share, this.stock[type], remaining);
+                this.stock[type] -= taken;
+                supplied += taken;
+                remaining -= taken;
+                if (remaining === 0) break;
+            }
+        }
+
+        const shortage = demand - supplied;
+        if (shortage > 0 && supplied === 0 && demand > 0 && this.game.cosmeticRandom.next() < 0.05) {
+            this.game.kingTweet("The shops are EMPTY! Where are the boats?! Maybe lower the tariffs... NO! 📦😤");
+        }
+
+        this.lastMonth = { demand, supplied, shortage };
+    }
+
+    /**
+     * Share of the shops' demand met last month, 0 to 1 (1 with no shops)
+     */
+    getGoodsCoverage() {
+        if (!this.lastMonth || this.lastMonth.demand === 0) return 1;
+        return this.lastMonth.supplied / this.lastMonth.demand;
+    }
+
+    getCommercialGrowthMultiplier() {
+        return NO_GOODS_GROWTH + (FULL_GOODS_GROWTH - NO_GOODS_GROWTH) * this.getGoodsCoverage();
+    }
+
+    /**
+     * How much imported materials would knock off a building's cost right now
+     */
+    getMaterialsDiscount(cost) {
+        const needed = Math.floor(cost * MATERIALS_SHARE / MATERIAL_UNIT_VALUE);
+        const inStock = CONSTRUCTION_CARGO.reduce((sum, type) => sum + this.stock[type], 0);
+        return Math.min(needed, inStock) * MATERIAL_UNIT_VALUE;
+    }
+
+    /**
+     * Use materials for a new building. Returns the money saved.
+     */
+    useMaterials(cost) {
+        const discount = this.getMaterialsDiscount(cost);
+        let units = discount / MATERIAL_UNIT_VALUE;
+        for (const type of CONSTRUCTION_CARGO) {
+            const taken = Math.min(units, this.stock[type]);
+            this.stock[type] -= taken;
+            units -= taken;
+        }
+        return discount;
+    }
+
+    serialize() {
+        return {
+            stock: { ...this.stock },
+            lastMonth: this.lastMonth ? { ...this.lastMonth } : null
+        };
+    }
+
+    restore(data) {
+        // Saves from before port stockpiles start with empty warehouses
+        data = data || {};
+        this.stock = { ...emptyStock(), ...data.stock };
+        this.lastMonth = data.lastMonth ? { ...data.lastMonth } : null;
+    }
+}
@@ -1,4 +1,29 @@
 import { Boat } from './Boat.js';
+import { createTradePartners, EXPORT_TYPES, FOREIGN_BASE_TARIFF } from './TradePartners.js';
+
+// How far an island moves its tariffs toward ours each month (times its temperament)
+const FOREIGN_TARIFF_STEP = 5;
+
+// Our tariff on a partner's cargo above which relations sour each month
+const RESENTED_TARIFF = 25;
+
+// Retaliation: a partner taxed this far above the base rate may hike its
+// tariffs, and one this unfriendly may embargo us
+const RETALIATION_THRESHOLD = 15;
+const RETALIATION_CHANCE = 0.1;  // per month, times temperament
+const RETALIATION_HIKE = 15;
+const EMBARGO_RELATIONS = 15;
+const PARTNER_EMBARGO_MONTHS = 6;
+
+// Trade deals cap both sides' tariffs
+export const DEAL_TARIFF = 5;
+export const DEAL_MONTHS = 24;
+export const DEAL_MIN_RELATIONS = 50;
+const DEAL_RELATIONS_BONUS = 10;
+
+// Our embargoes cost relations up front and every month they last
+const EMBARGO_RELATIONS_PENALTY = 30;
+const EMBARGO_RELATIONS_DRAIN = 3;
 
 /**
  * TariffSystem - Manages import tariffs and trade
@@ -6,6 +31,8 @@ import { Boat } from './Boat.js';
 export class TariffSystem {
     constructor(game) {
         this.game = game;
+        this.random = game.random;  // Seeded gameplay stream
+        this.cosmeticRandom = game.cosmeticRandom;  // King comments
 
         // Tariff rates by cargo type (0-100%)
         this.tariffRates = {
@@ -32,8 +59,9 @@ export class TariffSystem {
             monthlyTrade: 0,
         };
 
-        // Trade relationships (affected by tariffs)
-        this.tradeRelations = 100; // 0-100, high tariffs reduce this
+        // The source islands we trade with, each with its own relations (0-100,
+        // high tariffs reduce them) and tariffs on our exports
+        this.partners = createTradePartners();
 
         // Boat spawn settings
         this.baseBoatFrequency = 300; // frames between boats
@@ -46,9 +74,9 @@ export class TariffSystem {
         this.recentTradeEvents = [];
     }
 
-    update() {
+    update(deltaTime = 1) {
         // Spawn new boats
-        this.boatSpawnTimer++;
+        this.boatSpawnTimer += deltaTime;
         const spawnRate = this.calculateBoatSpawnRate();
 
         if (this.boatSpawnTimer >= spawnRate) {
@@ -58,7 +86,7 @@ export class TariffSystem {
 
         // Update existing boats
         for (let i = this.boats.length - 1; i >= 0; i--) {
-            this.boats[i].update();
+            this.boats[i].update(deltaTime);
             if (this.boats[i].remove) {
                 this.boats.splice(i, 1);
             }
@@ -123,7 +151,7 @@ export class TariffSystem {
             }
         }
         if (ports.length === 0) return null;
-        return ports[Math.floor(Math.random() * ports.length)];
+        return ports[Math.floor(this.random.next() * ports.length)];
     }
 
     // Find a random OPERATIONAL port (connected to powered commercial + industrial)
@@ -156,13 +184,13 @@ export class TariffSystem {
         
         if (ports.length === 0) {
             // Only log occasionally to avoid spam
-            if (Math.random() < 0.01) {
+            if (this.cosmeticRandom.next() < 0.01) {
                 // console.log('[TARIFF] No operational ports (need road + powered commercial + powered industrial)');
             }
             return null;
         }
         
-        return ports[Math.floor(Math.random() * ports.length)];
+        return ports[Math.floor(this.random.next() * ports.length)];
     }
 
     trySpawnBoat() {
@@ -170,20 +198,40 @@ export class TariffSystem {
         const port = this.findOperationalPort();
         if (!port) return; // No operational ports, no boats
 
-        // Check if boat wants to come based on tariffs
-        const avgTariff = this.getAverageTariff();
-        const comeChance = Math.max(0.1, 1 - (avgTariff / 150));
+        // Boats come from a partner island we're still trading with
+        const partner = this.pickPartner();
+        if (!partner) return;
 
-        if (Math.random() > comeChance) {
+        // Check if boat wants to come based on our tariffs on what they ship
+        const partnerTariff = this.getTariffOnPartner(partner);
+        const comeChance = Math.max(0.1, 1 - (partnerTariff / 150));
+
+        if (this.random.next() > comeChance) {
             // Boat decided not to come due to high tariffs
             this.stats.boatsTurnedAway++;
-            if (avgTariff > 30 && Math.random() < 0.3) {
+            if (partnerTariff > 30 && this.cosmeticRandom.next() < 0.3) {
                 this.game.showKingTweet(this.getHighTariffMessage());
             }
             return;
         }
 
-        // Determine which edge to spawn from based on port location
+        // Boats approach from the sea nearest the port, and leave the same way
+        const approach = this.findApproach(port);
+        const route = this.planRoute(partner, approach);
+        const boat = new Boat(this.game, route.start.x, route.start.y, port, partner.cargoMix);
+        boat.spawnDirection = approach.direction;
+        boat.waypoints = route.waypoints;
+        boat.homeIsland = partner.name;
+        boat.flagColor = partner.flagColor;
+
+        this.boats.push(boat);
+        // console.log('[TARIFF] Boat spawned heading to operational port at', port.x, port.y);
+    }
+
+    /**
+     * The point just off the map edge nearest the port, where boats come in from
+     */
+    findApproach(port) {
         const mapWidth = this.game.map.width;
         const mapHeight = this.game.map.height;
 
@@ -195,47 +243,56 @@ export class TariffSystem {
 
         // Find the nearest edge - boats come from the sea!
         const minDist = Math.min(distToLeft, distToRight, distToTop, distToBottom);
-
-        let startX, startY;
-        const variance = (Math.random() - 0.5) * 4; // Small random offset
+        const variance = (this.random.next() - 0.5) * 4; // Small random offset
 
         if (minDist === distToLeft) {
-            startX = -2;
-            startY = port.y + variance;
+            return { x: -2, y: port.y + variance, direction: 'left' };
         } else if (minDist === distToRight) {
-            startX = mapWidth + 2;
-            startY = port.y + variance;
+            return { x: mapWidth + 2, y: port.y + variance, direction: 'right' };
         } else if (minDist === distToTop) {
-            startX = port.x + variance;
-            startY = -2;
-        } else {
-            startX = port.x + variance;
-            startY = mapHeight + 2;
+            return { x: port.x + variance, y: -2, direction: 'top' };
         }
+        return { x: port.x + variance, y: mapHeight + 2, direction: 'bottom' };
+    }
 
-        const boat = new Boat(this.game, startX, startY, port);
-
-        // Set spawn direction so boat knows which way to leave
-        if (minDist === distToLeft) {
-            boat.spawnDirection = 'left';
-        } else if (minDist === distToRight) {
-            boat.spawnDirection = 'right';
-        } else if (minDist === distToTop) {
-            boat.spawnDirection = 'top';
-        } else {
-            boat.spawnDirection = 'bottom';
+    /**
+     * A partner's boat sets out from beside its island and sails round the
+     * outside of the map to the approach point, so it never crosses land
+     */
+    planRoute(partner, approach) {
+        if (partner.name === approach.direction) {
+            return { start: { x: approach.x, y: approach.y }, waypoints: [] };
         }
 
-        this.boats.push(boat);
-        // console.log('[TARIFF] Boat spawned heading to operational port at', port.x, port.y);
+        const mapWidth = this.game.map.width;
+        const mapHeight = this.game.map.height;
+        const island = this.game.map.sourceIslands?.find(candidate => candidate.name === partner.name);
+        const start = {
+            x: partner.name === 'right' ? mapWidth + 2 : -2,
+            y: island ? island.centerY : approach.y
+        };
+
+        // Round the top or bottom of the map, whichever is on the way
+        let laneY;
+        if (approach.direction === 'top') laneY = -2;
+        else if (approach.direction === 'bottom') laneY = mapHeight + 2;
+        else laneY = (start.y + approach.y) / 2 < mapHeight / 2 ? -2 : mapHeight + 2;
+
+        const waypoints = [{ x: start.x, y: laneY }];
+        if (approach.y !== laneY) waypoints.push({ x: approach.x, y: laneY });
+        waypoints.push({ x: approach.x, y: approach.y });
+        return { start, waypoints };
     }
+
     processBoat(boat) {
+        const partner = this.partners[boat.homeIsland];
+
         // Calculate tariff for this boat's cargo
         let totalTariff = 0;
         let totalValue = 0;
 
         for (const item of boat.cargo) {
-            const rate = (this.tariffRates[item.type] || 10) + this.globalTariffModifier;
+            const rate = this.getImportRate(item.type, partner);
             const value = item.baseValue * item.quantity / 10;
             const tariff = value * (rate / 100);
 
@@ -245,6 +302,14 @@ export class TariffSystem {
 
         // Add to treasury
         this.game.treasury += Math.floor(totalTariff);
+        this.game.budgetLedger?.record('customs', Math.floor(totalTariff));
+
+        // The cargo itself goes into the port stockpile
+        this.game.portInventory?.unload(boat);
+
+        // Surplus oil and factory goods leave on the same boat
+        this.game.resourceSystem?.loadExports(boat);
+        this.game.exportSystem?.loadExports(boat);
 
         // Update stats
         this.stats.totalTariffRevenue += totalTariff;
@@ -253,16 +318,20 @@ export class TariffSystem {
         this.stats.monthlyRevenue += totalTariff;
         this.stats.monthlyTrade += totalValue;
 
-        // Affect trade relations based on tariff rate
+        // Affect the boat's island's relations based on tariff rate
+        // (boats from before trade partners count for everyone)
         const avgRate = totalTariff / totalValue * 100;
-        if (avgRate > 20) {
-            this.tradeRelations = Math.max(0, this.tradeRelations - 0.5);
-        } else if (avgRate < 10) {
-            this.tradeRelations = Math.min(100, this.tradeRelations + 0.2);
+        const affected = partner ? [partner] : Object.values(this.partners);
+        for (const p of affected) {
+            if (avgRate > 20) {
+                p.relations = Math.max(0, p.relations - 0.5);
+            } else if (avgRate < 10) {
+                p.relations = Math.min(100, p.relations + 0.2);
+            }
         }
 
         // King commentary
-        if (Math.random() < 0.2) {
+        if (this.cosmeticRandom.next() < 0.2) {
             this.game.showKingTweet(this.getTradeMessage(boat, totalTariff));
         }
 
@@ -290,7 +359,7 @@ export class TariffSystem {
             `They said tariffs wouldn't work. WRONG! $${Math.floor(tariff)}!`,
             `Trade is BOOMING. Just made $${Math.floor(tariff)} from one boat!`,
         ];
-        return messages[Math.floor(Math.random() * messages.length)];
+        return messages[Math.floor(this.cosmeticRandom.next() * messages.length)];
     }
 
     getHighTariffMessage() {
@@ -302,7 +371,191 @@ export class TariffSystem {
             "Boats turning away means our tariffs are WORKING!",
             "They'll come crawling back. They always do!",
         ];
-        return messages[Math.floor(Math.random() * messages.length)];
+        return messages[Math.floor(this.cosmeticRandom.next() * messages.length)];
+    }
+
+    get tradeRelations() {
+        const partners = Object.values(this.partners);
+        return partners.reduce((sum, partner) => sum + partner.relations, 0) / partners.length;
+    }
+
+    getPartner(name) {
+        return this.partners[name] || null;
+    }
+
+    /**
+     * A partner to send the next boat, weighted toward the friendlier ones
+     */
+    pickPartner() {
+        const candidates = Object.values(this.partners).filter(partner => partner.canTrade);
+        if (candidates.length === 0) return null;
+
+        const weights = candidates.map(partner => partner.relations + 10);
+        let roll = this.random.next() * weights.reduce((a, b) => a + b, 0);
+        for (let i = 0; i < candidates.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return candidates[i];
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    /**
+     * Our tariff on one cargo type from a partner - a trade deal caps it
+     */
+    getImportRate(cargoType, partner = null) {
+        const rate = (this.tariffRates[cargoType] || 10) + this.globalTariffModifier;
+        return partner?.hasDeal ? Math.min(rate, DEAL_TARIFF) : rate;
+    }
+
+    /**
+     * Our average tariff on what a partner ships, weighted by their cargo mix
+     */
+    getTariffOnPartner(partner) {
+        const shares = partner.getCargoShares();
+        return Object.entries(shares).reduce((sum, [type, share]) =>
+            sum + this.getImportRate(type, partner) * share, 0);
+    }
+
+    /**
+     * Tariff an island charges on one of our exports. Unknown islands charge the average.
+     */
+    getForeignTariff(island, cargoType = 'goods') {
+        const partner = this.partners[island];
+        if (partner) return partner.tariffs[cargoType] ?? FOREIGN_BASE_TARIFF;
+        const partners = Object.values(this.partners);
+        return partners.reduce((sum, p) => sum + (p.tariffs[cargoType] ?? FOREIGN_BASE_TARIFF), 0) / partners.length;
+    }
+
+    getForeignDuty(island, value, cargoType = 'goods') {
+        return Math.floor(value * this.getForeignTariff(island, cargoType) / 100);
+    }
+
+    /**
+     * Monthly: each island reacts to how we treat it. Relations drift with our
+     * tariffs on their cargo, their tariffs follow ours, and a partner we
+     * squeeze hard may hit back with a tariff hike or an embargo of its own.
+     */
+    updatePartners() {
+        for (const partner of Object.values(this.partners)) {
+            const ourTariff = this.getTariffOnPartner(partner);
+
+            // Relations
+            if (partner.embargoedByUs) {
+                partner.relations -= EMBARGO_RELATIONS_DRAIN;
+            } else if (ourTariff <= FOREIGN_BASE_TARIFF) {
+                partner.relations += 1;
+            } else if (ourTariff > RESENTED_TARIFF) {
+                partner.relations -= (ourTariff - RESENTED_TARIFF) / 10;
+            }
+            partner.relations = Math.max(0, Math.min(100, partner.relations));
+
+            // Deals and their embargo run out
+            if (partner.dealMonthsLeft > 0) {
+                partner.dealMonthsLeft--;
+                if (partner.dealMonthsLeft === 0) {
+                    this.game.events.emit('tradeDealExpired', { partner: partner.name, label: partner.label });
+                }
+            }
+            if (partner.embargoMonthsLeft > 0) {
+                partner.embargoMonthsLeft--;
+                if (partner.embargoMonthsLeft === 0) {
+                    this.game.events.emit('tradeEmbargoLifted', { partner: partner.name, label: partner.label });
+                }
+            }
+
+            // Their tariffs move toward ours, cargo by cargo
+            for (const type of EXPORT_TYPES) {
+                const ours = (this.getImportRate(type, partner) + ourTariff) / 2;
+                let target = Math.round(
+                    FOREIGN_BASE_TARIFF +
+                    Math.max(0, ours - FOREIGN_BASE_TARIFF) +
+                    (100 - partner.relations) / 5
+                );
+                if (partner.hasDeal) target = Math.min(target, DEAL_TARIFF);
+                target = Math.min(100, target);
+
+                const step = Math.round(FOREIGN_TARIFF_STEP * partner.profile.temperament);
+                const current = partner.tariffs[type];
+                partner.tariffs[type] = current + Math.max(-step, Math.min(step, target - current));
+            }
+
+            this.checkRetaliation(partner, ourTariff);
+        }
+    }
+
+    checkRetaliation(partner, ourTariff) {
+        if (!partner.canTrade || partner.hasDeal) return;
+        const temperament = partner.profile.temperament;
+
+        // A sudden tariff hike when we tax their cargo well above the norm
+        if (ourTariff - FOREIGN_BASE_TARIFF >= RETALIATION_THRESHOLD &&
+            this.random.next() < RETALIATION_CHANCE * temperament) {
+            for (const type of EXPORT_TYPES) {
+                partner.tariffs[type] = Math.min(100, partner.tariffs[type] + RETALIATION_HIKE);
+            }
+            partner.relations = Math.max(0, partner.relations - 5);
+            this.game.events.emit('tradeRetaliation', { partner: partner.name, label: partner.label, hike: RETALIATION_HIKE });
+            this.game.showKingTweet(`The ${partner.label} slapped +${RETALIATION_HIKE}% tariffs on OUR goods! How DARE they! We'll hit them HARDER! 😡`);
+            return;
+        }
+
+        // They stop trading altogether when relations collapse
+        if (partner.relations < EMBARGO_RELATIONS && this.random.next() < RETALIATION_CHANCE * temperament) {
+            partner.embargoMonthsLeft = PARTNER_EMBARGO_MONTHS;
+            this.game.events.emit('tradeEmbargo', { partner: partner.name, label: partner.label, months: PARTNER_EMBARGO_MONTHS });
+            this.game.showKingTweet(`The ${partner.label} EMBARGOED us! Fine! We don't need their stuff! 🚫🚢`);
+        }
+    }
+
+    /**
+     * Player action: sign a trade deal. Both sides cap tariffs for DEAL_MONTHS.
+     */
+    signTradeDeal(name) {
+        const partner = this.partners[name];
+        const problem = this.getDealProblem(partner);
+        if (problem) {
+            this.game.events.emit('tradeRefused', { reason: problem });
+            return false;
+        }
+
+        partner.dealMonthsLeft = DEAL_MONTHS;
+        partner.relations = Math.min(100, partner.relations + DEAL_RELATIONS_BONUS);
+        for (const type of EXPORT_TYPES) {
+            partner.tariffs[type] = Math.min(partner.tariffs[type], DEAL_TARIFF);
+        }
+
+        this.game.events.emit('tradeDealSigned', { partner: partner.name, label: partner.label, months: DEAL_MONTHS });
+        this.game.showKingTweet(`Just signed the GREATEST trade deal in history with the ${partner.label}! Nobody makes deals like me! 🤝`);
+        return true;
+    }
+
+    getDealProblem(partner) {
+        if (!partner) return 'No such trade partner';
+        if (partner.hasDeal) return `We already have a deal with the ${partner.label}`;
+        if (partner.embargoedByUs) return `Lift the embargo on the ${partner.label} first`;
+        if (partner.embargoMonthsLeft > 0) return `The ${partner.label} won't talk to us while their embargo lasts`;
+        if (partner.relations < DEAL_MIN_RELATIONS) return `The ${partner.label} won't deal with us - relations are too poor`;
+        return null;
+    }
+
+    /**
+     * Player action: stop (or resume) all trade with a partner
+     */
+    setEmbargo(name, active) {
+        const partner = this.partners[name];
+        if (!partner || partner.embargoedByUs === active) return false;
+
+        partner.embargoedByUs = active;
+        if (active) {
+            partner.dealMonthsLeft = 0;
+            partner.relations = Math.max(0, partner.relations - EMBARGO_RELATIONS_PENALTY);
+            this.game.showKingTweet(`EMBARGO on the ${partner.label}! Not one boat! They'll come begging! 🚫`);
+        } else {
+            this.game.showKingTweet(`I'm lifting the embargo on the ${partner.label}. Very generous of me. VERY! 🕊️`);
+        }
+
+        this.game.events.emit('embargoChanged', { partner: partner.name, label: partner.label, active });
+        return true;
     }
 
     setTariffRate(cargoType, rate) {
@@ -323,6 +576,57 @@ export class TariffSystem {
         }
     }
 
+    /**
+     * Save tariff rates, trade relations, stats and boats at sea
+     */
+    serialize() {
+        return {
+            tariffRates: { ...this.tariffRates },
+            globalTariffModifier: this.globalTariffModifier,
+            partners: Object.fromEntries(Object.entries(this.partners).map(([name, partner]) => [name, partner.serialize()])),
+            stats: { ...this.stats },
+            boatSpawnTimer: this.boatSpawnTimer,
+            boats: this.boats.map(boat => {
+                const { game, random, cosmeticRandom, ...data } = boat;
+                return data;
+            })
+        };
+    }
+
+    restore(data) {
+        if (!data) return;
+
+        Object.assign(this.tariffRates, data.tariffRates || {});
+        this.globalTariffModifier = data.globalTariffModifier || 0;
+        this.restorePartners(data);
+        Object.assign(this.stats, data.stats || {});
+        this.boatSpawnTimer = data.boatSpawnTimer || 0;
+
+        this.boats = (data.boats || []).map(boatData => {
+            const boat = Object.create(Boat.prototype);
+            return Object.assign(boat, boatData, {
+                game: this.game,
+                random: this.random,
+                cosmeticRandom: this.cosmeticRandom
+            });
+        });
+    }
+
+    restorePartners(data) {
+        for (const [name, partner] of Object.entries(this.partners)) {
+            if (data.partners?.[name]) {
+                partner.restore(data.partners[name]);
+            } else {
+                // Saves from before trade partners had one relations score and one tariff per island
+                const tariff = data.foreignTariffs?.[name] ?? FOREIGN_BASE_TARIFF;
+                partner.restore({
+                    relations: data.tradeRelations ?? 100,
+                    tariffs: Object.fromEntries(EXPORT_TYPES.map(type => [type, tariff]))
+                });
+            }
+        }
+    }
+
     resetMonthlyStats() {
         this.stats.monthlyRevenue = 0;
         this.stats.monthlyTrade = 0;
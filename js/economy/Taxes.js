@@ -0,0 +1,34 @@
+/**
+ * Taxes - Per-zone tax rates and how they affect growth
+ *
+ * Each zone type has its own rate. The allotment managers multiply their
+ * growth by taxGrowthMultiplier(), so a zone taxed above the neutral rate
+ * develops more slowly and one taxed below it grows faster.
+ */
+
+export const TAX_ZONES = ['residential', 'commercial', 'industrial'];
+
+export const DEFAULT_TAX_RATE = 10;  // percent
+export const MAX_TAX_RATE = 50;
+
+// Commercial tax income and industrial production tables are the monthly
+// take at this rate; other rates scale them
+export const BASE_TAX_RATE = 10;
+
+// Growth changes by this fraction per point away from the default rate
+const GROWTH_PER_TAX_POINT = 0.04;
+const MIN_GROWTH_MULTIPLIER = 0.1;
+const MAX_GROWTH_MULTIPLIER = 1.5;
+
+export function createTaxRates(rate = DEFAULT_TAX_RATE) {
+    return Object.fromEntries(TAX_ZONES.map(zone => [zone, rate]));
+}
+
+/**
+ * Growth multiplier for a zone taxed at `rate` percent:
+ * 1 at the default rate, up to 1.5 when untaxed, down to 0.1 at high rates
+ */
+export function taxGrowthMultiplier(rate = DEFAULT_TAX_RATE) {
+    const multiplier = 1 + (DEFAULT_TAX_RATE - rate) * GROWTH_PER_TAX_POINT;
+    return Math.max(MIN_GROWTH_MULTIPLIER, Math.min(MAX_GROWTH_MULTIPLIER, multiplier));
+}
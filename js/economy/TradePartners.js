@@ -0,0 +1,95 @@
+/**
+ * TradePartners - The source islands we trade with
+ *
+ * Each island has its own relations with us, its own tariffs on what we sell
+ * it, and its own mix of cargo it ships. TariffSystem decides how they react
+ * to our tariffs; this module only holds who they are and where they stand.
+ */
+
+// What the islands buy from us
+export const EXPORT_TYPES = ['goods', 'oil'];
+
+// Names match IslandGenerator's source islands. cargoMix weights what their boats carry.
+export const TRADE_PARTNER_PROFILES = {
+    left: {
+        label: 'Western Isle',
+        flagColor: '#4444FF',
+        cargoMix: { food: 4, materials: 3, steel: 3, goods: 2, oil: 1, luxury: 0.5, tech: 0.5, cars: 0.5 },
+        temperament: 1  // How readily they retaliate
+    },
+    right: {
+        label: 'Eastern Isle',
+        flagColor: '#FF4444',
+        cargoMix: { tech: 4, cars: 3, luxury: 3, goods: 2, oil: 1, food: 0.5, materials: 0.5, steel: 1 },
+        temperament: 1.5
+    }
+};
+
+export const FOREIGN_BASE_TARIFF = 10;
+
+function baseTariffs() {
+    return Object.fromEntries(EXPORT_TYPES.map(type => [type, FOREIGN_BASE_TARIFF]));
+}
+
+export class TradePartner {
+    constructor(name) {
+        this.name = name;
+        this.profile = TRADE_PARTNER_PROFILES[name];
+
+        this.relations = 100;  // 0-100
+        this.tariffs = baseTariffs();  // Their tariffs on our exports, by type
+        this.dealMonthsLeft = 0;
+        this.embargoedByUs = false;
+        this.embargoMonthsLeft = 0;  // Their embargo on us
+    }
+
+    get label() {
+        return this.profile.label;
+    }
+
+    get flagColor() {
+        return this.profile.flagColor;
+    }
+
+    get cargoMix() {
+        return this.profile.cargoMix;
+    }
+
+    get hasDeal() {
+        return this.dealMonthsLeft > 0;
+    }
+
+    get canTrade() {
+        return !this.embargoedByUs && this.embargoMonthsLeft === 0;
+    }
+
+    /**
+     * Share of their shipments that is each cargo type
+     */
+    getCargoShares() {
+        const total = Object.values(this.cargoMix).reduce((sum, weight) => sum + weight, 0);
+        return Object.fromEntries(Object.entries(this.cargoMix).map(([type, weight]) => [type, weight / total]));
+    }
+
+    serialize() {
+        return {
+            relations: this.relations,
+            tariffs: { ...this.tariffs },
+            dealMonthsLeft: this.dealMonthsLeft,
+            embargoedByUs: this.embargoedByUs,
+            embargoMonthsLeft: this.embargoMonthsLeft
+        };
+    }
+
+    restore(data) {
+        this.relations = data.relations ?? 100;
+        this.tariffs = { ...baseTariffs(), ...data.tariffs };
+        this.dealMonthsLeft = data.dealMonthsLeft || 0;
+        this.embargoedByUs = !!data.embargoedByUs;
+        this.embargoMonthsLeft = data.embargoMonthsLeft || 0;
+    }
+}
+
+export function createTradePartners() {
+    return Object.fromEntries(Object.keys(TRADE_PARTNER_PROFILES).map(name => [name, new TradePartner(name)]));
+}
@@ -0,0 +1,63 @@
+/**
+ * Upkeep - Monthly running costs of buildings and funding for services
+ *
+ * Every building declares its monthly `upkeep` in Buildings.js. Service
+ * buildings (police, fire, hospital, school) have a funding level: the
+ * kingdom pays that share of their upkeep, and they work that much less well.
+ * While services are shut down they, and the airport, are unstaffed and
+ * cost nothing.
+ */
+import { BUILDINGS, BUILDING_CATEGORIES } from '../buildings/Buildings.js';
+
+export const SERVICE_TYPES = Object.values(BUILDINGS)
+    .filter(building => building.isServiceBuilding)
+    .map(building => building.id);
+
+export const DEFAULT_FUNDING = 100;  // percent
+export const MAX_FUNDING = 100;
+
+// Budget expense line for each building category's upkeep
+export const UPKEEP_LINES = {
+    [BUILDING_CATEGORIES.ZONES]: 'infrastructure',
+    [BUILDING_CATEGORIES.INFRASTRUCTURE]: 'infrastructure',
+    [BUILDING_CATEGORIES.POWER]: 'power',
+    [BUILDING_CATEGORIES.ENERGY]: 'energy',
+    [BUILDING_CATEGORIES.SPECIAL]: 'monuments',
+    [BUILDING_CATEGORIES.SERVICES]: 'services'
+};
+
+// Buildings whose staff go unpaid (and stop working) while services are shut down
+export const STAFFED_TYPES = [...SERVICE_TYPES, 'airport'];
+
+export function createServiceFunding(level = DEFAULT_FUNDING) {
+    return Object.fromEntries(SERVICE_TYPES.map(type => [type, level]));
+}
+
+// Funding while services are shut down: nobody on the payroll
+export function createShutDownFunding() {
+    return Object.fromEntries(STAFFED_TYPES.map(type => [type, 0]));
+}
+
+/**
+ * Monthly upkeep of one building at a funding level (staffed buildings only)
+ */
+export function buildingUpkeep(type, funding = DEFAULT_FUNDING) {
+    const building = BUILDINGS[type];
+    if (!building?.upkeep) return 0;
+    const share = STAFFED_TYPES.includes(type) ? funding / 100 : 1;
+    return Math.round(building.upkeep * share);
+}
+
+/**
+ * Upkeep per budget line for a map's building counts ({ type: count })
+ */
+export function calculateUpkeep(counts, funding = {}) {
+    const lines = Object.fromEntries(Object.values(UPKEEP_LINES).map(line => [line, 0]));
+    for (const [type, count] of Object.entries(counts)) {
+        const building = BUILDINGS[type];
+        const line = building && UPKEEP_LINES[building.category];
+        if (!line) continue;
+        lines[line] += buildingUpkeep(type, funding[type] ?? DEFAULT_FUNDING) * count;
+    }
+    return lines;
+}
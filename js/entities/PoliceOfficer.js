@@ -4,7 +4,8 @@
  */
 
 export class PoliceOfficer {
-    constructor(startX, startY, targetX, targetY, stationKey) {
+    constructor(startX, startY, targetX, targetY, stationKey, random) {
+        this.random = random;  // Seeded gameplay stream from the simulation
         this.x = startX;
         this.y = startY;
         this.targetX = targetX;
@@ -44,8 +45,8 @@ export class PoliceOfficer {
             const y = startY + (targetY - startY) * t;
 
             // Add slight randomization for natural movement
-            const offsetX = (Math.random() - 0.5) * 0.3;
-            const offsetY = (Math.random() - 0.5) * 0.3;
+            const offsetX = (this.random.next() - 0.5) * 0.3;
+            const offsetY = (this.random.next() - 0.5) * 0.3;
 
             path.push({ x: x + offsetX, y: y + offsetY });
         }
@@ -54,9 +55,9 @@ export class PoliceOfficer {
     }
 
     /**
-     * Update officer animation - called each frame
+     * Update officer animation - deltaTime is in 60 Hz frames
      */
-    update() {
+    update(deltaTime = 1) {
         this.frameCounter++;
 
         if (this.state === 'walking') {
@@ -65,7 +66,7 @@ export class PoliceOfficer {
                 const current = this.path[this.pathIndex];
                 const next = this.path[this.pathIndex + 1];
 
-                this.progress += this.speed;
+                this.progress += this.speed * deltaTime;
 
                 if (this.progress >= 1) {
                     this.progress = 0;
@@ -85,7 +86,7 @@ export class PoliceOfficer {
             }
         } else if (this.state === 'building') {
             // Building animation
-            this.buildProgress += 0.01;
+            this.buildProgress += 0.01 * deltaTime;
 
             // Hammer animation (move up and down)
             this.frame = Math.floor(this.frameCounter / 3) % 2;
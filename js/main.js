@@ -1,13 +1,25 @@
 // Main entry point for Island Kingdom
-import { Game } from './core/Game.js';
+import { Game, REPLAY_STORAGE_KEY } from './core/Game.js';
 
 // Wait for DOM to load
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('🏝️ Island Kingdom - The Mad King');
     console.log('Loading...');
 
+    // A replay picked on the start menu is handed over through a reload
+    let replay = null;
+    const pendingReplay = sessionStorage.getItem(REPLAY_STORAGE_KEY);
+    if (pendingReplay) {
+        sessionStorage.removeItem(REPLAY_STORAGE_KEY);
+        try {
+            replay = JSON.parse(pendingReplay);
+        } catch (e) {
+            console.error('[COMMANDS] Could not read replay:', e);
+        }
+    }
+
     // Create and initialize game
-    const game = new Game();
+    const game = new Game({ replay });
 
     // Expose game globally for debugging
     window.game = game;
@@ -17,20 +29,40 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Setup keyboard shortcuts
     document.addEventListener('keydown', (e) => {
-        // S - Save
-        if (e.key === 's' && e.ctrlKey) {
+        // Ctrl+S / Ctrl+L are handled by Game (named save, load dialog)
+        // Ctrl+Z - Undo, Ctrl+Y / Ctrl+Shift+Z - Redo
+        if ((e.key === 'z' || e.key === 'Z') && (e.ctrlKey || e.metaKey)) {
             e.preventDefault();
-            game.save();
+            if (e.shiftKey) {
+                game.redo();
+            } else {
+                game.undo();
+            }
+            return;
         }
-        // L - Load
-        if (e.key === 'l' && e.ctrlKey) {
+        if ((e.key === 'y' || e.key === 'Y') && (e.ctrlKey || e.metaKey)) {
             e.preventDefault();
-            game.load();
+            game.redo();
+            return;
         }
+        // Ctrl+E - Export replay (seed + command log)
+        if ((e.key === 'e' || e.key === 'E') && e.ctrlKey) {
+            e.preventDefault();
+            game.exportCommandLog();
+            return;
+        }
+        // The rest are plain keys - Ctrl/Cmd combos (zoom, tabs) belong to the browser
+        if (e.ctrlKey || e.metaKey) return;
         // P - Pause
         if (e.key === 'p') {
-            game.paused = !game.paused;
-            game.kingTweet(game.paused ? "PAUSED! Time to think! ⏸️" : "Let's GO! ▶️");
+            game.togglePause();
+        }
+        // + / - - Change game speed
+        if (e.key === '+' || e.key === '=') {
+            game.cycleSpeed(1);
+        }
+        if (e.key === '-' || e.key === '_') {
+            game.cycleSpeed(-1);
         }
         // Escape - Deselect tool
         if (e.key === 'Escape') {
@@ -79,9 +111,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.log('  - Drag: Pan map (or place roads/walls)');
     console.log('  - Scroll/Pinch: Zoom');
     console.log('  - P: Pause');
+    console.log('  - +/-: Game speed');
     console.log('  - A: Toggle Auto-Connect mode');
     console.log('  - Ctrl+S: Save');
     console.log('  - Ctrl+L: Load');
+    console.log('  - Ctrl+Z / Ctrl+Y: Undo / Redo');
+    console.log('  - Ctrl+E: Export replay');
     console.log('  - 1-4: Quick category select');
     console.log('  - Esc: Deselect tool');
 });
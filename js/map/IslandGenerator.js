@@ -283,7 +283,7 @@ export class IslandGenerator {
     smoothCoastlines() {
         const width = this.map.width;
         const height = this.map.height;
-        const TERRAIN = window.TERRAIN || { WATER: 1, DEEP_WATER: 0, SAND: 2, GRASS: 3 };
+        const TERRAIN = globalThis.TERRAIN || { WATER: 1, DEEP_WATER: 0, SAND: 2, GRASS: 3 };
 
         // Run 3 passes for thorough smoothing
         for (let pass = 0; pass < 3; pass++) {
@@ -464,4 +464,6 @@ export class IslandGenerator {
     }
 }
 
-window.IslandGenerator = IslandGenerator;
+if (typeof window !== 'undefined') {
+    window.IslandGenerator = IslandGenerator;
+}
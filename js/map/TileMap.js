@@ -180,6 +180,20 @@ export class TileMap {
         return count;
     }
 
+    // Count every building type in one pass: { type: count }
+    countAllBuildings() {
+        const counts = {};
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const building = this.tiles[y][x].building;
+                if (building && building.mainTile !== false) {
+                    counts[building.type] = (counts[building.type] || 0) + 1;
+                }
+            }
+        }
+        return counts;
+    }
+
     // Get all buildings of a type
     getBuildingsOfType(buildingType) {
         const buildings = [];
@@ -1,5 +1,7 @@
 // js/simulation/CommercialAllotment.js
 import { TERRAIN } from '../map/TileMap.js';
+import { taxGrowthMultiplier } from '../economy/Taxes.js';
+import { maxPhaseForLandValue } from './LandValue.js';
 // Commercial development system with 3x3 allotments
 // Phases: Empty -> Small shops -> Strip mall -> Shopping center -> Mall complex
 
@@ -54,6 +56,8 @@ export class CommercialAllotmentManager {
     constructor(game) {
         this.game = game;
         this.map = game.tileMap;
+        this.random = game.random;  // Seeded gameplay stream
+        this.cosmeticRandom = game.cosmeticRandom;  // King comments
         this.allotments = new Map();
         this.baseGrowthRate = 4;
     }
@@ -192,6 +196,22 @@ export class CommercialAllotmentManager {
             }
             return 0; // No growth without infrastructure
         }
+
+        // Builders stop work when the kingdom can't pay them
+        if (this.game.financeSystem?.constructionHalted) {
+            return 0;
+        }
+
+        // Shops can't expand without staff
+        if (this.game.employmentSystem?.isUnderstaffed(allotment)) {
+            return 0;
+        }
+
+        // Malls only go up on land that's worth it
+        allotment.landValue = this.game.landValueSystem?.getAreaValue(allotment.x, allotment.y) ?? 0;
+        if (allotment.phase >= maxPhaseForLandValue(allotment.landValue)) {
+            return 0;
+        }
         
         let rate = this.baseGrowthRate;
 
@@ -209,7 +229,25 @@ export class CommercialAllotmentManager {
             rate *= 0.4;
         }
 
-        rate += (Math.random() - 0.5) * 2;
+        // High commercial taxes slow development, low ones speed it up
+        rate *= taxGrowthMultiplier(this.game.taxRates?.commercial);
+
+        // Shops open where there are customers and staff to spare
+        rate *= this.game.demandSystem?.getGrowthMultiplier('commercial') ?? 1;
+
+        // Shopkeepers want a patrol car and a fire engine within reach
+        rate *= this.game.serviceCoverage?.getGrowthMultiplier(allotment) ?? 1;
+
+        // Nobody opens a shop on a street that keeps getting robbed
+        rate *= this.game.crimeSystem?.getGrowthMultiplier(allotment) ?? 1;
+
+        // Customers need fuel to drive to the shops
+        rate *= this.game.resourceSystem?.getCommercialGrowthMultiplier() ?? 1;
+
+        // ...and something on the shelves when they get there
+        rate *= this.game.portInventory?.getCommercialGrowthMultiplier() ?? 1;
+
+        rate += (this.random.next() - 0.5) * 2;
         return Math.max(0, rate);
     }
 
@@ -293,7 +331,7 @@ export class CommercialAllotmentManager {
                 if (!allotment.cells[row][col]) {
                     allotment.cells[row][col] = {
                         type: 'shop',
-                        variant: Math.floor(Math.random() * 3)
+                        variant: Math.floor(this.random.next() * 3)
                     };
                     allotment.shopsBuilt++;
                     return;
@@ -314,7 +352,7 @@ export class CommercialAllotmentManager {
             if (cell && cell.type === 'shop') {
                 allotment.cells[row][col] = {
                     type: 'stripMall',
-                    variant: Math.floor(Math.random() * 2)
+                    variant: Math.floor(this.random.next() * 2)
                 };
                 allotment.stripMallBuilt++;
                 allotment.shopsBuilt--;
@@ -345,7 +383,7 @@ export class CommercialAllotmentManager {
 
     announceProgress(allotment) {
         if (!this.game.showKingTweet) return;
-        if (Math.random() > 0.3) return;
+        if (this.cosmeticRandom.next() > 0.3) return;
 
         const comments = {
             [COMMERCIAL_PHASES.SHOPS_1]: [
@@ -378,11 +416,28 @@ export class CommercialAllotmentManager {
 
         const phaseComments = comments[allotment.phase];
         if (phaseComments) {
-            const comment = phaseComments[Math.floor(Math.random() * phaseComments.length)];
+            const comment = phaseComments[Math.floor(this.cosmeticRandom.next() * phaseComments.length)];
             this.game.showKingTweet(comment);
         }
     }
 
+    // Burned down: back to an empty zoned lot
+    burnDown(allotment) {
+        allotment.phase = COMMERCIAL_PHASES.EMPTY;
+        allotment.progress = 0;
+        allotment.shopsBuilt = 0;
+        allotment.stripMallBuilt = 0;
+        allotment.hasShoppingCenter = false;
+        allotment.hasMall = false;
+        allotment.jobs = 0;
+        allotment.taxIncome = 0;
+        allotment.cells = [
+            [null, null, null],
+            [null, null, null],
+            [null, null, null]
+        ];
+    }
+
     removeAllotment(x, y) {
         const allotment = this.getAllotmentAt(x, y);
         if (!allotment) return false;
@@ -399,6 +454,7 @@ export class CommercialAllotmentManager {
         }
 
         this.allotments.delete(key);
+        this.game.fireSystem?.clearFire(key);
         return true;
     }
 
@@ -0,0 +1,154 @@
+// js/simulation/Crime.js
+import { MAX_LAND_VALUE } from './LandValue.js';
+import { stamp } from '../utils/Field.js';
+
+/**
+ * Crime - How much crime there is on each tile, worked out monthly
+ *
+ * Dense homes and shops breed crime, more so where people are out of work
+ * and land is cheap; police patrols keep it down. Allotments remember the
+ * crime on their lot and grow more slowly as it rises, and the king sulks
+ * when the streets aren't safe. Shops in rough areas get robbed: those
+ * robberies are reported to the PoliceSystem as incidents on the map.
+ */
+
+export const MAX_CRIME = 100;
+
+// Crime from a developed lot, per development phase, spreading this far
+const CRIME_PER_PHASE = 4;
+const CRIME_RADIUS = 4;
+
+// A lot where everyone's out of work breeds this much more crime
+const UNEMPLOYMENT_CRIME = 1;
+
+// Crime at worthless land (x1.5) down to prime land (x0.5)
+const POVERTY_CRIME = 0.5;
+
+// Monthly chance of a robbery at a shop, per point of crime on its lot
+const ROBBERY_CHANCE_PER_CRIME = 0.004;
+
+// Growth slows to this at HIGH_CRIME
+const HIGH_CRIME = 50;
+const HIGH_CRIME_GROWTH = 0.4;
+
+const ZONE_MANAGERS = ['residentialManager', 'commercialManager'];
+
+export class CrimeSystem {
+    constructor(game) {
+        this.game = game;
+        this.random = game.random;  // Seeded gameplay stream
+        this.width = game.tileMap.width;
+        this.height = game.tileMap.height;
+
+        // Last month's crime on every tile, row by row
+        this.rates = new Uint8Array(this.width * this.height);
+    }
+
+    /**
+     * Monthly: recompute crime, then see which shops get robbed
+     */
+    update() {
+        this.calculateRates();
+        this.reportRobberies();
+    }
+
+    calculateRates() {
+        const crime = new Float32Array(this.width * this.height);
+        const landValue = this.game.landValueSystem;
+
+        for (const managerName of ZONE_MANAGERS) {
+            for (const allotment of this.game[managerName]?.allotments.values() || []) {
+                if (allotment.phase === 0) continue;
+
+                // Workers without jobs (shops have none of their own)
+                const workforce = (allotment.employed || 0) + (allotment.unemployed || 0);
+                const jobless = workforce ? allotment.unemployed / workforce : 0;
+                const value = landValue ? landValue.getAreaValue(allotment.x, allotment.y) : MAX_LAND_VALUE / 2;
+                const poverty = 1 + POVERTY_CRIME * (1 - 2 * value / MAX_LAND_VALUE);
+
+                const amount = allotment.phase * CRIME_PER_PHASE * (1 + UNEMPLOYMENT_CRIME * jobless) * poverty;
+                stamp(crime, this.width, this.height, allotment.x + 1, allotment.y + 1, CRIME_RADIUS, amount);
+            }
+        }
+
+        const coverage = this.game.serviceCoverage;
+        for (let i = 0; i < crime.length; i++) {
+            const x = i % this.width;
+            // Police crime effect is negative
+            const policing = coverage ? coverage.getEffectAt('policeStation', x, (i - x) / this.width) : 0;
+            this.rates[i] = Math.round(Math.max(0, Math.min(MAX_CRIME, crime[i] + policing)));
+        }
+
+        for (const managerName of [...ZONE_MANAGERS, 'industrialManager']) {
+            for (const allotment of this.game[managerName]?.allotments.values() || []) {
+                allotment.crime = this.getAreaCrime(allotment.x, allotment.y);
+            }
+        }
+    }
+
+    reportRobberies() {
+        const police = this.game.policeSystem;
+        if (!police) return;
+
+        for (const allotment of this.game.commercialManager?.allotments.values() || []) {
+            if (allotment.phase === 0 || !allotment.crime) continue;
+            if (this.random.next() < allotment.crime * ROBBERY_CHANCE_PER_CRIME) {
+                police.reportIncident('robbery', allotment.x + 1.5, allotment.y + 1.5);
+            }
+        }
+    }
+
+    getCrimeAt(x, y) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return 0;
+        return this.rates[y * this.width + x];
+    }
+
+    /**
+     * Average crime over a size x size lot from its top-left corner
+     */
+    getAreaCrime(x, y, size = 3) {
+        let sum = 0;
+        for (let dy = 0; dy < size; dy++) {
+            for (let dx = 0; dx < size; dx++) {
+                sum += this.getCrimeAt(x + dx, y + dy);
+            }
+        }
+        return sum / (size * size);
+    }
+
+    /**
+     * Growth multiplier for an allotment: 1 on safe streets, down to 0.4 at
+     * HIGH_CRIME and beyond
+     */
+    getGrowthMultiplier(allotment) {
+        const crime = allotment.crime || 0;
+        return 1 - (1 - HIGH_CRIME_GROWTH) * Math.min(1, crime / HIGH_CRIME);
+    }
+
+    // Average crime across developed homes and shops
+    getAverageRate() {
+        let sum = 0;
+        let lots = 0;
+        for (const managerName of ZONE_MANAGERS) {
+            for (const allotment of this.game[managerName]?.allotments.values() || []) {
+                if (allotment.phase === 0) continue;
+                sum += allotment.crime || 0;
+                lots++;
+            }
+        }
+        return lots ? sum / lots : 0;
+    }
+
+    serialize() {
+        return { rates: Array.from(this.rates) };
+    }
+
+    restore(data) {
+        // Saves from before crime work it out without robbing anyone
+        if (!data?.rates || data.rates.length !== this.rates.length) {
+            this.calculateRates();
+            return;
+        }
+        this.rates.set(data.rates);
+    }
+}
@@ -0,0 +1,131 @@
+// js/simulation/Demand.js
+import { TAX_ZONES } from '../economy/Taxes.js';
+import { WORKFORCE_SHARE } from './Employment.js';
+
+/**
+ * Demand - Residential, commercial and industrial demand, worked out monthly
+ *
+ * Each zone's demand runs from -1 (nobody wants to build) to 1 (everyone
+ * does). Residents come for jobs, shops want customers and staff, and
+ * factories want staff and somewhere to sell: the local shops, or the export
+ * warehouses at the ports. The allotment managers scale their growth by
+ * demandGrowthMultiplier(), and the toolbar shows it as the R/C/I meter.
+ */
+
+// Residents who'll settle on an island with no jobs yet, so a new kingdom can start
+const STARTER_RESIDENTS = 60;
+
+// Shop jobs each resident keeps busy, and factory jobs each shop job supplies
+const SHOP_JOBS_PER_RESIDENT = 0.3;
+const FACTORY_JOBS_PER_SHOP_JOB = 0.5;
+
+// Demand never falls below or rises above these
+const MIN_DEMAND = -1;
+const MAX_DEMAND = 1;
+
+// Growth multiplier at full demand, and at no demand at all
+const FULL_DEMAND_GROWTH = 1.5;
+const NO_DEMAND_GROWTH = 0.1;
+
+// Gaps smaller than this many people or jobs count for less
+const MIN_SCALE = 20;
+
+function emptyDemand() {
+    return Object.fromEntries(TAX_ZONES.map(zone => [zone, 0]));
+}
+
+// How far `have` is short of `want` (positive) or over it (negative)
+function shortfall(want, have) {
+    const scale = Math.max(want, have, MIN_SCALE);
+    return Math.max(MIN_DEMAND, Math.min(MAX_DEMAND, (want - have) / scale));
+}
+
+/**
+ * Growth multiplier for a zone with `demand`: 1 when balanced, up to 1.5
+ * at full demand, down to 0.1 when nobody wants any more
+ */
+export function demandGrowthMultiplier(demand = 0) {
+    if (demand >= 0) return 1 + demand * (FULL_DEMAND_GROWTH - 1);
+    return 1 + demand * (1 - NO_DEMAND_GROWTH);
+}
+
+export class DemandSystem {
+    constructor(game) {
+        this.game = game;
+
+        // Latest demand per zone type, -1 to 1
+        this.demand = emptyDemand();
+
+        // What it was worked out from, for the meter's tooltip
+        this.lastMonth = null;
+    }
+
+    /**
+     * Monthly: weigh supply against demand for each zone type
+     */
+    update() {
+        const game = this.game;
+        const population = game.population || 0;
+        const shopJobs = game.commercialManager?.getTotalJobs() || 0;
+        const factoryJobs = game.industrialManager?.getTotalJobs() || 0;
+        const jobs = shopJobs + factoryJobs;
+        const employment = game.employmentSystem?.lastMonth;
+        const unemployed = employment ? employment.unemployed : Math.max(0, population * WORKFORCE_SHARE - jobs);
+        const vacancies = employment ? employment.vacancies : Math.max(0, jobs - population * WORKFORCE_SHARE);
+
+        // Residents: people to fill the jobs
+        const residential = shortfall(jobs / WORKFORCE_SHARE + STARTER_RESIDENTS, population);
+
+        // Businesses want staff while there are people out of work
+        const workers = shortfall(unemployed, vacancies);
+
+        // Shops: customers
+        const customers = shortfall(population * SHOP_JOBS_PER_RESIDENT, shopJobs);
+
+        // Factories: the local shops and room in the export warehouses
+        const localMarket = shortfall(shopJobs * FACTORY_JOBS_PER_SHOP_JOB, factoryJobs);
+        const exports = game.exportSystem;
+        const exportCapacity = exports?.getCapacity() || 0;
+        const exportMarket = exportCapacity > 0 ? 1 - 2 * Math.min(1, exports.warehouse / exportCapacity) : MIN_DEMAND;
+        const market = Math.max(localMarket, exportMarket);
+
+        this.demand = {
+            residential,
+            commercial: (customers + workers) / 2,
+            industrial: (market + workers) / 2
+        };
+        this.lastMonth = {
+            population,
+            shopJobs,
+            factoryJobs,
+            unemployed: Math.round(unemployed),
+            vacancies: Math.round(vacancies),
+            exportRoom: Math.max(0, exportCapacity - (exports?.warehouse || 0))
+        };
+    }
+
+    getDemand(zone) {
+        return this.demand[zone] ?? 0;
+    }
+
+    getGrowthMultiplier(zone) {
+        return demandGrowthMultiplier(this.getDemand(zone));
+    }
+
+    serialize() {
+        return {
+            demand: { ...this.demand },
+            lastMonth: this.lastMonth ? { ...this.lastMonth } : null
+        };
+    }
+
+    restore(data) {
+        // Saves from before demand work it out from the loaded kingdom
+        if (!data) {
+            this.update();
+            return;
+        }
+        this.demand = { ...emptyDemand(), ...data.demand };
+        this.lastMonth = data.lastMonth ? { ...data.lastMonth } : null;
+    }
+}
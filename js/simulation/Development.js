@@ -39,6 +39,8 @@ export class DevelopmentManager {
     constructor(game) {
         this.game = game;
         this.map = game.map;
+        this.random = game.random;  // Seeded gameplay stream
+        this.cosmeticRandom = game.cosmeticRandom;  // King comments
 
         // Track development level for each tile
         // Key: "x,y", Value: { level: 0-4, progress: 0-100 }
@@ -168,7 +170,7 @@ export class DevelopmentManager {
         growth += neighbors * 0.5;
 
         // Factor 5: Random variation
-        growth += (Math.random() - 0.5) * 3;
+        growth += (this.random.next() - 0.5) * 3;
 
         // Factor 6: Tariffs affect commercial/industrial
         if (dev.type === 'commercial' || dev.type === 'industrial') {
@@ -267,8 +269,8 @@ export class DevelopmentManager {
                 `TREMENDOUS development! Best ${visual.label} ever! 🎉`,
                 `The kingdom is BOOMING under my leadership! 📈`
             ];
-            if (Math.random() < 0.25 && this.game.showKingTweet) {
-                this.game.showKingTweet(comments[Math.floor(Math.random() * comments.length)]);
+            if (this.cosmeticRandom.next() < 0.25 && this.game.showKingTweet) {
+                this.game.showKingTweet(comments[Math.floor(this.cosmeticRandom.next() * comments.length)]);
             }
         }
     }
@@ -277,7 +279,7 @@ export class DevelopmentManager {
     onLevelDown(x, y, dev) {
         this.addAnimation(x, y, 'decline');
 
-        if (Math.random() < 0.4 && this.game.showKingTweet) {
+        if (this.cosmeticRandom.next() < 0.4 && this.game.showKingTweet) {
             const comments = [
                 "A building abandoned? FAKE NEWS! 📰",
                 "That wasn't a good building anyway! 🙄",
@@ -285,7 +287,7 @@ export class DevelopmentManager {
                 "We'll build something BETTER there! 🏗️",
                 "SAD! But we'll make it great again! 💪"
             ];
-            this.game.showKingTweet(comments[Math.floor(Math.random() * comments.length)]);
+            this.game.showKingTweet(comments[Math.floor(this.cosmeticRandom.next() * comments.length)]);
         }
     }
 
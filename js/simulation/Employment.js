@@ -0,0 +1,248 @@
+// js/simulation/Employment.js
+
+/**
+ * Employment - Matches residents to jobs they can drive to
+ *
+ * Each month the workers of every residential lot take the nearest open jobs
+ * at shops and factories on the same road network, measured along the roads.
+ * Processed immigrants have no lot of their own; they take whatever work is
+ * left anywhere on the island, and some of those who find none move on.
+ * Unemployment slows residential growth and sours the king's mood, and shops
+ * and factories that can't find staff stop growing.
+ */
+
+// Share of residents who work
+export const WORKFORCE_SHARE = 0.5;
+
+// Nobody drives further than this many road tiles to work
+const MAX_COMMUTE = 60;
+
+// Share of jobless processed immigrants who leave each month
+const JOBLESS_IMMIGRANT_DEPARTURES = 0.1;
+
+// Residential growth from full employment down to this at MAX_UNEMPLOYMENT
+const UNEMPLOYED_GROWTH = 0.3;
+const HEALTHY_UNEMPLOYMENT = 0.05;
+const MAX_UNEMPLOYMENT = 0.5;
+
+// A town with fewer jobs than this is still getting started: unemployment
+// only weighs in as the first shops and factories open
+const ESTABLISHED_JOBS = 50;
+
+// The king notices when this share of the workforce is out of work
+const HIGH_UNEMPLOYMENT = 0.2;
+
+// Shops and factories below this share of their staff stop growing
+export const MIN_STAFFING = 0.5;
+
+const DIRECTIONS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+function emptyStats() {
+    return {
+        workforce: 0,
+        employed: 0,
+        unemployed: 0,
+        unemploymentRate: 0,
+        jobs: 0,
+        vacancies: 0,
+        averageCommute: 0,
+        immigrantsEmployed: 0,
+        immigrantsLeft: 0
+    };
+}
+
+export class EmploymentSystem {
+    constructor(game) {
+        this.game = game;
+
+        // Last month's matching
+        this.lastMonth = emptyStats();
+    }
+
+    /**
+     * Monthly: match workers to jobs, then let jobless immigrants go
+     */
+    update() {
+        const stats = this.assignJobs();
+        const wasHigh = this.lastMonth.unemploymentRate >= HIGH_UNEMPLOYMENT;
+
+        const joblessImmigrants = (this.game.processedImmigrants || 0) - stats.immigrantsEmployed;
+        const leaving = Math.ceil(joblessImmigrants * JOBLESS_IMMIGRANT_DEPARTURES);
+        if (leaving > 0) {
+            this.game.processedImmigrants -= leaving;
+            this.game.population -= leaving;
+            stats.immigrantsLeft = leaving;
+        }
+
+        if (!wasHigh && stats.unemploymentRate >= HIGH_UNEMPLOYMENT) {
+            this.game.kingTweet(`${Math.round(stats.unemploymentRate * 100)}% UNEMPLOYMENT?! Somebody build some SHOPS and FACTORIES! 😤🏭`);
+        }
+
+        this.lastMonth = stats;
+    }
+
+    /**
+     * Fill every job site's openings from the residential lots that can reach
+     * it, nearest first. Writes workers/staffing to shop and factory lots and
+     * employed/unemployed/commute to residential ones.
+     */
+    assignJobs() {
+        const game = this.game;
+        const stats = emptyStats();
+        const infra = game.infrastructureManager;
+
+        const sites = [];
+        for (const managerName of ['commercialManager', 'industrialManager']) {
+            for (const allotment of game[managerName]?.allotments.values() || []) {
+                allotment.workers = 0;
+                const jobs = allotment.jobs || 0;
+                stats.jobs += jobs;
+                if (jobs > 0) {
+                    sites.push({ allotment, openings: jobs, roads: this.getAdjacentRoads(allotment) });
+                }
+            }
+        }
+
+        let commuteTotal = 0;
+        for (const home of game.residentialManager?.allotments.values() || []) {
+            const workers = Math.floor((home.population || 0) * WORKFORCE_SHARE);
+            home.employed = 0;
+            home.unemployed = workers;
+            home.commute = 0;
+            stats.workforce += workers;
+            if (workers === 0) continue;
+
+            const network = infra?.getRoadNetwork(home.x, home.y);
+            if (!network) continue;
+
+            const distances = this.measureCommutes(this.getAdjacentRoads(home));
+            const reachable = sites
+                .filter(site => site.openings > 0 && network.connectedBuildings.has(`${site.allotment.x},${site.allotment.y}`))
+                .map(site => ({ site, distance: this.getSiteDistance(site, distances) }))
+                .filter(entry => entry.distance <= MAX_COMMUTE)
+                .sort((a, b) => a.distance - b.distance);
+
+            let homeCommute = 0;
+            for (const { site, distance } of reachable) {
+                if (home.unemployed === 0) break;
+                const hired = Math.min(site.openings, home.unemployed);
+                site.openings -= hired;
+                site.allotment.workers += hired;
+                home.employed += hired;
+                home.unemployed -= hired;
+                homeCommute += hired * distance;
+            }
+            home.commute = home.employed ? homeCommute / home.employed : 0;
+            commuteTotal += homeCommute;
+            stats.employed += home.employed;
+        }
+
+        // Processed immigrants settle wherever there's work left
+        let jobSeekers = Math.floor(game.processedImmigrants || 0);
+        stats.workforce += jobSeekers;
+        for (const site of sites) {
+            if (jobSeekers === 0) break;
+            const hired = Math.min(site.openings, jobSeekers);
+            site.openings -= hired;
+            site.allotment.workers += hired;
+            jobSeekers -= hired;
+            stats.immigrantsEmployed += hired;
+        }
+        stats.employed += stats.immigrantsEmployed;
+
+        for (const site of sites) {
+            site.allotment.staffing = site.allotment.workers / site.allotment.jobs;
+            stats.vacancies += site.openings;
+        }
+
+        stats.unemployed = stats.workforce - stats.employed;
+        stats.unemploymentRate = stats.workforce ? stats.unemployed / stats.workforce : 0;
+        const commuters = stats.employed - stats.immigrantsEmployed;
+        stats.averageCommute = commuters ? commuteTotal / commuters : 0;
+        return stats;
+    }
+
+    // Road tiles along the edge of a 3x3 lot
+    getAdjacentRoads(allotment) {
+        const roads = [];
+        const { x, y } = allotment;
+        for (let i = 0; i < 3; i++) {
+            for (const [rx, ry] of [[x + i, y - 1], [x + i, y + 3], [x - 1, y + i], [x + 3, y + i]]) {
+                if (this.game.tileMap.getTile(rx, ry)?.building?.type === 'road') {
+                    roads.push(ry * this.game.tileMap.width + rx);
+                }
+            }
+        }
+        return roads;
+    }
+
+    /**
+     * Road distance from the start tiles to every road tile within MAX_COMMUTE
+     */
+    measureCommutes(starts) {
+        const map = this.game.tileMap;
+        const distances = new Map(starts.map(index => [index, 0]));
+        let frontier = starts;
+
+        for (let step = 1; step <= MAX_COMMUTE && frontier.length > 0; step++) {
+            const next = [];
+            for (const index of frontier) {
+                const x = index % map.width;
+                const y = (index - x) / map.width;
+                for (const [dx, dy] of DIRECTIONS) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    const neighbor = ny * map.width + nx;
+                    if (distances.has(neighbor) || map.getTile(nx, ny)?.building?.type !== 'road') continue;
+                    distances.set(neighbor, step);
+                    next.push(neighbor);
+                }
+            }
+            frontier = next;
+        }
+        return distances;
+    }
+
+    getSiteDistance(site, distances) {
+        let best = Infinity;
+        for (const road of site.roads) {
+            if (distances.has(road)) best = Math.min(best, distances.get(road));
+        }
+        return best;
+    }
+
+    /**
+     * Unemployment as it counts against growth and the king's mood: none
+     * before any jobs exist, phasing in up to ESTABLISHED_JOBS
+     */
+    getEffectiveUnemployment() {
+        const established = Math.min(1, this.lastMonth.jobs / ESTABLISHED_JOBS);
+        return this.lastMonth.unemploymentRate * established;
+    }
+
+    /**
+     * Residential growth multiplier: 1 with healthy employment, down to 0.3
+     * when half the workforce is out of work
+     */
+    getResidentialGrowthMultiplier() {
+        const excess = (this.getEffectiveUnemployment() - HEALTHY_UNEMPLOYMENT) / (MAX_UNEMPLOYMENT - HEALTHY_UNEMPLOYMENT);
+        return 1 - (1 - UNEMPLOYED_GROWTH) * Math.max(0, Math.min(1, excess));
+    }
+
+    /**
+     * True when a shop or factory lot has too few staff to keep growing
+     */
+    isUnderstaffed(allotment) {
+        if (!allotment.jobs || allotment.staffing === undefined) return false;
+        return allotment.staffing < MIN_STAFFING;
+    }
+
+    serialize() {
+        return { lastMonth: { ...this.lastMonth } };
+    }
+
+    restore(data) {
+        // Saves from before employment match jobs now, without anyone leaving
+        this.lastMonth = data?.lastMonth ? { ...emptyStats(), ...data.lastMonth } : this.assignJobs();
+    }
+}
@@ -1,5 +1,6 @@
 // js/simulation/IndustrialAllotment.js
 import { TERRAIN } from '../map/TileMap.js';
+import { taxGrowthMultiplier } from '../economy/Taxes.js';
 // Industrial development system with 3x3 allotments
 // Phases: Empty -> Workshops -> Factories -> Heavy industry -> Industrial complex
 
@@ -66,6 +67,8 @@ export class IndustrialAllotmentManager {
     constructor(game) {
         this.game = game;
         this.map = game.tileMap;
+        this.random = game.random;  // Seeded gameplay stream
+        this.cosmeticRandom = game.cosmeticRandom;  // King comments
         this.allotments = new Map();
         this.baseGrowthRate = 3;
     }
@@ -208,6 +211,16 @@ export class IndustrialAllotmentManager {
             }
             return 0; // No growth without infrastructure
         }
+
+        // Builders stop work when the kingdom can't pay them
+        if (this.game.financeSystem?.constructionHalted) {
+            return 0;
+        }
+
+        // No workers, no new factories
+        if (this.game.employmentSystem?.isUnderstaffed(allotment)) {
+            return 0;
+        }
         
         let rate = this.baseGrowthRate;
 
@@ -225,7 +238,16 @@ export class IndustrialAllotmentManager {
             rate *= 0.5;
         }
 
-        rate += (Math.random() - 0.5) * 2;
+        // High industrial taxes slow development, low ones speed it up
+        rate *= taxGrowthMultiplier(this.game.taxRates?.industrial);
+
+        // Factories need staff and somewhere to sell what they make
+        rate *= this.game.demandSystem?.getGrowthMultiplier('industrial') ?? 1;
+
+        // Factories are a fire risk; insurers want a fire station nearby
+        rate *= this.game.serviceCoverage?.getGrowthMultiplier(allotment) ?? 1;
+
+        rate += (this.random.next() - 0.5) * 2;
         return Math.max(0, rate);
     }
 
@@ -309,7 +331,7 @@ export class IndustrialAllotmentManager {
                 if (!allotment.cells[row][col]) {
                     allotment.cells[row][col] = {
                         type: 'workshop',
-                        variant: Math.floor(Math.random() * 3)
+                        variant: Math.floor(this.random.next() * 3)
                     };
                     allotment.workshopsBuilt++;
                     return;
@@ -330,7 +352,7 @@ export class IndustrialAllotmentManager {
             if (cell && cell.type === 'workshop') {
                 allotment.cells[row][col] = {
                     type: 'factory',
-                    variant: Math.floor(Math.random() * 2)
+                    variant: Math.floor(this.random.next() * 2)
                 };
                 allotment.factoriesBuilt++;
                 allotment.workshopsBuilt--;
@@ -361,7 +383,7 @@ export class IndustrialAllotmentManager {
 
     announceProgress(allotment) {
         if (!this.game.showKingTweet) return;
-        if (Math.random() > 0.3) return;
+        if (this.cosmeticRandom.next() > 0.3) return;
 
         const comments = {
             [INDUSTRIAL_PHASES.WORKSHOPS_1]: [
@@ -394,11 +416,29 @@ export class IndustrialAllotmentManager {
 
         const phaseComments = comments[allotment.phase];
         if (phaseComments) {
-            const comment = phaseComments[Math.floor(Math.random() * phaseComments.length)];
+            const comment = phaseComments[Math.floor(this.cosmeticRandom.next() * phaseComments.length)];
             this.game.showKingTweet(comment);
         }
     }
 
+    // Burned down: nothing left but the zoning
+    burnDown(allotment) {
+        allotment.phase = INDUSTRIAL_PHASES.EMPTY;
+        allotment.progress = 0;
+        allotment.workshopsBuilt = 0;
+        allotment.factoriesBuilt = 0;
+        allotment.hasHeavyIndustry = false;
+        allotment.hasComplex = false;
+        allotment.jobs = 0;
+        allotment.production = 0;
+        allotment.pollution = 0;
+        allotment.cells = [
+            [null, null, null],
+            [null, null, null],
+            [null, null, null]
+        ];
+    }
+
     removeAllotment(x, y) {
         const allotment = this.getAllotmentAt(x, y);
         if (!allotment) return false;
@@ -415,6 +455,7 @@ export class IndustrialAllotmentManager {
         }
 
         this.allotments.delete(key);
+        this.game.fireSystem?.clearFire(key);
         return true;
     }
 
@@ -0,0 +1,271 @@
+// js/simulation/LandValue.js
+import { TERRAIN } from '../map/TileMap.js';
+import { BUILDINGS } from '../buildings/Buildings.js';
+import { SERVICE_TYPES } from '../economy/Upkeep.js';
+import { MAX_POLLUTION } from './Pollution.js';
+import { stamp } from '../utils/Field.js';
+
+/**
+ * LandValue - What each tile of the island is worth, recomputed monthly
+ *
+ * Land starts from its terrain and gains value near the sea, woods,
+ * monuments and working services; pollution and crime take it away. Zones
+ * can only build as high as their land is worth (see maxPhaseForLandValue)
+ * and pay property tax on it every month.
+ */
+
+export const MAX_LAND_VALUE = 100;
+
+// What bare land is worth
+const TERRAIN_VALUE = {
+    [TERRAIN.SAND]: 15,
+    [TERRAIN.BEACH]: 20,
+    [TERRAIN.GRASS]: 20,
+    [TERRAIN.DIRT]: 10,
+    [TERRAIN.FOREST]: 15,
+    [TERRAIN.ROCK]: 5,
+    [TERRAIN.MOUNTAIN]: 5,
+    [TERRAIN.PALACE]: 30
+};
+
+// Sea views and woods nearby: bonus next door, fading out over `range` tiles
+const WATER_BONUS = 20;
+const WATER_RANGE = 6;
+const WOODS_BONUS = 8;
+const WOODS_RANGE = 4;
+
+// Buildings that make their neighbourhood more desirable
+const AMENITIES = {
+    statue: { value: 15, radius: 6 },
+    tower: { value: 20, radius: 8 },
+    triumphalArch: { value: 25, radius: 8 },
+    golfCourse: { value: 15, radius: 6 }
+};
+
+// Value of full service coverage; tiles the crews only just reach get a little
+const SERVICE_VALUE = {
+    policeStation: 10,
+    fireStation: 8,
+    hospital: 12,
+    school: 10
+};
+
+// Land loses this much value per point of pollution in the air over it
+const POLLUTION_WEIGHT = 0.4;
+
+// Land loses half a point of value per point of crime
+const CRIME_WEIGHT = 0.5;
+
+// Highest phase a residential or commercial lot can reach, by land value
+const PHASE_CEILINGS = [
+    { minValue: 50, maxPhase: 7 },  // High-rises and malls
+    { minValue: 35, maxPhase: 6 },
+    { minValue: 20, maxPhase: 5 },
+    { minValue: 0, maxPhase: 3 }    // Houses and small shops only
+];
+
+// Monthly property tax per point of land value per development phase, at the base tax rate
+const PROPERTY_TAX_PER_VALUE = 0.05;
+
+const ZONE_ALLOTMENTS = [
+    ['residential', 'residentialManager'],
+    ['commercial', 'commercialManager'],
+    ['industrial', 'industrialManager']
+];
+
+export function maxPhaseForLandValue(value) {
+    return PHASE_CEILINGS.find(ceiling => value >= ceiling.minValue).maxPhase;
+}
+
+export class LandValueSystem {
+    constructor(game) {
+        this.game = game;
+        this.width = game.tileMap.width;
+        this.height = game.tileMap.height;
+
+        // Last month's value of every tile, row by row
+        this.values = new Uint8Array(this.width * this.height);
+    }
+
+    /**
+     * Monthly: value every tile and write it to tile.landValue
+     */
+    update() {
+        const map = this.game.tileMap;
+        const bonus = new Float32Array(this.width * this.height);
+        const penalty = new Float32Array(this.width * this.height);
+
+        this.addProximity(bonus, tile => tile.terrain === TERRAIN.WATER || tile.terrain === TERRAIN.DEEP_WATER,
+            WATER_BONUS, WATER_RANGE);
+        this.addProximity(bonus, tile => tile.terrain === TERRAIN.FOREST, WOODS_BONUS, WOODS_RANGE);
+
+        for (const { x, y, building } of map.getAllBuildings()) {
+            const size = BUILDINGS[building.type]?.size || 1;
+            const cx = x + (size - 1) / 2;
+            const cy = y + (size - 1) / 2;
+
+            const amenity = AMENITIES[building.type];
+            if (amenity) {
+                stamp(bonus, this.width, this.height, cx, cy, amenity.radius, amenity.value);
+            }
+        }
+
+        this.addServices(bonus);
+        this.addCrime(penalty);
+        this.addPollution(penalty);
+
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const i = y * this.width + x;
+                const tile = map.tiles[y][x];
+                const base = TERRAIN_VALUE[tile.terrain];
+                const value = base === undefined ? 0 : base + bonus[i] - penalty[i];
+                this.values[i] = Math.round(Math.max(0, Math.min(MAX_LAND_VALUE, value)));
+                tile.landValue = this.values[i];
+            }
+        }
+    }
+
+    /**
+     * Value from the police, fire, hospital and school coverage of each tile
+     */
+    addServices(bonus) {
+        const coverage = this.game.serviceCoverage;
+        if (!coverage) return;
+
+        for (const service of SERVICE_TYPES) {
+            for (let y = 0; y < this.height; y++) {
+                for (let x = 0; x < this.width; x++) {
+                    bonus[y * this.width + x] += SERVICE_VALUE[service] * coverage.getCoverageAt(service, x, y);
+                }
+            }
+        }
+    }
+
+    // Last month's crime, from the CrimeSystem
+    addCrime(penalty) {
+        const crime = this.game.crimeSystem;
+        if (!crime) return;
+        for (let i = 0; i < penalty.length; i++) {
+            penalty[i] += crime.rates[i] * CRIME_WEIGHT;
+        }
+    }
+
+    // The smog the PollutionSystem has spread over each tile
+    addPollution(penalty) {
+        const pollution = this.game.pollutionSystem;
+        if (!pollution) return;
+        for (let i = 0; i < penalty.length; i++) {
+            penalty[i] += Math.min(MAX_POLLUTION, pollution.levels[i]) * POLLUTION_WEIGHT;
+        }
+    }
+
+    /**
+     * Add `amount` next to tiles matching `isSource`, fading out over `range`
+     * tiles of walking distance. The sources themselves get nothing.
+     */
+    addProximity(field, isSource, amount, range) {
+        const map = this.game.tileMap;
+        const distance = new Int16Array(this.width * this.height).fill(-1);
+        let frontier = [];
+
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (isSource(map.tiles[y][x])) {
+                    distance[y * this.width + x] = 0;
+                    frontier.push(y * this.width + x);
+                }
+            }
+        }
+
+        for (let step = 1; step < range && frontier.length > 0; step++) {
+            const next = [];
+            for (const i of frontier) {
+                const x = i % this.width;
+                const y = (i - x) / this.width;
+                for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= this.width || ny >= this.height) continue;
+                    const n = ny * this.width + nx;
+                    if (distance[n] !== -1) continue;
+                    distance[n] = step;
+                    field[n] += amount * (1 - (step - 1) / range);
+                    next.push(n);
+                }
+            }
+            frontier = next;
+        }
+    }
+
+    getValueAt(x, y) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return 0;
+        return this.values[y * this.width + x];
+    }
+
+    /**
+     * Average value of a size x size lot from its top-left corner
+     */
+    getAreaValue(x, y, size = 3) {
+        let sum = 0;
+        for (let dy = 0; dy < size; dy++) {
+            for (let dx = 0; dx < size; dx++) {
+                sum += this.getValueAt(x + dx, y + dy);
+            }
+        }
+        return sum / (size * size);
+    }
+
+    /**
+     * Highest phase the lot at (x, y) can grow to
+     */
+    getPhaseCeiling(x, y) {
+        return maxPhaseForLandValue(this.getAreaValue(x, y));
+    }
+
+    /**
+     * This month's property tax from every developed lot, at each zone's tax rate
+     */
+    getPropertyTaxIncome(taxRates, baseRate) {
+        let income = 0;
+        for (const [zone, managerName] of ZONE_ALLOTMENTS) {
+            let zoneTax = 0;
+            for (const allotment of this.game[managerName]?.allotments.values() || []) {
+                zoneTax += this.getAreaValue(allotment.x, allotment.y) * allotment.phase * PROPERTY_TAX_PER_VALUE;
+            }
+            income += zoneTax * (taxRates[zone] ?? baseRate) / baseRate;
+        }
+        return Math.floor(income);
+    }
+
+    // Island-wide average over land tiles, for the overlay legend
+    getAverageValue() {
+        const map = this.game.tileMap;
+        let sum = 0;
+        let count = 0;
+        for (let i = 0; i < this.values.length; i++) {
+            const x = i % this.width;
+            if (TERRAIN_VALUE[map.tiles[(i - x) / this.width][x].terrain] === undefined) continue;
+            sum += this.values[i];
+            count++;
+        }
+        return count ? Math.round(sum / count) : 0;
+    }
+
+    serialize() {
+        return { values: Array.from(this.values) };
+    }
+
+    restore(data) {
+        // Saves from before land value work it out from what's on the map
+        if (!data?.values || data.values.length !== this.values.length) {
+            this.update();
+            return;
+        }
+        this.values.set(data.values);
+        for (let i = 0; i < this.values.length; i++) {
+            const x = i % this.width;
+            this.game.tileMap.tiles[(i - x) / this.width][x].landValue = this.values[i];
+        }
+    }
+}
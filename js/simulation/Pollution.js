@@ -0,0 +1,267 @@
+// js/simulation/Pollution.js
+import { TERRAIN } from '../map/TileMap.js';
+import { BUILDINGS } from '../buildings/Buildings.js';
+
+/**
+ * Pollution - Smoke and fumes over the island, carried over month to month
+ *
+ * Power plants, refineries, derricks and factory lots puff pollution into the
+ * air every month. It spreads to neighbouring tiles and drifts downwind,
+ * further the harder the wind blows. Some of it settles out each month; rain
+ * washes more away and forests soak it up.
+ *
+ * The result lands in each tile's `pollution` field. Homes in smog grow more
+ * slowly and their residents get sick, and dirty air drags down land value.
+ */
+
+export const MAX_POLLUTION = 100;
+
+// Monthly emission per point of a building's pollution effect, and per point of
+// a factory lot's (phase-based) pollution
+const BUILDING_EMISSION = 200;
+const FACTORY_EMISSION = 20;
+
+// Share of last month's pollution still hanging around
+const LINGER = 0.5;
+const RAIN_LINGER = 0.25;
+
+// Woods soak up this share of the pollution over them on every spreading pass
+const FOREST_ABSORPTION = 0.1;
+
+// Each pass hands this share of a tile's pollution to its four neighbours, and
+// blows up to WIND_DRIFT of it one tile downwind at full wind speed (split
+// between the two axes when the wind is diagonal)
+const SPREAD_PASSES = 10;
+const SPREAD = 0.6;
+const WIND_DRIFT = 0.5;
+
+// Residential growth slows to this at HEAVY_POLLUTION
+const HEAVY_POLLUTION = 60;
+const HEAVY_POLLUTION_GROWTH = 0.3;
+
+// Residents' health: the baseline, and what each point of pollution costs.
+// Hospitals add their `health` effect on top.
+const BASE_HEALTH = 70;
+const HEALTH_PER_POLLUTION = 0.8;
+export const MAX_HEALTH = 100;
+
+export class PollutionSystem {
+    constructor(game) {
+        this.game = game;
+        this.width = game.tileMap.width;
+        this.height = game.tileMap.height;
+
+        // Pollution over every tile, row by row
+        this.levels = new Float32Array(this.width * this.height);
+    }
+
+    /**
+     * Monthly: add this month's smoke, let it spread and blow about, then
+     * update the tiles and the homes under it
+     */
+    update() {
+        const weather = this.game.weatherSystem;
+        const wind = weather ? weather.getWindSpeed() : 0;
+        const direction = weather ? weather.getWindDirection() : 90;
+        const raining = !!weather && (weather.isStormy() || weather.getWeather() === 'rainy');
+
+        this.spread(wind, direction, raining);
+        this.applyLevels();
+    }
+
+    /**
+     * One month of smoke: `wind` is its speed (0-1), `direction` the compass
+     * degrees it blows toward
+     */
+    spread(wind, direction, raining) {
+        const linger = raining ? RAIN_LINGER : LINGER;
+        for (let i = 0; i < this.levels.length; i++) this.levels[i] *= linger;
+
+        this.addEmissions();
+
+        const forest = this.getForestMask();
+        const heading = direction * Math.PI / 180;
+        const driftX = wind * WIND_DRIFT * Math.sin(heading);
+        const driftY = -wind * WIND_DRIFT * Math.cos(heading);  // North is up the map
+        const current = this.levels;
+        const next = new Float32Array(current.length);
+
+        for (let pass = 0; pass < SPREAD_PASSES; pass++) {
+            next.fill(0);
+            for (let y = 0; y < this.height; y++) {
+                for (let x = 0; x < this.width; x++) {
+                    const i = y * this.width + x;
+                    const amount = current[i];
+                    if (amount === 0) continue;
+
+                    // Whatever would spread off the edge of the map is lost at sea
+                    const share = amount * SPREAD / 4;
+                    next[i] += amount - share * 4;
+                    if (x > 0) next[i - 1] += share;
+                    if (x < this.width - 1) next[i + 1] += share;
+                    if (y > 0) next[i - this.width] += share;
+                    if (y < this.height - 1) next[i + this.width] += share;
+                }
+            }
+
+            // Blow some of it one tile downwind, and let the woods breathe it in
+            current.fill(0);
+            for (let y = 0; y < this.height; y++) {
+                for (let x = 0; x < this.width; x++) {
+                    const i = y * this.width + x;
+                    const amount = next[i];
+                    if (amount === 0) continue;
+
+                    const blownX = amount * Math.abs(driftX);
+                    const blownY = amount * Math.abs(driftY);
+                    current[i] += amount - blownX - blownY;
+
+                    const toX = x + Math.sign(driftX);
+                    const toY = y + Math.sign(driftY);
+                    if (toX >= 0 && toX < this.width) current[y * this.width + toX] += blownX;
+                    if (toY >= 0 && toY < this.height) current[toY * this.width + x] += blownY;
+                }
+            }
+            for (let i = 0; i < current.length; i++) {
+                if (forest[i]) current[i] *= 1 - FOREST_ABSORPTION;
+            }
+        }
+    }
+
+    /**
+     * Smoke from polluting buildings (spread over their footprint) and factory lots
+     */
+    addEmissions() {
+        for (const { x, y, building } of this.game.tileMap.getAllBuildings()) {
+            const pollution = BUILDINGS[building.type]?.effects?.pollution;
+            if (!(pollution > 0)) continue;
+            const size = BUILDINGS[building.type].size || 1;
+            this.emit(x, y, size, pollution * BUILDING_EMISSION);
+        }
+
+        for (const allotment of this.game.industrialManager?.allotments.values() || []) {
+            if (allotment.pollution > 0) {
+                this.emit(allotment.x, allotment.y, 3, allotment.pollution * FACTORY_EMISSION);
+            }
+        }
+    }
+
+    emit(x, y, size, amount) {
+        const perTile = amount / (size * size);
+        for (let dy = 0; dy < size; dy++) {
+            for (let dx = 0; dx < size; dx++) {
+                if (x + dx < this.width && y + dy < this.height) {
+                    this.levels[(y + dy) * this.width + x + dx] += perTile;
+                }
+            }
+        }
+    }
+
+    getForestMask() {
+        const map = this.game.tileMap;
+        const mask = new Uint8Array(this.width * this.height);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (map.tiles[y][x].terrain === TERRAIN.FOREST) mask[y * this.width + x] = 1;
+            }
+        }
+        return mask;
+    }
+
+    /**
+     * Write pollution to the tiles, and pollution and health to each home
+     */
+    applyLevels() {
+        const map = this.game.tileMap;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                map.tiles[y][x].pollution = this.getPollutionAt(x, y);
+            }
+        }
+
+        for (const allotment of this.game.residentialManager?.allotments.values() || []) {
+            allotment.airPollution = this.getAreaPollution(allotment.x, allotment.y);
+            allotment.health = this.getHealthAt(allotment.x + 1, allotment.y + 1);
+        }
+    }
+
+    getPollutionAt(x, y) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return 0;
+        return Math.round(Math.min(MAX_POLLUTION, this.levels[y * this.width + x]));
+    }
+
+    /**
+     * Average pollution over a size x size lot from its top-left corner
+     */
+    getAreaPollution(x, y, size = 3) {
+        let sum = 0;
+        for (let dy = 0; dy < size; dy++) {
+            for (let dx = 0; dx < size; dx++) {
+                sum += this.getPollutionAt(x + dx, y + dy);
+            }
+        }
+        return sum / (size * size);
+    }
+
+    /**
+     * How healthy people living at (x, y) are: clean air and a hospital in
+     * reach keep them well
+     */
+    getHealthAt(x, y) {
+        const care = this.game.serviceCoverage?.getEffectAt('hospital', x, y) || 0;
+        const health = BASE_HEALTH + care - this.getPollutionAt(x, y) * HEALTH_PER_POLLUTION;
+        return Math.round(Math.max(0, Math.min(MAX_HEALTH, health)));
+    }
+
+    /**
+     * Residential growth multiplier: 1 in clean air, down to 0.3 at
+     * HEAVY_POLLUTION and beyond
+     */
+    getGrowthMultiplier(allotment) {
+        const pollution = allotment.airPollution || 0;
+        return 1 - (1 - HEAVY_POLLUTION_GROWTH) * Math.min(1, pollution / HEAVY_POLLUTION);
+    }
+
+    // Average health of the homes that have people in them
+    getAverageHealth() {
+        let sum = 0;
+        let homes = 0;
+        for (const allotment of this.game.residentialManager?.allotments.values() || []) {
+            if (allotment.phase === 0) continue;
+            sum += allotment.health ?? MAX_HEALTH;
+            homes++;
+        }
+        return homes ? sum / homes : MAX_HEALTH;
+    }
+
+    // Average pollution over the island's land
+    getAverageLandPollution() {
+        const map = this.game.tileMap;
+        let sum = 0;
+        let tiles = 0;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const terrain = map.tiles[y][x].terrain;
+                if (terrain === TERRAIN.WATER || terrain === TERRAIN.DEEP_WATER) continue;
+                sum += this.getPollutionAt(x, y);
+                tiles++;
+            }
+        }
+        return tiles ? sum / tiles : 0;
+    }
+
+    serialize() {
+        return { levels: Array.from(this.levels) };
+    }
+
+    restore(data) {
+        if (data?.levels && data.levels.length === this.levels.length) {
+            this.levels.set(data.levels);
+        } else {
+            // Older saves: let a few still months of smoke build up
+            this.levels.fill(0);
+            for (let month = 0; month < 6; month++) this.spread(0, 0, false);
+        }
+        this.applyLevels();
+    }
+}
@@ -1,5 +1,7 @@
 // js/simulation/ResidentialAllotment.js
 import { TERRAIN } from '../map/TileMap.js';
+import { taxGrowthMultiplier } from '../economy/Taxes.js';
+import { maxPhaseForLandValue } from './LandValue.js';
 // Advanced residential development system with 3x3 allotments
 // Phases: Empty -> Houses fill in -> Apartments replace houses -> High-rises
 
@@ -42,6 +44,8 @@ export class ResidentialAllotmentManager {
     constructor(game) {
         this.game = game;
         this.map = game.tileMap;
+        this.random = game.random;  // Seeded gameplay stream
+        this.cosmeticRandom = game.cosmeticRandom;  // King comments
 
         // Track all residential allotments
         // Key: "x,y" (top-left corner), Value: allotment data
@@ -207,6 +211,17 @@ export class ResidentialAllotmentManager {
             }
             return 0; // No growth without infrastructure
         }
+
+        // Builders stop work when the kingdom can't pay them
+        if (this.game.financeSystem?.constructionHalted) {
+            return 0;
+        }
+
+        // Apartments and high-rises only go up on land that's worth it
+        allotment.landValue = this.game.landValueSystem?.getAreaValue(allotment.x, allotment.y) ?? 0;
+        if (allotment.phase >= maxPhaseForLandValue(allotment.landValue)) {
+            return 0;
+        }
         
         let rate = this.baseGrowthRate;
 
@@ -226,8 +241,26 @@ export class ResidentialAllotmentManager {
             rate *= 0.5;
         }
 
+        // High residential taxes slow development, low ones speed it up
+        rate *= taxGrowthMultiplier(this.game.taxRates?.residential);
+
+        // Settlers come when there are jobs to fill, and stop when there aren't
+        rate *= this.game.demandSystem?.getGrowthMultiplier('residential') ?? 1;
+
+        // ...but not while the people already here can't find work
+        rate *= this.game.employmentSystem?.getResidentialGrowthMultiplier() ?? 1;
+
+        // Families settle where the police, firefighters, doctors and teachers can reach them
+        rate *= this.game.serviceCoverage?.getGrowthMultiplier(allotment) ?? 1;
+
+        // ...and stay away from rough neighbourhoods
+        rate *= this.game.crimeSystem?.getGrowthMultiplier(allotment) ?? 1;
+
+        // Nor do they want to breathe factory smoke
+        rate *= this.game.pollutionSystem?.getGrowthMultiplier(allotment) ?? 1;
+
         // Random variation
-        rate += (Math.random() - 0.5) * 2;
+        rate += (this.random.next() - 0.5) * 2;
 
         return Math.max(0, rate);
     }
@@ -328,7 +361,7 @@ export class ResidentialAllotmentManager {
                 if (!allotment.cells[row][col]) {
                     allotment.cells[row][col] = {
                         type: 'house',
-                        variant: Math.floor(Math.random() * 3) // Visual variety
+                        variant: Math.floor(this.random.next() * 3) // Visual variety
                     };
                     allotment.housesBuilt++;
                     return;
@@ -351,7 +384,7 @@ export class ResidentialAllotmentManager {
             if (cell && cell.type === 'house') {
                 allotment.cells[row][col] = {
                     type: 'apartment',
-                    variant: Math.floor(Math.random() * 2)
+                    variant: Math.floor(this.random.next() * 2)
                 };
                 allotment.apartmentsBuilt++;
                 allotment.housesBuilt--;
@@ -373,7 +406,7 @@ export class ResidentialAllotmentManager {
                     if (!cell || cell.type !== 'apartment') {
                         allotment.cells[row][col] = {
                             type: 'apartment',
-                            variant: Math.floor(Math.random() * 2)
+                            variant: Math.floor(this.random.next() * 2)
                         };
                         if (cell?.type === 'house') {
                             allotment.housesBuilt--;
@@ -402,7 +435,7 @@ export class ResidentialAllotmentManager {
     // Announce development progress
     announceProgress(allotment) {
         if (!this.game.showKingTweet) return;
-        if (Math.random() > 0.3) return; // Only sometimes
+        if (this.cosmeticRandom.next() > 0.3) return; // Only sometimes
 
         const comments = {
             [RESIDENTIAL_PHASES.HOUSES_1]: [
@@ -435,11 +468,26 @@ export class ResidentialAllotmentManager {
 
         const phaseComments = comments[allotment.phase];
         if (phaseComments) {
-            const comment = phaseComments[Math.floor(Math.random() * phaseComments.length)];
+            const comment = phaseComments[Math.floor(this.cosmeticRandom.next() * phaseComments.length)];
             this.game.showKingTweet(comment);
         }
     }
 
+    // Burned down: the lot stays zoned but has to be built up again from nothing
+    burnDown(allotment) {
+        allotment.phase = RESIDENTIAL_PHASES.EMPTY;
+        allotment.progress = 0;
+        allotment.housesBuilt = 0;
+        allotment.apartmentsBuilt = 0;
+        allotment.hasHighrises = false;
+        allotment.population = 0;
+        allotment.cells = [
+            [null, null, null],
+            [null, null, null],
+            [null, null, null]
+        ];
+    }
+
     // Remove an allotment (demolish)
     removeAllotment(x, y) {
         const allotment = this.getAllotmentAt(x, y);
@@ -458,6 +506,7 @@ export class ResidentialAllotmentManager {
         }
 
         this.allotments.delete(key);
+        this.game.fireSystem?.clearFire(key);
         return true;
     }
 
@@ -0,0 +1,210 @@
+// js/simulation/ServiceCoverage.js
+import { BUILDINGS } from '../buildings/Buildings.js';
+import { SERVICE_TYPES } from '../economy/Upkeep.js';
+
+/**
+ * ServiceCoverage - How well police, fire, hospital and school reach each tile
+ *
+ * An active station (road, power and some funding) sends its crews out along
+ * the roads. Tiles beside a road it reaches are covered, fully next to the
+ * station and fading to nothing at the edge of its range; a station nobody
+ * can drive from covers only its own block. Funding cuts shrink the range.
+ *
+ * Coverage is 0 to 1 per tile and service. Each allotment keeps the average
+ * of the services its zone needs, and grows more slowly without them.
+ */
+
+// Range in road tiles at full funding, and the effect each service provides
+export const SERVICE_COVERAGE = {
+    policeStation: { radius: 15, effect: 'crime', label: 'Police', icon: '🚔' },
+    fireStation: { radius: 12, effect: 'fireRisk', label: 'Fire', icon: '🚒' },
+    hospital: { radius: 14, effect: 'health', label: 'Health', icon: '🏥' },
+    school: { radius: 10, effect: 'education', label: 'Education', icon: '🏫' }
+};
+
+// Tiles this far from a covered road (or a station) are covered too
+const ROADSIDE_REACH = 2;
+
+// Services each zone type cares about
+const ZONE_SERVICES = {
+    residential: ['policeStation', 'fireStation', 'hospital', 'school'],
+    commercial: ['policeStation', 'fireStation'],
+    industrial: ['fireStation', 'policeStation']
+};
+
+const ZONE_MANAGERS = {
+    residential: 'residentialManager',
+    commercial: 'commercialManager',
+    industrial: 'industrialManager'
+};
+
+// Growth multiplier with no coverage and with full coverage
+const UNCOVERED_GROWTH = 0.4;
+const COVERED_GROWTH = 1.2;
+
+// Apartments, malls and heavy industry stop growing below this coverage
+const DENSE_PHASE = 4;
+export const MIN_DENSE_COVERAGE = 0.25;
+
+const DIRECTIONS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+export class ServiceCoverageSystem {
+    constructor(game) {
+        this.game = game;
+        this.width = game.tileMap.width;
+        this.height = game.tileMap.height;
+
+        // Coverage of every tile, row by row, per service
+        this.coverage = Object.fromEntries(SERVICE_TYPES.map(service =>
+            [service, new Float32Array(this.width * this.height)]));
+    }
+
+    /**
+     * Monthly: recompute coverage and each allotment's share of it
+     */
+    update() {
+        this.calculateCoverage();
+
+        for (const [zone, managerName] of Object.entries(ZONE_MANAGERS)) {
+            for (const allotment of this.game[managerName]?.allotments.values() || []) {
+                allotment.coverage = this.getAllotmentCoverage(allotment, zone);
+            }
+        }
+    }
+
+    calculateCoverage() {
+        for (const field of Object.values(this.coverage)) field.fill(0);
+
+        for (const service of SERVICE_TYPES) {
+            const radius = SERVICE_COVERAGE[service].radius * this.game.getServiceEffectiveness(service);
+            if (radius <= 0) continue;
+
+            for (const { x, y } of this.game.tileMap.getBuildingsOfType(service)) {
+                if (!this.isStationActive(x, y)) continue;
+                this.coverStation(this.coverage[service], x, y, BUILDINGS[service].size, radius);
+            }
+        }
+    }
+
+    isStationActive(x, y) {
+        const infra = this.game.infrastructureManager;
+        return !!infra && infra.hasRoadAccess(x, y) && infra.hasPower(x, y);
+    }
+
+    /**
+     * Drive out from a station along the roads, covering the roadside as we go
+     */
+    coverStation(field, x, y, size, radius) {
+        const map = this.game.tileMap;
+
+        // The station's own block
+        this.cover(field, x, y, x + size - 1, y + size - 1, 1);
+
+        // Roads touching the station are one tile away
+        const reached = new Set();
+        let frontier = [];
+        for (let i = -1; i <= size; i++) {
+            for (const [rx, ry] of [[x + i, y - 1], [x + i, y + size], [x - 1, y + i], [x + size, y + i]]) {
+                const index = ry * this.width + rx;
+                if (map.getTile(rx, ry)?.building?.type === 'road' && !reached.has(index)) {
+                    reached.add(index);
+                    frontier.push(index);
+                }
+            }
+        }
+
+        for (let step = 1; step < radius && frontier.length > 0; step++) {
+            const next = [];
+            for (const index of frontier) {
+                const rx = index % this.width;
+                const ry = (index - rx) / this.width;
+                this.cover(field, rx - ROADSIDE_REACH, ry - ROADSIDE_REACH, rx + ROADSIDE_REACH, ry + ROADSIDE_REACH,
+                    1 - step / radius);
+
+                for (const [dx, dy] of DIRECTIONS) {
+                    const nx = rx + dx;
+                    const ny = ry + dy;
+                    const neighbor = ny * this.width + nx;
+                    if (reached.has(neighbor) || map.getTile(nx, ny)?.building?.type !== 'road') continue;
+                    reached.add(neighbor);
+                    next.push(neighbor);
+                }
+            }
+            frontier = next;
+        }
+    }
+
+    // Raise coverage to at least `strength` over a rectangle
+    cover(field, x0, y0, x1, y1, strength) {
+        for (let y = Math.max(0, y0); y <= Math.min(this.height - 1, y1); y++) {
+            for (let x = Math.max(0, x0); x <= Math.min(this.width - 1, x1); x++) {
+                const index = y * this.width + x;
+                if (field[index] < strength) field[index] = strength;
+            }
+        }
+    }
+
+    getCoverageAt(service, x, y) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return 0;
+        return this.coverage[service]?.[y * this.width + x] ?? 0;
+    }
+
+    /**
+     * Strength of a service's declared effect at a tile (e.g. police's -20 crime)
+     */
+    getEffectAt(service, x, y) {
+        const effect = BUILDINGS[service].effects[SERVICE_COVERAGE[service].effect] || 0;
+        return effect * this.getCoverageAt(service, x, y);
+    }
+
+    /**
+     * Average coverage of a 3x3 lot by the services its zone needs
+     */
+    getAllotmentCoverage(allotment, zone) {
+        const services = ZONE_SERVICES[zone];
+        let sum = 0;
+        for (const service of services) {
+            for (let dy = 0; dy < 3; dy++) {
+                for (let dx = 0; dx < 3; dx++) {
+                    sum += this.getCoverageAt(service, allotment.x + dx, allotment.y + dy);
+                }
+            }
+        }
+        return sum / (services.length * 9);
+    }
+
+    /**
+     * Growth multiplier for an allotment, from its last monthly coverage.
+     * Zero for dense lots that have lost their services.
+     */
+    getGrowthMultiplier(allotment) {
+        const coverage = allotment.coverage ?? 1;  // Not yet surveyed
+        if (allotment.phase >= DENSE_PHASE && coverage < MIN_DENSE_COVERAGE) return 0;
+        return UNCOVERED_GROWTH + (COVERED_GROWTH - UNCOVERED_GROWTH) * coverage;
+    }
+
+    /**
+     * Share of developed lots that need a service and get some, for the overlay legend
+     */
+    getCoveredShare(service) {
+        let lots = 0;
+        let covered = 0;
+        for (const [zone, managerName] of Object.entries(ZONE_MANAGERS)) {
+            if (!ZONE_SERVICES[zone].includes(service)) continue;
+            for (const allotment of this.game[managerName]?.allotments.values() || []) {
+                if (allotment.phase === 0) continue;
+                lots++;
+                if (this.getCoverageAt(service, allotment.x + 1, allotment.y + 1) > 0) covered++;
+            }
+        }
+        return lots ? covered / lots : 1;
+    }
+
+    /**
+     * Loaded games redraw the coverage map; allotments keep the coverage they
+     * were saved with until the next month
+     */
+    restore() {
+        this.calculateCoverage();
+    }
+}
@@ -1,15 +1,17 @@
 // AirportSystem.js - Manages airports, planes, and tourists
 // Tourists arrive by plane, visit 5 monuments, then depart
+import { BUILDINGS } from '../buildings/Buildings.js';
 
 export class Plane {
-    constructor(airport, tourists) {
+    constructor(airport, tourists, random) {
+        this.random = random;  // Seeded gameplay stream from the simulation
         this.airport = airport;  // {x, y} of airport origin
         this.tourists = tourists;  // Number of tourists (50-100)
         this.state = 'approaching';  // approaching, landing, grounded, boarding, takeoff, departing
 
         // Start position - off screen, will fly toward airport
         // Approach from random direction
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.random.next() * Math.PI * 2;
         const distance = 60;  // Start 60 tiles away
         this.x = airport.x + Math.cos(angle) * distance;
         this.y = airport.y + Math.sin(angle) * distance;
@@ -33,15 +35,15 @@ export class Plane {
 
         switch (this.state) {
             case 'approaching':
-                this.progress += speed;
+                this.progress += speed * deltaTime;
                 // Move toward airport
                 const dx = this.targetX - this.x;
                 const dy = this.targetY - this.y;
                 const dist = Math.sqrt(dx * dx + dy * dy);
 
                 if (dist > 0.5) {
-                    this.x += (dx / dist) * 0.5;
-                    this.y += (dy / dist) * 0.5;
+                    this.x += (dx / dist) * 0.5 * deltaTime;
+                    this.y += (dy / dist) * 0.5 * deltaTime;
                     this.scale = 0.3 + (1 - dist / 60) * 0.7;  // Grow as approaching
                     this.rotation = Math.atan2(dy, dx);
                 }
@@ -53,7 +55,7 @@ export class Plane {
                 break;
 
             case 'landing':
-                this.progress += 0.05;  // Fixed speed (~20 frames = 0.3 sec)
+                this.progress += 0.05 * deltaTime;  // Fixed speed (~20 frames = 0.3 sec)
                 this.scale = 1.0;
                 this.x = this.targetX;
                 this.y = this.targetY;
@@ -68,7 +70,7 @@ export class Plane {
 
             case 'grounded':
                 // Brief pause then takeoff immediately (don't wait for tourists to return)
-                this.progress += 0.05;  // Fixed fast transition (~20 frames = 0.3 sec)
+                this.progress += 0.05 * deltaTime;  // Fixed fast transition (~20 frames = 0.3 sec)
                 if (this.progress >= 1) {
                     this.state = 'takeoff';
                     this.progress = 0;
@@ -82,7 +84,7 @@ export class Plane {
 
             case 'boarding':
                 // Tourists boarding
-                this.progress += 0.05;  // Fixed speed (~0.3 sec)
+                this.progress += 0.05 * deltaTime;  // Fixed speed (~0.3 sec)
                 if (this.progress >= 1) {
                     this.state = 'takeoff';
                     this.progress = 0;
@@ -90,10 +92,10 @@ export class Plane {
                 break;
 
             case 'takeoff':
-                this.progress += 0.02;  // Fixed speed (~50 frames = 0.8 sec)
+                this.progress += 0.02 * deltaTime;  // Fixed speed (~50 frames = 0.8 sec)
                 // Pick departure direction (opposite of arrival roughly)
                 if (this.progress < 0.1 && !this.departureAngle) {
-                    this.departureAngle = Math.random() * Math.PI * 2;
+                    this.departureAngle = this.random.next() * Math.PI * 2;
                 }
 
                 if (this.progress >= 1) {
@@ -103,12 +105,12 @@ export class Plane {
                 break;
 
             case 'departing':
-                this.progress += 0.005;  // 50% slower (~300 frames = 5 sec to fly away)
+                this.progress += 0.005 * deltaTime;  // 50% slower (~300 frames = 5 sec to fly away)
                 // Fly away
                 const depDx = Math.cos(this.departureAngle);
                 const depDy = Math.sin(this.departureAngle);
-                this.x += depDx * 0.4;  // 50% slower movement
-                this.y += depDy * 0.4;
+                this.x += depDx * 0.4 * deltaTime;  // 50% slower movement
+                this.y += depDy * 0.4 * deltaTime;
                 this.scale = Math.max(0.1, 1 - this.progress);
                 this.rotation = this.departureAngle;
 
@@ -202,7 +204,7 @@ export class TouristCrowd {
 
                 // Move along path
                 if (this.path.length > 0 && this.pathIndex < this.path.length) {
-                    this.moveAlongPath(system);
+                    this.moveAlongPath(system, deltaTime);
                 }
 
                 // Check if reached monument
@@ -235,7 +237,7 @@ export class TouristCrowd {
 
                 // Move along path
                 if (this.path.length > 0 && this.pathIndex < this.path.length) {
-                    this.moveAlongPath(system);
+                    this.moveAlongPath(system, deltaTime);
                 }
 
                 // Check if reached airport
@@ -255,7 +257,7 @@ export class TouristCrowd {
         return false;  // Keep crowd
     }
 
-    moveAlongPath(system) {
+    moveAlongPath(system, deltaTime = 1) {
         if (this.pathIndex >= this.path.length) return;
 
         const target = this.path[this.pathIndex];
@@ -267,8 +269,9 @@ export class TouristCrowd {
             this.pathIndex++;
         } else {
             // Check if next position is walkable
-            const nextX = this.x + (dx / dist) * this.speed;
-            const nextY = this.y + (dy / dist) * this.speed;
+            const step = this.speed * deltaTime;
+            const nextX = this.x + (dx / dist) * step;
+            const nextY = this.y + (dy / dist) * step;
 
             if (system.isTileWalkable(Math.floor(nextX), Math.floor(nextY))) {
                 this.x = nextX;
@@ -285,6 +288,8 @@ export class TouristCrowd {
 export class AirportSystem {
     constructor(game) {
         this.game = game;
+        this.random = game.random;  // Seeded gameplay stream
+        this.cosmeticRandom = game.cosmeticRandom;  // King comments
         this.planes = [];
         this.touristCrowds = [];
         this.airports = [];  // List of active airports {x, y, active}
@@ -302,7 +307,11 @@ export class AirportSystem {
         console.log('[AIRPORT] System initialized');
     }
 
-    update() {
+    /**
+     * Advance planes and tourist crowds.
+     * @param {number} deltaTime - Elapsed time in 60 Hz frames
+     */
+    update(deltaTime = 1) {
         // CRITICAL DEBUG - log EVERY frame
         // Debug logging disabled for performance
 
@@ -312,7 +321,7 @@ export class AirportSystem {
             this._updateLogged = true;
         }
 
-        this.frameCount++;
+        this.frameCount += deltaTime;
 
         // Debug: log every 60 frames
         if (this.frameCount % 60 === 0) {
@@ -332,15 +341,15 @@ export class AirportSystem {
         if (shouldSpawn) {
             this.trySpawnPlane();
             // Randomize next spawn interval (60-90 frames)
-            this.spawnInterval = 300 + Math.floor(Math.random() * 300); // 5-10 seconds between spawns
+            this.spawnInterval = 300 + Math.floor(this.random.next() * 300); // 5-10 seconds between spawns
             this.lastSpawn = this.frameCount;
         }
 
         // Update planes
-        this.planes = this.planes.filter(plane => !plane.update(1, this));
+        this.planes = this.planes.filter(plane => !plane.update(deltaTime, this));
 
         // Update tourist crowds
-        this.touristCrowds = this.touristCrowds.filter(crowd => !crowd.update(1, this));
+        this.touristCrowds = this.touristCrowds.filter(crowd => !crowd.update(deltaTime, this));
     }
 
     updateAirports() {
@@ -375,11 +384,14 @@ export class AirportSystem {
         const hasRoad = infra.hasRoadAccess(x, y);
 
         // Check fire station within range
-        const hasFireStation = this.hasFireStationInRange(x, y, 15);
+        const hasFireStation = this.hasFireStationInRange(x, y, BUILDINGS.airport.fireStationRange);
 
         console.log(`[AIRPORT] (${x},${y}) power=${hasPower} road=${hasRoad} fire=${hasFireStation}`);
 
-        return hasPower && hasRoad && hasFireStation;
+        // Closed while the kingdom can't pay its staff
+        const funded = !this.game.financeSystem?.servicesShutDown;
+
+        return hasPower && hasRoad && hasFireStation && funded;
     }
 
     hasFireStationInRange(airportX, airportY, range) {
@@ -421,7 +433,7 @@ export class AirportSystem {
         }
 
         // Pick random active airport
-        const airport = activeAirports[Math.floor(Math.random() * activeAirports.length)];
+        const airport = activeAirports[Math.floor(this.random.next() * activeAirports.length)];
 
         // Check if airport already has a grounded/waiting plane
         const hasGroundedPlane = this.planes.some(p => 
@@ -433,8 +445,8 @@ export class AirportSystem {
         if (hasGroundedPlane) return;  // Only one plane at a time per airport
 
         // Spawn plane with random tourists (50-100)
-        const tourists = 50 + Math.floor(Math.random() * 51);
-        const plane = new Plane(airport, tourists);
+        const tourists = 50 + Math.floor(this.random.next() * 51);
+        const plane = new Plane(airport, tourists, this.random);
         this.planes.push(plane);
 
         console.log(`[AIRPORT] Plane spawned with ${tourists} tourists heading to (${airport.x},${airport.y})`);
@@ -449,6 +461,7 @@ export class AirportSystem {
         // Add income
         const income = plane.tourists * 250;
         this.game.treasury += income;
+        this.game.budgetLedger?.record('airport', income);
         this.totalTouristIncome += income;
         this.totalTouristsArrived += plane.tourists;
 
@@ -576,7 +589,7 @@ export class AirportSystem {
         if (!tile) return false;
 
         // Check terrain - water and walls are not walkable
-        const TERRAIN = window.TERRAIN || { WATER: 0, SHALLOW: 1, WALL: 10 };
+        const TERRAIN = globalThis.TERRAIN || { WATER: 0, SHALLOW: 1, WALL: 10 };
         if (tile.terrain === TERRAIN.WATER || tile.terrain === TERRAIN.WALL) {
             return false;
         }
@@ -605,7 +618,7 @@ export class AirportSystem {
         if (!this.game || !this.game.kingTweet) return;
 
         // Only tweet sometimes (30% chance)
-        if (Math.random() > 0.3) return;
+        if (this.cosmeticRandom.next() > 0.3) return;
 
         const statueQuotes = [
             `${touristCount} tourists just visited MY golden statue! They LOVE me, those beautiful people! 🗽✨`,
@@ -660,7 +673,7 @@ export class AirportSystem {
                 quotes = statueQuotes;
         }
 
-        const tweet = quotes[Math.floor(Math.random() * quotes.length)];
+        const tweet = quotes[Math.floor(this.cosmeticRandom.next() * quotes.length)];
         this.game.kingTweet(tweet);
     }
 
@@ -677,6 +690,68 @@ export class AirportSystem {
         };
     }
 
+    /**
+     * Save planes, tourist crowds, spawn timing and totals.
+     * Planes and crowds reference each other by index.
+     */
+    serialize() {
+        const planes = this.planes.map(plane => {
+            const { random, linkedCrowd, ...data } = plane;
+            return { ...data, linkedCrowd: this.touristCrowds.indexOf(linkedCrowd) };
+        });
+
+        const touristCrowds = this.touristCrowds.map(crowd => {
+            const { plane, visitedMonuments, ...data } = crowd;
+            return {
+                ...data,
+                plane: this.planes.indexOf(plane),
+                visitedMonuments: Array.from(visitedMonuments)
+            };
+        });
+
+        return {
+            planes,
+            touristCrowds,
+            airports: this.airports,
+            frameCount: this.frameCount,
+            spawnInterval: this.spawnInterval,
+            lastSpawn: this.lastSpawn,
+            totalTouristsArrived: this.totalTouristsArrived,
+            totalTouristsDeparted: this.totalTouristsDeparted,
+            totalTouristIncome: this.totalTouristIncome
+        };
+    }
+
+    restore(data) {
+        if (!data) return;
+
+        this.planes = (data.planes || []).map(planeData => {
+            const plane = Object.create(Plane.prototype);
+            return Object.assign(plane, planeData, { random: this.random, linkedCrowd: null });
+        });
+
+        this.touristCrowds = (data.touristCrowds || []).map(crowdData => {
+            const crowd = Object.create(TouristCrowd.prototype);
+            return Object.assign(crowd, crowdData, {
+                plane: this.planes[crowdData.plane] || null,
+                visitedMonuments: new Set(crowdData.visitedMonuments || [])
+            });
+        });
+
+        // Re-link planes to their crowds
+        (data.planes || []).forEach((planeData, i) => {
+            this.planes[i].linkedCrowd = this.touristCrowds[planeData.linkedCrowd] || null;
+        });
+
+        this.airports = data.airports || [];
+        this.frameCount = data.frameCount || 0;
+        this.spawnInterval = data.spawnInterval || this.spawnInterval;
+        this.lastSpawn = data.lastSpawn || 0;
+        this.totalTouristsArrived = data.totalTouristsArrived || 0;
+        this.totalTouristsDeparted = data.totalTouristsDeparted || 0;
+        this.totalTouristIncome = data.totalTouristIncome || 0;
+    }
+
 
     render(ctx, offsetX, offsetY, tileSize) {
         // Debug: log plane count occasionally
@@ -4,6 +4,7 @@
 export class AnimationSystem {
     constructor(game) {
         this.game = game;
+        this.cosmeticRandom = game.cosmeticRandom;  // Purely visual, never touches gameplay
         this.time = 0;
         this.vehicles = [];
         this.boats = [];  // Trade boats
@@ -41,7 +42,7 @@ export class AnimationSystem {
         const desiredVehicles = Math.min(this.maxVehicles, Math.floor(pop / 20) + 2);
 
         // Spawn vehicles if needed
-        if (this.vehicles.length < desiredVehicles && Math.random() < 0.02) {
+        if (this.vehicles.length < desiredVehicles && this.cosmeticRandom.next() < 0.02) {
             this.spawnVehicle();
         }
     }
@@ -64,7 +65,7 @@ export class AnimationSystem {
         // Spawn boats for operational ports
         const desiredBoats = Math.min(this.maxBoats, operationalPorts.length * 2);
         
-        if (this.boats.length < desiredBoats && Math.random() < 0.1) {
+        if (this.boats.length < desiredBoats && this.cosmeticRandom.next() < 0.1) {
             this.spawnBoat(operationalPorts);
         }
     }
@@ -111,7 +112,7 @@ export class AnimationSystem {
         if (operationalPorts.length === 0) return;
 
         // Pick a random operational port
-        const port = operationalPorts[Math.floor(Math.random() * operationalPorts.length)];
+        const port = operationalPorts[Math.floor(this.cosmeticRandom.next() * operationalPorts.length)];
         
         // Find water tiles near the port to spawn boat
         const waterTile = this.findWaterNearPort(port.x, port.y);
@@ -124,14 +125,14 @@ export class AnimationSystem {
         const boat = {
             x: waterTile.x + 0.5,
             y: waterTile.y + 0.5,
-            icon: types[Math.floor(Math.random() * types.length)],
+            icon: types[Math.floor(this.cosmeticRandom.next() * types.length)],
             targetPort: port,
             state: 'arriving',  // arriving, docked, departing
-            speed: 0.01 + Math.random() * 0.01,
+            speed: 0.01 + this.cosmeticRandom.next() * 0.01,
             lifetime: 0,
-            maxLifetime: 800 + Math.random() * 400,
+            maxLifetime: 800 + this.cosmeticRandom.next() * 400,
             dockTime: 0,
-            maxDockTime: 200 + Math.random() * 100,
+            maxDockTime: 200 + this.cosmeticRandom.next() * 100,
             // Stuck detection properties
             lastX: waterTile.x + 0.5,
             lastY: waterTile.y + 0.5,
@@ -193,6 +194,7 @@ export class AnimationSystem {
                         boat.state = 'departing';
                         // Generate trade income
                         this.game.treasury = (this.game.treasury || 0) + 50;
+                        this.game.budgetLedger?.record('trade', 50);
                         this.game.events?.emit('tradeCompleted', { boat, income: 50 });
                     }
                     break;
@@ -272,8 +274,8 @@ export class AnimationSystem {
                 }
                 
                 // Small random nudge to try to unstick
-                boat.x += (Math.random() - 0.5) * 2;
-                boat.y += (Math.random() - 0.5) * 2;
+                boat.x += (this.cosmeticRandom.next() - 0.5) * 2;
+                boat.y += (this.cosmeticRandom.next() - 0.5) * 2;
                 return;
             }
         } else {
@@ -300,8 +302,8 @@ export class AnimationSystem {
         
         if (dist < 0.1) {
             // Pick a random direction away
-            boat.x += (Math.random() - 0.5) * boat.speed;
-            boat.y += (Math.random() - 0.5) * boat.speed;
+            boat.x += (this.cosmeticRandom.next() - 0.5) * boat.speed;
+            boat.y += (this.cosmeticRandom.next() - 0.5) * boat.speed;
         } else {
             boat.x += (dx / dist) * boat.speed;
             boat.y += (dy / dist) * boat.speed;
@@ -326,7 +328,7 @@ export class AnimationSystem {
         }
         
         // Pick a random alternate port
-        return otherPorts[Math.floor(Math.random() * otherPorts.length)];
+        return otherPorts[Math.floor(this.cosmeticRandom.next() * otherPorts.length)];
     }
 
     getBoats() {
@@ -338,7 +340,7 @@ export class AnimationSystem {
         const roads = this.findRoads();
         if (roads.length === 0) return;
 
-        const startRoad = roads[Math.floor(Math.random() * roads.length)];
+        const startRoad = roads[Math.floor(this.cosmeticRandom.next() * roads.length)];
 
         // Determine vehicle type based on game state
         // Vehicle types with horizontal (side view) and vertical (top view) icons
@@ -350,7 +352,7 @@ export class AnimationSystem {
         if (this.game.population > 50) vehicleTypes.push({ h: '🚌', v: '🟠' });  // Bus - orange
         if (this.game.map?.countBuildings?.('industrial') > 0) vehicleTypes.push({ h: '🚚', v: '🟤' });  // Truck - brown
 
-        const selectedType = vehicleTypes[Math.floor(Math.random() * vehicleTypes.length)];
+        const selectedType = vehicleTypes[Math.floor(this.cosmeticRandom.next() * vehicleTypes.length)];
 
         const vehicle = {
             x: startRoad.x + 0.5,
@@ -358,10 +360,10 @@ export class AnimationSystem {
             iconH: selectedType.h,  // Horizontal (side view) icon
             iconV: selectedType.v,  // Vertical (top view) icon
             icon: selectedType.h,   // Current icon (for compatibility)
-            direction: Math.floor(Math.random() * 4), // 0=N, 1=E, 2=S, 3=W
-            speed: 0.02 + Math.random() * 0.02,
+            direction: Math.floor(this.cosmeticRandom.next() * 4), // 0=N, 1=E, 2=S, 3=W
+            speed: 0.02 + this.cosmeticRandom.next() * 0.02,
             lifetime: 0,
-            maxLifetime: 500 + Math.random() * 500
+            maxLifetime: 500 + this.cosmeticRandom.next() * 500
         };
 
         this.vehicles.push(vehicle);
@@ -456,9 +458,9 @@ export class AnimationSystem {
             const opposite = (vehicle.direction + 2) % 4;
             const options = connections.filter(d => d !== opposite);
             if (options.length > 0) {
-                vehicle.direction = options[Math.floor(Math.random() * options.length)];
+                vehicle.direction = options[Math.floor(this.cosmeticRandom.next() * options.length)];
             } else {
-                vehicle.direction = connections[Math.floor(Math.random() * connections.length)];
+                vehicle.direction = connections[Math.floor(this.cosmeticRandom.next() * connections.length)];
             }
         }
     }
@@ -467,23 +469,23 @@ export class AnimationSystem {
 
     spawnSmoke(x, y) {
         this.smokeParticles.push({
-            x: x + 0.3 + Math.random() * 0.4,
+            x: x + 0.3 + this.cosmeticRandom.next() * 0.4,
             y: y + 0.2,
-            size: 0.1 + Math.random() * 0.1,
-            opacity: 0.6 + Math.random() * 0.3,
-            vx: (Math.random() - 0.5) * 0.01,
-            vy: -0.02 - Math.random() * 0.01,
+            size: 0.1 + this.cosmeticRandom.next() * 0.1,
+            opacity: 0.6 + this.cosmeticRandom.next() * 0.3,
+            vx: (this.cosmeticRandom.next() - 0.5) * 0.01,
+            vy: -0.02 - this.cosmeticRandom.next() * 0.01,
             life: 0,
-            maxLife: 60 + Math.random() * 40
+            maxLife: 60 + this.cosmeticRandom.next() * 40
         });
     }
 
     updateSmoke() {
         // Spawn smoke from coal plants
-        if (Math.random() < 0.1) {
+        if (this.cosmeticRandom.next() < 0.1) {
             const coalPlants = this.findBuildingsOfType('coalPlant');
             for (const plant of coalPlants) {
-                if (Math.random() < 0.3) {
+                if (this.cosmeticRandom.next() < 0.3) {
                     this.spawnSmoke(plant.x, plant.y);
                 }
             }
@@ -0,0 +1,468 @@
+// js/systems/FireSystem.js
+import { BUILDINGS } from '../buildings/Buildings.js';
+import { TERRAIN } from '../map/TileMap.js';
+
+/**
+ * FireSystem - Fires breaking out, spreading and being put out
+ *
+ * Factories and power plants can catch fire each month, less often where the
+ * fire brigade reaches, and lightning can set anything alight. Fires spread
+ * to the buildings and woods next door. The nearest fire station with a truck
+ * free sends it along the roads; whatever burns out before the truck puts it
+ * out is lost: buildings are destroyed, zone lots burn back to empty plots
+ * and woods to bare dirt.
+ */
+
+// Monthly chance of a fire per industrial phase, and at each power plant
+const INDUSTRIAL_FIRE_CHANCE = 0.002;
+const POWER_PLANT_FIRE_CHANCE = 0.01;
+const POWER_PLANTS = ['coalPlant', 'nuclearPlant'];
+
+// A station's fireRisk effect (-25) over this is how much full coverage cuts the odds
+const FIRE_RISK_SCALE = 40;
+
+// Frames until a fire has burned its target down
+const BURN_FRAMES = {
+    building: 900,
+    allotment: 900,
+    forest: 600
+};
+
+// Every SPREAD_INTERVAL frames each fire may jump to each neighbour
+const SPREAD_INTERVAL = 120;
+const BUILDING_SPREAD_CHANCE = 0.06;
+const FOREST_SPREAD_CHANCE = 0.05;
+
+// Rain slows burning and spreading
+const RAIN_BURN = 0.5;
+const RAIN_SPREAD = 0.3;
+
+// No more than this many fires at once
+const MAX_FIRES = 50;
+
+// Trucks per fully funded station, speed in tiles per frame, and frames to douse a fire
+const TRUCKS_PER_STATION = 2;
+const TRUCK_SPEED = 0.1;
+const DOUSE_FRAMES = 240;
+
+// Trucks don't answer calls further than this many road tiles away
+const MAX_RESPONSE = 60;
+
+// Stone, asphalt and wire don't burn
+const NONFLAMMABLE = new Set(['road', 'wall', 'powerLine']);
+
+const ALLOTMENT_MANAGERS = {
+    residential_allotment: 'residentialManager',
+    commercial_allotment: 'commercialManager',
+    industrial_allotment: 'industrialManager'
+};
+
+const DIRECTIONS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+export class FireSystem {
+    constructor(game) {
+        this.game = game;
+        this.random = game.random;  // Seeded gameplay stream
+        this.cosmeticRandom = game.cosmeticRandom;  // King comments
+
+        this.fires = new Map();  // "x,y" of the burning footprint -> fire
+        this.trucks = [];
+        this.spreadTimer = 0;
+
+        // Whatever the player bulldozes stops burning
+        this.game.events?.on('buildingDemolished', (data) => {
+            if (data.cause === 'fire') return;
+            const building = data.building;
+            const key = building?.allotmentKey ||
+                `${building?.originX ?? data.tileX},${building?.originY ?? data.tileY}`;
+            this.clearFire(key);
+        });
+        this.game.events?.on('forestCleared', (data) => {
+            this.clearFire(`${data.tileX},${data.tileY}`);
+        });
+    }
+
+    /**
+     * Monthly: factories and power plants may catch fire
+     */
+    update() {
+        for (const allotment of this.game.industrialManager?.allotments.values() || []) {
+            if (allotment.phase > 0) {
+                this.tryIgnite(allotment.x + 1, allotment.y + 1, INDUSTRIAL_FIRE_CHANCE * allotment.phase, 'industry');
+            }
+        }
+
+        for (const type of POWER_PLANTS) {
+            for (const { x, y } of this.game.tileMap.getBuildingsOfType(type)) {
+                this.tryIgnite(x, y, POWER_PLANT_FIRE_CHANCE, 'power');
+            }
+        }
+    }
+
+    tryIgnite(x, y, chance, cause) {
+        // Inspections by a nearby fire station make fires rarer
+        const prevention = 1 + (this.game.serviceCoverage?.getEffectAt('fireStation', x, y) || 0) / FIRE_RISK_SCALE;
+        if (this.random.next() >= chance * prevention) return;
+
+        const target = this.getTarget(x, y);
+        if (target) this.ignite(target, cause);
+    }
+
+    /**
+     * Called by the weather when lightning hits the ground at (x, y)
+     */
+    lightningStrike(x, y) {
+        const target = this.getTarget(x, y);
+        if (target) this.ignite(target, 'lightning');
+    }
+
+    /**
+     * What would burn if (x, y) caught fire: a building, a developed lot or
+     * a forest tile. Null for anything that can't burn.
+     */
+    getTarget(x, y) {
+        const tile = this.game.tileMap.getTile(x, y);
+        if (!tile) return null;
+
+        const building = tile.building;
+        if (building) {
+            const managerName = ALLOTMENT_MANAGERS[building.type];
+            if (managerName) {
+                const allotment = this.game[managerName]?.allotments.get(building.allotmentKey);
+                // An empty lot has nothing on it to burn
+                if (!allotment || allotment.phase === 0) return null;
+                return { kind: 'allotment', type: building.type, x: allotment.x, y: allotment.y, size: 3 };
+            }
+
+            const definition = BUILDINGS[building.type];
+            if (!definition || NONFLAMMABLE.has(building.type)) return null;
+            return {
+                kind: 'building',
+                type: building.type,
+                x: building.originX ?? x,
+                y: building.originY ?? y,
+                size: definition.size
+            };
+        }
+
+        if (tile.terrain === TERRAIN.FOREST) {
+            return { kind: 'forest', type: 'forest', x, y, size: 1 };
+        }
+        return null;
+    }
+
+    ignite(target, cause) {
+        const key = `${target.x},${target.y}`;
+        if (this.fires.has(key) || this.fires.size >= MAX_FIRES) return false;
+
+        const fire = { ...target, key, burned: 0, doused: 0, truck: false };
+        this.fires.set(key, fire);
+        this.dispatchTruck(fire, this.getAvailableStations());
+
+        this.game.events.emit('fireStarted', { x: fire.x, y: fire.y, type: fire.type, cause });
+        return true;
+    }
+
+    /**
+     * Per-frame update: fires burn and spread, trucks drive and douse
+     * @param {number} deltaTime - Elapsed time in 60 Hz frames
+     */
+    animate(deltaTime = 1) {
+        if (this.fires.size === 0 && this.trucks.length === 0) return;
+
+        const raining = this.game.weatherSystem?.isRaining() || false;
+
+        for (const fire of [...this.fires.values()]) {
+            fire.burned += deltaTime * (raining ? RAIN_BURN : 1);
+            if (fire.burned >= BURN_FRAMES[fire.kind]) {
+                this.burnOut(fire);
+            }
+        }
+
+        this.spreadTimer += deltaTime;
+        if (this.spreadTimer >= SPREAD_INTERVAL) {
+            this.spreadTimer -= SPREAD_INTERVAL;
+            this.spreadFires(raining);
+
+            // Fires still waiting for a truck try again
+            const stations = this.getAvailableStations();
+            for (const fire of this.fires.values()) {
+                if (!fire.truck) this.dispatchTruck(fire, stations);
+            }
+        }
+
+        this.updateTrucks(deltaTime);
+    }
+
+    spreadFires(raining) {
+        const weather = raining ? RAIN_SPREAD : 1;
+        for (const fire of [...this.fires.values()]) {
+            for (const target of this.getNeighbors(fire)) {
+                const chance = target.kind === 'forest' ? FOREST_SPREAD_CHANCE : BUILDING_SPREAD_CHANCE;
+                if (this.random.next() < chance * weather) {
+                    this.ignite(target, 'spread');
+                }
+            }
+        }
+    }
+
+    // Everything flammable touching a fire's footprint, other than itself
+    getNeighbors(fire) {
+        const targets = new Map();
+        for (const [x, y] of this.getEdgeTiles(fire)) {
+            const target = this.getTarget(x, y);
+            if (!target) continue;
+            const key = `${target.x},${target.y}`;
+            if (key !== fire.key && !this.fires.has(key)) targets.set(key, target);
+        }
+        return [...targets.values()];
+    }
+
+    // Tiles along the outside of a footprint's four sides
+    getEdgeTiles({ x, y, size }) {
+        const tiles = [];
+        for (let i = 0; i < size; i++) {
+            tiles.push([x + i, y - 1], [x + i, y + size], [x - 1, y + i], [x + size, y + i]);
+        }
+        return tiles;
+    }
+
+    /**
+     * Nobody got there in time: destroy what was burning
+     */
+    burnOut(fire) {
+        this.fires.delete(fire.key);
+        const map = this.game.tileMap;
+
+        // Only burn down what caught fire - not whatever has been built there since
+        const target = this.getTarget(fire.x, fire.y);
+        if (!target || target.kind !== fire.kind || target.type !== fire.type ||
+            target.x !== fire.x || target.y !== fire.y) {
+            return;
+        }
+
+        if (fire.kind === 'forest') {
+            const tile = map.getTile(fire.x, fire.y);
+            if (tile) tile.terrain = TERRAIN.DIRT;
+            return;
+        }
+
+        if (fire.kind === 'allotment') {
+            const manager = this.game[ALLOTMENT_MANAGERS[fire.type]];
+            const allotment = manager?.allotments.get(fire.key);
+            if (allotment) manager.burnDown(allotment);
+        } else {
+            const building = map.getTile(fire.x, fire.y)?.building;
+            for (let dy = 0; dy < fire.size; dy++) {
+                for (let dx = 0; dx < fire.size; dx++) {
+                    const tile = map.getTile(fire.x + dx, fire.y + dy);
+                    if (tile?.building && (tile.building.originX ?? fire.x + dx) === fire.x &&
+                        (tile.building.originY ?? fire.y + dy) === fire.y) {
+                        tile.building = null;
+                    }
+                }
+            }
+            this.game.events.emit('buildingDemolished', { tileX: fire.x, tileY: fire.y, building, cost: 0, cause: 'fire' });
+        }
+
+        this.game.events.emit('buildingBurned', { x: fire.x, y: fire.y, type: fire.type });
+        this.announceLoss(fire);
+    }
+
+    /**
+     * Forget a fire whose target has gone (bulldozed or cleared); its truck turns back
+     */
+    clearFire(key) {
+        this.fires.delete(key);
+    }
+
+    extinguish(fire) {
+        this.fires.delete(fire.key);
+        this.game.events.emit('fireExtinguished', { x: fire.x, y: fire.y, type: fire.type });
+    }
+
+    announceLoss(fire) {
+        const name = fire.kind === 'allotment' ? 'a whole block' : (BUILDINGS[fire.type]?.name || 'a building');
+        const comments = [
+            `${name.toUpperCase()} burned to the ground! Where were the firefighters?! 🔥🚒`,
+            `We lost ${name} to the flames! Build more FIRE STATIONS! 🔥`,
+            `Fire took ${name}! Terrible! Somebody is getting FIRED! 😤🔥`
+        ];
+        this.game.kingTweet(comments[Math.floor(this.cosmeticRandom.next() * comments.length)]);
+    }
+
+    /**
+     * Active fire stations with trucks in the garage, keyed by the road tiles
+     * beside them. Funding cuts take trucks off the road.
+     */
+    getAvailableStations() {
+        const map = this.game.tileMap;
+        const capacity = Math.round(TRUCKS_PER_STATION * this.game.getServiceEffectiveness('fireStation'));
+        const stations = new Map();
+        if (capacity <= 0) return stations;
+
+        const size = BUILDINGS.fireStation.size;
+        for (const { x, y } of map.getBuildingsOfType('fireStation')) {
+            const key = `${x},${y}`;
+            const free = capacity - this.trucks.filter(truck => truck.station === key).length;
+            if (free <= 0 || !this.game.serviceCoverage?.isStationActive(x, y)) continue;
+
+            const station = { key, free };
+            for (const [rx, ry] of this.getEdgeTiles({ x, y, size })) {
+                if (map.getTile(rx, ry)?.building?.type === 'road') {
+                    stations.set(ry * map.width + rx, station);
+                }
+            }
+        }
+        return stations;
+    }
+
+    /**
+     * Search the roads outward from a fire for the nearest station with a
+     * free truck, and send it back along the way we came
+     */
+    dispatchTruck(fire, stations) {
+        if (stations.size === 0) return false;
+
+        const map = this.game.tileMap;
+        const starts = this.getEdgeTiles(fire)
+            .filter(([x, y]) => map.getTile(x, y)?.building?.type === 'road')
+            .map(([x, y]) => y * map.width + x);
+        const previous = new Map(starts.map(index => [index, -1]));
+        let frontier = starts;
+
+        for (let step = 0; step <= MAX_RESPONSE && frontier.length > 0; step++) {
+            const next = [];
+            for (const index of frontier) {
+                const station = stations.get(index);
+                if (station?.free > 0) {
+                    // Walking back towards the fire gives the station-to-fire route
+                    const path = [];
+                    for (let at = index; at !== -1; at = previous.get(at)) path.push(at);
+
+                    this.trucks.push({ station: station.key, fireKey: fire.key, path, pathIndex: 0, progress: 0, state: 'responding' });
+                    station.free--;
+                    fire.truck = true;
+                    return true;
+                }
+
+                const x = index % map.width;
+                const y = (index - x) / map.width;
+                for (const [dx, dy] of DIRECTIONS) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    const neighbor = ny * map.width + nx;
+                    if (previous.has(neighbor) || map.getTile(nx, ny)?.building?.type !== 'road') continue;
+                    previous.set(neighbor, index);
+                    next.push(neighbor);
+                }
+            }
+            frontier = next;
+        }
+        return false;
+    }
+
+    updateTrucks(deltaTime = 1) {
+        for (let i = this.trucks.length - 1; i >= 0; i--) {
+            const truck = this.trucks[i];
+            const fire = this.fires.get(truck.fireKey);
+
+            // The fire went out (or burned out) while we were on the way
+            if (truck.state !== 'returning' && !fire) {
+                this.sendHome(truck);
+            }
+
+            if (truck.state === 'spraying') {
+                fire.doused += deltaTime / DOUSE_FRAMES;
+                if (fire.doused >= 1) {
+                    this.extinguish(fire);
+                    this.sendHome(truck);
+                }
+                continue;
+            }
+
+            truck.progress += TRUCK_SPEED * deltaTime;
+            while (truck.progress >= 1 && truck.pathIndex < truck.path.length - 1) {
+                truck.progress -= 1;
+                truck.pathIndex++;
+            }
+
+            if (truck.pathIndex >= truck.path.length - 1) {
+                if (truck.state === 'returning') {
+                    this.trucks.splice(i, 1);
+                } else {
+                    truck.state = 'spraying';
+                    truck.progress = 0;
+                }
+            }
+        }
+    }
+
+    // Turn around and drive back to the station the way we came
+    sendHome(truck) {
+        truck.path = truck.path.slice(0, truck.pathIndex + 1).reverse();
+        truck.pathIndex = 0;
+        truck.progress = 0;
+        truck.state = 'returning';
+    }
+
+    // Truck position in tiles, between the road tiles it's driving along
+    getTruckPosition(truck) {
+        const width = this.game.tileMap.width;
+        const from = truck.path[truck.pathIndex];
+        const to = truck.path[Math.min(truck.pathIndex + 1, truck.path.length - 1)];
+        const t = truck.state === 'spraying' ? 0 : Math.min(1, truck.progress);
+        const fromX = from % width;
+        const fromY = (from - fromX) / width;
+        const toX = to % width;
+        const toY = (to - toX) / width;
+        return {
+            x: fromX + (toX - fromX) * t + 0.5,
+            y: fromY + (toY - fromY) * t + 0.5
+        };
+    }
+
+    render(ctx, offsetX, offsetY, tileSize) {
+        if (this.fires.size === 0 && this.trucks.length === 0) return;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (const fire of this.fires.values()) {
+            const screenX = fire.x * tileSize + offsetX;
+            const screenY = fire.y * tileSize + offsetY;
+            const span = fire.size * tileSize;
+
+            // Flickering glow that dims as the trucks get on top of it
+            const flicker = Math.sin(Date.now() / 120 + fire.x * 7 + fire.y) * 0.08;
+            ctx.fillStyle = `rgba(255, 90, 0, ${(0.35 + flicker) * (1 - fire.doused * 0.7)})`;
+            ctx.fillRect(screenX, screenY, span, span);
+
+            ctx.font = `${Math.max(10, tileSize * 0.6 * Math.min(fire.size, 2))}px Arial`;
+            ctx.fillText(fire.doused > 0.5 ? '💨' : '🔥', screenX + span / 2, screenY + span / 2);
+        }
+
+        ctx.font = `${Math.max(10, tileSize * 0.5)}px Arial`;
+        for (const truck of this.trucks) {
+            const { x, y } = this.getTruckPosition(truck);
+            ctx.fillText(truck.state === 'spraying' ? '🚒💦' : '🚒', x * tileSize + offsetX, y * tileSize + offsetY);
+        }
+
+        ctx.restore();
+    }
+
+    serialize() {
+        return {
+            fires: Array.from(this.fires.values(), fire => ({ ...fire })),
+            trucks: this.trucks.map(truck => ({ ...truck, path: [...truck.path] })),
+            spreadTimer: this.spreadTimer
+        };
+    }
+
+    restore(data) {
+        this.fires = new Map((data.fires || []).map(fire => [fire.key, { ...fire }]));
+        this.trucks = (data.trucks || []).map(truck => ({ ...truck, path: [...truck.path] }));
+        this.spreadTimer = data.spreadTimer || 0;
+    }
+}
@@ -11,6 +11,8 @@
 export class ImmigrationSystem {
     constructor(game) {
         this.game = game;
+        this.random = game.random;  // Seeded gameplay stream
+        this.cosmeticRandom = game.cosmeticRandom;  // King comments
         this.peopleBoats = [];      // Boats carrying immigrants
         this.crowds = [];           // Landed immigrant groups
         this.maxPeopleBoats = 5;
@@ -62,7 +64,7 @@ export class ImmigrationSystem {
         for (const island of map.sourceIslands) {
             if (!this.islandSpawnTimers[island.name]) {
                 // Stagger initial spawns: first boat within 1-6 months
-                this.islandSpawnTimers[island.name] = Math.floor(Math.random() * 6) + 1;
+                this.islandSpawnTimers[island.name] = Math.floor(this.random.next() * 6) + 1;
                 // console.log(`[IMMIGRATION] Initialized spawn timer for ${island.name}: ${this.islandSpawnTimers[island.name]} months until first boat`);
             }
         }
@@ -210,7 +212,7 @@ export class ImmigrationSystem {
         
         // Fisher-Yates shuffle
         for (let i = this.availableTargets.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.random.next() * (i + 1));
             [this.availableTargets[i], this.availableTargets[j]] = 
                 [this.availableTargets[j], this.availableTargets[i]];
         }
@@ -263,7 +265,7 @@ export class ImmigrationSystem {
             // Prefer same-side targets
             if (sameSideTargets.length > 0) {
                 // Pick random from same-side targets
-                const idx = Math.floor(Math.random() * sameSideTargets.length);
+                const idx = Math.floor(this.random.next() * sameSideTargets.length);
                 const target = sameSideTargets[idx];
 
                 // Remove from availableTargets
@@ -341,19 +343,20 @@ export class ImmigrationSystem {
      * Get a randomized spawn interval (base ± variance)
      */
     getRandomSpawnInterval() {
-        const variance = Math.floor(Math.random() * (this.spawnVariance * 2 + 1)) - this.spawnVariance;
+        const variance = Math.floor(this.random.next() * (this.spawnVariance * 2 + 1)) - this.spawnVariance;
         return Math.max(3, this.baseSpawnInterval + variance);  // Minimum 3 months
     }
 
     /**
-     * Animate boats and crowds - called from animation loop at 60fps
+     * Animate boats and crowds - called every fixed simulation step
+     * deltaTime is in 60 Hz frames (1 = one step)
      */
-    animate() {
+    animate(deltaTime = 1) {
         // Update all people boats (movement)
-        this.updatePeopleBoats();
+        this.updatePeopleBoats(deltaTime);
 
         // Update all crowds (movement)
-        this.updateCrowds();
+        this.updateCrowds(deltaTime);
     }
 
     /**
@@ -397,7 +400,7 @@ export class ImmigrationSystem {
         };
 
         // Create people boat
-        const peopleCount = Math.floor(Math.random() * 91) + 10;  // 10-100 people
+        const peopleCount = Math.floor(this.random.next() * 91) + 10;  // 10-100 people
 
         // Calculate distance-based speed so boat takes exactly travelMonths to arrive
         const travelMonths = this.boatTravelMonths || 2;  // Default 2 months
@@ -437,7 +440,7 @@ export class ImmigrationSystem {
                 // console.log(`[IMMIGRATION] Spawn: (${spawnPoint.x}, ${spawnPoint.y}) -> Landing: (${landingSpot.x}, ${landingSpot.y})`);
 
         // King tweet about boats
-        if (Math.random() < 0.5) {
+        if (this.cosmeticRandom.next() < 0.5) {
             this.triggerKingTweet();
         }
 
@@ -488,13 +491,13 @@ export class ImmigrationSystem {
 
         // Pick a random spawn point from valid options
         if (validSpawnPoints.length > 0) {
-            const randomIndex = Math.floor(Math.random() * validSpawnPoints.length);
+            const randomIndex = Math.floor(this.random.next() * validSpawnPoints.length);
             return validSpawnPoints[randomIndex];
         }
 
         // Fallback: spawn in open ocean toward main island
         const fallbackX = island.centerX + (20 * searchDirection);
-        const fallbackY = island.centerY + Math.floor(Math.random() * 10 - 5);
+        const fallbackY = island.centerY + Math.floor(this.random.next() * 10 - 5);
         return { x: fallbackX, y: fallbackY };
     }
 
@@ -614,7 +617,7 @@ export class ImmigrationSystem {
 
         // If we have beaches on preferred coast, pick randomly from ALL of them
         if (preferredBeaches.length > 0) {
-            const randomIndex = Math.floor(Math.random() * preferredBeaches.length);
+            const randomIndex = Math.floor(this.random.next() * preferredBeaches.length);
             // Return WATER tile adjacent to beach, not the beach itself!
             return this.findWaterAdjacentToBeach(preferredBeaches[randomIndex]);
         }
@@ -622,13 +625,13 @@ export class ImmigrationSystem {
         // Fallback: pick randomly from any beach in middle Y range
         const middleBeaches = beachTiles.filter(b => b.isInMiddleY);
         if (middleBeaches.length > 0) {
-            const randomIndex = Math.floor(Math.random() * middleBeaches.length);
+            const randomIndex = Math.floor(this.random.next() * middleBeaches.length);
             // Return WATER tile adjacent to beach, not the beach itself!
             return this.findWaterAdjacentToBeach(middleBeaches[randomIndex]);
         }
 
         // Last resort: pick randomly from all beaches
-        const randomIndex = Math.floor(Math.random() * beachTiles.length);
+        const randomIndex = Math.floor(this.random.next() * beachTiles.length);
         // Return WATER tile adjacent to beach, not the beach itself!
         return this.findWaterAdjacentToBeach(beachTiles[randomIndex]);
     }
@@ -664,9 +667,9 @@ export class ImmigrationSystem {
         return minDist;
     }
 
-    updatePeopleBoats() {
+    updatePeopleBoats(deltaTime = 1) {
         for (const boat of this.peopleBoats) {
-            boat.update();
+            boat.update(deltaTime);
 
             // Check if boat has landed
             if (boat.state === 'landed' && !boat.crowdSpawned) {
@@ -675,7 +678,7 @@ export class ImmigrationSystem {
                 boat.state = 'leaving';
 
                 // King tweet about landing
-                if (Math.random() < 0.6) {
+                if (this.cosmeticRandom.next() < 0.6) {
                     this.triggerKingTweet();
                 }
             }
@@ -732,9 +735,9 @@ export class ImmigrationSystem {
         }
     }
 
-    updateCrowds() {
+    updateCrowds(deltaTime = 1) {
         for (const crowd of this.crowds) {
-            crowd.update();
+            crowd.update(deltaTime);
 
             // Check for crowd splitting
             if (crowd.shouldSplit()) {
@@ -753,7 +756,7 @@ export class ImmigrationSystem {
                 crowd.remove = true;
 
                 // King tweet about immigrants arriving
-                if (Math.random() < 0.4) {
+                if (this.cosmeticRandom.next() < 0.4) {
                     this.triggerKingTweet();
                 }
             }
@@ -761,7 +764,7 @@ export class ImmigrationSystem {
     }
 
     triggerKingTweet() {
-        const tweet = this.immigrationTweets[Math.floor(Math.random() * this.immigrationTweets.length)];
+        const tweet = this.immigrationTweets[Math.floor(this.cosmeticRandom.next() * this.immigrationTweets.length)];
         if (this.game.showKingTweet) {
             this.game.showKingTweet(tweet);
         }
@@ -877,6 +880,7 @@ export class ImmigrationSystem {
 export class PeopleBoat {
     constructor(game, startX, startY, targetLanding, peopleCount, sourceIsland, speed = 0.5) {
         this.game = game;
+        this.random = game.random;
         this.x = startX;
         this.y = startY;
         this.startX = startX;  // Remember spawn position
@@ -910,13 +914,13 @@ export class PeopleBoat {
         this.retryAttempts = 0;
     }
 
-    update() {
+    update(deltaTime = 1) {
         this.frame++;
 
         if (this.state === 'arriving') {
-            this.moveTowardsTarget();
+            this.moveTowardsTarget(deltaTime);
         } else if (this.state === 'leaving') {
-            this.moveBackToSource();
+            this.moveBackToSource(deltaTime);
         }
     }
 
@@ -976,7 +980,7 @@ export class PeopleBoat {
         return { dirX: targetDirX, dirY: targetDirY, angle: 0 };
     }
 
-    moveTowardsTarget() {
+    moveTowardsTarget(deltaTime = 1) {
         if (!this.targetLanding) {
             console.log(`[BOAT DEBUG] No targetLanding, leaving`);
             this.state = 'leaving';
@@ -1061,8 +1065,8 @@ export class PeopleBoat {
                     }
                     
                     // Small random nudge to try to unstick
-                    this.x += (Math.random() - 0.5) * 3;
-                    this.y += (Math.random() - 0.5) * 3;
+                    this.x += (this.random.next() - 0.5) * 3;
+                    this.y += (this.random.next() - 0.5) * 3;
                     return;
                 }
             } else {
@@ -1110,8 +1114,8 @@ export class PeopleBoat {
         }
 
         // Move in the chosen direction
-        const nextX = this.x + moveDirX * this.speed;
-        const nextY = this.y + moveDirY * this.speed;
+        const nextX = this.x + moveDirX * this.speed * deltaTime;
+        const nextY = this.y + moveDirY * this.speed * deltaTime;
 
         // Check if next position is water - if so, move there
         if (this.isWater(nextX, nextY)) {
@@ -1136,7 +1140,7 @@ export class PeopleBoat {
     /**
      * Move back to source island instead of just disappearing
      */
-    moveBackToSource() {
+    moveBackToSource(deltaTime = 1) {
         // Target is the source island center (not spawn position)
         const targetX = this.sourceIslandCenterX;
         const targetY = this.sourceIslandCenterY;
@@ -1146,7 +1150,7 @@ export class PeopleBoat {
         const dist = Math.sqrt(dx * dx + dy * dy);
 
         // Use faster speed for return trip
-        const returnSpeed = this.speed * 2;
+        const returnSpeed = this.speed * 2 * deltaTime;
 
         // Remove boat when it gets close to source island (within 12 tiles)
         // Don't try to reach the center which is on land!
@@ -1298,6 +1302,7 @@ export class PeopleBoat {
 export class Crowd {
     constructor(game, x, y, count) {
         this.game = game;
+        this.random = game.random;
         this.x = x;
         this.y = y;
         this.count = count;
@@ -1327,9 +1332,9 @@ export class Crowd {
         this.stuckFrames = 0;
     }
 
-    update() {
+    update(deltaTime = 1) {
         this.frame++;
-        this.splitCooldown = Math.max(0, this.splitCooldown - 1);
+        this.splitCooldown = Math.max(0, this.splitCooldown - deltaTime);
 
         // Track survival time (game ticks = months)
         const currentTick = this.game.tickCount || 0;
@@ -1347,14 +1352,14 @@ export class Crowd {
         }
 
         // Update path periodically
-        this.pathUpdateTimer++;
+        this.pathUpdateTimer += deltaTime;
         if (this.pathUpdateTimer >= this.pathUpdateInterval || this.targetX === null) {
             this.pathUpdateTimer = 0;
             this.updateTarget();
         }
 
         // Move toward target
-        this.moveTowardTarget();
+        this.moveTowardTarget(deltaTime);
 
         // Check if in forest
         this.checkForestStatus();
@@ -1458,8 +1463,8 @@ export class Crowd {
         if (!map) return;
 
         // Wander in a random direction
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 10 + Math.random() * 20;
+        const angle = this.random.next() * Math.PI * 2;
+        const distance = 10 + this.random.next() * 20;
         this.targetX = this.x + Math.cos(angle) * distance;
         this.targetY = this.y + Math.sin(angle) * distance;
 
@@ -1502,7 +1507,7 @@ export class Crowd {
     }
 
 
-    moveTowardTarget() {
+    moveTowardTarget(deltaTime = 1) {
         if (this.targetX === null || this.targetY === null) return;
 
         const dx = this.targetX - this.x;
@@ -1517,8 +1522,9 @@ export class Crowd {
         const map = this.game.tileMap;
         if (!map) return;
 
-        const nextX = this.x + (dx / dist) * this.speed;
-        const nextY = this.y + (dy / dist) * this.speed;
+        const step = this.speed * deltaTime;
+        const nextX = this.x + (dx / dist) * step;
+        const nextY = this.y + (dy / dist) * step;
 
         let moved = false;
 
@@ -1531,13 +1537,13 @@ export class Crowd {
             // Try BOTH perpendicular directions when blocked
             const alt1Dx = dy;
             const alt1Dy = -dx;
-            const alt1NextX = this.x + (alt1Dx / dist) * this.speed;
-            const alt1NextY = this.y + (alt1Dy / dist) * this.speed;
+            const alt1NextX = this.x + (alt1Dx / dist) * step;
+            const alt1NextY = this.y + (alt1Dy / dist) * step;
 
             const alt2Dx = -dy;
             const alt2Dy = dx;
-            const alt2NextX = this.x + (alt2Dx / dist) * this.speed;
-            const alt2NextY = this.y + (alt2Dy / dist) * this.speed;
+            const alt2NextX = this.x + (alt2Dx / dist) * step;
+            const alt2NextY = this.y + (alt2Dy / dist) * step;
 
             const dist1 = Math.sqrt(Math.pow(alt1NextX - this.targetX, 2) + Math.pow(alt1NextY - this.targetY, 2));
             const dist2 = Math.sqrt(Math.pow(alt2NextX - this.targetX, 2) + Math.pow(alt2NextY - this.targetY, 2));
@@ -1681,18 +1687,18 @@ export class Crowd {
     shouldSplit() {
         return this.count > 10 &&
                this.splitCooldown === 0 &&
-               Math.random() < 0.10;
+               this.random.next() < 0.10;
     }
 
     split() {
-        const splitCount = Math.floor(this.count * (0.2 + Math.random() * 0.3));
+        const splitCount = Math.floor(this.count * (0.2 + this.random.next() * 0.3));
         if (splitCount < 5) return null;
 
         this.count -= splitCount;
         this.splitCooldown = 60;
 
-        const offsetX = (Math.random() - 0.5) * 3;
-        const offsetY = (Math.random() - 0.5) * 3;
+        const offsetX = (this.random.next() - 0.5) * 3;
+        const offsetY = (this.random.next() - 0.5) * 3;
 
         const newCrowd = new Crowd(this.game, this.x + offsetX, this.y + offsetY, splitCount);
         // New crowd inherits survival time
@@ -1763,6 +1769,9 @@ export class Crowd {
     }
 }
 
-window.ImmigrationSystem = ImmigrationSystem;
-window.PeopleBoat = PeopleBoat;
-window.Crowd = Crowd;
+// Globals for SaveSystem (skipped when running headless under Node)
+if (typeof window !== 'undefined') {
+    window.ImmigrationSystem = ImmigrationSystem;
+    window.PeopleBoat = PeopleBoat;
+    window.Crowd = Crowd;
+}
@@ -327,6 +327,13 @@ export class InfrastructureManager {
         }
     }
 
+    // Road network touching the building whose origin is (x, y), or null.
+    // Unlike buildingConnections this includes power plants and derricks.
+    getRoadNetwork(x, y) {
+        const key = `${x},${y}`;
+        return this.roadNetworks.find(network => network.connectedBuildings.has(key)) || null;
+    }
+
     // Check if a building at (x, y) has road access
     hasRoadAccess(x, y) {
         const key = `${x},${y}`;
@@ -11,6 +11,8 @@ import { PoliceOfficer } from '../entities/PoliceOfficer.js';
 export class PoliceSystem {
     constructor(game) {
         this.game = game;
+        this.random = game.random;  // Seeded gameplay stream
+        this.cosmeticRandom = game.cosmeticRandom;  // King comments
         this.stations = new Map();  // Map of station positions to station data
         this.patrols = [];  // Active patrol groups
         this.officers = [];  // Individual officers on patrol
@@ -28,6 +30,15 @@ export class PoliceSystem {
         this.wallBuildCost = 1000;  // $1000 per wall tile
         this.wallBuildMinBudget = 1000000;  // $1M to start building
         this.wallBuildStopBudget = 300000;  // $300K to stop building
+
+        // Crime reports (robberies and the like) waiting for an officer
+        this.incidents = [];
+        this.nextIncidentId = 1;
+        this.incidentTimeout = 1200;  // Frames before an unanswered call goes cold
+
+        // This year's crime figures, and last year's once the year is out
+        this.crimeStats = { reported: 0, solved: 0, unsolved: 0 };
+        this.lastYearCrime = null;
     }
 
     /**
@@ -137,7 +148,7 @@ export class PoliceSystem {
 
         // Pick a random tile from available tiles (not always closest)
         // This ensures different stations pick different tiles
-        const randomIndex = Math.floor(Math.random() * Math.min(availableTiles.length, 10));
+        const randomIndex = Math.floor(this.random.next() * Math.min(availableTiles.length, 10));
         const closestTile = availableTiles[randomIndex];
 
         if (!closestTile) return;
@@ -155,7 +166,8 @@ export class PoliceSystem {
             station.y,
             closestTile.x,
             closestTile.y,
-            stationKey
+            stationKey,
+            this.random
         );
 
         // Store wall tile info in officer for later placement
@@ -166,6 +178,7 @@ export class PoliceSystem {
 
         // Deduct cost immediately (officer is committed)
         this.game.treasury -= this.wallBuildCost;
+        this.game.budgetLedger?.record('construction', this.wallBuildCost);
 
         // Update station tracking
         station.lastWallBuildTick = this.game.tickCount || 0;
@@ -246,7 +259,8 @@ export class PoliceSystem {
         const key = `${x},${y}`;
         const station = this.stations.get(key);
         const wasActive = station?.isActive;
-        const isActive = hasPower && hasRoad;
+        // An unfunded station (or a broke kingdom) has no officers on duty
+        const isActive = hasPower && hasRoad && this.getPatrolRadius() > 0;
 
         if (wasActive !== isActive) {
             // console.log(`[POLICE] Station (${x},${y}) status: power=${hasPower}, road=${hasRoad}, active=${isActive}`);
@@ -255,6 +269,14 @@ export class PoliceSystem {
         return isActive;
     }
 
+    /**
+     * Patrol radius shrinks with the police funding level
+     */
+    getPatrolRadius() {
+        const effectiveness = this.game.getServiceEffectiveness?.('policeStation') ?? 1;
+        return this.patrolRadius * effectiveness;
+    }
+
     /**
      * Check if any station should send out a patrol
      */
@@ -305,7 +327,7 @@ export class PoliceSystem {
             const dy = crowd.y - y;
             const dist = Math.sqrt(dx * dx + dy * dy);
 
-            if (dist <= this.patrolRadius) {
+            if (dist <= this.getPatrolRadius()) {
                 nearby.push({ crowd, dist });
             }
         }
@@ -354,12 +376,12 @@ export class PoliceSystem {
     /**
      * Update officer positions and actions
      */
-    updateOfficers() {
+    updateOfficers(deltaTime = 1) {
         for (const officer of this.officers) {
             if (officer.state === 'pursuing') {
-                this.moveOfficerToTarget(officer);
+                this.moveOfficerToTarget(officer, deltaTime);
             } else if (officer.state === 'returning') {
-                this.moveOfficerToStation(officer);
+                this.moveOfficerToStation(officer, deltaTime);
             }
         }
     }
@@ -395,7 +417,7 @@ export class PoliceSystem {
     /**
      * Move officer with wall avoidance
      */
-    moveOfficerWithAvoidance(officer, targetX, targetY) {
+    moveOfficerWithAvoidance(officer, targetX, targetY, deltaTime = 1) {
         const dx = targetX - officer.x;
         const dy = targetY - officer.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
@@ -411,8 +433,9 @@ export class PoliceSystem {
         let moved = false;
 
         // Try direct path first
-        const nextX = officer.x + dirX * this.officerSpeed;
-        const nextY = officer.y + dirY * this.officerSpeed;
+        const step = this.officerSpeed * deltaTime;
+        const nextX = officer.x + dirX * step;
+        const nextY = officer.y + dirY * step;
 
         if (this.isTileWalkable(nextX, nextY)) {
             officer.x = nextX;
@@ -420,11 +443,11 @@ export class PoliceSystem {
             moved = true;
         } else {
             // Try perpendicular directions to navigate around wall
-            const alt1X = officer.x + dirY * this.officerSpeed;
-            const alt1Y = officer.y + (-dirX) * this.officerSpeed;
+            const alt1X = officer.x + dirY * step;
+            const alt1Y = officer.y + (-dirX) * step;
 
-            const alt2X = officer.x + (-dirY) * this.officerSpeed;
-            const alt2Y = officer.y + dirX * this.officerSpeed;
+            const alt2X = officer.x + (-dirY) * step;
+            const alt2Y = officer.y + dirX * step;
 
             // Pick the alternative that gets closer to target
             const dist1 = Math.sqrt(Math.pow(alt1X - targetX, 2) + Math.pow(alt1Y - targetY, 2));
@@ -488,7 +511,7 @@ export class PoliceSystem {
         return false;
     }
 
-    moveOfficerToTarget(officer) {
+    moveOfficerToTarget(officer, deltaTime = 1) {
         // Null checks to prevent crash
         if (!officer || !officer.patrol) {
             const idx = this.officers.indexOf(officer);
@@ -510,7 +533,7 @@ export class PoliceSystem {
             this.captureVisitors(officer, patrol);
         } else {
             // Move towards target with wall avoidance
-            this.moveOfficerWithAvoidance(officer, patrol.targetCrowd.x, patrol.targetCrowd.y);
+            this.moveOfficerWithAvoidance(officer, patrol.targetCrowd.x, patrol.targetCrowd.y, deltaTime);
         }
     }
 
@@ -557,7 +580,7 @@ export class PoliceSystem {
     /**
      * Move officer back to station
      */
-    moveOfficerToStation(officer) {
+    moveOfficerToStation(officer, deltaTime = 1) {
         // Null checks to prevent crash
         if (!officer || !officer.patrol || !officer.patrol.station) {
             // Remove invalid officer from list
@@ -594,7 +617,7 @@ export class PoliceSystem {
             station.availableOfficers++;
         } else {
             // Move towards station with wall avoidance
-            this.moveOfficerWithAvoidance(officer, station.x + 1, station.y + 1);
+            this.moveOfficerWithAvoidance(officer, station.x + 1, station.y + 1, deltaTime);
         }
     }
 
@@ -613,10 +636,14 @@ export class PoliceSystem {
     /**
      * Update patrol states
      */
-    updatePatrols() {
+    updatePatrols(deltaTime = 1) {
         // Create new patrols for visitor crowds
         this.createPatrolsForCrowds();
 
+        // Answer crime reports, and let old ones go cold
+        this.dispatchToIncidents();
+        this.ageIncidents(deltaTime);
+
         // Update existing patrol officers
         for (let i = this.officers.length - 1; i >= 0; i--) {
             const officer = this.officers[i];
@@ -628,11 +655,130 @@ export class PoliceSystem {
 
             // Update patrol officers
             if (officer.state === 'pursuing') {
-                this.moveOfficerToTarget(officer);
+                this.moveOfficerToTarget(officer, deltaTime);
             } else if (officer.state === 'returning') {
-                this.moveOfficerToStation(officer);
+                this.moveOfficerToStation(officer, deltaTime);
+            } else if (officer.state === 'responding') {
+                this.moveOfficerToIncident(officer, deltaTime);
+            } else if (officer.state === 'returningFromCall') {
+                this.moveOfficerBackFromCall(officer, deltaTime);
+            }
+        }
+    }
+
+    /**
+     * Report a crime at (x, y) for the nearest station to answer
+     */
+    reportIncident(type, x, y) {
+        const incident = { id: this.nextIncidentId++, type, x, y, age: 0, officerSent: false };
+        this.incidents.push(incident);
+        this.crimeStats.reported++;
+        // console.log(`[POLICE] ${type} reported at (${Math.floor(x)}, ${Math.floor(y)})`);
+        this.game.events?.emit('crimeReported', { type, x, y });
+        return incident;
+    }
+
+    /**
+     * Send one free officer from the nearest active station in range to each
+     * report nobody has answered yet
+     */
+    dispatchToIncidents() {
+        for (const incident of this.incidents) {
+            if (incident.officerSent) continue;
+
+            let nearest = null;
+            let nearestDist = this.getPatrolRadius();
+            for (const station of this.stations.values()) {
+                if (!station.isActive || station.availableOfficers <= 0) continue;
+                const dist = Math.hypot(incident.x - (station.x + 1.5), incident.y - (station.y + 1.5));
+                if (dist < nearestDist) {
+                    nearestDist = dist;
+                    nearest = station;
+                }
+            }
+            if (!nearest) continue;
+
+            nearest.availableOfficers--;
+            incident.officerSent = true;
+            this.officers.push({
+                x: nearest.x + 1.5,
+                y: nearest.y + 1.5,
+                stationX: nearest.x,
+                stationY: nearest.y,
+                incidentId: incident.id,
+                state: 'responding',
+                capturedVisitors: 0
+            });
+        }
+    }
+
+    ageIncidents(deltaTime = 1) {
+        for (let i = this.incidents.length - 1; i >= 0; i--) {
+            const incident = this.incidents[i];
+            incident.age += deltaTime;
+            if (incident.age >= this.incidentTimeout) {
+                this.closeIncident(incident, false);
+            }
+        }
+    }
+
+    /**
+     * Take a report off the map, solved (an officer got there) or gone cold
+     */
+    closeIncident(incident, solved) {
+        const idx = this.incidents.indexOf(incident);
+        if (idx >= 0) this.incidents.splice(idx, 1);
+
+        if (solved) {
+            this.crimeStats.solved++;
+        } else {
+            this.crimeStats.unsolved++;
+            // The king hears about the ones that got away (20% chance)
+            if (this.cosmeticRandom.next() < 0.2 && this.game.showKingTweet) {
+                this.game.showKingTweet("Another ROBBERY and the crooks got away! Where were the police?! SAD! 🚨");
             }
         }
+        this.game.events?.emit(solved ? 'crimeSolved' : 'crimeUnsolved',
+            { type: incident.type, x: incident.x, y: incident.y });
+    }
+
+    moveOfficerToIncident(officer, deltaTime = 1) {
+        const incident = this.incidents.find(i => i.id === officer.incidentId);
+        if (!incident) {
+            // The trail went cold before we got there
+            officer.state = 'returningFromCall';
+            return;
+        }
+
+        const dist = Math.hypot(incident.x - officer.x, incident.y - officer.y);
+        if (dist < this.captureRadius) {
+            this.closeIncident(incident, true);
+            officer.state = 'returningFromCall';
+        } else {
+            this.moveOfficerWithAvoidance(officer, incident.x, incident.y, deltaTime);
+        }
+    }
+
+    moveOfficerBackFromCall(officer, deltaTime = 1) {
+        const dist = Math.hypot(officer.stationX + 1 - officer.x, officer.stationY + 1 - officer.y);
+        if (dist < 0.5) {
+            const idx = this.officers.indexOf(officer);
+            if (idx >= 0) this.officers.splice(idx, 1);
+
+            // Back on duty (if the station is still standing)
+            const station = this.stations.get(`${officer.stationX},${officer.stationY}`);
+            if (station) station.availableOfficers++;
+        } else {
+            this.moveOfficerWithAvoidance(officer, officer.stationX + 1, officer.stationY + 1, deltaTime);
+        }
+    }
+
+    /**
+     * File the year's crime figures and start counting again
+     */
+    closeCrimeYear(year) {
+        this.lastYearCrime = { year, ...this.crimeStats };
+        this.crimeStats = { reported: 0, solved: 0, unsolved: 0 };
     }
 
     /**
@@ -667,7 +813,7 @@ export class PoliceSystem {
 
             // Find nearest crowd within patrol radius
             let nearestCrowd = null;
-            let nearestDist = this.patrolRadius;
+            let nearestDist = this.getPatrolRadius();
 
             for (const crowd of crowds) {
                 if (crowd.count <= 0) continue;
@@ -707,6 +853,130 @@ export class PoliceSystem {
         }
     }
 
+    /**
+     * Save stations, patrols and officers.
+     * Crowds are saved as their index in immigrationSystem.crowds; a crowd that
+     * has already been broken up is kept as a position so officers still walk to it.
+     */
+    serialize() {
+        const crowds = this.game.immigrationSystem?.crowds || [];
+        const crowdRef = (crowd) => {
+            if (!crowd) return null;
+            const index = crowds.indexOf(crowd);
+            return index >= 0 ? index : { x: crowd.x, y: crowd.y, count: crowd.count };
+        };
+
+        const patrols = this.patrols.map(patrol => ({
+            stationKey: patrol.stationKey,
+            state: patrol.state,
+            capturedCount: patrol.capturedCount,
+            targetCrowd: crowdRef(patrol.targetCrowd)
+        }));
+
+        // Officers keep their order so they update in the same sequence after loading
+        const officers = this.officers.map(officer => {
+            if (officer instanceof PoliceOfficer) {
+                const { random, ...data } = officer;
+                return { wall: true, ...data };
+            }
+
+            const patrolIndex = this.patrols.indexOf(officer.patrol);
+            return {
+                x: officer.x,
+                y: officer.y,
+                state: officer.state,
+                capturedVisitors: officer.capturedVisitors,
+                stuckFrames: officer.stuckFrames || 0,
+                stationX: officer.stationX,
+                stationY: officer.stationY,
+                incidentId: officer.incidentId ?? null,
+                targetCrowd: crowdRef(officer.targetCrowd),
+                patrol: patrolIndex,
+                // Officers sent out alone carry their own target
+                lonePatrol: patrolIndex < 0 && officer.patrol ? {
+                    targetCrowd: crowdRef(officer.patrol.targetCrowd),
+                    capturedCount: officer.patrol.capturedCount
+                } : null
+            };
+        });
+
+        return {
+            stations: Array.from(this.stations.entries()),
+            patrols,
+            officers,
+            incidents: this.incidents.map(incident => ({ ...incident })),
+            nextIncidentId: this.nextIncidentId,
+            crimeStats: { ...this.crimeStats },
+            lastYearCrime: this.lastYearCrime
+        };
+    }
+
+    /**
+     * Restore state from serialize(). Crowds must already be restored.
+     */
+    restore(data) {
+        if (!data) return;
+        const crowds = this.game.immigrationSystem?.crowds || [];
+        const stubs = new Map();
+        const findCrowd = (ref) => {
+            if (ref === null || ref === undefined) return null;
+            if (typeof ref === 'number') return crowds[ref] || null;
+            // Broken-up crowds shared by several officers stay one object
+            const key = `${ref.x},${ref.y}`;
+            if (!stubs.has(key)) stubs.set(key, { ...ref });
+            return stubs.get(key);
+        };
+
+        this.stations = new Map(data.stations || []);
+        this.officers = [];
+
+        // Saves from before crime have no reports or figures
+        this.incidents = (data.incidents || []).map(incident => ({ ...incident }));
+        this.nextIncidentId = data.nextIncidentId || 1;
+        this.crimeStats = data.crimeStats ? { ...data.crimeStats } : { reported: 0, solved: 0, unsolved: 0 };
+        this.lastYearCrime = data.lastYearCrime || null;
+
+        this.patrols = (data.patrols || []).map(patrolData => ({
+            stationKey: patrolData.stationKey,
+            station: this.stations.get(patrolData.stationKey) || null,
+            officers: [],
+            targetCrowd: findCrowd(patrolData.targetCrowd),
+            state: patrolData.state,
+            capturedCount: patrolData.capturedCount || 0
+        }));
+
+        for (const officerData of data.officers || []) {
+            if (officerData.wall) {
+                const { wall, ...fields } = officerData;
+                const officer = Object.create(PoliceOfficer.prototype);
+                Object.assign(officer, fields, { random: this.random });
+                this.officers.push(officer);
+                continue;
+            }
+
+            const { patrol: patrolIndex, lonePatrol, targetCrowd, incidentId, ...fields } = officerData;
+            const officer = { ...fields };
+            if (incidentId !== null && incidentId !== undefined) {
+                officer.incidentId = incidentId;
+            }
+            if (targetCrowd !== null && targetCrowd !== undefined) {
+                officer.targetCrowd = findCrowd(targetCrowd);
+            }
+
+            const patrol = this.patrols[patrolIndex];
+            if (patrol) {
+                officer.patrol = patrol;
+                patrol.officers.push(officer);
+            } else if (lonePatrol) {
+                officer.patrol = {
+                    targetCrowd: findCrowd(lonePatrol.targetCrowd),
+                    capturedCount: lonePatrol.capturedCount || 0
+                };
+            }
+            this.officers.push(officer);
+        }
+    }
+
     /**
      * Render police officers and patrol indicators
      */
@@ -777,18 +1047,25 @@ export class PoliceSystem {
             totalHeld,
             totalOfficers,
             availableOfficers,
-            activePatrols: this.patrols.length
+            activePatrols: this.patrols.length,
+            crime: {
+                averageRate: Math.round(this.game.crimeSystem?.getAverageRate() || 0),
+                openIncidents: this.incidents.length,
+                thisYear: { year: this.game.year, ...this.crimeStats },
+                lastYear: this.lastYearCrime ? { ...this.lastYearCrime } : null
+            }
         };
     }
 
     /**
-     * Animate police officers - called each frame (60fps)
+     * Animate police officers - called every fixed simulation step
+     * deltaTime is in 60 Hz frames (1 = one step)
      */
-    animate() {
+    animate(deltaTime = 1) {
         const map = this.game.map;
 
         // Update patrols (visitor capture)
-        this.updatePatrols();
+        this.updatePatrols(deltaTime);
 
         // Update all active officers
         for (let i = this.officers.length - 1; i >= 0; i--) {
@@ -802,7 +1079,7 @@ export class PoliceSystem {
             // Check if this is a wall-building officer (PoliceOfficer class instance)
             if (typeof officer.update === 'function') {
                 // Wall-building officer - use update() method
-                const stillActive = officer.update();
+                const stillActive = officer.update(deltaTime);
 
                 // If officer just finished building, place the wall
                 if (officer.state === 'building' && officer.buildProgress >= 0.99 && !officer.wallPlaced) {
@@ -811,7 +1088,7 @@ export class PoliceSystem {
                     console.log(`[POLICE] Officer completed wall at (${officer.wallX}, ${officer.wallY})`);
 
                     // Tweet about the beautiful wall (25% chance)
-                    if (Math.random() < 0.25 && this.game.showKingTweet) {
+                    if (this.cosmeticRandom.next() < 0.25 && this.game.showKingTweet) {
                         const wallTweets = [
                             "Building a BEAUTIFUL BIG WALL! Nobody builds walls like me! 🧱",
                             "Our walls are TREMENDOUS! The best walls in the world! 🏗️",
@@ -822,7 +1099,7 @@ export class PoliceSystem {
                             "BRICK BY BRICK, we're making our island IMPENETRABLE! 🧱💪",
                             "Nobody appreciates a good wall like I do! BEAUTIFUL! 🧱😍"
                         ];
-                        this.game.showKingTweet(wallTweets[Math.floor(Math.random() * wallTweets.length)]);
+                        this.game.showKingTweet(wallTweets[Math.floor(this.cosmeticRandom.next() * wallTweets.length)]);
                     }
                 }
 
@@ -848,6 +1125,12 @@ export class PoliceSystem {
         ctx.textAlign = "center";
         ctx.textBaseline = "middle";
 
+        // Crime reports, flashing until an officer gets there
+        for (const incident of this.incidents) {
+            if (!incident.officerSent && Math.floor(incident.age / 30) % 2 === 1) continue;
+            ctx.fillText("🚨", incident.x * tileSize + offsetX, incident.y * tileSize + offsetY);
+        }
+
         // Render all officers
         for (const officer of this.officers) {
             // Wall-building officers (PoliceOfficer class) render themselves
@@ -0,0 +1,206 @@
+// ResourceSystem.js - Oil supply chain: derrick → refinery → gas station
+//
+// Once a month, each road network moves its own oil: derricks pump crude,
+// refineries on the same roads turn it into fuel, and gas stations sell the
+// fuel to the people. What's left over goes to the ports' oil stock (the
+// same PortInventory stockpile imported oil is unloaded into) if the network
+// reaches a port, and departing boats carry it away as exports.
+import { BUILDINGS } from '../buildings/Buildings.js';
+
+// Monthly amounts come from each building's effects in Buildings.js
+const DERRICK = BUILDINGS.oilDerrick.effects;
+const REFINERY = BUILDINGS.oilRefinery.effects;
+const GAS_STATION = BUILDINGS.gasStation.effects;
+
+// People per unit of fuel wanted each month
+const PEOPLE_PER_FUEL_UNIT = 5;
+
+// Export price per unit, and how much one boat can carry away
+export const OIL_EXPORT_PRICE = 3;
+const BOAT_OIL_CAPACITY = 100;
+
+// Commercial growth ranges from this (no fuel) to 2 - this (fully supplied)
+const NO_FUEL_GROWTH = 0.85;
+
+function emptyStats() {
+    return {
+        crudeProduced: 0,
+        crudeRefined: 0,
+        crudeShortage: 0,  // Refinery capacity left idle for lack of crude
+        fuelProduced: 0,
+        fuelSold: 0,
+        fuelDemand: 0,
+        fuelShortage: 0,   // Demand no gas station could meet
+        stockpiled: 0,     // Surplus sent to the ports
+        wasted: 0,         // Surplus with no port to go to
+        exported: 0,
+        exportRevenue: 0,
+        sales: 0
+    };
+}
+
+export class ResourceSystem {
+    constructor(game) {
+        this.game = game;
+
+        // This month so far, and the last full month
+        this.stats = emptyStats();
+        this.lastMonth = null;
+    }
+
+    /**
+     * Run the month's supply chain. Called once per tick, before the
+     * month's books are closed.
+     */
+    update() {
+        const stats = this.stats;
+        stats.fuelDemand = Math.ceil((this.game.population || 0) / PEOPLE_PER_FUEL_UNIT);
+        let demandLeft = stats.fuelDemand;
+        let sales = 0;
+
+        for (const site of this.getSites()) {
+            // Derricks pump crude
+            const crude = site.derricks * DERRICK.oilProduction;
+            stats.crudeProduced += crude;
+
+            // Refineries take what they can
+            const refineryDemand = site.refineries * REFINERY.requiresOil;
+            const refined = Math.min(crude, refineryDemand);
+            stats.crudeRefined += refined;
+            stats.crudeShortage += refineryDemand - refined;
+            const refinerySupply = refineryDemand > 0 ? refined / refineryDemand : 0;
+            const fuel = Math.floor(site.refineries * REFINERY.fuelProduction * refinerySupply);
+            stats.fuelProduced += fuel;
+
+            // Gas stations sell to the people, as far as the fuel goes
+            const stationCapacity = site.gasStations * GAS_STATION.fuelDistribution;
+            const sold = Math.min(fuel, stationCapacity, demandLeft);
+            demandLeft -= sold;
+            stats.fuelSold += sold;
+
+            // Income: crude sold to refineries, fuel refined, fuel sold at the pump
+            if (crude > 0) sales += Math.round(DERRICK.income * refined / crude);
+            sales += Math.round(REFINERY.income * refinerySupply * site.refineries);
+            if (stationCapacity > 0) sales += Math.round(GAS_STATION.income * site.gasStations * sold / stationCapacity);
+
+            // Leftover crude and fuel go to the port, if the roads reach one
+            const surplus = (crude - refined) + (fuel - sold);
+            if (surplus > 0) {
+                if (site.hasPort) {
+                    const room = this.getStockpileCapacity() - this.getOilStockpile();
+                    const stored = Math.max(0, Math.min(surplus, room));
+                    this.game.portInventory.stock.oil += stored;
+                    stats.stockpiled += stored;
+                    stats.wasted += surplus - stored;
+                } else {
+                    stats.wasted += surplus;
+                }
+            }
+        }
+
+        stats.fuelShortage = Math.max(0, demandLeft);
+        stats.sales = sales;
+        if (sales > 0) {
+            this.game.treasury += sales;
+            this.game.budgetLedger?.record('fuel', sales);
+        }
+
+        if (stats.fuelShortage > 0 && stats.fuelShortage === stats.fuelDemand && this.game.cosmeticRandom.next() < 0.05) {
+            this.game.kingTweet("No gas ANYWHERE! Build me a refinery and some gas stations! ⛽😤");
+        }
+
+        this.lastMonth = stats;
+        this.stats = emptyStats();
+    }
+
+    /**
+     * Oil buildings grouped by the road network they're on. Derricks and
+     * refineries off the roads are their own site (they can't ship anything).
+     */
+    getSites() {
+        const infra = this.game.infrastructureManager;
+        const tileMap = this.game.tileMap;
+        const sites = new Map();
+        const siteFor = (x, y) => {
+            const network = infra?.getRoadNetwork(x, y) || `${x},${y}`;
+            if (!sites.has(network)) {
+                sites.set(network, {
+                    derricks: 0,
+                    refineries: 0,
+                    gasStations: 0,
+                    hasPort: !!network.hasPort
+                });
+            }
+            return sites.get(network);
+        };
+
+        for (const { x, y } of tileMap.getBuildingsOfType('oilDerrick')) siteFor(x, y).derricks++;
+        for (const { x, y } of tileMap.getBuildingsOfType('oilRefinery')) siteFor(x, y).refineries++;
+        for (const { x, y } of tileMap.getBuildingsOfType('gasStation')) siteFor(x, y).gasStations++;
+        return sites.values();
+    }
+
+    // Crude and fuel waiting at the ports for a boat, imported or our own
+    getOilStockpile() {
+        return this.game.portInventory?.stock.oil || 0;
+    }
+
+    getStockpileCapacity() {
+        return this.game.portInventory?.getCapacity() || 0;
+    }
+
+    /**
+     * Share of the people's fuel needs met last month, 0 to 1.
+     * A kingdom nobody lives in needs no fuel.
+     */
+    getFuelCoverage() {
+        const month = this.lastMonth;
+        if (!month || month.fuelDemand === 0) return 1;
+        return month.fuelSold / month.fuelDemand;
+    }
+
+    // Shops grow faster when customers can drive to them
+    getCommercialGrowthMultiplier() {
+        return NO_FUEL_GROWTH + (2 - 2 * NO_FUEL_GROWTH) * this.getFuelCoverage();
+    }
+
+    /**
+     * A docked boat takes stockpiled oil as export cargo
+     */
+    loadExports(boat) {
+        const amount = Math.min(this.getOilStockpile(), BOAT_OIL_CAPACITY);
+        if (amount <= 0) return 0;
+
+        // The boat's home island takes its tariff off the price
+        const value = amount * OIL_EXPORT_PRICE;
+        const revenue = value - (this.game.tariffSystem?.getForeignDuty(boat.homeIsland, value, 'oil') || 0);
+        this.game.portInventory.stock.oil -= amount;
+        this.game.treasury += revenue;
+        this.game.budgetLedger?.record('oilExports', revenue);
+        boat.exports = [...(boat.exports || []), { type: 'oil', icon: '🛢️', quantity: amount, value: revenue }];
+
+        // Exports happen between monthly updates, so they count toward the month in progress
+        this.stats.exported += amount;
+        this.stats.exportRevenue += revenue;
+        return revenue;
+    }
+
+    serialize() {
+        return {
+            stats: { ...this.stats },
+            lastMonth: this.lastMonth ? { ...this.lastMonth } : null
+        };
+    }
+
+    restore(data) {
+        // Saves from before the supply chain start with empty ports
+        data = data || {};
+        // Older saves kept the oil here rather than with the other port cargo
+        const stock = this.game.portInventory?.stock;
+        if (data.oilStockpile && stock) {
+            stock.oil = Math.min(this.getStockpileCapacity(), stock.oil + data.oilStockpile);
+        }
+        this.stats = { ...emptyStats(), ...data.stats };
+        this.lastMonth = data.lastMonth ? { ...emptyStats(), ...data.lastMonth } : null;
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * SaveMigrations - Upgrades old saves step by step and checks them before loading
+ *
+ * Every time the save format changes, bump SAVE_VERSION and register a
+ * migration from the previous version. loadGame() runs the chain
+ * (v1 → v2 → v3 …) and then validates the result against SAVE_SCHEMA, so
+ * deserializeGameState() only ever sees saves in the current format.
+ */
+
+export const SAVE_VERSION = 4;
+
+/**
+ * Thrown when a save can't be loaded. `reason` is one of
+ * 'unreadable', 'newer', 'migration', 'invalid' or 'restore'.
+ */
+export class SaveError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'SaveError';
+        this.reason = reason;
+    }
+}
+
+// Empty allotment records, used when old saves lost their development state
+const EMPTY_ALLOTMENTS = {
+    residentialAllotments: { housesBuilt: 0, apartmentsBuilt: 0, hasHighrises: false, population: 0 },
+    commercialAllotments: { shopsBuilt: 0, stripMallBuilt: 0, hasShoppingCenter: false, hasMall: false, jobs: 0, taxIncome: 0 },
+    industrialAllotments: { workshopsBuilt: 0, factoriesBuilt: 0, hasHeavyIndustry: false, hasComplex: false, jobs: 0, production: 0, pollution: 0 }
+};
+
+/**
+ * Migrations keyed by the version they upgrade from.
+ * Each one changes the save in place and returns it.
+ */
+const MIGRATIONS = {
+    // v1: the original single-slot save, before immigration and terrain were saved
+    1: {
+        description: 'Add immigration and island data',
+        migrate(data) {
+            data.immigration = data.immigration || { peopleBoats: [], crowds: [] };
+            data.sourceIslands = data.sourceIslands || [];
+            data.tickCount = data.tickCount || 0;
+            for (const key of Object.keys(EMPTY_ALLOTMENTS)) {
+                data[key] = data[key] || [];
+            }
+            return data;
+        }
+    },
+
+    // v2 saved allotments as per-cell summaries. Rebuild them as empty lots
+    // so the zoned land stays owned and grows again.
+    2: {
+        description: 'Rebuild allotments from per-cell summaries',
+        migrate(data) {
+            for (const [key, fields] of Object.entries(EMPTY_ALLOTMENTS)) {
+                const old = data[key];
+                if (!Array.isArray(old)) continue;
+
+                const allotments = {};
+                for (const entry of old) {
+                    allotments[`${entry.x},${entry.y}`] = {
+                        x: entry.x,
+                        y: entry.y,
+                        phase: 0,
+                        progress: 0,
+                        ...fields,
+                        cells: [
+                            [null, null, null],
+                            [null, null, null],
+                            [null, null, null]
+                        ],
+                        createdAt: data.timestamp || 0
+                    };
+                }
+                data[key] = allotments;
+            }
+            return data;
+        }
+    },
+
+    // v3 had one tax rate for everything; each zone type now has its own
+    3: {
+        description: 'Split the tax rate per zone type',
+        migrate(data) {
+            const rate = typeof data.taxRate === 'number' ? data.taxRate : 10;
+            data.taxRates = { residential: rate, commercial: rate, industrial: rate };
+            delete data.taxRate;
+            return data;
+        }
+    }
+};
+
+/**
+ * Fields every current save must have, with their types.
+ * Optional fields are checked only when present.
+ */
+const SAVE_SCHEMA = {
+    version: { type: 'number', required: true },
+    treasury: { type: 'number', required: true },
+    population: { type: 'number', required: true },
+    month: { type: 'number', required: true },
+    year: { type: 'number', required: true },
+    tickCount: { type: 'number', required: true },
+    taxRates: { type: 'object', required: true },
+    mapWidth: { type: 'number', required: true },
+    mapHeight: { type: 'number', required: true },
+    tiles: { type: 'array', required: true },
+    terrainData: { type: 'array' },
+    residentialAllotments: { type: 'object' },
+    commercialAllotments: { type: 'object' },
+    industrialAllotments: { type: 'object' },
+    immigration: { type: 'object' },
+    police: { type: 'object' },
+    airport: { type: 'object' },
+    tariff: { type: 'object' },
+    inventory: { type: 'object' },
+    exports: { type: 'object' },
+    weather: { type: 'object' },
+    fire: { type: 'object' },
+    resources: { type: 'object' },
+    serviceFunding: { type: 'object' },
+    budget: { type: 'object' },
+    finance: { type: 'object' },
+    crime: { type: 'object' },
+    pollution: { type: 'object' },
+    landValue: { type: 'object' },
+    employment: { type: 'object' },
+    demand: { type: 'object' },
+    rng: { type: 'object' },
+    commandLog: { type: 'array' },
+    sourceIslands: { type: 'array' }
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && !Number.isFinite(value)) return 'invalid number';
+    return typeof value;
+}
+
+/**
+ * Upgrade a parsed save to SAVE_VERSION. Saves without a version are v1.
+ */
+export function migrateSave(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new SaveError('unreadable', 'The save file is empty or not a saved game.');
+    }
+
+    let version = data.version || 1;
+    if (version > SAVE_VERSION) {
+        throw new SaveError('newer', `This save was made by a newer version of the game (format v${version}). Please update to load it.`);
+    }
+
+    while (version < SAVE_VERSION) {
+        const migration = MIGRATIONS[version];
+        if (!migration) {
+            throw new SaveError('migration', `Saves in format v${version} can no longer be upgraded.`);
+        }
+        console.log(`[SAVE] Migrating save v${version} → v${version + 1}: ${migration.description}`);
+        try {
+            data = migration.migrate(data);
+        } catch (e) {
+            console.error(`[SAVE] Migration from v${version} failed:`, e);
+            throw new SaveError('migration', `The save could not be upgraded from format v${version}.`);
+        }
+        version++;
+        data.version = version;
+    }
+
+    return data;
+}
+
+/**
+ * Check a migrated save before any of it is applied.
+ * Throws a SaveError listing what's wrong.
+ */
+export function validateSave(data) {
+    const problems = [];
+
+    for (const [field, rule] of Object.entries(SAVE_SCHEMA)) {
+        const value = data[field];
+        if (value === undefined) {
+            if (rule.required) problems.push(`${field} is missing`);
+            continue;
+        }
+        if (value === null && !rule.required) continue;
+
+        const actual = typeOf(value);
+        if (actual !== rule.type) {
+            problems.push(`${field} should be ${rule.type === 'array' ? 'a list' : `a ${rule.type}`} but is ${actual}`);
+        }
+    }
+
+    if (problems.length === 0) {
+        const cells = data.mapWidth * data.mapHeight;
+        if (data.terrainData && data.terrainData.length !== cells) {
+            problems.push(`terrain has ${data.terrainData.length} tiles but the map needs ${cells}`);
+        }
+        const badTile = data.tiles.find(tile =>
+            !tile || typeof tile.x !== 'number' || typeof tile.y !== 'number' ||
+            tile.x < 0 || tile.y < 0 || tile.x >= data.mapWidth || tile.y >= data.mapHeight
+        );
+        if (badTile !== undefined) {
+            problems.push('a building lies outside the map');
+        }
+    }
+
+    if (problems.length > 0) {
+        console.error('[SAVE] Save failed validation:', problems);
+        throw new SaveError('invalid', `The save is corrupt: ${problems.slice(0, 3).join('; ')}${problems.length > 3 ? ` (+${problems.length - 3} more)` : ''}.`);
+    }
+
+    return data;
+}
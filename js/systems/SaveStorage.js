@@ -0,0 +1,197 @@
+import { compressText, decompressText } from '../utils/Compression.js';
+
+/**
+ * SaveStorage - Where SaveSystem keeps its saves
+ *
+ * Both backends share one async interface:
+ *   init()                       open the store
+ *   list()                       metadata of every save (slot, name, thumbnail, ...)
+ *   read(slot)                   the save's JSON string, or null
+ *   write(slot, json, metadata)  store a save
+ *   remove(slot)                 delete a save
+ *
+ * IndexedDB is used when the browser has it. Saves are gzip-compressed and
+ * there is no slot limit. LocalSaveStorage is the fallback and the old
+ * format that IndexedDB migrates from on first start.
+ */
+
+export const LEGACY_SAVE_PREFIX = 'island-kingdom-save';
+
+const DB_NAME = 'island-kingdom';
+const DB_VERSION = 1;
+const META_STORE = 'saves';      // slot -> metadata + thumbnail (small, listed often)
+const DATA_STORE = 'saveData';   // slot -> compressed save
+
+/**
+ * Plain localStorage, one JSON string per slot (island-kingdom-save-N).
+ * Metadata is read out of the save itself; the thumbnail has its own key.
+ */
+export class LocalSaveStorage {
+    constructor(prefix = LEGACY_SAVE_PREFIX) {
+        this.prefix = prefix;
+        this.name = 'localStorage';
+    }
+
+    async init() {
+        return true;
+    }
+
+    key(slot) {
+        return `${this.prefix}-${slot}`;
+    }
+
+    // Slot numbers that have a save, in order
+    slots() {
+        const slots = [];
+        const pattern = new RegExp(`^${this.prefix}-(\\d+)$`);
+        for (let i = 0; i < localStorage.length; i++) {
+            const match = pattern.exec(localStorage.key(i));
+            if (match) slots.push(parseInt(match[1]));
+        }
+        return slots.sort((a, b) => a - b);
+    }
+
+    async list() {
+        return this.slots().map(slot => {
+            const json = localStorage.getItem(this.key(slot));
+            try {
+                const data = JSON.parse(json);
+                return {
+                    slot,
+                    name: data.saveName || `Save ${slot}`,
+                    timestamp: data.timestamp,
+                    population: data.population || 0,
+                    treasury: data.treasury || 0,
+                    year: data.year || 1,
+                    month: data.month || 1,
+                    autosave: !!data.autosave,
+                    thumbnail: localStorage.getItem(`${this.key(slot)}-thumbnail`)
+                };
+            } catch (e) {
+                console.error(`[SAVE] Error parsing save slot ${slot}:`, e);
+                return { slot, name: `Save ${slot}`, corrupt: true };
+            }
+        });
+    }
+
+    async read(slot) {
+        return localStorage.getItem(this.key(slot));
+    }
+
+    async write(slot, json, metadata = {}) {
+        localStorage.setItem(this.key(slot), json);
+        // The minimap is kept beside the save; a full quota only loses the picture
+        try {
+            if (metadata.thumbnail) {
+                localStorage.setItem(`${this.key(slot)}-thumbnail`, metadata.thumbnail);
+            } else {
+                localStorage.removeItem(`${this.key(slot)}-thumbnail`);
+            }
+        } catch (e) {
+            console.warn('[SAVE] No room for save thumbnail:', e);
+        }
+    }
+
+    async remove(slot) {
+        localStorage.removeItem(this.key(slot));
+        localStorage.removeItem(`${this.key(slot)}-thumbnail`);
+    }
+}
+
+/**
+ * IndexedDB with gzip-compressed saves and unlimited slots
+ */
+export class IndexedDBSaveStorage {
+    constructor() {
+        this.db = null;
+        this.name = 'IndexedDB';
+    }
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    init() {
+        if (this.db) return Promise.resolve(true);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    db.createObjectStore(META_STORE, { keyPath: 'slot' });
+                }
+                if (!db.objectStoreNames.contains(DATA_STORE)) {
+                    db.createObjectStore(DATA_STORE);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(true);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run one transaction and resolve with the last request's result
+    transaction(stores, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(stores, mode);
+            let request = null;
+            work(tx, (r) => { request = r; });
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async list() {
+        const saves = await this.transaction([META_STORE], 'readonly', (tx, track) => {
+            track(tx.objectStore(META_STORE).getAll());
+        });
+        return (saves || []).sort((a, b) => a.slot - b.slot);
+    }
+
+    async read(slot) {
+        const bytes = await this.transaction([DATA_STORE], 'readonly', (tx, track) => {
+            track(tx.objectStore(DATA_STORE).get(slot));
+        });
+        if (!bytes) return null;
+        return await decompressText(bytes);
+    }
+
+    async write(slot, json, metadata) {
+        // Compress first: the transaction would close while waiting
+        const bytes = await compressText(json);
+        await this.transaction([META_STORE, DATA_STORE], 'readwrite', (tx) => {
+            tx.objectStore(META_STORE).put({ ...metadata, slot, size: bytes.length });
+            tx.objectStore(DATA_STORE).put(bytes, slot);
+        });
+    }
+
+    async remove(slot) {
+        await this.transaction([META_STORE, DATA_STORE], 'readwrite', (tx) => {
+            tx.objectStore(META_STORE).delete(slot);
+            tx.objectStore(DATA_STORE).delete(slot);
+        });
+    }
+}
+
+/**
+ * Pick the best storage this browser supports
+ */
+export async function createSaveStorage() {
+    if (IndexedDBSaveStorage.isAvailable()) {
+        const storage = new IndexedDBSaveStorage();
+        try {
+            await storage.init();
+            return storage;
+        } catch (e) {
+            // Private browsing in some browsers refuses IndexedDB
+            console.warn('[SAVE] IndexedDB unavailable, using localStorage:', e);
+        }
+    }
+    const storage = new LocalSaveStorage();
+    await storage.init();
+    return storage;
+}
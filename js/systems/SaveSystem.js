@@ -1,87 +1,131 @@
+import { SAVE_VERSION, SaveError, migrateSave, validateSave } from './SaveMigrations.js';
+import { createSaveStorage, LocalSaveStorage, LEGACY_SAVE_PREFIX } from './SaveStorage.js';
+import { compressText, decompressText } from '../utils/Compression.js';
+import { TERRAIN_COLORS } from '../map/TileMap.js';
+import { BUILDINGS } from '../buildings/Buildings.js';
+import { createServiceFunding } from '../economy/Upkeep.js';
+
+// Identifies exported .island files
+const SAVE_FILE_FORMAT = 'island-kingdom-save';
+
+// Width and height of the minimap stored with each save
+const THUMBNAIL_SIZE = 96;
+
+// Autosave interval (seconds) and number of autosave slots, kept in localStorage
+const AUTOSAVE_SETTINGS_KEY = 'islandKingdomAutosaveSettings';
+export const DEFAULT_AUTOSAVE_SETTINGS = { interval: 60, count: 3 };
+
+// Names from imported files are someone else's text: keep them short and plain
+const MAX_SAVE_NAME_LENGTH = 40;
+const SAVE_NAME_DISALLOWED = /[^\p{L}\p{N} _.,:!?()'#-]/gu;
+
+/**
+ * Strip anything but letters, digits, spaces and simple punctuation from a
+ * save name and cut it to length. Returns null if nothing usable is left.
+ */
+export function cleanSaveName(name) {
+    if (typeof name !== 'string') return null;
+    const clean = name.replace(SAVE_NAME_DISALLOWED, '').replace(/\s+/g, ' ').trim()
+        .slice(0, MAX_SAVE_NAME_LENGTH).trim();
+    return clean || null;
+}
+
 /**
- * SaveSystem - Handles saving and loading game state to/from localStorage
- * Supports multiple save slots
+ * SaveSystem - Handles saving and loading game state
+ * Saves go through a SaveStorage backend (IndexedDB, or localStorage as a fallback).
+ * Slots are numbered from 1 with no upper limit.
  */
 
 export class SaveSystem {
     constructor(game) {
         this.game = game;
-        this.saveKeyPrefix = 'island-kingdom-save';
-        this.maxSlots = 5;
+        this.storage = null;  // Set by init()
+        this.autosaveSettings = this.loadAutosaveSettings();
+        this.lastAutosaveTime = 0;
+        this.autosaveQueue = Promise.resolve();  // Autosaves are written one at a time
+    }
 
+    /**
+     * Open the save storage and move any localStorage saves into it
+     */
+    async init() {
         // Migrate old single-save format to new multi-slot format
         this.migrateOldSave();
+
+        this.storage = await createSaveStorage();
+        console.log(`[SAVE] Using ${this.storage.name} for saves`);
+
+        if (!(this.storage instanceof LocalSaveStorage)) {
+            await this.migrateLocalStorageSaves();
+        }
     }
 
     /**
-     * Get save key for a specific slot
+     * Get list of all saved games with metadata.
+     * Manual saves come first by slot, then autosaves, newest first.
      */
-    getSaveKey(slot) {
-        return `${this.saveKeyPrefix}-${slot}`;
+    async getSavedGames() {
+        const saves = (await this.storage.list()).sort((a, b) =>
+            (!!a.autosave - !!b.autosave) ||
+            (a.autosave ? (b.timestamp || 0) - (a.timestamp || 0) : a.slot - b.slot));
+        // Broken saves are still listed so the player can see them and delete them
+        return saves.map(save => save.corrupt ? {
+            timestamp: 0,
+            population: 0,
+            treasury: 0,
+            year: 1,
+            month: 1,
+            thumbnail: null,
+            ...save
+        } : save);
     }
 
     /**
-     * Get list of all saved games with metadata
+     * Summary shown in save lists and stored in exported files
      */
-    getSavedGames() {
-        const saves = [];
-        for (let i = 1; i <= this.maxSlots; i++) {
-            const key = this.getSaveKey(i);
-            const data = localStorage.getItem(key);
-            if (data) {
-                try {
-                    const parsed = JSON.parse(data);
-                    saves.push({
-                        slot: i,
-                        name: parsed.saveName || `Save ${i}`,
-                        timestamp: parsed.timestamp,
-                        population: parsed.population || 0,
-                        treasury: parsed.treasury || 0,
-                        year: parsed.year || 1,
-                        month: parsed.month || 1
-                    });
-                } catch (e) {
-                    console.error(`[SAVE] Error parsing save slot ${i}:`, e);
-                }
-            }
-        }
-        return saves;
+    getSaveMetadata(slot, saveData) {
+        return {
+            slot,
+            name: saveData.saveName || `Save ${slot}`,
+            timestamp: saveData.timestamp,
+            population: saveData.population || 0,
+            treasury: saveData.treasury || 0,
+            year: saveData.year || 1,
+            month: saveData.month || 1,
+            autosave: !!saveData.autosave
+        };
     }
 
     /**
      * Check if any saved game exists
      */
-    hasSavedGame() {
-        return this.getSavedGames().length > 0;
+    async hasSavedGame() {
+        return (await this.getSavedGames()).length > 0;
     }
 
     /**
-     * Get next available slot number
+     * Get the lowest free slot number
      */
-    getNextAvailableSlot() {
-        const saves = this.getSavedGames();
-        const usedSlots = new Set(saves.map(s => s.slot));
-        for (let i = 1; i <= this.maxSlots; i++) {
-            if (!usedSlots.has(i)) return i;
-        }
-        // All slots full, return slot 1 (will overwrite)
-        return 1;
+    async getNextAvailableSlot() {
+        const usedSlots = new Set((await this.getSavedGames()).map(s => s.slot));
+        let slot = 1;
+        while (usedSlots.has(slot)) slot++;
+        return slot;
     }
 
     /**
      * Save the current game state to a specific slot
      */
-    saveGame(slot = null, saveName = null) {
+    async saveGame(slot = null, saveName = null) {
         try {
             if (slot === null) {
-                slot = this.getNextAvailableSlot();
+                slot = await this.getNextAvailableSlot();
             }
             
             const saveData = this.serializeGameState();
             saveData.saveName = saveName || `Save ${slot}`;
             
-            const key = this.getSaveKey(slot);
-            localStorage.setItem(key, JSON.stringify(saveData));
+            await this.writeSave(slot, saveData);
             console.log(`[SAVE] Game saved to slot ${slot} successfully`);
             return { success: true, slot, name: saveData.saveName };
         } catch (error) {
@@ -91,36 +135,227 @@ export class SaveSystem {
     }
 
     /**
-     * Load game state from a specific slot
+     * Save into the autosave slots. Manual saves are never touched: once
+     * every autosave slot is used, the oldest autosave is replaced.
+     * The game state is captured right away, before any awaiting.
+     */
+    autosave(reason = null) {
+        const saveData = this.serializeGameState();
+        saveData.saveName = reason ? `Autosave: ${reason}` : 'Autosave';
+        saveData.autosave = true;
+        this.lastAutosaveTime = Date.now();
+
+        const result = this.autosaveQueue.then(() => this.writeAutosave(saveData));
+        this.autosaveQueue = result;
+        return result;
+    }
+
+    async writeAutosave(saveData) {
+        try {
+            const autosaves = (await this.getSavedGames())
+                .filter(save => save.autosave)
+                .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+            // Reuse the oldest autosave slot once the ring is full, dropping
+            // any beyond the limit (the count may have been lowered)
+            const stale = autosaves.slice(0, Math.max(0, autosaves.length - this.autosaveSettings.count + 1));
+            const reused = stale.pop();
+            for (const save of stale) {
+                await this.storage.remove(save.slot);
+            }
+            const slot = reused ? reused.slot : await this.getNextAvailableSlot();
+
+            await this.writeSave(slot, saveData);
+            console.log(`[AUTOSAVE] ${saveData.saveName} saved to slot ${slot}`);
+            return { success: true, slot, name: saveData.saveName };
+        } catch (error) {
+            console.error('[AUTOSAVE] Failed to autosave:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    loadAutosaveSettings() {
+        const settings = { ...DEFAULT_AUTOSAVE_SETTINGS };
+        if (typeof localStorage === 'undefined') return settings;
+        try {
+            const saved = JSON.parse(localStorage.getItem(AUTOSAVE_SETTINGS_KEY));
+            if (saved) Object.assign(settings, this.cleanAutosaveSettings(saved));
+        } catch (e) {
+            console.warn('[AUTOSAVE] Failed to load autosave settings:', e);
+        }
+        return settings;
+    }
+
+    /**
+     * Change how often and into how many slots the game autosaves
+     */
+    setAutosaveSettings(settings) {
+        Object.assign(this.autosaveSettings, this.cleanAutosaveSettings(settings));
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(AUTOSAVE_SETTINGS_KEY, JSON.stringify(this.autosaveSettings));
+        }
+        console.log('[AUTOSAVE] Settings:', this.autosaveSettings);
+        return this.autosaveSettings;
+    }
+
+    // Keep only sensible values: at least 10 seconds and 1 slot
+    cleanAutosaveSettings(settings) {
+        const clean = {};
+        const interval = Number(settings.interval);
+        const count = Math.floor(Number(settings.count));
+        if (Number.isFinite(interval) && interval >= 10) clean.interval = interval;
+        if (Number.isFinite(count) && count >= 1) clean.count = count;
+        return clean;
+    }
+
+    // Store a save object with its metadata and minimap
+    async writeSave(slot, saveData) {
+        const metadata = {
+            ...this.getSaveMetadata(slot, saveData),
+            thumbnail: this.renderThumbnail(saveData)
+        };
+        await this.storage.write(slot, JSON.stringify(saveData), metadata);
+    }
+
+    /**
+     * Load game state from a specific slot.
+     * Returns { success, slot } or { success: false, error, reason }.
      */
-    loadGame(slot = 1) {
+    async loadGame(slot = 1) {
         try {
-            const key = this.getSaveKey(slot);
-            const saveDataStr = localStorage.getItem(key);
+            const saveDataStr = await this.storage.read(slot);
             if (!saveDataStr) {
                 console.log(`[SAVE] No saved game found in slot ${slot}`);
-                return false;
+                return { success: false, error: `Slot ${slot} is empty.`, reason: 'missing' };
             }
 
             console.log('[SAVE] Starting game load...');
-            const saveData = JSON.parse(saveDataStr);
-            console.log('[SAVE] Save data parsed, version:', saveData.version);
-            this.deserializeGameState(saveData);
+            const saveData = this.prepareSaveData(saveDataStr);
+            console.log('[SAVE] Save data ready, version:', saveData.version);
+
+            try {
+                this.deserializeGameState(saveData);
+            } catch (e) {
+                throw new SaveError('restore', `The save looked fine but failed to load (${e.message}).`);
+            }
+
             console.log(`[SAVE] Game loaded from slot ${slot} successfully`);
-            return true;
+            return { success: true, slot };
         } catch (error) {
             console.error('[SAVE] Failed to load game:', error);
             console.error('[SAVE] Error stack:', error.stack);
-            return false;
+            return {
+                success: false,
+                error: error instanceof SaveError ? error.message : `Unexpected error: ${error.message}`,
+                reason: error.reason || 'restore'
+            };
+        }
+    }
+
+    /**
+     * Parse, upgrade and validate a stored save. Nothing in the game is
+     * touched until this passes, so a bad save can't leave a half-loaded map.
+     */
+    prepareSaveData(saveDataStr) {
+        let saveData;
+        try {
+            saveData = JSON.parse(saveDataStr);
+        } catch (e) {
+            throw new SaveError('unreadable', 'The save file is damaged and can\'t be read.');
+        }
+
+        saveData = validateSave(migrateSave(saveData));
+
+        const tileMap = this.game.tileMap;
+        if (tileMap && (saveData.mapWidth !== tileMap.width || saveData.mapHeight !== tileMap.height)) {
+            throw new SaveError('invalid', `The save is for a ${saveData.mapWidth}×${saveData.mapHeight} map but this island is ${tileMap.width}×${tileMap.height}.`);
+        }
+
+        return saveData;
+    }
+
+    /**
+     * Build a compressed .island file from a slot, or from the running game
+     * when no slot is given. Returns { bytes, filename, metadata }.
+     */
+    async exportSave(slot = null) {
+        let saveData;
+        if (slot === null) {
+            saveData = this.serializeGameState();
+            saveData.saveName = `Island ${saveData.rng ? saveData.rng.seed : saveData.mapSeed}`;
+        } else {
+            const saveDataStr = await this.storage.read(slot);
+            if (!saveDataStr) {
+                throw new SaveError('missing', `Slot ${slot} is empty.`);
+            }
+            saveData = JSON.parse(saveDataStr);
+        }
+
+        const metadata = this.getSaveMetadata(slot, saveData);
+        const file = {
+            format: SAVE_FILE_FORMAT,
+            exportedAt: Date.now(),
+            metadata,
+            save: saveData
+        };
+        const bytes = await compressText(JSON.stringify(file));
+
+        const safeName = metadata.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'island';
+        const filename = `${safeName}-y${metadata.year}m${metadata.month}.island`;
+        console.log(`[SAVE] Exported "${metadata.name}" (${bytes.length} bytes)`);
+        return { bytes, filename, metadata };
+    }
+
+    /**
+     * Read an exported .island file, check it and store it in a free slot
+     * (or the given one). Returns { success, slot, name } or { success: false, error }.
+     */
+    async importSave(file, slot = null) {
+        try {
+            let text;
+            try {
+                text = await decompressText(await file.arrayBuffer());
+            } catch (e) {
+                throw new SaveError('unreadable', 'The file is damaged and can\'t be opened.');
+            }
+
+            let contents;
+            try {
+                contents = JSON.parse(text);
+            } catch (e) {
+                throw new SaveError('unreadable', 'That file is not an Island Kingdom save.');
+            }
+            if (!contents || contents.format !== SAVE_FILE_FORMAT || !contents.save) {
+                throw new SaveError('unreadable', 'That file is not an Island Kingdom save.');
+            }
+
+            // Same checks as loading, so a bad file never takes up a slot
+            const saveData = this.prepareSaveData(JSON.stringify(contents.save));
+
+            if (slot === null) {
+                slot = await this.getNextAvailableSlot();
+            }
+
+            saveData.saveName = cleanSaveName(contents.metadata?.name) || cleanSaveName(saveData.saveName) ||
+                `Imported ${slot}`;
+            delete saveData.autosave;  // An imported autosave shouldn't be rotated away
+            await this.writeSave(slot, saveData);
+            console.log(`[SAVE] Imported "${saveData.saveName}" into slot ${slot}`);
+            return { success: true, slot, name: saveData.saveName };
+        } catch (error) {
+            console.error('[SAVE] Failed to import save:', error);
+            return {
+                success: false,
+                error: error instanceof SaveError ? error.message : `Unexpected error: ${error.message}`
+            };
         }
     }
 
     /**
      * Delete a saved game from a specific slot
      */
-    deleteSave(slot) {
-        const key = this.getSaveKey(slot);
-        localStorage.removeItem(key);
+    async deleteSave(slot) {
+        await this.storage.remove(slot);
         console.log(`[SAVE] Save slot ${slot} deleted`);
     }
 
@@ -128,16 +363,93 @@ export class SaveSystem {
      * Migrate old single-save format to new multi-slot format
      */
     migrateOldSave() {
-        const oldKey = 'island-kingdom-save';
+        if (typeof localStorage === 'undefined') return;
+        const oldKey = LEGACY_SAVE_PREFIX;
         const oldData = localStorage.getItem(oldKey);
-        if (oldData && !localStorage.getItem(this.getSaveKey(1))) {
+        if (oldData && !localStorage.getItem(`${LEGACY_SAVE_PREFIX}-1`)) {
             // Migrate old save to slot 1
-            localStorage.setItem(this.getSaveKey(1), oldData);
+            localStorage.setItem(`${LEGACY_SAVE_PREFIX}-1`, oldData);
             localStorage.removeItem(oldKey);
             console.log('[SAVE] Migrated old save to slot 1');
         }
     }
 
+    /**
+     * Move saves from the old localStorage slots into the current storage.
+     * Each one is removed from localStorage only once it has been stored.
+     */
+    async migrateLocalStorageSaves() {
+        if (typeof localStorage === 'undefined') return;
+        const legacy = new LocalSaveStorage();
+        const slots = legacy.slots();
+        if (slots.length === 0) return;
+
+        const usedSlots = new Set((await this.storage.list()).map(save => save.slot));
+        for (const oldSlot of slots) {
+            const json = await legacy.read(oldSlot);
+            let saveData;
+            try {
+                saveData = JSON.parse(json);
+            } catch (e) {
+                console.warn(`[SAVE] Leaving unreadable localStorage save ${oldSlot} in place`);
+                continue;
+            }
+
+            let slot = oldSlot;
+            while (usedSlots.has(slot)) slot++;
+            try {
+                await this.writeSave(slot, saveData);
+            } catch (e) {
+                console.error(`[SAVE] Could not migrate localStorage save ${oldSlot}:`, e);
+                continue;
+            }
+            usedSlots.add(slot);
+            await legacy.remove(oldSlot);
+            console.log(`[SAVE] Moved localStorage save ${oldSlot} to ${this.storage.name} slot ${slot}`);
+        }
+    }
+
+    /**
+     * Draw a small minimap of a save's terrain and buildings.
+     * Returns a PNG data URL, or null where there's no canvas (headless runs).
+     */
+    renderThumbnail(saveData) {
+        if (typeof document === 'undefined' || !saveData.terrainData) return null;
+
+        try {
+            const width = saveData.mapWidth;
+            const height = saveData.mapHeight;
+            const map = document.createElement('canvas');
+            map.width = width;
+            map.height = height;
+            const ctx = map.getContext('2d');
+
+            // One pixel per tile
+            for (let i = 0; i < saveData.terrainData.length; i++) {
+                ctx.fillStyle = TERRAIN_COLORS[saveData.terrainData[i]] || '#000';
+                ctx.fillRect(i % width, Math.floor(i / width), 1, 1);
+            }
+            for (const tile of saveData.tiles || []) {
+                const type = tile.building?.type;
+                if (!type) continue;
+                const building = BUILDINGS[type] || BUILDINGS[type.replace('_allotment', '')];
+                ctx.fillStyle = building?.color || '#9e9e9e';
+                ctx.fillRect(tile.x, tile.y, 1, 1);
+            }
+
+            const thumbnail = document.createElement('canvas');
+            thumbnail.width = THUMBNAIL_SIZE;
+            thumbnail.height = THUMBNAIL_SIZE;
+            const thumbCtx = thumbnail.getContext('2d');
+            thumbCtx.imageSmoothingEnabled = false;
+            thumbCtx.drawImage(map, 0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+            return thumbnail.toDataURL('image/png');
+        } catch (e) {
+            console.warn('[SAVE] Could not render thumbnail:', e);
+            return null;
+        }
+    }
+
     /**
      * Serialize the current game state into a saveable object
      */
@@ -162,91 +474,16 @@ export class SaveSystem {
             }
         }
 
-        // Serialize residential allotments
-        const residentialAllotments = [];
-        if (game.residentialManager && game.residentialManager.allotments) {
-            for (const [key, allotment] of game.residentialManager.allotments) {
-                const cellsData = [];
-                for (let row = 0; row < 3; row++) {
-                    for (let col = 0; col < 3; col++) {
-                        const cell = allotment.cells[row][col];
-                        cellsData.push({
-                            localX: col,
-                            localY: row,
-                            devLevel: cell ? cell.devLevel || 0 : 0,
-                            progress: cell ? cell.progress || 0 : 0,
-                            population: cell ? cell.population || 0 : 0,
-                            hasRoadAccess: cell ? cell.hasRoadAccess || false : false,
-                            hasPower: cell ? cell.hasPower || false : false
-                        });
-                    }
-                }
-                residentialAllotments.push({
-                    x: allotment.x,
-                    y: allotment.y,
-                    cells: cellsData,
-                    totalPopulation: allotment.population || 0
-                });
-            }
-        }
-
-        // Serialize commercial allotments
-        const commercialAllotments = [];
-        if (game.commercialManager && game.commercialManager.allotments) {
-            for (const [key, allotment] of game.commercialManager.allotments) {
-                const cellsData = [];
-                for (let row = 0; row < 3; row++) {
-                    for (let col = 0; col < 3; col++) {
-                        const cell = allotment.cells[row][col];
-                        cellsData.push({
-                            localX: col,
-                            localY: row,
-                            devLevel: cell ? cell.devLevel || 0 : 0,
-                            progress: cell ? cell.progress || 0 : 0,
-                            hasRoadAccess: cell ? cell.hasRoadAccess || false : false,
-                            hasPower: cell ? cell.hasPower || false : false
-                        });
-                    }
-                }
-                commercialAllotments.push({
-                    x: allotment.x,
-                    y: allotment.y,
-                    cells: cellsData
-                });
-            }
-        }
-
-        // Serialize industrial allotments
-        const industrialAllotments = [];
-        if (game.industrialManager && game.industrialManager.allotments) {
-            for (const [key, allotment] of game.industrialManager.allotments) {
-                const cellsData = [];
-                for (let row = 0; row < 3; row++) {
-                    for (let col = 0; col < 3; col++) {
-                        const cell = allotment.cells[row][col];
-                        cellsData.push({
-                            localX: col,
-                            localY: row,
-                            devLevel: cell ? cell.devLevel || 0 : 0,
-                            progress: cell ? cell.progress || 0 : 0,
-                            hasRoadAccess: cell ? cell.hasRoadAccess || false : false,
-                            hasPower: cell ? cell.hasPower || false : false
-                        });
-                    }
-                }
-                industrialAllotments.push({
-                    x: allotment.x,
-                    y: allotment.y,
-                    cells: cellsData
-                });
-            }
-        }
+        // Allotments keep their full phase, progress and cell state
+        const residentialAllotments = game.residentialManager ? game.residentialManager.serialize() : {};
+        const commercialAllotments = game.commercialManager ? game.commercialManager.serialize() : {};
+        const industrialAllotments = game.industrialManager ? game.industrialManager.serialize() : {};
 
         // Serialize immigration data (boats and crowds)
         const immigrationData = this.serializeImmigration();
 
         return {
-            version: 2,  // Bumped version for new format
+            version: SAVE_VERSION,  // See SaveMigrations.js when changing the format
             timestamp: Date.now(),
             
             // Game stats
@@ -254,6 +491,7 @@ export class SaveSystem {
             population: game.population,
             maxPopulation: game.maxPopulation,
             visitors: game.visitors,
+            tourists: game.tourists || 0,
             processedImmigrants: game.processedImmigrants || 0,
             month: game.month,
             year: game.year,
@@ -262,7 +500,8 @@ export class SaveSystem {
             kingEgo: game.kingEgo,
             
             // Economy
-            taxRate: game.taxRate,
+            taxRates: { ...game.taxRates },
+            serviceFunding: { ...game.serviceFunding },
             tariffRate: game.tariffRate,
             monthlyIncome: game.monthlyIncome,
             monthlyExpenses: game.monthlyExpenses,
@@ -271,6 +510,7 @@ export class SaveSystem {
             mapWidth: tileMap.width,
             mapHeight: tileMap.height,
             mapSeed: tileMap.seed,
+            rng: game.simulation.serializeRandom(),
             terrainData: this.serializeTerrainData(tileMap),
             tiles: tiles,
             
@@ -281,9 +521,31 @@ export class SaveSystem {
             
             // Immigration (boats and crowds)
             immigration: immigrationData,
+
+            // Systems with their own serialize/restore
+            police: game.policeSystem ? game.policeSystem.serialize() : null,
+            airport: game.airportSystem ? game.airportSystem.serialize() : null,
+            tariff: game.tariffSystem ? game.tariffSystem.serialize() : null,
+            inventory: game.portInventory ? game.portInventory.serialize() : null,
+            exports: game.exportSystem ? game.exportSystem.serialize() : null,
+            weather: game.weatherSystem ? game.weatherSystem.serialize() : null,
+            fire: game.fireSystem ? game.fireSystem.serialize() : null,
+            resources: game.resourceSystem ? game.resourceSystem.serialize() : null,
+            budget: game.budgetLedger ? game.budgetLedger.serialize() : null,
+            finance: game.financeSystem ? game.financeSystem.serialize() : null,
+            crime: game.crimeSystem ? game.crimeSystem.serialize() : null,
+            pollution: game.pollutionSystem ? game.pollutionSystem.serialize() : null,
+            landValue: game.landValueSystem ? game.landValueSystem.serialize() : null,
+            employment: game.employmentSystem ? game.employmentSystem.serialize() : null,
+            demand: game.demandSystem ? game.demandSystem.serialize() : null,
             
             // Game tick counter
             tickCount: game.tickCount || 0,
+
+            // Simulation clock and player commands (rebuilds the kingdom from its seed)
+            stepCount: game.stepCount || 0,
+            monthElapsed: game.monthElapsed || 0,
+            commandLog: game.commandLog.serialize().commands,
             
             // Source islands data
             sourceIslands: tileMap.sourceIslands || []
@@ -303,7 +565,11 @@ export class SaveSystem {
             y: boat.y,
             targetLanding: boat.targetLanding,
             peopleCount: boat.peopleCount,
-            sourceIsland: boat.sourceIsland,
+            sourceIsland: {
+                name: boat.sourceIslandName,
+                centerX: boat.sourceIslandCenterX,
+                centerY: boat.sourceIslandCenterY
+            },
             speed: boat.speed,
             state: boat.state,
             crowdSpawned: boat.crowdSpawned,
@@ -313,8 +579,11 @@ export class SaveSystem {
             avoidanceFrames: boat.avoidanceFrames || 0,
             lastPos: boat.lastPos || { x: boat.x, y: boat.y },
             stuckFrames: boat.stuckFrames || 0,
+            retryAttempts: boat.retryAttempts || 0,
             startX: boat.startX || boat.x,
-            startY: boat.startY || boat.y
+            startY: boat.startY || boat.y,
+            // Finished boats stay in the list until the monthly cleanup
+            remove: !!boat.remove
         }));
 
         // Serialize crowds
@@ -329,17 +598,32 @@ export class SaveSystem {
             targetY: crowd.targetY,
             targetMode: crowd.targetMode,
             splitCooldown: crowd.splitCooldown,
+            pathUpdateTimer: crowd.pathUpdateTimer || 0,
+            // Behaviour and stuck detection
+            state: crowd.state || 'roaming',
+            lastPosX: crowd.lastPosX,
+            lastPosY: crowd.lastPosY,
+            stuckFrames: crowd.stuckFrames || 0,
             // Survival and citizenship progress
             survivalMonths: crowd.survivalMonths || 0,
             lastTickCount: crowd.lastTickCount || 0,
-            spawnTick: crowd.spawnTick || 0
+            spawnTick: crowd.spawnTick || 0,
+            // Crowds that already settled wait for the monthly cleanup - loading
+            // them as live crowds would count their people twice
+            reachedCivilization: !!crowd.reachedCivilization,
+            remove: !!crowd.remove
         }));
 
         return {
             peopleBoats,
             crowds,
             spawnTimer: immigration.spawnTimer,
-            islandSpawnTimers: immigration.islandSpawnTimers || {}
+            islandSpawnTimers: immigration.islandSpawnTimers || {},
+            // Shuffled landing spots, so boats keep heading for the same beaches
+            registryBuilt: immigration.registryBuilt || false,
+            mainIslandSandTiles: immigration.mainIslandSandTiles || [],
+            availableTargets: immigration.availableTargets || [],
+            usedTargets: [...(immigration.usedTargets || [])]
         };
     }
 
@@ -370,6 +654,7 @@ export class SaveSystem {
             game.population = saveData.population;
             game.maxPopulation = saveData.maxPopulation;
             game.visitors = saveData.visitors || 0;
+            game.tourists = saveData.tourists || 0;
             game.processedImmigrants = saveData.processedImmigrants || 0;
             game.month = saveData.month;
             game.year = saveData.year;
@@ -378,19 +663,44 @@ export class SaveSystem {
             game.kingEgo = saveData.kingEgo;
             
             // Restore economy
-            game.taxRate = saveData.taxRate;
+            game.taxRates = { ...game.taxRates, ...saveData.taxRates };
+            // Saves from before funding levels pay services in full
+            game.serviceFunding = { ...createServiceFunding(), ...saveData.serviceFunding };
             game.tariffRate = saveData.tariffRate;
             game.monthlyIncome = saveData.monthlyIncome;
             game.monthlyExpenses = saveData.monthlyExpenses;
 
-            // Restore game tick counter
+            // Restore game tick counter and simulation clock
             game.tickCount = saveData.tickCount || 0;
+            game.stepCount = saveData.stepCount || 0;
+            game.monthElapsed = saveData.monthElapsed || 0;
             console.log('[SAVE] Game stats restored, tickCount:', game.tickCount);
         } catch (e) {
             console.error('[SAVE] Error restoring game stats:', e);
             throw e;
         }
 
+        try {
+            console.log('[SAVE] Restoring random state...');
+            // Continue the seeded sequences where the save left off (older saves keep the current ones)
+            if (saveData.rng) {
+                game.simulation.restoreRandom(saveData.rng);
+                if (game.tileMap) game.tileMap.seed = saveData.rng.seed;
+                console.log('[SAVE] Random state restored, seed:', saveData.rng.seed);
+            }
+        } catch (e) {
+            console.error('[SAVE] Error restoring random state:', e);
+            throw e;
+        }
+
+        // Undo steps refer to the map before loading
+        if (game.commandHistory) {
+            game.commandHistory.clear();
+        }
+
+        // Continue the save's command log (older saves start a new one)
+        game.commandLog.deserialize({ commands: saveData.commandLog });
+
         try {
             console.log('[SAVE] Restoring source islands...');
             // Restore source islands data
@@ -433,60 +743,12 @@ export class SaveSystem {
         }
 
         try {
-            console.log('[SAVE] Restoring residential allotments...');
-            // Restore residential allotments
-            if (saveData.residentialAllotments && game.residentialManager) {
-                game.residentialManager.allotments.clear();
-                for (const allotmentData of saveData.residentialAllotments) {
-                    const allotment = game.residentialManager.createAllotmentFromSave(
-                        allotmentData.x,
-                        allotmentData.y,
-                        allotmentData.cells,
-                        allotmentData.totalPopulation
-                    );
-                }
-                console.log('[SAVE] Residential allotments restored:', saveData.residentialAllotments.length);
-            }
-        } catch (e) {
-            console.error('[SAVE] Error restoring residential allotments:', e);
-            throw e;
-        }
-
-        try {
-            console.log('[SAVE] Restoring commercial allotments...');
-            // Restore commercial allotments
-            if (saveData.commercialAllotments && game.commercialManager) {
-                game.commercialManager.allotments.clear();
-                for (const allotmentData of saveData.commercialAllotments) {
-                    game.commercialManager.createAllotmentFromSave(
-                        allotmentData.x,
-                        allotmentData.y,
-                        allotmentData.cells
-                    );
-                }
-                console.log('[SAVE] Commercial allotments restored:', saveData.commercialAllotments.length);
-            }
-        } catch (e) {
-            console.error('[SAVE] Error restoring commercial allotments:', e);
-            throw e;
-        }
-
-        try {
-            console.log('[SAVE] Restoring industrial allotments...');
-            // Restore industrial allotments
-            if (saveData.industrialAllotments && game.industrialManager) {
-                game.industrialManager.allotments.clear();
-                for (const allotmentData of saveData.industrialAllotments) {
-                    game.industrialManager.createAllotmentFromSave(
-                        allotmentData.x,
-                        allotmentData.y,
-                        allotmentData.cells
-                    );
-                }
-                console.log('[SAVE] Industrial allotments restored:', saveData.industrialAllotments.length);
-            }
+            console.log('[SAVE] Restoring allotments...');
+            this.restoreAllotments(game.residentialManager, saveData.residentialAllotments, 'residential');
+            this.restoreAllotments(game.commercialManager, saveData.commercialAllotments, 'commercial');
+            this.restoreAllotments(game.industrialManager, saveData.industrialAllotments, 'industrial');
         } catch (e) {
-            console.error('[SAVE] Error restoring industrial allotments:', e);
+            console.error('[SAVE] Error restoring allotments:', e);
             throw e;
         }
 
@@ -502,6 +764,49 @@ export class SaveSystem {
             throw e;
         }
 
+        // Police patrols point at crowds, so these come after immigration
+        const systems = [
+            ['police', game.policeSystem],
+            ['airport', game.airportSystem],
+            ['tariff', game.tariffSystem],
+            ['weather', game.weatherSystem],
+            ['fire', game.fireSystem]
+        ];
+        for (const [name, system] of systems) {
+            try {
+                if (saveData[name] && system) {
+                    console.log(`[SAVE] Restoring ${name} system...`);
+                    system.restore(saveData[name]);
+                    console.log(`[SAVE] ${name} system restored`);
+                }
+            } catch (e) {
+                console.error(`[SAVE] Error restoring ${name} system:`, e);
+                throw e;
+            }
+        }
+
+        // Saves without a budget ledger start a fresh one from the loaded treasury
+        if (game.budgetLedger) {
+            game.budgetLedger.restore(saveData.budget);
+        }
+
+        // Saves from before loans have no debts
+        if (game.financeSystem) {
+            game.financeSystem.restore(saveData.finance);
+        }
+
+        // Saves from before the oil supply chain have nothing stockpiled.
+        // Port stock first: older saves kept their oil in the resource system.
+        if (game.portInventory) {
+            game.portInventory.restore(saveData.inventory);
+        }
+        if (game.resourceSystem) {
+            game.resourceSystem.restore(saveData.resources);
+        }
+        if (game.exportSystem) {
+            game.exportSystem.restore(saveData.exports);
+        }
+
         try {
             console.log('[SAVE] Recalculating infrastructure...');
             // Recalculate infrastructure networks
@@ -514,6 +819,30 @@ export class SaveSystem {
             throw e;
         }
 
+        // Coverage isn't saved; it's redrawn from the stations and roads just loaded
+        if (game.serviceCoverage) {
+            game.serviceCoverage.restore();
+        }
+
+        // Land value reads last month's crime and pollution, so they come back first
+        if (game.crimeSystem) {
+            game.crimeSystem.restore(saveData.crime);
+        }
+        if (game.pollutionSystem) {
+            game.pollutionSystem.restore(saveData.pollution);
+        }
+
+        // Saves from before land value, employment and demand work them out from the loaded kingdom
+        if (game.landValueSystem) {
+            game.landValueSystem.restore(saveData.landValue);
+        }
+        if (game.employmentSystem) {
+            game.employmentSystem.restore(saveData.employment);
+        }
+        if (game.demandSystem) {
+            game.demandSystem.restore(saveData.demand);
+        }
+
         try {
             console.log('[SAVE] Updating UI...');
             // Update UI
@@ -525,6 +854,16 @@ export class SaveSystem {
         }
     }
 
+    /**
+     * Restore one allotment manager
+     */
+    restoreAllotments(manager, data, type) {
+        if (!manager || !data) return;
+
+        manager.deserialize(data);
+        console.log(`[SAVE] ${type} allotments restored:`, manager.allotments.size);
+    }
+
     /**
      * Deserialize immigration system data (boats and crowds)
      */
@@ -564,12 +903,20 @@ export class SaveSystem {
             console.log('[SAVE] Restored island spawn timers:', immigration.islandSpawnTimers);
         }
 
+        // Restore the landing target queue (older saves rebuild it on first use)
+        if (immigrationData.registryBuilt) {
+            immigration.mainIslandSandTiles = immigrationData.mainIslandSandTiles || [];
+            immigration.availableTargets = immigrationData.availableTargets || [];
+            immigration.usedTargets = new Set(immigrationData.usedTargets || []);
+            immigration.registryBuilt = true;
+        }
+
         // Restore people boats
         if (immigrationData.peopleBoats) {
             console.log('[SAVE] Restoring', immigrationData.peopleBoats.length, 'boats...');
             for (const boatData of immigrationData.peopleBoats) {
                 const boat = new PeopleBoat(
-                    this.game,
+                    immigration.game,
                     boatData.x,
                     boatData.y,
                     boatData.targetLanding,
@@ -586,8 +933,15 @@ export class SaveSystem {
                 boat.avoidanceFrames = boatData.avoidanceFrames || 0;
                 boat.lastPos = boatData.lastPos || { x: boat.x, y: boat.y };
                 boat.stuckFrames = boatData.stuckFrames || 0;
+                boat.retryAttempts = boatData.retryAttempts || 0;
                 boat.startX = boatData.startX || boat.x;
                 boat.startY = boatData.startY || boat.y;
+                // Older saves lost the source island, so head back to the spawn point
+                if (typeof boatData.sourceIsland !== 'object' || !boatData.sourceIsland) {
+                    boat.sourceIslandCenterX = boat.startX;
+                    boat.sourceIslandCenterY = boat.startY;
+                }
+                boat.remove = !!boatData.remove;
                 immigration.peopleBoats.push(boat);
             }
             console.log(`[SAVE] Restored ${immigration.peopleBoats.length} boats`);
@@ -598,7 +952,7 @@ export class SaveSystem {
             console.log('[SAVE] Restoring', immigrationData.crowds.length, 'crowds...');
             for (const crowdData of immigrationData.crowds) {
                 const crowd = new Crowd(
-                    this.game,
+                    immigration.game,
                     crowdData.x,
                     crowdData.y,
                     crowdData.count
@@ -611,10 +965,17 @@ export class SaveSystem {
                 crowd.targetY = crowdData.targetY;
                 crowd.targetMode = crowdData.targetMode || 'nearest';
                 crowd.splitCooldown = crowdData.splitCooldown || 0;
+                crowd.pathUpdateTimer = crowdData.pathUpdateTimer || 0;
+                crowd.state = crowdData.state || 'roaming';
+                crowd.lastPosX = crowdData.lastPosX ?? crowd.x;
+                crowd.lastPosY = crowdData.lastPosY ?? crowd.y;
+                crowd.stuckFrames = crowdData.stuckFrames || 0;
                 // Restore survival and citizenship progress
                 crowd.survivalMonths = crowdData.survivalMonths || 0;
                 crowd.lastTickCount = crowdData.lastTickCount || 0;
                 crowd.spawnTick = crowdData.spawnTick || 0;
+                crowd.reachedCivilization = !!crowdData.reachedCivilization;
+                crowd.remove = !!crowdData.remove;
                 immigration.crowds.push(crowd);
             }
             console.log(`[SAVE] Restored ${immigration.crowds.length} crowds`);
@@ -3,11 +3,15 @@
 export class WeatherSystem {
     constructor(game) {
         this.game = game;
+        this.random = game.random;  // Seeded stream for weather changes and storms
+        this.cosmeticRandom = game.cosmeticRandom;  // Clouds, rain and temperature
 
         // Weather states: 'sunny', 'cloudy', 'rainy', 'stormy'
         this.currentWeather = 'sunny';
         this.weatherDuration = 0;  // Frames remaining in current weather
         this.transitionProgress = 0;  // For smooth transitions
+        this.windSpeed = 0.2;  // 0 = calm, 1 = very windy; rolled when the weather changes
+        this.windDirection = 90;  // Compass degrees the wind blows toward (0 = north, 90 = east)
 
         // Clouds
         this.clouds = [];
@@ -30,6 +34,8 @@ export class WeatherSystem {
         this.stormChance = 0.5;  // 50% chance per day after interval
         this.framesSinceLastDayCheck = 0;
         this.framesPerDay = 25 * 60;  // 25 seconds at 60fps = 1 game day
+        this.stormWarningFrames = 10 * 60;  // Warning before a scheduled storm breaks
+        this.stormWarningTimer = 0;  // Frames until a storm that has been announced starts
 
         // Flooding
         this.floodedTiles = new Map();  // tile key -> flood level
@@ -68,12 +74,12 @@ export class WeatherSystem {
         const mapHeight = this.game.tileMap.height * 32;
 
         const cloud = {
-            x: randomPosition ? Math.random() * mapWidth : -200,
-            y: Math.random() * mapHeight * 0.7,  // Upper 70% of map
-            width: 150 + Math.random() * 100,
-            height: 60 + Math.random() * 40,
-            speed: 0.3 + Math.random() * 0.4,  // Pixels per frame
-            opacity: 0.4 + Math.random() * 0.3,
+            x: randomPosition ? this.cosmeticRandom.next() * mapWidth : -200,
+            y: this.cosmeticRandom.next() * mapHeight * 0.7,  // Upper 70% of map
+            width: 150 + this.cosmeticRandom.next() * 100,
+            height: 60 + this.cosmeticRandom.next() * 40,
+            speed: 0.3 + this.cosmeticRandom.next() * 0.4,  // Pixels per frame
+            opacity: 0.4 + this.cosmeticRandom.next() * 0.3,
             type: this.currentWeather === 'stormy' ? 'storm' : 'normal',
             // Cloud shape (multiple circles)
             puffs: this.generateCloudPuffs()
@@ -84,30 +90,34 @@ export class WeatherSystem {
 
     generateCloudPuffs() {
         const puffs = [];
-        const numPuffs = 4 + Math.floor(Math.random() * 4);
+        const numPuffs = 4 + Math.floor(this.cosmeticRandom.next() * 4);
 
         for (let i = 0; i < numPuffs; i++) {
             puffs.push({
-                offsetX: (i - numPuffs/2) * 25 + Math.random() * 20,
-                offsetY: Math.random() * 20 - 10,
-                radius: 25 + Math.random() * 20
+                offsetX: (i - numPuffs/2) * 25 + this.cosmeticRandom.next() * 20,
+                offsetY: this.cosmeticRandom.next() * 20 - 10,
+                radius: 25 + this.cosmeticRandom.next() * 20
             });
         }
         return puffs;
     }
 
-    update() {
-        this.updateWeatherState();
-        this.updateClouds();
-        this.updateRain();
-        this.updateStorm();
-        this.updateFlooding();
-        this.checkStormSchedule();
+    /**
+     * Advance weather, storms and flooding.
+     * @param {number} deltaTime - Elapsed time in 60 Hz frames
+     */
+    update(deltaTime = 1) {
+        this.updateWeatherState(deltaTime);
+        this.updateClouds(deltaTime);
+        this.updateRain(deltaTime);
+        this.updateStorm(deltaTime);
+        this.updateFlooding(deltaTime);
+        this.checkStormSchedule(deltaTime);
     }
 
-    updateWeatherState() {
-        this.weatherDuration--;
-        this.updateTemperature();
+    updateWeatherState(deltaTime = 1) {
+        this.weatherDuration -= deltaTime;
+        this.updateTemperature(deltaTime);
 
         if (this.weatherDuration <= 0 && !this.stormActive) {
             this.changeWeather();
@@ -117,7 +127,7 @@ export class WeatherSystem {
     changeWeather() {
         // Random weather based on weights
         const total = Object.values(this.weatherWeights).reduce((a, b) => a + b, 0);
-        let random = Math.random() * total;
+        let random = this.random.next() * total;
 
         for (const [weather, weight] of Object.entries(this.weatherWeights)) {
             random -= weight;
@@ -128,7 +138,8 @@ export class WeatherSystem {
         }
 
         // Duration: 30-90 seconds at 60fps
-        this.weatherDuration = (30 + Math.random() * 60) * 60;
+        this.weatherDuration = (30 + this.random.next() * 60) * 60;
+        this.setWind(this.random.next(), this.random.next());
 
         // Adjust cloud count based on weather
         if (this.currentWeather === 'sunny') {
@@ -140,11 +151,11 @@ export class WeatherSystem {
         }
     }
 
-    updateClouds() {
+    updateClouds(deltaTime = 1) {
         // Move clouds
         for (let i = this.clouds.length - 1; i >= 0; i--) {
             const cloud = this.clouds[i];
-            cloud.x += cloud.speed;
+            cloud.x += cloud.speed * deltaTime;
 
             // Remove clouds that have drifted off screen
             const mapWidth = this.game.tileMap.width * 32;
@@ -154,7 +165,7 @@ export class WeatherSystem {
         }
 
         // Spawn new clouds
-        this.cloudSpawnTimer++;
+        this.cloudSpawnTimer += deltaTime;
         const spawnInterval = this.currentWeather === 'sunny' ? 300 : 150;
 
         if (this.cloudSpawnTimer >= spawnInterval) {
@@ -163,7 +174,7 @@ export class WeatherSystem {
         }
     }
 
-    updateRain() {
+    updateRain(deltaTime = 1) {
         if (this.currentWeather !== 'rainy' && !this.stormActive) {
             // Clear rain when not raining
             this.raindrops = [];
@@ -181,8 +192,8 @@ export class WeatherSystem {
         // Update raindrops
         for (let i = this.raindrops.length - 1; i >= 0; i--) {
             const drop = this.raindrops[i];
-            drop.x += drop.windSpeed;
-            drop.y += drop.fallSpeed;
+            drop.x += drop.windSpeed * deltaTime;
+            drop.y += drop.fallSpeed * deltaTime;
 
             // Remove drops that hit the ground
             const mapHeight = this.game.tileMap.height * 32;
@@ -196,35 +207,35 @@ export class WeatherSystem {
         const mapWidth = this.game.tileMap.width * 32;
 
         this.raindrops.push({
-            x: Math.random() * (mapWidth + 100) - 50,
+            x: this.cosmeticRandom.next() * (mapWidth + 100) - 50,
             y: -10,
-            length: 15 + Math.random() * 20,
-            fallSpeed: 8 + Math.random() * 4,
-            windSpeed: this.stormActive ? 2 + Math.random() * 2 : 0.5,
-            opacity: 0.5 + Math.random() * 0.4
+            length: 15 + this.cosmeticRandom.next() * 20,
+            fallSpeed: 8 + this.cosmeticRandom.next() * 4,
+            windSpeed: this.stormActive ? 2 + this.cosmeticRandom.next() * 2 : 0.5,
+            opacity: 0.5 + this.cosmeticRandom.next() * 0.4
         });
     }
 
-    updateStorm() {
+    updateStorm(deltaTime = 1) {
         if (!this.stormActive) return;
 
         // Lightning timing
-        this.lightningTimer--;
+        this.lightningTimer -= deltaTime;
 
         if (this.lightningTimer <= 0) {
             this.triggerLightning();
             // Next lightning in 2-8 seconds
-            this.lightningTimer = (2 + Math.random() * 6) * 60;
+            this.lightningTimer = (2 + this.random.next() * 6) * 60;
         }
 
         // Fade lightning flash
         if (this.lightningFlash > 0) {
-            this.lightningFlash -= 0.05;
+            this.lightningFlash -= 0.05 * deltaTime;
         }
 
         // Process thunder queue (delayed sounds)
         for (let i = this.thunderQueue.length - 1; i >= 0; i--) {
-            this.thunderQueue[i].delay--;
+            this.thunderQueue[i].delay -= deltaTime;
             if (this.thunderQueue[i].delay <= 0) {
                 this.playThunder(this.thunderQueue[i].volume);
                 this.thunderQueue.splice(i, 1);
@@ -237,20 +248,22 @@ export class WeatherSystem {
         this.lightningFlash = 1.0;
 
         // Queue thunder with delay (sound travels slower than light)
-        const delay = 20 + Math.random() * 40;  // 0.3-1 second delay
-        const volume = 0.5 + Math.random() * 0.5;
+        const delay = 20 + this.cosmeticRandom.next() * 40;  // 0.3-1 second delay
+        const volume = 0.5 + this.cosmeticRandom.next() * 0.5;
         this.thunderQueue.push({ delay, volume });
 
-        // Random chance to strike a building (visual effect only for now)
-        if (Math.random() < 0.1) {
+        // Random chance to strike the ground
+        if (this.random.next() < 0.1) {
             this.lightningStrike();
         }
     }
 
     lightningStrike() {
-        // Could damage buildings or cause fires in future
-        // For now just visual
-        console.log('⚡ Lightning strike!');
+        // Anywhere on the map - it only starts a fire if it hits something that burns
+        const x = Math.floor(this.random.next() * this.game.tileMap.width);
+        const y = Math.floor(this.random.next() * this.game.tileMap.height);
+        // console.log(`⚡ Lightning strike at (${x}, ${y})!`);
+        this.game.fireSystem?.lightningStrike(x, y);
     }
 
     playThunder(volume) {
@@ -260,22 +273,38 @@ export class WeatherSystem {
         }
     }
 
-    checkStormSchedule() {
+    checkStormSchedule(deltaTime = 1) {
+        // An announced storm breaks once the warning runs out
+        if (this.stormWarningTimer > 0) {
+            this.stormWarningTimer -= deltaTime;
+            if (this.stormWarningTimer <= 0) {
+                this.stormWarningTimer = 0;
+                this.startStorm();
+            }
+        }
+
         // Check once per game day (1500 frames = 25 seconds)
-        this.framesSinceLastDayCheck++;
+        this.framesSinceLastDayCheck += deltaTime;
         if (this.framesSinceLastDayCheck < this.framesPerDay) return;
         this.framesSinceLastDayCheck = 0;
 
         this.daysSinceLastStorm++;
         console.log('🌤️ Day', this.daysSinceLastStorm, '- Storm check (need', this.stormInterval, 'days)');
 
-        if (this.daysSinceLastStorm >= this.stormInterval) {
-            if (Math.random() < this.stormChance) {
-                this.startStorm();
+        if (this.daysSinceLastStorm >= this.stormInterval && !this.stormActive && this.stormWarningTimer === 0) {
+            if (this.random.next() < this.stormChance) {
+                this.announceStorm();
             }
         }
     }
 
+    // Warn that a storm is on its way (the game autosaves while it's still calm)
+    announceStorm() {
+        console.log('🌩️ Storm coming!');
+        this.stormWarningTimer = this.stormWarningFrames;
+        this.game.events?.emit('stormStarting');
+    }
+
     startStorm() {
         console.log('🌩️ Storm starting!');
         this.stormActive = true;
@@ -291,7 +320,8 @@ export class WeatherSystem {
         }
 
         // Storm duration: 1-3 minutes
-        this.weatherDuration = (60 + Math.random() * 120) * 60;
+        this.weatherDuration = (60 + this.random.next() * 120) * 60;
+        this.setWind(this.random.next(), this.random.next());
 
         // Tweet about the storm
         if (this.game.tweetSystem) {
@@ -312,17 +342,17 @@ export class WeatherSystem {
         // Return clouds to normal
         for (const cloud of this.clouds) {
             cloud.type = 'normal';
-            cloud.opacity = 0.4 + Math.random() * 0.3;
+            cloud.opacity = 0.4 + this.cosmeticRandom.next() * 0.3;
         }
 
         this.changeWeather();
     }
 
-    updateFlooding() {
+    updateFlooding(deltaTime = 1) {
         if (this.currentWeather !== 'rainy' && !this.stormActive) {
             // Drain floods when not raining
             for (const [key, level] of this.floodedTiles) {
-                const newLevel = level - 0.002;
+                const newLevel = level - 0.002 * deltaTime;
                 if (newLevel <= 0) {
                     this.floodedTiles.delete(key);
                 } else {
@@ -333,7 +363,7 @@ export class WeatherSystem {
         }
 
         // Build up flooding on low tiles near water
-        const rate = this.stormActive ? this.floodBuildupRate * 3 : this.floodBuildupRate;
+        const rate = (this.stormActive ? this.floodBuildupRate * 3 : this.floodBuildupRate) * deltaTime;
 
         // Check tiles adjacent to water
         for (let y = 0; y < this.game.tileMap.height; y++) {
@@ -351,29 +381,29 @@ export class WeatherSystem {
         }
     }
 
-    updateTemperature() {
+    updateTemperature(deltaTime = 1) {
         // Temperature varies based on weather and time
         let targetTemp = this.baseTemperature;
 
         // Weather affects temperature
         if (this.currentWeather === 'sunny') {
-            targetTemp += 5 + Math.random() * 3;  // Hotter when sunny
+            targetTemp += 5 + this.cosmeticRandom.next() * 3;  // Hotter when sunny
         } else if (this.currentWeather === 'cloudy') {
-            targetTemp += Math.random() * 2;  // Slightly warm
+            targetTemp += this.cosmeticRandom.next() * 2;  // Slightly warm
         } else if (this.currentWeather === 'rainy') {
-            targetTemp -= 3 + Math.random() * 2;  // Cooler when rainy
+            targetTemp -= 3 + this.cosmeticRandom.next() * 2;  // Cooler when rainy
         } else if (this.stormActive) {
-            targetTemp -= 5 + Math.random() * 3;  // Cold during storms
+            targetTemp -= 5 + this.cosmeticRandom.next() * 3;  // Cold during storms
         }
 
         // Add some random variation
-        targetTemp += (Math.random() - 0.5) * 2;
+        targetTemp += (this.cosmeticRandom.next() - 0.5) * 2;
 
         // Clamp to min/max
         targetTemp = Math.max(this.minTemperature, Math.min(this.maxTemperature, targetTemp));
 
         // Smoothly transition to target
-        this.currentTemperature += (targetTemp - this.currentTemperature) * this.temperatureChangeRate;
+        this.currentTemperature += (targetTemp - this.currentTemperature) * Math.min(1, this.temperatureChangeRate * deltaTime);
     }
 
     isNearWater(x, y) {
@@ -499,12 +529,28 @@ export class WeatherSystem {
         return 0.5;
     }
 
+    /**
+     * Settle the wind for the current weather; `roll` (0-1) picks where in
+     * that weather's range its speed falls, and `turn` (0-1) which of the
+     * eight compass points it blows toward
+     */
+    setWind(roll, turn) {
+        if (this.stormActive) this.windSpeed = 0.9 + roll * 0.1;
+        else if (this.currentWeather === 'rainy') this.windSpeed = 0.5 + roll * 0.2;
+        else if (this.currentWeather === 'cloudy') this.windSpeed = 0.3 + roll * 0.2;
+        else this.windSpeed = 0.1 + roll * 0.2;  // Light breeze when sunny
+
+        if (turn !== undefined) this.windDirection = Math.floor(turn * 8) * 45;
+    }
+
     getWindSpeed() {
         // 0 = calm, 1 = very windy
-        if (this.stormActive) return 0.9 + Math.random() * 0.1;
-        if (this.currentWeather === 'rainy') return 0.5 + Math.random() * 0.2;
-        if (this.currentWeather === 'cloudy') return 0.3 + Math.random() * 0.2;
-        return 0.1 + Math.random() * 0.2;  // Light breeze when sunny
+        return this.windSpeed;
+    }
+
+    // Compass degrees the wind blows toward: 0 = north, 90 = east
+    getWindDirection() {
+        return this.windDirection;
     }
 
     // Force a storm (for testing)
@@ -517,6 +563,52 @@ export class WeatherSystem {
         return Math.round(this.currentTemperature);
     }
 
+    // Save weather, storm schedule, flooding and clouds (rain is respawned)
+    serialize() {
+        return {
+            currentWeather: this.currentWeather,
+            weatherDuration: this.weatherDuration,
+            stormActive: this.stormActive,
+            stormWarningTimer: this.stormWarningTimer,
+            windSpeed: this.windSpeed,
+            windDirection: this.windDirection,
+            lightningTimer: this.lightningTimer,
+            daysSinceLastStorm: this.daysSinceLastStorm,
+            framesSinceLastDayCheck: this.framesSinceLastDayCheck,
+            floodedTiles: Array.from(this.floodedTiles.entries()),
+            currentTemperature: this.currentTemperature,
+            maxClouds: this.maxClouds,
+            cloudSpawnTimer: this.cloudSpawnTimer,
+            clouds: this.clouds
+        };
+    }
+
+    restore(data) {
+        if (!data) return;
+
+        this.currentWeather = data.currentWeather || 'sunny';
+        this.weatherDuration = data.weatherDuration || 0;
+        this.stormActive = !!data.stormActive;
+        this.stormWarningTimer = data.stormWarningTimer || 0;
+        if (typeof data.windSpeed === 'number') {
+            this.windSpeed = data.windSpeed;
+        } else {
+            this.setWind(0.5);  // Older saves: a middling wind for the weather
+        }
+        this.windDirection = data.windDirection ?? 90;  // Older saves blew east
+        this.lightningTimer = data.lightningTimer || 0;
+        this.lightningFlash = 0;
+        this.thunderQueue = [];
+        this.daysSinceLastStorm = data.daysSinceLastStorm || 0;
+        this.framesSinceLastDayCheck = data.framesSinceLastDayCheck || 0;
+        this.floodedTiles = new Map(data.floodedTiles || []);
+        this.currentTemperature = data.currentTemperature ?? this.baseTemperature;
+        this.maxClouds = data.maxClouds || this.maxClouds;
+        this.cloudSpawnTimer = data.cloudSpawnTimer || 0;
+        this.clouds = data.clouds || [];
+        this.raindrops = [];
+    }
+
     // Get status for debug panel
     getStatus() {
         return {
@@ -528,6 +620,7 @@ export class WeatherSystem {
             daysSinceStorm: this.daysSinceLastStorm,
             cloudCover: this.getCloudCover().toFixed(2),
             windSpeed: this.getWindSpeed().toFixed(2),
+            windDirection: this.getWindDirection(),
             temperature: Math.round(this.currentTemperature),
             tempMin: this.minTemperature,
             tempMax: this.maxTemperature
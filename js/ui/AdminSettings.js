@@ -61,6 +61,16 @@ export class AdminSettings {
                     style="width: 100%; padding: 5px; border-radius: 4px; border: 1px solid #666;">
             </div>
 
+            <div style="margin-bottom: 15px; border-top: 1px solid #444; padding-top: 15px;">
+                <label style="display: block; margin-bottom: 10px; color: #ffd700;">💾 Autosave:</label>
+                <label style="display: block; margin-bottom: 5px;">Autosave Every (seconds):</label>
+                <input type="number" id="admin-autosave-interval" value="60" min="10" max="3600" step="10"
+                    style="width: 100%; padding: 5px; border-radius: 4px; border: 1px solid #666;">
+                <label style="display: block; margin: 10px 0 5px 0;">Autosave Slots:</label>
+                <input type="number" id="admin-autosave-count" value="3" min="1" max="20" step="1"
+                    style="width: 100%; padding: 5px; border-radius: 4px; border: 1px solid #666;">
+            </div>
+
             <div style="margin-bottom: 15px; border-top: 1px solid #444; padding-top: 15px;">
                 <label style="display: block; margin-bottom: 10px; color: #ffd700;">🔍 Debug Visualization:</label>
                 <label style="display: flex; align-items: center; cursor: pointer;">
@@ -101,7 +111,7 @@ export class AdminSettings {
     setBankBalance() {
         const balance = parseFloat(document.getElementById('admin-bank-balance').value);
         if (!isNaN(balance) && balance >= 0) {
-            this.game.treasury = balance;
+            this.game.commandLog.execute('setBalance', { amount: balance });
             this.game.updateUI();  // Update display immediately
             console.log(`[AdminSettings] Bank balance set to $${balance.toLocaleString()}`);
             alert(`Bank balance set to $${balance.toLocaleString()}`);
@@ -136,6 +146,10 @@ export class AdminSettings {
 
     updateInputsFromGame() {
         document.getElementById('admin-tick-interval').value = this.game.tickInterval / 1000;
+        if (this.game.saveSystem) {
+            document.getElementById('admin-autosave-interval').value = this.game.saveSystem.autosaveSettings.interval;
+            document.getElementById('admin-autosave-count').value = this.game.saveSystem.autosaveSettings.count;
+        }
         if (this.game.immigrationSystem) {
             document.getElementById('admin-spawn-interval').value = this.game.immigrationSystem.spawnInterval;
             document.getElementById('admin-spawn-chance').value = this.game.immigrationSystem.spawnChance || 0.8;
@@ -152,14 +166,18 @@ export class AdminSettings {
         const boatTravelMonths = parseInt(document.getElementById('admin-boat-travel-months').value);
         const crowdSpeed = parseFloat(document.getElementById('admin-crowd-speed').value);
 
-        // Apply to game
-        this.game.tickInterval = tickInterval;
-        
-        if (this.game.immigrationSystem) {
-            this.game.immigrationSystem.spawnInterval = spawnInterval;
-            this.game.immigrationSystem.spawnChance = spawnChance;
-            this.game.immigrationSystem.boatTravelMonths = boatTravelMonths;
-            this.game.immigrationSystem.crowdSpeed = crowdSpeed;
+        // Apply to game (recorded so replays use the same tuning)
+        this.game.commandLog.execute('adminSettings', {
+            tickInterval, spawnInterval, spawnChance, boatTravelMonths, crowdSpeed
+        });
+
+        // Autosave settings aren't part of the simulation and are stored by the save system
+        if (this.game.saveSystem) {
+            this.game.saveSystem.setAutosaveSettings({
+                interval: parseFloat(document.getElementById('admin-autosave-interval').value),
+                count: parseInt(document.getElementById('admin-autosave-count').value)
+            });
+            this.game.scheduleAutosave();
         }
 
         // Save to localStorage
@@ -185,13 +203,13 @@ export class AdminSettings {
         if (saved) {
             try {
                 const settings = JSON.parse(saved);
-                this.game.tickInterval = settings.tickInterval || 25000;
-                if (this.game.immigrationSystem) {
-                    this.game.immigrationSystem.spawnInterval = settings.spawnInterval || 18;
-                    this.game.immigrationSystem.spawnChance = settings.spawnChance || 0.8;
-                    this.game.immigrationSystem.boatTravelMonths = settings.boatTravelMonths || 2;
-                    this.game.immigrationSystem.crowdSpeed = settings.crowdSpeed || 0.4;
-                }
+                this.game.commandLog.execute('adminSettings', {
+                    tickInterval: settings.tickInterval || 25000,
+                    spawnInterval: settings.spawnInterval || 18,
+                    spawnChance: settings.spawnChance || 0.8,
+                    boatTravelMonths: settings.boatTravelMonths || 2,
+                    crowdSpeed: settings.crowdSpeed || 0.4
+                });
                 // console.log('[AdminSettings] Loaded saved settings');
             } catch (e) {
                 console.warn('[AdminSettings] Failed to load settings:', e);
@@ -0,0 +1,564 @@
+import { BUDGET_LINES, BUDGET_HISTORY_YEARS } from '../economy/BudgetLedger.js';
+import { SERVICE_TYPES, MAX_FUNDING, buildingUpkeep } from '../economy/Upkeep.js';
+import { BUILDINGS } from '../buildings/Buildings.js';
+import { CREDIT_RATINGS, LOAN_AMOUNTS, LOAN_TERMS, BOND_TERM, INSOLVENCY_STAGES } from '../economy/FinanceSystem.js';
+
+// Chart size in CSS pixels (drawn at device resolution)
+const CHART_WIDTH = 440;
+const CHART_HEIGHT = 180;
+const PROJECTION_MONTHS = 12;
+
+/**
+ * BudgetUI - Itemized budget for the last month with history charts,
+ * service funding, and the kingdom's loans and bonds
+ */
+export class BudgetUI {
+    constructor(game) {
+        this.game = game;
+        this.visible = false;
+        this.panel = null;
+        this.chartYears = 1;
+        this.chartSide = 'expenses';  // Which lines the line-item chart shows
+        this.hiddenLines = new Set();
+        this.buildingCounts = {};
+        this.borrowAmount = LOAN_AMOUNTS[0];
+        this.loanMonths = LOAN_TERMS[0];
+        this.createPanel();
+
+        // Refresh once a month while open
+        this.game.events.on('tick', () => {
+            if (this.visible) this.update();
+        });
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'budget-panel';
+        this.panel.className = 'game-panel budget-panel';
+        this.panel.innerHTML = `
+            <div class="panel-header">
+                <h2>💰 ROYAL BUDGET</h2>
+                <button class="close-btn" id="close-budget">✕</button>
+            </div>
+            <div class="panel-content">
+                <div id="budget-summary" class="budget-summary"></div>
+
+                <h3 id="budget-month-title">📒 Last Month</h3>
+                <div id="budget-breakdown" class="budget-breakdown"></div>
+
+                <div class="budget-divider"></div>
+
+                <h3>⛽ Oil &amp; Fuel <span class="budget-hint">(last month)</span></h3>
+                <div id="budget-oil" class="budget-breakdown"></div>
+
+                <div class="budget-divider"></div>
+
+                <h3>🏛️ Service Funding</h3>
+                <div class="tariff-list">
+                    ${SERVICE_TYPES.map(type => `
+                        <div class="tariff-item">
+                            <span class="cargo-icon">${BUILDINGS[type].icon}</span>
+                            <span class="cargo-name">
+                                ${BUILDINGS[type].name}
+                                <small class="budget-funding-detail" id="funding-${type}-detail"></small>
+                            </span>
+                            <input type="range"
+                                   class="tariff-slider funding-slider"
+                                   data-service="${type}"
+                                   min="0" max="${MAX_FUNDING}" step="5"
+                                   value="${MAX_FUNDING}">
+                            <span class="tariff-value" id="funding-${type}-value">${MAX_FUNDING}%</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <p class="budget-hint">Underfunded police patrol a smaller area; underfunded fire crews respond more slowly.</p>
+
+                <div class="budget-divider"></div>
+
+                <h3>📜 Royal Debt</h3>
+                <div id="budget-debt" class="budget-summary"></div>
+                <div id="budget-debt-list" class="budget-breakdown"></div>
+                <div class="budget-borrow">
+                    <div class="budget-toggle" id="budget-borrow-amount">
+                        ${LOAN_AMOUNTS.map(amount => `
+                            <button data-amount="${amount}">${this.formatShort(amount)}</button>
+                        `).join('')}
+                    </div>
+                    <div class="budget-toggle" id="budget-loan-term">
+                        ${LOAN_TERMS.map(months => `
+                            <button data-months="${months}">${months / 12}y loan</button>
+                        `).join('')}
+                    </div>
+                    <p id="budget-borrow-terms" class="budget-hint"></p>
+                    <div class="budget-borrow-actions">
+                        <button id="budget-take-loan" class="tariff-btn">🏦 TAKE LOAN</button>
+                        <button id="budget-issue-bond" class="tariff-btn success">📜 ISSUE BONDS</button>
+                    </div>
+                </div>
+
+                <div class="budget-divider"></div>
+
+                <div class="budget-chart-header">
+                    <h3>📈 History</h3>
+                    <div class="budget-toggle" id="budget-years">
+                        ${[1, 2, 5, BUDGET_HISTORY_YEARS].map(years => `
+                            <button data-years="${years}">${years}y</button>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="budget-toggle" id="budget-side">
+                    <button data-side="income">Income</button>
+                    <button data-side="expenses">Expenses</button>
+                </div>
+                <canvas id="budget-lines-chart" class="budget-chart"></canvas>
+                <div id="budget-legend" class="budget-legend"></div>
+
+                <h3>🏦 Treasury <span class="budget-hint">(dashed: projection)</span></h3>
+                <canvas id="budget-treasury-chart" class="budget-chart"></canvas>
+            </div>
+        `;
+        this.panel.style.display = 'none';
+        document.body.appendChild(this.panel);
+
+        document.getElementById('close-budget').addEventListener('click', () => this.hide());
+
+        this.panel.querySelectorAll('#budget-years button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.chartYears = parseInt(btn.dataset.years);
+                this.update();
+            });
+        });
+        this.panel.querySelectorAll('#budget-side button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.chartSide = btn.dataset.side;
+                this.update();
+            });
+        });
+
+        this.panel.querySelectorAll('.funding-slider').forEach(slider => {
+            slider.addEventListener('input', (e) => this.updateFundingDisplay(e.target.dataset.service, parseInt(e.target.value)));
+            // One command per drag, like the tax sliders
+            slider.addEventListener('change', (e) => {
+                this.game.commandLog.execute('setServiceFunding', {
+                    service: e.target.dataset.service,
+                    level: parseInt(e.target.value)
+                });
+                this.update();
+            });
+        });
+
+        this.panel.querySelectorAll('#budget-borrow-amount button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.borrowAmount = parseInt(btn.dataset.amount);
+                this.update();
+            });
+        });
+        this.panel.querySelectorAll('#budget-loan-term button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.loanMonths = parseInt(btn.dataset.months);
+                this.update();
+            });
+        });
+        document.getElementById('budget-take-loan').addEventListener('click', () => {
+            this.game.commandLog.execute('takeLoan', { amount: this.borrowAmount, months: this.loanMonths });
+            this.update();
+        });
+        document.getElementById('budget-issue-bond').addEventListener('click', () => {
+            this.game.commandLog.execute('issueBond', { amount: this.borrowAmount });
+            this.update();
+        });
+        document.getElementById('budget-debt-list').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-repay]');
+            if (!btn) return;
+            this.game.commandLog.execute('repayLoan', { id: parseInt(btn.dataset.repay) });
+            this.update();
+        });
+
+        // Legend entries switch their line on and off
+        document.getElementById('budget-legend').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-line]');
+            if (!item) return;
+            const key = item.dataset.line;
+            if (this.hiddenLines.has(key)) {
+                this.hiddenLines.delete(key);
+            } else {
+                this.hiddenLines.add(key);
+            }
+            this.update();
+        });
+    }
+
+    update() {
+        const ledger = this.game.budgetLedger;
+        if (!ledger) return;
+
+        this.panel.querySelectorAll('#budget-years button').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.years) === this.chartYears);
+        });
+        this.panel.querySelectorAll('#budget-side button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.side === this.chartSide);
+        });
+
+        this.updateSummary(ledger);
+        this.updateBreakdown(ledger);
+        this.updateFunding();
+        if (this.game.resourceSystem) {
+            this.updateOil(this.game.resourceSystem);
+        }
+        if (this.game.financeSystem) {
+            this.updateDebt(this.game.financeSystem);
+        }
+
+        const history = ledger.getHistory(this.chartYears);
+        this.drawLinesChart(history);
+        this.drawTreasuryChart(history, ledger.getProjection(PROJECTION_MONTHS));
+    }
+
+    updateSummary(ledger) {
+        const container = document.getElementById('budget-summary');
+        const last = ledger.getLastMonth();
+        const net = last ? ledger.getTotals(last).net : 0;
+        const monthsLeft = ledger.getMonthsUntilBroke();
+
+        let outlook = '📊 No full month recorded yet';
+        if (last) {
+            const projection = ledger.getProjection(PROJECTION_MONTHS);
+            const yearAhead = projection[projection.length - 1];
+            outlook = monthsLeft !== null
+                ? `<span class="text-danger">⚠️ Broke in about ${monthsLeft} month${monthsLeft === 1 ? '' : 's'} at this rate</span>`
+                : `In a year: about ${this.formatMoney(yearAhead)}`;
+        }
+
+        container.innerHTML = `
+            <div class="stat-row">
+                <span>🏦 Treasury:</span>
+                <span class="stat-value ${this.game.treasury < 0 ? 'text-danger' : ''}">${this.formatMoney(this.game.treasury)}</span>
+            </div>
+            <div class="stat-row">
+                <span>📆 Last Month:</span>
+                <span class="stat-value ${net < 0 ? 'text-danger' : ''}">${net >= 0 ? '+' : ''}${this.formatMoney(net)}</span>
+            </div>
+            <div class="stat-row">
+                <span>🔮 Outlook:</span>
+                <span class="stat-value">${outlook}</span>
+            </div>
+        `;
+    }
+
+    updateBreakdown(ledger) {
+        const container = document.getElementById('budget-breakdown');
+        const last = ledger.getLastMonth();
+        const title = document.getElementById('budget-month-title');
+
+        if (!last) {
+            title.textContent = '📒 Last Month';
+            container.innerHTML = '<p class="budget-hint">The first month\'s accounts are still open.</p>';
+            return;
+        }
+
+        title.textContent = `📒 Year ${last.year}, Month ${last.month}`;
+        const totals = ledger.getTotals(last);
+        const rows = (lines, amounts, sign) => lines
+            .filter(line => line.monthly || amounts[line.key])
+            .map(line => `
+                <div class="budget-row">
+                    <span>${line.icon} ${line.label}</span>
+                    <span class="${sign < 0 ? 'text-danger' : 'text-success'}">${sign < 0 ? '-' : '+'}${this.formatMoney(amounts[line.key])}</span>
+                </div>
+            `).join('');
+
+        container.innerHTML = `
+            <div class="budget-section">Income</div>
+            ${rows(BUDGET_LINES.income, last.income, 1)}
+            <div class="budget-row budget-total">
+                <span>Total Income</span>
+                <span class="text-success">+${this.formatMoney(totals.income)}</span>
+            </div>
+            <div class="budget-section">Expenses</div>
+            ${rows(BUDGET_LINES.expenses, last.expenses, -1)}
+            <div class="budget-row budget-total">
+                <span>Total Expenses</span>
+                <span class="text-danger">-${this.formatMoney(totals.expenses)}</span>
+            </div>
+            ${last.other ? `
+            <div class="budget-row">
+                <span>🔄 Refunds &amp; Adjustments</span>
+                <span class="${last.other < 0 ? 'text-danger' : 'text-success'}">${last.other < 0 ? '-' : '+'}${this.formatMoney(Math.abs(last.other))}</span>
+            </div>
+            ` : ''}
+            <div class="budget-row budget-total">
+                <span>Net Change</span>
+                <span class="${totals.net < 0 ? 'text-danger' : 'text-success'}">${totals.net < 0 ? '-' : '+'}${this.formatMoney(Math.abs(totals.net))}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Supply chain flows, with shortages and surpluses called out
+     */
+    updateOil(resources) {
+        const container = document.getElementById('budget-oil');
+        const month = resources.lastMonth;
+        if (!month || (month.crudeProduced === 0 && month.fuelDemand === 0 && month.exported === 0)) {
+            container.innerHTML = '<p class="budget-hint">No oil industry yet. Derricks feed refineries, refineries feed gas stations.</p>';
+            return;
+        }
+
+        const row = (label, value, className = '') => `
+            <div class="budget-row">
+                <span>${label}</span>
+                <span class="${className}">${value}</span>
+            </div>
+        `;
+        const coverage = Math.round(resources.getFuelCoverage() * 100);
+        container.innerHTML = [
+            row('🛢️ Crude pumped', `${month.crudeProduced} units`),
+            row('🏭 Crude refined', `${month.crudeRefined} units`),
+            month.crudeShortage > 0 ? row('⚠️ Refineries short of crude', `${month.crudeShortage} units`, 'text-danger') : '',
+            row('⛽ Fuel sold', `${month.fuelSold} of ${month.fuelDemand} wanted (${coverage}%)`, coverage < 100 ? 'text-danger' : 'text-success'),
+            month.stockpiled > 0 ? row('📦 Surplus to port', `+${month.stockpiled} units`, 'text-success') : '',
+            month.wasted > 0 ? row('🗑️ Surplus wasted (no port or full)', `${month.wasted} units`, 'text-danger') : '',
+            row('🚢 Exported', `${month.exported} units (${this.formatMoney(month.exportRevenue)})`),
+            row('⚓ In stock at ports', `${resources.getOilStockpile()} / ${resources.getStockpileCapacity()} units`)
+        ].join('');
+    }
+
+    updateFunding() {
+        this.buildingCounts = this.game.tileMap?.countAllBuildings() || {};
+        this.panel.querySelectorAll('.funding-slider').forEach(slider => {
+            const service = slider.dataset.service;
+            const level = this.game.serviceFunding[service];
+            // Don't fight the player mid-drag
+            if (document.activeElement !== slider) slider.value = level;
+            this.updateFundingDisplay(service, level);
+        });
+    }
+
+    updateFundingDisplay(service, level) {
+        const count = this.buildingCounts[service] || 0;
+        document.getElementById(`funding-${service}-value`).textContent = `${level}%`;
+        document.getElementById(`funding-${service}-detail`).textContent =
+            `${count} built · ${this.formatMoney(buildingUpkeep(service, level) * count)}/month`;
+    }
+
+    /**
+     * Credit rating, outstanding loans and bonds, and what borrowing would cost
+     */
+    updateDebt(finance) {
+        this.panel.querySelectorAll('#budget-borrow-amount button').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.amount) === this.borrowAmount);
+        });
+        this.panel.querySelectorAll('#budget-loan-term button').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.months) === this.loanMonths);
+        });
+
+        // BB and worse is junk
+        const junk = CREDIT_RATINGS.indexOf(finance.creditRating) >= CREDIT_RATINGS.indexOf('BB');
+        let insolvency = '';
+        if (finance.monthsInsolvent > 0) {
+            const next = Object.entries(INSOLVENCY_STAGES).find(([, months]) => months > finance.monthsInsolvent);
+            const nextText = {
+                constructionHalted: 'construction halts',
+                servicesShutDown: 'services shut down',
+                bankrupt: 'bankruptcy'
+            };
+            insolvency = `
+                <div class="stat-row">
+                    <span>⚠️ In the red:</span>
+                    <span class="stat-value text-danger">
+                        ${finance.monthsInsolvent} month${finance.monthsInsolvent === 1 ? '' : 's'}${next ? ` (${nextText[next[0]]} at ${next[1]})` : ''}
+                    </span>
+                </div>
+            `;
+        }
+
+        document.getElementById('budget-debt').innerHTML = `
+            <div class="stat-row">
+                <span>⭐ Credit Rating:</span>
+                <span class="stat-value ${junk ? 'text-danger' : 'text-success'}">${finance.creditRating}</span>
+            </div>
+            <div class="stat-row">
+                <span>📜 Total Debt:</span>
+                <span class="stat-value">${this.formatMoney(finance.getTotalDebt())} of ${this.formatMoney(finance.getCreditLimit())}</span>
+            </div>
+            <div class="stat-row">
+                <span>📆 Due Next Month:</span>
+                <span class="stat-value">${this.formatMoney(finance.getMonthlyDebtService())}</span>
+            </div>
+            ${insolvency}
+        `;
+
+        document.getElementById('budget-debt-list').innerHTML = finance.debts.map(debt => debt.type === 'loan' ? `
+            <div class="budget-row">
+                <span>🏦 Loan at ${debt.rate}%: ${this.formatMoney(debt.payment)}/mo, ${debt.monthsLeft} left</span>
+                <span>
+                    ${this.formatMoney(debt.balance)}
+                    <button class="budget-repay" data-repay="${debt.id}">Repay</button>
+                </span>
+            </div>
+        ` : `
+            <div class="budget-row">
+                <span>📜 Bonds at ${debt.rate}%: ${this.formatMoney(debt.payment)}/mo, mature in ${debt.monthsLeft}</span>
+                <span>${this.formatMoney(debt.balance)}</span>
+            </div>
+        `).join('');
+
+        const problem = finance.getBorrowingProblem(this.borrowAmount);
+        document.getElementById('budget-borrow-terms').innerHTML = problem
+            ? `<span class="text-danger">${problem}</span>`
+            : `Loan at ${finance.getLoanRate()}%: ${this.formatMoney(finance.getLoanPayment(this.borrowAmount, this.loanMonths))}/month for ${this.loanMonths} months.
+               Bonds at ${finance.getBondRate()}%: ${this.formatMoney(finance.getBondCoupon(this.borrowAmount))}/month, repaid after ${BOND_TERM / 12} years.`;
+        document.getElementById('budget-take-loan').disabled = !!problem;
+        document.getElementById('budget-issue-bond').disabled = !!problem;
+    }
+
+    /**
+     * One line per budget item on the chosen side, over the chosen years
+     */
+    drawLinesChart(history) {
+        const lines = BUDGET_LINES[this.chartSide]
+            .filter(line => line.monthly || history.some(entry => entry[this.chartSide][line.key]));
+
+        document.getElementById('budget-legend').innerHTML = lines.map(line => `
+            <span class="budget-legend-item${this.hiddenLines.has(line.key) ? ' off' : ''}" data-line="${line.key}">
+                <i style="background: ${line.color};"></i>${line.icon} ${line.label}
+            </span>
+        `).join('');
+
+        const series = lines
+            .filter(line => !this.hiddenLines.has(line.key))
+            .map(line => ({
+                color: line.color,
+                values: history.map(entry => entry[this.chartSide][line.key] || 0)
+            }));
+        this.drawChart('budget-lines-chart', history, series, 0);
+    }
+
+    /**
+     * Treasury at each month end, continued by the projection
+     */
+    drawTreasuryChart(history, projection) {
+        const values = history.map(entry => entry.treasury);
+        const series = [{ color: '#ffd700', values }];
+        if (values.length > 0) {
+            series.push({
+                color: '#ffd700',
+                dashed: true,
+                offset: values.length - 1,
+                values: [values[values.length - 1], ...projection]
+            });
+        }
+        this.drawChart('budget-treasury-chart', history, series, projection.length);
+    }
+
+    /**
+     * Draw line series on a canvas with a zero line and year labels.
+     * `extraMonths` leaves room on the right for projections.
+     */
+    drawChart(canvasId, history, series, extraMonths) {
+        const canvas = document.getElementById(canvasId);
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = CHART_WIDTH * ratio;
+        canvas.height = CHART_HEIGHT * ratio;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, CHART_WIDTH, CHART_HEIGHT);
+
+        const months = history.length + extraMonths;
+        if (history.length === 0) {
+            ctx.fillStyle = '#888';
+            ctx.font = '13px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('No months recorded yet', CHART_WIDTH / 2, CHART_HEIGHT / 2);
+            return;
+        }
+
+        const pad = { left: 56, right: 10, top: 10, bottom: 20 };
+        const width = CHART_WIDTH - pad.left - pad.right;
+        const height = CHART_HEIGHT - pad.top - pad.bottom;
+
+        const all = series.flatMap(s => s.values);
+        let min = Math.min(0, ...all);
+        let max = Math.max(0, ...all);
+        if (max === min) max = min + 1;
+
+        const x = (i) => pad.left + (months > 1 ? (i / (months - 1)) * width : width / 2);
+        const y = (value) => pad.top + (1 - (value - min) / (max - min)) * height;
+
+        // Axis labels and zero line
+        ctx.font = '11px Arial';
+        ctx.fillStyle = '#aaa';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.formatShort(max), pad.left - 6, y(max));
+        ctx.fillText(this.formatShort(min), pad.left - 6, y(min));
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, y(0));
+        ctx.lineTo(pad.left + width, y(0));
+        ctx.stroke();
+        if (min < 0 && max > 0) {
+            ctx.fillText('0', pad.left - 6, y(0));
+        }
+
+        // Year ticks at each January
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        history.forEach((entry, i) => {
+            if (entry.month !== 1) return;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+            ctx.beginPath();
+            ctx.moveTo(x(i), pad.top);
+            ctx.lineTo(x(i), pad.top + height);
+            ctx.stroke();
+            ctx.fillText(`Y${entry.year}`, x(i), pad.top + height + 4);
+        });
+
+        for (const s of series) {
+            const offset = s.offset || 0;
+            ctx.strokeStyle = s.color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(s.dashed ? [5, 4] : []);
+            ctx.beginPath();
+            s.values.forEach((value, i) => {
+                if (i === 0) ctx.moveTo(x(offset + i), y(value));
+                else ctx.lineTo(x(offset + i), y(value));
+            });
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+    }
+
+    formatMoney(amount) {
+        return `${amount < 0 ? '-' : ''}$${Math.abs(Math.round(amount)).toLocaleString()}`;
+    }
+
+    // Compact axis labels: $1.2k, $3.4M
+    formatShort(amount) {
+        const abs = Math.abs(amount);
+        const sign = amount < 0 ? '-' : '';
+        if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(1)}M`;
+        if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(1)}k`;
+        return `${sign}$${Math.round(abs)}`;
+    }
+
+    show() {
+        this.visible = true;
+        this.panel.style.display = 'block';
+        this.update();
+    }
+
+    hide() {
+        this.visible = false;
+        this.panel.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+}
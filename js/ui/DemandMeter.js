@@ -0,0 +1,73 @@
+import { TAX_ZONES } from '../economy/Taxes.js';
+
+const ZONE_BARS = {
+    residential: { letter: 'R', name: 'Residential' },
+    commercial: { letter: 'C', name: 'Commercial' },
+    industrial: { letter: 'I', name: 'Industrial' }
+};
+
+/**
+ * DemandMeter - The classic R/C/I bars in the toolbar. Bars rise above the
+ * middle line when a zone type is in demand and drop below it in a glut.
+ */
+export class DemandMeter {
+    constructor(game) {
+        this.game = game;
+        this.element = null;
+        this.createMeter();
+    }
+
+    createMeter() {
+        const categories = document.querySelector('#toolbar .toolbar-categories');
+        if (!categories) return;
+
+        this.element = document.createElement('div');
+        this.element.className = 'demand-meter';
+        this.element.innerHTML = TAX_ZONES.map(zone => `
+            <div class="demand-column demand-${zone}">
+                <div class="demand-track">
+                    <div class="demand-bar" id="demand-${zone}-bar"></div>
+                </div>
+                <span class="demand-letter">${ZONE_BARS[zone].letter}</span>
+            </div>
+        `).join('');
+        categories.prepend(this.element);
+    }
+
+    update() {
+        const demandSystem = this.game.demandSystem;
+        if (!this.element || !demandSystem) return;
+
+        for (const zone of TAX_ZONES) {
+            const demand = demandSystem.getDemand(zone);
+            const bar = document.getElementById(`demand-${zone}-bar`);
+            // Half the track each way from the middle line
+            bar.style.height = `${Math.abs(demand) * 50}%`;
+            bar.style.top = demand >= 0 ? `${50 - Math.abs(demand) * 50}%` : '50%';
+            bar.classList.toggle('negative', demand < 0);
+        }
+
+        this.element.title = this.getTooltip();
+    }
+
+    getTooltip() {
+        const demandSystem = this.game.demandSystem;
+        const lines = TAX_ZONES.map(zone =>
+            `${ZONE_BARS[zone].name}: ${Math.round(demandSystem.getDemand(zone) * 100)}`);
+
+        const employment = this.game.employmentSystem?.lastMonth;
+        if (employment) {
+            lines.push(
+                `Unemployment: ${Math.round(employment.unemploymentRate * 100)}% (${employment.unemployed.toLocaleString()} out of work)`,
+                `Unfilled jobs: ${employment.vacancies.toLocaleString()}`,
+                `Average commute: ${employment.averageCommute.toFixed(1)} tiles`
+            );
+        }
+
+        const last = demandSystem.lastMonth;
+        if (last) {
+            lines.push(`Export warehouse room: ${last.exportRoom.toLocaleString()}`);
+        }
+        return lines.join('\n');
+    }
+}
@@ -117,6 +117,7 @@ function drawRoadTile(ctx, x, y, size, connections) {
 export class GameCanvas {
     constructor(game) {
         this.game = game;
+        this.cosmeticRandom = game.cosmeticRandom;  // Vehicles and smoke
         this.canvas = document.getElementById('game-canvas');
         this.ctx = this.canvas.getContext('2d');
 
@@ -415,20 +416,19 @@ export class GameCanvas {
         // Update smoke
         this.updateSmoke();
 
-        // Update police officers
-        if (this.game.policeSystem) {
-            this.game.policeSystem.animate();
-        }
+        // Police officers move on the simulation clock (Simulation.animate)
     }
 
     // ==================== VEHICLE SYSTEM ====================
 
     updateVehicles() {
         const pop = this.game.population || 0;
-        const desiredVehicles = Math.min(this.maxVehicles, Math.floor(pop / 15) + 1);
+        // Fewer cars on the road when there's no fuel to buy
+        const fuelCoverage = this.game.resourceSystem?.getFuelCoverage() ?? 1;
+        const desiredVehicles = Math.min(this.maxVehicles, Math.floor((pop / 15) * (0.3 + 0.7 * fuelCoverage)) + 1);
 
         // Spawn vehicles
-        if (this.vehicles.length < desiredVehicles && Math.random() < 0.03) {
+        if (this.vehicles.length < desiredVehicles && this.cosmeticRandom.next() < 0.03) {
             this.spawnVehicle();
         }
 
@@ -473,7 +473,7 @@ export class GameCanvas {
         const roads = this.findRoads();
         if (roads.length === 0) return;
 
-        const startRoad = roads[Math.floor(Math.random() * roads.length)];
+        const startRoad = roads[Math.floor(this.cosmeticRandom.next() * roads.length)];
 
         const types = ['🚗', '🚙', '🚕'];
         if (this.game.population > 50) types.push('🚌');
@@ -482,11 +482,11 @@ export class GameCanvas {
         this.vehicles.push({
             x: startRoad.x + 0.5,
             y: startRoad.y + 0.5,
-            icon: types[Math.floor(Math.random() * types.length)],
-            direction: Math.floor(Math.random() * 4),
-            speed: 0.03 + Math.random() * 0.02,
+            icon: types[Math.floor(this.cosmeticRandom.next() * types.length)],
+            direction: Math.floor(this.cosmeticRandom.next() * 4),
+            speed: 0.03 + this.cosmeticRandom.next() * 0.02,
             lifetime: 0,
-            maxLifetime: 400 + Math.random() * 400
+            maxLifetime: 400 + this.cosmeticRandom.next() * 400
         });
     }
 
@@ -535,9 +535,9 @@ export class GameCanvas {
             const opposite = (vehicle.direction + 2) % 4;
             const options = connections.filter(d => d !== opposite);
             if (options.length > 0) {
-                vehicle.direction = options[Math.floor(Math.random() * options.length)];
+                vehicle.direction = options[Math.floor(this.cosmeticRandom.next() * options.length)];
             } else {
-                vehicle.direction = connections[Math.floor(Math.random() * connections.length)];
+                vehicle.direction = connections[Math.floor(this.cosmeticRandom.next() * connections.length)];
             }
         }
     }
@@ -546,7 +546,7 @@ export class GameCanvas {
 
     updateSmoke() {
         // Spawn smoke from coal plants and refineries
-        if (Math.random() < 0.15) {
+        if (this.cosmeticRandom.next() < 0.15) {
             const map = this.game.tileMap;
             if (!map) return;
 
@@ -554,10 +554,10 @@ export class GameCanvas {
                 for (let x = 0; x < map.width; x++) {
                     const tile = map.getTile(x, y);
                     if (tile?.building?.type === 'coalPlant' && tile.building.mainTile !== false) {
-                        if (Math.random() < 0.4) this.spawnSmoke(x, y);
+                        if (this.cosmeticRandom.next() < 0.4) this.spawnSmoke(x, y);
                     }
                     if (tile?.building?.type === 'oilRefinery' && tile.building.mainTile !== false) {
-                        if (Math.random() < 0.3) this.spawnSmoke(x, y);
+                        if (this.cosmeticRandom.next() < 0.3) this.spawnSmoke(x, y);
                     }
                 }
             }
@@ -585,14 +585,14 @@ export class GameCanvas {
 
     spawnSmoke(x, y) {
         this.smokeParticles.push({
-            x: x + 0.3 + Math.random() * 0.4,
+            x: x + 0.3 + this.cosmeticRandom.next() * 0.4,
             y: y + 0.2,
-            size: 0.15 + Math.random() * 0.1,
-            opacity: 0.5 + Math.random() * 0.3,
-            vx: (Math.random() - 0.5) * 0.015,
-            vy: -0.025 - Math.random() * 0.015,
+            size: 0.15 + this.cosmeticRandom.next() * 0.1,
+            opacity: 0.5 + this.cosmeticRandom.next() * 0.3,
+            vx: (this.cosmeticRandom.next() - 0.5) * 0.015,
+            vy: -0.025 - this.cosmeticRandom.next() * 0.015,
             life: 0,
-            maxLife: 50 + Math.random() * 30
+            maxLife: 50 + this.cosmeticRandom.next() * 30
         });
     }
 
@@ -667,12 +667,18 @@ export class GameCanvas {
         // Draw police officers
         this.renderPoliceOfficers(ctx);
 
+        // Draw fires and fire trucks
+        this.renderFires(ctx);
+
         // Draw boats on water
         this.renderBoats(ctx);
 
         // Draw smoke particles
         this.renderSmoke(ctx);
 
+        // Colour tiles by the active map overlay
+        this.game.mapOverlay?.render(ctx, this, startTileX, startTileY, endTileX, endTileY);
+
         // Draw grid lines if zoomed in enough
         if (this.tileSize >= 15) {
             ctx.strokeStyle = 'rgba(0,0,0,0.15)';
@@ -714,6 +720,10 @@ export class GameCanvas {
         }
     }
 
+    renderFires(ctx) {
+        this.game.fireSystem?.render(ctx, this.offsetX, this.offsetY, this.tileSize);
+    }
+
     renderPoliceOfficers(ctx) {
         if (!this.game.policeSystem) return;
 
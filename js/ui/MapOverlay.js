@@ -0,0 +1,100 @@
+/**
+ * MapOverlay - Colour the map by a per-tile value (land value, service coverage, ...)
+ *
+ * Layers are registered with a getValue(x, y) that returns 0 to 1, or null
+ * for tiles left uncoloured. One layer shows at a time; the toolbar button
+ * and the O key cycle through them and back to the plain map.
+ */
+
+const OVERLAY_ALPHA = 0.55;
+
+export class MapOverlay {
+    constructor(game) {
+        this.game = game;
+        this.layers = new Map();
+        this.activeId = null;
+        this.legend = null;
+        this.createLegend();
+    }
+
+    /**
+     * @param {string} id
+     * @param {{label: string, icon: string, low: string, high: string,
+     *          getValue: function(number, number): ?number, getSummary?: function(): string}} layer
+     */
+    register(id, layer) {
+        this.layers.set(id, layer);
+    }
+
+    get active() {
+        return this.activeId ? this.layers.get(this.activeId) : null;
+    }
+
+    show(id) {
+        this.activeId = this.layers.has(id) ? id : null;
+        this.updateLegend();
+    }
+
+    hide() {
+        this.show(null);
+    }
+
+    // Next layer, then back to the plain map
+    cycle() {
+        const ids = [...this.layers.keys()];
+        const next = ids.indexOf(this.activeId) + 1;
+        this.show(next < ids.length ? ids[next] : null);
+    }
+
+    createLegend() {
+        this.legend = document.createElement('div');
+        this.legend.className = 'map-overlay-legend';
+        this.legend.style.display = 'none';
+        document.body.appendChild(this.legend);
+
+        // Figures behind the overlay change monthly
+        this.game.events.on('tick', () => {
+            if (this.activeId) this.updateLegend();
+        });
+    }
+
+    updateLegend() {
+        const layer = this.active;
+        if (!layer) {
+            this.legend.style.display = 'none';
+            return;
+        }
+
+        this.legend.innerHTML = `
+            <div class="map-overlay-title">${layer.icon} ${layer.label}</div>
+            <div class="map-overlay-scale">
+                <span>${layer.low}</span>
+                <span class="map-overlay-gradient"></span>
+                <span>${layer.high}</span>
+            </div>
+            ${layer.getSummary ? `<div class="map-overlay-summary">${layer.getSummary()}</div>` : ''}
+            <small>Press O to change overlay</small>
+        `;
+        this.legend.style.display = 'block';
+    }
+
+    /**
+     * Draw the active layer over the visible tiles, red (0) to green (1)
+     */
+    render(ctx, canvas, startTileX, startTileY, endTileX, endTileY) {
+        const layer = this.active;
+        if (!layer) return;
+
+        const size = canvas.tileSize;
+        for (let y = startTileY; y < endTileY; y++) {
+            for (let x = startTileX; x < endTileX; x++) {
+                const value = layer.getValue(x, y);
+                if (value === null || value === undefined) continue;
+
+                const hue = Math.round(Math.max(0, Math.min(1, value)) * 120);
+                ctx.fillStyle = `hsla(${hue}, 85%, 50%, ${OVERLAY_ALPHA})`;
+                ctx.fillRect(x * size + canvas.offsetX, y * size + canvas.offsetY, size, size);
+            }
+        }
+    }
+}
@@ -164,6 +164,14 @@ export class MobileControls {
                     background: rgba(60, 60, 60, 0.9);
                 }
                 
+                .zoom-btn.disabled {
+                    opacity: 0.35;
+                }
+                
+                .undo-btn {
+                    font-size: 20px;
+                }
+                
                 /* Navigation hint */
                 #mobile-nav-hint {
                     position: fixed;
@@ -192,6 +200,8 @@ export class MobileControls {
             <div id="mobile-zoom-controls">
                 <button class="zoom-btn" id="zoom-in-btn">+</button>
                 <button class="zoom-btn" id="zoom-out-btn">−</button>
+                <button class="zoom-btn undo-btn disabled" id="mobile-undo-btn" title="Undo">↶</button>
+                <button class="zoom-btn undo-btn disabled" id="mobile-redo-btn" title="Redo">↷</button>
             </div>
             
             <!-- Main FAB menu -->
@@ -212,10 +222,14 @@ export class MobileControls {
                     <span class="mobile-btn-icon">🔊</span>
                     <span>Sound</span>
                 </button>
-                <button class="mobile-btn" data-action="pause">
+                <button class="mobile-btn" data-action="pause" id="mobile-pause-btn">
                     <span class="mobile-btn-icon">⏸️</span>
                     <span>Pause (P)</span>
                 </button>
+                <button class="mobile-btn" data-action="speed" id="mobile-speed-btn">
+                    <span class="mobile-btn-icon">⏩</span>
+                    <span>Speed: 1x</span>
+                </button>
                 <button class="mobile-btn" data-action="save">
                     <span class="mobile-btn-icon">💾</span>
                     <span>Save</span>
@@ -224,6 +238,19 @@ export class MobileControls {
                     <span class="mobile-btn-icon">📂</span>
                     <span>Load</span>
                 </button>
+                <button class="mobile-btn" data-action="export-replay">
+                    <span class="mobile-btn-icon">🎬</span>
+                    <span>Export Replay</span>
+                </button>
+                <button class="mobile-btn" data-action="export-save">
+                    <span class="mobile-btn-icon">📤</span>
+                    <span>Export Save</span>
+                </button>
+                <button class="mobile-btn" data-action="import-save">
+                    <span class="mobile-btn-icon">📥</span>
+                    <span>Import Save</span>
+                </button>
+                <input type="file" id="mobile-import-input" accept=".island" style="display: none;">
                 <button class="mobile-btn" data-action="autoconnect" id="autoconnect-btn">
                     <span class="mobile-btn-icon">🔗</span>
                     <span>Auto-Connect: ON</span>
@@ -283,6 +310,27 @@ export class MobileControls {
             this.zoom(0.8);
         });
         
+        // Undo/redo buttons
+        document.getElementById('mobile-undo-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.game.undo) this.game.undo();
+        });
+        
+        document.getElementById('mobile-redo-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.game.redo) this.game.redo();
+        });
+        
+        // Imported save file
+        const importInput = document.getElementById('mobile-import-input');
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (file && this.game.importSave) {
+                this.game.importSave(file);
+            }
+        });
+        
         // Close menu when clicking elsewhere
         document.addEventListener('click', () => {
             if (this.menuOpen) {
@@ -339,20 +387,47 @@ export class MobileControls {
                     this.showHint(this.game.paused ? 'Paused' : 'Resumed');
                 }
                 break;
+
+            case 'export-replay':
+                // Download seed + command log
+                if (this.game.exportCommandLog) {
+                    this.game.exportCommandLog();
+                }
+                break;
+
+            case 'export-save':
+                // Download the current game as a .island file
+                if (this.game.exportSave) {
+                    this.game.exportSave();
+                }
+                break;
+
+            case 'import-save':
+                // Pick a .island file; the change handler loads it
+                document.getElementById('mobile-import-input')?.click();
+                break;
+                
+            case 'speed':
+                // Cycle 1x → 2x → 4x → ultra → 1x
+                if (this.game.setSpeed) {
+                    const speeds = ['normal', 'fast', 'faster', 'ultra'];
+                    const next = speeds[(speeds.indexOf(this.game.speed) + 1) % speeds.length];
+                    this.game.setSpeed(next);
+                    this.showHint('Speed: ' + this.getSpeedLabel());
+                }
+                break;
                 
             case 'save':
-                // Save game
-                if (this.game.saveGame) {
-                    this.game.saveGame();
-                    this.showHint('Game Saved!');
+                // Save game under a name
+                if (this.game.promptSave) {
+                    this.game.promptSave();
                 }
                 break;
                 
             case 'load':
-                // Load game
-                if (this.game.loadGame) {
-                    this.game.loadGame();
-                    this.showHint('Game Loaded!');
+                // Pick a save to load
+                if (this.game.showLoadDialog) {
+                    this.game.showLoadDialog();
                 }
                 break;
 
@@ -410,6 +485,29 @@ export class MobileControls {
         this.updateCancelButton();
     }
     
+    updateUndoButtons(canUndo, canRedo) {
+        document.getElementById('mobile-undo-btn')?.classList.toggle('disabled', !canUndo);
+        document.getElementById('mobile-redo-btn')?.classList.toggle('disabled', !canRedo);
+    }
+
+    getSpeedLabel() {
+        const labels = { normal: '1x', fast: '2x', faster: '4x', ultra: 'Ultra' };
+        return labels[this.game.speed] || '1x';
+    }
+
+    updateSpeedButtons() {
+        const pauseBtn = document.getElementById('mobile-pause-btn');
+        if (pauseBtn) {
+            pauseBtn.querySelector('.mobile-btn-icon').textContent = this.game.paused ? '▶️' : '⏸️';
+            pauseBtn.querySelector('span:last-child').textContent = this.game.paused ? 'Resume (P)' : 'Pause (P)';
+        }
+
+        const speedBtn = document.getElementById('mobile-speed-btn');
+        if (speedBtn) {
+            speedBtn.querySelector('span:last-child').textContent = 'Speed: ' + this.getSpeedLabel();
+        }
+    }
+
     updateAutoConnectButton(enabled) {
         const btn = document.getElementById('autoconnect-btn');
         if (btn) {
@@ -7,7 +7,8 @@ export class StartMenu {
         this.game = game;
         this.element = null;
         this.onNewGame = null;
-        this.onLoadGame = null;  // Changed from onContinue
+        this.onLoadGame = null;  // Changed from onContinue. Returns { success, error }
+        this.onReplay = null;    // Called with a parsed command log
     }
 
     /**
@@ -34,6 +35,15 @@ export class StartMenu {
                             📂 Load Game
                         </button>
                         ` : ''}
+                        <button id="btn-replay" class="start-menu-btn start-menu-btn-replay">
+                            🎬 Watch Replay
+                        </button>
+                        <input type="file" id="replay-file-input" accept=".json,application/json" style="display: none;">
+                        <button id="btn-import-save" class="start-menu-btn start-menu-btn-import">
+                            📥 Import Save
+                        </button>
+                        <input type="file" id="import-file-input" accept=".island" style="display: none;">
+                        <p id="import-status" class="start-menu-import-status hidden"></p>
                     </div>
                     <p class="start-menu-version">v84</p>
                 </div>
@@ -65,6 +75,25 @@ export class StartMenu {
             if (this.onNewGame) this.onNewGame();
         });
 
+        const replayInput = document.getElementById('replay-file-input');
+        document.getElementById('btn-replay').addEventListener('click', () => {
+            replayInput.click();
+        });
+        replayInput.addEventListener('change', () => {
+            const file = replayInput.files[0];
+            if (file) this.readReplayFile(file);
+        });
+
+        const importInput = document.getElementById('import-file-input');
+        document.getElementById('btn-import-save').addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (file) this.importSaveFile(file);
+        });
+
         if (hasSaves) {
             document.getElementById('btn-load-game').addEventListener('click', () => {
                 this.showSaveSlotSelection(savedGames);
@@ -76,6 +105,53 @@ export class StartMenu {
         }
     }
 
+    /**
+     * Read an exported replay file (seed + command log)
+     */
+    readReplayFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const log = JSON.parse(reader.result);
+                if (log.seed === undefined || !Array.isArray(log.commands)) {
+                    throw new Error('missing seed or commands');
+                }
+                this.hide();
+                if (this.onReplay) this.onReplay(log);
+            } catch (e) {
+                console.error('[StartMenu] Invalid replay file:', e);
+                alert('That file is not an Island Kingdom replay.');
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Import a shared .island file into a free slot and show it in the slot list
+     */
+    async importSaveFile(file) {
+        const result = await this.game.saveSystem.importSave(file);
+        if (!result.success) {
+            this.showImportStatus(`⚠️ Couldn't import ${file.name}. ${result.error}`, true);
+            return;
+        }
+
+        // Rebuild the menu so the Load button appears for the first save
+        const savedGames = await this.game.saveSystem.getSavedGames();
+        this.hide();
+        this.show(savedGames);
+        this.showImportStatus(`✅ Imported "${result.name}" into slot ${result.slot}`, false);
+        this.showSaveSlotSelection(savedGames);
+    }
+
+    showImportStatus(message, isError) {
+        const status = document.getElementById('import-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.remove('hidden');
+        status.classList.toggle('error', isError);
+    }
+
     /**
      * Show the save slot selection modal
      */
@@ -88,40 +164,67 @@ export class StartMenu {
             const date = new Date(save.timestamp);
             const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
             return `
-                <div class="save-slot-item" data-slot="${save.slot}">
+                <div class="save-slot-item${save.corrupt ? ' save-slot-corrupt' : ''}" data-slot="${save.slot}">
+                    ${save.thumbnail ? `<img class="save-slot-thumbnail" src="${save.thumbnail}" alt="">` : `<div class="save-slot-thumbnail save-slot-thumbnail-empty">🏝️</div>`}
                     <div class="save-slot-info">
-                        <div class="save-slot-name">${save.name}</div>
+                        <div class="save-slot-name">${save.autosave ? ' <span class="save-slot-autosave">AUTO</span>' : ''}</div>
+                        ${save.corrupt ? `
+                        <div class="save-slot-error">⚠️ This save is damaged and can't be loaded</div>
+                        ` : `
                         <div class="save-slot-details">
                             👥 ${save.population.toLocaleString()} | 💰 $${save.treasury.toLocaleString()}
                         </div>
                         <div class="save-slot-date">Year ${save.year}, Month ${save.month} • ${dateStr}</div>
+                        `}
                     </div>
                     <div class="save-slot-actions">
+                        ${save.corrupt ? '' : `
+                        <button class="save-slot-export" data-slot="${save.slot}" title="Export to file">📤</button>
                         <button class="save-slot-load" data-slot="${save.slot}">▶️ Load</button>
+                        `}
                         <button class="save-slot-delete" data-slot="${save.slot}">🗑️</button>
                     </div>
                 </div>
             `;
         }).join('');
+
+        // Names can come from imported files, so they go in as text, never markup
+        list.querySelectorAll('.save-slot-name').forEach((nameEl, i) => {
+            nameEl.prepend(savedGames[i].name);
+        });
         
         // Add click handlers for load buttons
         list.querySelectorAll('.save-slot-load').forEach(btn => {
-            btn.addEventListener('click', (e) => {
+            btn.addEventListener('click', async (e) => {
                 const slot = parseInt(e.target.dataset.slot);
+                const result = this.onLoadGame ? await this.onLoadGame(slot) : null;
+                if (result && !result.success) {
+                    // Stay on the menu and explain instead of starting a new game
+                    this.showLoadError(slot, result.error);
+                    return;
+                }
                 this.hide();
-                if (this.onLoadGame) this.onLoadGame(slot);
+            });
+        });
+        
+        // Add click handlers for export buttons
+        list.querySelectorAll('.save-slot-export').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.game.exportSave(parseInt(e.target.dataset.slot));
             });
         });
         
         // Add click handlers for delete buttons
         list.querySelectorAll('.save-slot-delete').forEach(btn => {
-            btn.addEventListener('click', (e) => {
+            btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 const slot = parseInt(e.target.dataset.slot);
-                if (confirm(`Delete Save ${slot}?`)) {
-                    this.game.saveSystem.deleteSave(slot);
+                const save = savedGames.find(s => s.slot === slot);
+                if (confirm(`Delete "${save ? save.name : `Save ${slot}`}"?`)) {
+                    await this.game.saveSystem.deleteSave(slot);
                     // Refresh the list
-                    const updatedSaves = this.game.saveSystem.getSavedGames();
+                    const updatedSaves = await this.game.saveSystem.getSavedGames();
                     if (updatedSaves.length === 0) {
                         this.hideSaveSlotSelection();
                         // Remove load button
@@ -137,6 +240,27 @@ export class StartMenu {
         modal.classList.remove('hidden');
     }
 
+    /**
+     * Show why a save couldn't be loaded, under its slot
+     */
+    showLoadError(slot, message) {
+        const list = document.getElementById('save-slot-list');
+        if (!list) return;
+
+        list.querySelectorAll('.save-slot-load-error').forEach(el => el.remove());
+
+        const item = list.querySelector(`.save-slot-item[data-slot="${slot}"]`);
+        const error = document.createElement('div');
+        error.className = 'save-slot-load-error';
+        error.textContent = `⚠️ Couldn't load this save. ${message}`;
+        if (item) {
+            item.classList.add('save-slot-corrupt');
+            item.after(error);
+        } else {
+            list.prepend(error);
+        }
+    }
+
     /**
      * Hide the save slot selection modal
      */
@@ -241,6 +365,43 @@ export class StartMenu {
                 transform: translateY(-2px);
                 box-shadow: 0 6px 20px rgba(33, 150, 243, 0.6);
             }
+
+            .start-menu-btn-replay {
+                background: linear-gradient(135deg, #7E57C2, #5E35B1);
+                color: white;
+                box-shadow: 0 4px 15px rgba(126, 87, 194, 0.4);
+            }
+
+            .start-menu-btn-replay:hover {
+                transform: translateY(-2px);
+                box-shadow: 0 6px 20px rgba(126, 87, 194, 0.6);
+            }
+            
+            .start-menu-btn-import {
+                background: linear-gradient(135deg, #00897B, #00695C);
+                color: white;
+                box-shadow: 0 4px 15px rgba(0, 137, 123, 0.4);
+            }
+
+            .start-menu-btn-import:hover {
+                transform: translateY(-2px);
+                box-shadow: 0 6px 20px rgba(0, 137, 123, 0.6);
+            }
+
+            .start-menu-import-status {
+                margin: 0;
+                color: #b9f6ca;
+                font-size: 14px;
+                max-width: 320px;
+            }
+
+            .start-menu-import-status.error {
+                color: #ffcdd2;
+            }
+
+            .start-menu-import-status.hidden {
+                display: none;
+            }
             
             .start-menu-btn-cancel {
                 background: linear-gradient(135deg, #757575, #616161);
@@ -320,6 +481,24 @@ export class StartMenu {
                 background: rgba(255, 255, 255, 0.15);
             }
             
+            .save-slot-thumbnail {
+                width: 64px;
+                height: 64px;
+                border-radius: 6px;
+                margin-right: 12px;
+                flex-shrink: 0;
+                image-rendering: pixelated;
+                box-shadow: 0 2px 6px rgba(0, 0, 0, 0.4);
+            }
+
+            .save-slot-thumbnail-empty {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-size: 28px;
+                background: rgba(41, 128, 185, 0.4);
+            }
+            
             .save-slot-info {
                 flex: 1;
             }
@@ -331,6 +510,18 @@ export class StartMenu {
                 margin-bottom: 5px;
             }
             
+            .save-slot-autosave {
+                display: inline-block;
+                margin-left: 6px;
+                padding: 1px 6px;
+                border-radius: 4px;
+                background: #607D8B;
+                color: white;
+                font-size: 11px;
+                font-weight: bold;
+                vertical-align: middle;
+            }
+
             .save-slot-details {
                 color: rgba(255, 255, 255, 0.8);
                 font-size: 14px;
@@ -346,6 +537,25 @@ export class StartMenu {
                 display: flex;
                 gap: 8px;
             }
+
+            .save-slot-corrupt {
+                border: 1px solid rgba(244, 67, 54, 0.6);
+            }
+
+            .save-slot-error {
+                color: #ff8a80;
+                font-size: 14px;
+            }
+
+            .save-slot-load-error {
+                background: rgba(244, 67, 54, 0.15);
+                border-left: 3px solid #f44336;
+                border-radius: 5px;
+                color: #ffcdd2;
+                font-size: 13px;
+                padding: 10px 12px;
+                line-height: 1.4;
+            }
             
             .save-slot-load {
                 background: #4CAF50;
@@ -362,6 +572,21 @@ export class StartMenu {
                 background: #45a049;
             }
             
+            .save-slot-export {
+                background: #1976D2;
+                color: white;
+                border: none;
+                border-radius: 5px;
+                padding: 8px 10px;
+                cursor: pointer;
+                font-size: 14px;
+                transition: background 0.2s;
+            }
+            
+            .save-slot-export:hover {
+                background: #1565C0;
+            }
+            
             .save-slot-delete {
                 background: #f44336;
                 color: white;
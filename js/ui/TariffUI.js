@@ -1,3 +1,6 @@
+import { CARGO_TYPES } from '../economy/Boat.js';
+import { CONSUMER_CARGO, CONSTRUCTION_CARGO } from '../economy/PortInventory.js';
+
 /**
  * TariffUI - User interface for managing tariffs
  */
@@ -7,6 +10,11 @@ export class TariffUI {
         this.visible = false;
         this.panel = null;
         this.createPanel();
+
+        // Stockpiles change as boats dock and shops restock
+        this.game.events.on('tick', () => {
+            if (this.visible) this.updateStats();
+        });
     }
 
     createPanel() {
@@ -36,11 +44,23 @@ export class TariffUI {
 
                 <div class="tariff-divider"></div>
 
+                <h3>🤝 Trade Partners</h3>
+                <div id="trade-partner-list" class="trade-partner-list"></div>
+
+                <div class="tariff-divider"></div>
+
                 <div class="trade-stats">
                     <h3>📊 Trade Statistics</h3>
                     <div id="trade-stats-content"></div>
                 </div>
 
+                <div class="tariff-divider"></div>
+
+                <div class="trade-stats">
+                    <h3>⚓ Port Stockpiles</h3>
+                    <div id="port-stock-content"></div>
+                </div>
+
                 <div class="tariff-actions">
                     <button id="tariff-max-all" class="tariff-btn danger">🔥 MAX ALL TARIFFS</button>
                     <button id="tariff-zero-all" class="tariff-btn success">🕊️ FREE TRADE</button>
@@ -55,6 +75,7 @@ export class TariffUI {
         document.getElementById('global-tariff-slider').addEventListener('input', (e) => this.onGlobalTariffChange(e));
         document.getElementById('tariff-max-all').addEventListener('click', () => this.maxAllTariffs());
         document.getElementById('tariff-zero-all').addEventListener('click', () => this.zeroAllTariffs());
+        document.getElementById('trade-partner-list').addEventListener('click', (e) => this.onPartnerAction(e));
 
         // Build tariff list
         this.buildTariffList();
@@ -64,18 +85,7 @@ export class TariffUI {
         const container = document.getElementById('tariff-list');
         if (!container) return;
 
-        const cargoTypes = [
-            { type: 'goods', name: 'Consumer Goods', icon: '📦' },
-            { type: 'materials', name: 'Building Materials', icon: '🧱' },
-            { type: 'food', name: 'Food & Agriculture', icon: '🌾' },
-            { type: 'luxury', name: 'Luxury Items', icon: '💎' },
-            { type: 'tech', name: 'Technology', icon: '💻' },
-            { type: 'oil', name: 'Oil & Energy', icon: '🛢️' },
-            { type: 'steel', name: 'Steel & Metals', icon: '⚙️' },
-            { type: 'cars', name: 'Automobiles', icon: '🚗' },
-        ];
-
-        container.innerHTML = cargoTypes.map(cargo => `
+        container.innerHTML = CARGO_TYPES.map(cargo => `
             <div class="tariff-item">
                 <span class="cargo-icon">${cargo.icon}</span>
                 <span class="cargo-name">${cargo.name}</span>
@@ -101,7 +111,7 @@ export class TariffUI {
         const value = parseInt(e.target.value);
 
         if (this.game.tariffSystem) {
-            this.game.tariffSystem.setTariffRate(type, value);
+            this.game.commandLog.execute('setTariff', { cargo: type, rate: value });
         }
 
         // Update display
@@ -116,7 +126,7 @@ export class TariffUI {
         const value = parseInt(e.target.value);
 
         if (this.game.tariffSystem) {
-            this.game.tariffSystem.setGlobalTariff(value);
+            this.game.commandLog.execute('setGlobalTariff', { rate: value });
         }
 
         const valueSpan = document.getElementById('global-tariff-value');
@@ -138,9 +148,9 @@ export class TariffUI {
 
         // Set all to maximum
         Object.keys(this.game.tariffSystem.tariffRates).forEach(type => {
-            this.game.tariffSystem.setTariffRate(type, 100);
+            this.game.commandLog.execute('setTariff', { cargo: type, rate: 100 });
         });
-        this.game.tariffSystem.setGlobalTariff(50);
+        this.game.commandLog.execute('setGlobalTariff', { rate: 50 });
 
         // Update UI
         this.updateAllSliders();
@@ -154,9 +164,9 @@ export class TariffUI {
 
         // Set all to zero
         Object.keys(this.game.tariffSystem.tariffRates).forEach(type => {
-            this.game.tariffSystem.setTariffRate(type, 0);
+            this.game.commandLog.execute('setTariff', { cargo: type, rate: 0 });
         });
-        this.game.tariffSystem.setGlobalTariff(0);
+        this.game.commandLog.execute('setGlobalTariff', { rate: 0 });
 
         // Update UI
         this.updateAllSliders();
@@ -200,6 +210,11 @@ export class TariffUI {
         const avgTariff = this.game.tariffSystem.getAverageTariff();
 
         container.innerHTML = `
+            <h4>📥 Imports</h4>
+            <div class="stat-row">
+                <span>📦 Total Imports:</span>
+                <span class="stat-value">$${Math.floor(stats.totalTradeValue).toLocaleString()}</span>
+            </div>
             <div class="stat-row">
                 <span>📈 Total Tariff Revenue:</span>
                 <span class="stat-value">$${Math.floor(stats.totalTariffRevenue).toLocaleString()}</span>
@@ -226,6 +241,153 @@ export class TariffUI {
                 <span>💰 This Month Revenue:</span>
                 <span class="stat-value">$${Math.floor(stats.monthlyRevenue).toLocaleString()}</span>
             </div>
+            ${this.getExportStatsHTML()}
+        `;
+
+        this.updatePartners();
+        this.updateStockpiles();
+    }
+
+    updatePartners() {
+        const container = document.getElementById('trade-partner-list');
+        const tariffSystem = this.game.tariffSystem;
+        if (!container || !tariffSystem) return;
+
+        const relationsClass = (value) => value < 30 ? 'text-danger' : value < 60 ? 'text-warning' : 'text-success';
+        const tariffClass = (rate) => rate >= 30 ? 'text-danger' : rate > 10 ? 'text-warning' : 'text-success';
+
+        container.innerHTML = Object.values(tariffSystem.partners).map(partner => {
+            let status = '🟢 Trading';
+            if (partner.embargoedByUs) status = '🚫 Embargoed by us';
+            else if (partner.embargoMonthsLeft > 0) status = `⛔ Embargoing us (${partner.embargoMonthsLeft} mo)`;
+            else if (partner.hasDeal) status = `🤝 Trade deal (${partner.dealMonthsLeft} mo)`;
+
+            const topCargo = Object.entries(partner.cargoMix)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 3)
+                .map(([type]) => CARGO_TYPES.find(cargo => cargo.type === type)?.icon || '📦')
+                .join(' ');
+            const ourTariff = Math.round(tariffSystem.getTariffOnPartner(partner));
+            const dealProblem = tariffSystem.getDealProblem(partner);
+
+            return `
+                <div class="trade-partner">
+                    <div class="trade-partner-header">
+                        <span class="trade-partner-flag" style="background: ${partner.flagColor}"></span>
+                        <strong>${partner.label}</strong>
+                        <span class="trade-partner-status">${status}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span>🤝 Relations:</span>
+                        <span class="stat-value ${relationsClass(partner.relations)}">${Math.floor(partner.relations)}%</span>
+                    </div>
+                    <div class="stat-row">
+                        <span>🚢 Ships Us:</span>
+                        <span class="stat-value">${topCargo}</span>
+                    </div>
+                    <div class="stat-row">
+                        <span>📥 Our Tariff on Their Cargo:</span>
+                        <span class="stat-value ${tariffClass(ourTariff)}">${ourTariff}%</span>
+                    </div>
+                    <div class="stat-row">
+                        <span>📤 Their Tariff on Goods / Oil:</span>
+                        <span class="stat-value ${tariffClass(Math.max(partner.tariffs.goods, partner.tariffs.oil))}">
+                            ${partner.tariffs.goods}% / ${partner.tariffs.oil}%
+                        </span>
+                    </div>
+                    <div class="trade-partner-actions">
+                        <button class="tariff-btn success" data-action="deal" data-partner="${partner.name}"
+                                ${dealProblem ? `disabled title="${dealProblem}"` : ''}>🤝 Propose Deal</button>
+                        <button class="tariff-btn danger" data-action="embargo" data-partner="${partner.name}">
+                            ${partner.embargoedByUs ? '🕊️ Lift Embargo' : '🚫 Embargo'}
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    onPartnerAction(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button || button.disabled) return;
+
+        const name = button.dataset.partner;
+        const partner = this.game.tariffSystem?.getPartner(name);
+        if (!partner) return;
+
+        if (button.dataset.action === 'deal') {
+            this.game.commandLog.execute('signTradeDeal', { partner: name });
+        } else if (button.dataset.action === 'embargo') {
+            this.game.commandLog.execute('setEmbargo', { partner: name, active: !partner.embargoedByUs });
+        }
+        this.updateStats();
+    }
+
+    getExportStatsHTML() {
+        const exportSystem = this.game.exportSystem;
+        if (!exportSystem) return '';
+
+        const totals = exportSystem.totals;
+        const month = exportSystem.lastMonth;
+
+        return `
+            <h4>📤 Exports</h4>
+            <div class="stat-row">
+                <span>🏭 Goods Exported:</span>
+                <span class="stat-value">${Math.floor(totals.exported).toLocaleString()} units</span>
+            </div>
+            <div class="stat-row">
+                <span>💵 Export Revenue:</span>
+                <span class="stat-value">$${Math.floor(totals.revenue).toLocaleString()}</span>
+            </div>
+            <div class="stat-row">
+                <span>🧾 Foreign Tariffs Paid:</span>
+                <span class="stat-value">$${Math.floor(totals.foreignDuties).toLocaleString()}</span>
+            </div>
+            <div class="stat-row">
+                <span>🏬 Port Warehouse:</span>
+                <span class="stat-value">${Math.floor(exportSystem.warehouse)} / ${exportSystem.getCapacity()}</span>
+            </div>
+            ${month?.stranded ? `
+                <div class="stat-row">
+                    <span>🚧 No Road to a Port:</span>
+                    <span class="stat-value text-warning">${month.stranded} units/mo</span>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    updateStockpiles() {
+        const container = document.getElementById('port-stock-content');
+        const inventory = this.game.portInventory;
+        if (!container || !inventory) return;
+
+        const capacity = inventory.getCapacity();
+        if (capacity === 0) {
+            container.innerHTML = `<p class="tariff-hint">Build a port to store imported cargo</p>`;
+            return;
+        }
+
+        const stockable = CARGO_TYPES.filter(cargo =>
+            CONSUMER_CARGO.includes(cargo.type) || CONSTRUCTION_CARGO.includes(cargo.type));
+        const month = inventory.lastMonth;
+        const coverage = Math.round(inventory.getGoodsCoverage() * 100);
+
+        container.innerHTML = stockable.map(cargo => `
+            <div class="stat-row">
+                <span>${cargo.icon} ${cargo.name}:</span>
+                <span class="stat-value ${inventory.stock[cargo.type] === 0 ? 'text-danger' : ''}">
+                    ${Math.floor(inventory.stock[cargo.type])} / ${capacity}
+                </span>
+            </div>
+        `).join('') + `
+            <div class="stat-row">
+                <span>🛒 Shops Supplied:</span>
+                <span class="stat-value ${coverage < 50 ? 'text-danger' : coverage < 100 ? 'text-warning' : 'text-success'}">
+                    ${month ? `${month.supplied} / ${month.demand} (${coverage}%)` : '-'}
+                </span>
+            </div>
+            <p class="tariff-hint">Building materials and steel knock up to 10% off new construction</p>
         `;
     }
 
@@ -0,0 +1,167 @@
+import { TAX_ZONES, MAX_TAX_RATE, DEFAULT_TAX_RATE, taxGrowthMultiplier } from '../economy/Taxes.js';
+
+const ZONE_INFO = {
+    residential: { name: 'Residential', icon: '🏠' },
+    commercial: { name: 'Commercial', icon: '🏪' },
+    industrial: { name: 'Industrial', icon: '🏭' }
+};
+
+/**
+ * TaxUI - Tax rates per zone type, with their effect on growth and income
+ */
+export class TaxUI {
+    constructor(game) {
+        this.game = game;
+        this.visible = false;
+        this.panel = null;
+        this.createPanel();
+
+        // Last month's takings change at each tick
+        this.game.events.on('tick', () => {
+            if (this.visible) this.updateStats();
+        });
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'tax-panel';
+        this.panel.className = 'game-panel tariff-panel tax-panel';
+        this.panel.innerHTML = `
+            <div class="panel-header">
+                <h2>🏛️ ROYAL TAX OFFICE</h2>
+                <button class="close-btn" id="close-tax">✕</button>
+            </div>
+            <div class="panel-content">
+                <div class="tariff-list">
+                    ${TAX_ZONES.map(zone => `
+                        <div class="tariff-item">
+                            <span class="cargo-icon">${ZONE_INFO[zone].icon}</span>
+                            <span class="cargo-name">
+                                ${ZONE_INFO[zone].name}
+                                <small class="tax-growth" id="tax-${zone}-growth"></small>
+                            </span>
+                            <input type="range"
+                                   class="tariff-slider tax-slider"
+                                   data-zone="${zone}"
+                                   min="0" max="${MAX_TAX_RATE}"
+                                   value="${DEFAULT_TAX_RATE}">
+                            <span class="tariff-value" id="tax-${zone}-value">${DEFAULT_TAX_RATE}%</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <p class="tariff-hint">Taxes above ${DEFAULT_TAX_RATE}% slow a zone's growth; lower taxes speed it up.</p>
+
+                <div class="tariff-divider"></div>
+
+                <div class="trade-stats">
+                    <h3>📊 Last Month's Taxes</h3>
+                    <div id="tax-stats-content"></div>
+                </div>
+
+                <div class="tariff-actions">
+                    <button id="tax-reset" class="tariff-btn success">↩️ RESET TO ${DEFAULT_TAX_RATE}%</button>
+                </div>
+            </div>
+        `;
+        this.panel.style.display = 'none';
+        document.body.appendChild(this.panel);
+
+        document.getElementById('close-tax').addEventListener('click', () => this.hide());
+        document.getElementById('tax-reset').addEventListener('click', () => {
+            this.game.commandLog.execute('setTaxRate', { rate: DEFAULT_TAX_RATE });
+            this.updateAllSliders();
+        });
+
+        this.panel.querySelectorAll('.tax-slider').forEach(slider => {
+            slider.addEventListener('input', (e) => this.updateZoneDisplay(e.target.dataset.zone, parseInt(e.target.value)));
+            // Record one command per drag rather than one per pixel
+            slider.addEventListener('change', (e) => {
+                this.game.commandLog.execute('setTaxRate', {
+                    zone: e.target.dataset.zone,
+                    rate: parseInt(e.target.value)
+                });
+                this.updateStats();
+            });
+        });
+    }
+
+    updateZoneDisplay(zone, rate) {
+        const valueSpan = document.getElementById(`tax-${zone}-value`);
+        valueSpan.textContent = `${rate}%`;
+        valueSpan.className = 'tariff-value ' + this.getTaxClass(rate);
+
+        const growth = taxGrowthMultiplier(rate);
+        const growthSpan = document.getElementById(`tax-${zone}-growth`);
+        growthSpan.textContent = `Growth ×${growth.toFixed(2)}`;
+        growthSpan.className = 'tax-growth ' + (growth < 1 ? 'text-danger' : growth > 1 ? 'text-success' : '');
+    }
+
+    getTaxClass(rate) {
+        if (rate <= 10) return 'tariff-low';
+        if (rate <= 20) return 'tariff-medium';
+        if (rate <= 30) return 'tariff-high';
+        return 'tariff-extreme';
+    }
+
+    updateAllSliders() {
+        const rates = this.game.taxRates;
+        this.panel.querySelectorAll('.tax-slider').forEach(slider => {
+            const zone = slider.dataset.zone;
+            slider.value = rates[zone];
+            this.updateZoneDisplay(zone, rates[zone]);
+        });
+    }
+
+    updateStats() {
+        const container = document.getElementById('tax-stats-content');
+        const last = this.game.budgetLedger?.getLastMonth();
+        if (!last) {
+            container.innerHTML = '<p class="tariff-hint">No taxes collected yet.</p>';
+            return;
+        }
+
+        const takings = {
+            residential: last.income.tax,
+            commercial: last.income.commercial,
+            industrial: last.income.industrial
+        };
+        const property = last.income.property || 0;
+        const total = Object.values(takings).reduce((sum, amount) => sum + amount, property);
+
+        container.innerHTML = TAX_ZONES.map(zone => `
+            <div class="stat-row">
+                <span>${ZONE_INFO[zone].icon} ${ZONE_INFO[zone].name}:</span>
+                <span class="stat-value">$${takings[zone].toLocaleString()}</span>
+            </div>
+        `).join('') + `
+            <div class="stat-row">
+                <span>🏡 Property (by land value):</span>
+                <span class="stat-value">$${property.toLocaleString()}</span>
+            </div>
+            <div class="stat-row">
+                <span>💰 Total:</span>
+                <span class="stat-value">$${total.toLocaleString()}</span>
+            </div>
+        `;
+    }
+
+    show() {
+        this.visible = true;
+        this.panel.style.display = 'block';
+        this.updateAllSliders();
+        this.updateStats();
+    }
+
+    hide() {
+        this.visible = false;
+        this.panel.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+}
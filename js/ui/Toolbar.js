@@ -306,7 +306,7 @@ export class Toolbar {
         this.infoPanel.innerHTML = `
             <span class="info-name">${building.icon} ${building.name}</span>
             <span class="info-desc">${building.description}</span>
-            <span class="info-cost">$${building.cost}</span>
+            <span class="info-cost">$${building.cost}${building.upkeep ? ` + $${building.upkeep}/mo` : ''}</span>
         `;
     }
 
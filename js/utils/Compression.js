@@ -0,0 +1,44 @@
+/**
+ * Compression - gzip text with the browser's built-in CompressionStream
+ *
+ * Browsers without CompressionStream store the text uncompressed;
+ * decompressText() tells the two apart by the gzip header.
+ */
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+export function canCompress() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+// True when the bytes start with a gzip header
+export function isCompressed(bytes) {
+    return bytes.length >= 2 && bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1];
+}
+
+/**
+ * Compress a string. Returns a Uint8Array.
+ */
+export async function compressText(text) {
+    const bytes = new TextEncoder().encode(text);
+    if (!canCompress()) return bytes;
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Turn bytes from compressText() (or plain UTF-8) back into a string
+ */
+export async function decompressText(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (!isCompressed(bytes)) {
+        return new TextDecoder().decode(bytes);
+    }
+    if (!canCompress()) {
+        throw new Error('This browser cannot open compressed files');
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return await new Response(stream).text();
+}
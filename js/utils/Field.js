@@ -0,0 +1,22 @@
+/**
+ * Field - Helpers for per-tile maps stored row by row in a flat typed array
+ */
+
+/**
+ * Add `amount` at (cx, cy) of a width x height field, falling off linearly
+ * to nothing at `radius`
+ */
+export function stamp(field, width, height, cx, cy, radius, amount) {
+    const minX = Math.max(0, Math.floor(cx - radius));
+    const maxX = Math.min(width - 1, Math.ceil(cx + radius));
+    const minY = Math.max(0, Math.floor(cy - radius));
+    const maxY = Math.min(height - 1, Math.ceil(cy + radius));
+
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            const distance = Math.hypot(x - cx, y - cy);
+            if (distance >= radius) continue;
+            field[y * width + x] += amount * (1 - distance / radius);
+        }
+    }
+}
@@ -1,5 +1,5 @@
 /**
- * Random - Seeded random number generator for reproducible maps
+ * Random - Seeded random number generator for reproducible maps and simulations
  */
 export class Random {
     constructor(seed = Date.now()) {
@@ -9,12 +9,29 @@ export class Random {
 
     // Simple seeded random using mulberry32
     next() {
-        let t = this.current += 0x6D2B79F5;
+        // Keep the state a 32-bit integer so it stays exact and serializable
+        let t = this.current = (this.current + 0x6D2B79F5) | 0;
         t = Math.imul(t ^ t >>> 15, t | 1);
         t ^= t + Math.imul(t ^ t >>> 7, t | 61);
         return ((t ^ t >>> 14) >>> 0) / 4294967296;
     }
 
+    // Create an independent stream derived from this seed
+    derive(salt) {
+        return new Random((this.seed ^ Math.imul(salt, 0x9E3779B1)) >>> 0);
+    }
+
+    // Serializable state for saves and replays
+    getState() {
+        return { seed: this.seed, current: this.current };
+    }
+
+    setState(state) {
+        if (!state) return;
+        this.seed = state.seed;
+        this.current = state.current;
+    }
+
     // Random integer between min and max (inclusive)
     nextInt(min, max) {
         return Math.floor(this.next() * (max - min + 1)) + min;
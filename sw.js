@@ -1,5 +1,5 @@
 // Service Worker for Island Kingdom PWA
-const CACHE_NAME = 'island-kingdom-v234';
+const CACHE_NAME = 'island-kingdom-v256';
 
 const ASSETS_TO_CACHE = [
     './',
@@ -8,16 +8,27 @@ const ASSETS_TO_CACHE = [
     './js/main.js',
     './js/core/Game.js',
     './js/core/EventEmitter.js',
+    './js/core/Simulation.js',
+    './js/core/CommandHistory.js',
+    './js/core/CommandLog.js',
     './js/ui/GameCanvas.js',
     './js/systems/AnimationSystem.js',
     './js/systems/ImmigrationSystem.js',
     './js/systems/SoundSystem.js',
     './js/systems/AirportSystem.js',
     './js/systems/WeatherSystem.js',
+    './js/systems/FireSystem.js',
+    './js/systems/ResourceSystem.js',
     './js/systems/AutoConnect.js',
+    './js/systems/SaveMigrations.js',
+    './js/systems/SaveStorage.js',
     './js/ui/Toolbar.js',
     './js/ui/MobileControls.js',
     './js/ui/TariffUI.js',
+    './js/ui/BudgetUI.js',
+    './js/ui/TaxUI.js',
+    './js/ui/MapOverlay.js',
+    './js/ui/DemandMeter.js',
     'js/ui/DebugPanel.js',
     './js/map/TileMap.js',
     './js/map/IslandGenerator.js',
@@ -25,13 +36,28 @@ const ASSETS_TO_CACHE = [
     './js/buildings/ToolManager.js',
     './js/economy/Boat.js',
     './js/economy/TariffSystem.js',
+    './js/economy/BudgetLedger.js',
+    './js/economy/Taxes.js',
+    './js/economy/FinanceSystem.js',
+    './js/economy/Upkeep.js',
+    './js/economy/PortInventory.js',
+    './js/economy/ExportSystem.js',
+    './js/economy/TradePartners.js',
     './js/simulation/Development.js',
     './js/simulation/ResidentialAllotment.js',
+    './js/simulation/ServiceCoverage.js',
+  './js/simulation/Crime.js',
+  './js/simulation/Pollution.js',
+  './js/simulation/LandValue.js',
+    './js/simulation/Demand.js',
+    './js/simulation/Employment.js',
     './js/rendering/ResidentialRenderer.js',
     './js/rendering/CommercialRenderer.js',
     './js/rendering/IndustrialRenderer.js',
     './js/rendering/ServiceBuildingRenderer.js',
     './js/utils/Random.js',
+    './js/utils/Compression.js',
+    './js/utils/Field.js',
     './assets/icon-192.png',
     './assets/icon-512.png',
     './manifest.json',